@@ -0,0 +1,299 @@
+// The archive only needs the typing modes of the model, not the database
+jest.mock('../models/db', () => ({
+    TYPING_MODES: ['strict', 'normal', 'free'],
+}));
+
+const AdmZip = require('adm-zip');
+const {
+    ARCHIVE_VERSION,
+    buildAccountArchive,
+    zipAccountArchive,
+    validateAccountArchive,
+    readAccountArchive,
+} = require('../utils/accountArchive');
+
+const DATA = {
+    settings: { typing_mode: 'free', ocr_language: 'deu' },
+    coins: 3,
+    categories: [
+        { id: 1, name: 'Cours', parent_category_id: null },
+        { id: 2, name: 'Maths', parent_category_id: 1 },
+    ],
+    texts: [
+        {
+            id: 5,
+            category_id: 2,
+            title: 'A',
+            content: 'a',
+            order_index: 0,
+            source_text_id: null,
+            translation_language: null,
+        },
+        {
+            id: 6,
+            category_id: null,
+            title: 'B',
+            content: 'b',
+            order_index: 0,
+            source_text_id: 5, // B is the English translation of A
+            translation_language: 'en',
+        },
+    ],
+    progress: [{ text_id: 5, progress_index: 1 }],
+    stats: null,
+    key_errors: [],
+    owned_items: [{ item_id: 'car', quantity: 1 }],
+    practice_sessions: [
+        {
+            text_id: 5,
+            started_at: '2025-01-02 10:00:00',
+            ended_at: '2025-01-02 10:05:00',
+            wpm: 42,
+            accuracy: 97.5,
+            errors: 3,
+            lines_completed: 4,
+            lines_skipped: 0,
+            session_type: 'timed',
+            time_limit_seconds: 300,
+            gross_wpm: 45,
+            typing_mode: 'normal',
+        },
+    ],
+    review_schedule: [
+        {
+            text_id: 5,
+            chunk_index: -1,
+            repetitions: 1,
+            interval_days: 1,
+            ease_factor: 2.5,
+            due_date: '2025-01-03',
+            last_grade: 4,
+            last_reviewed_at: '2025-01-02 10:05:00',
+        },
+    ],
+    quiz_results: [
+        {
+            text_id: 6,
+            correct_count: 2,
+            question_count: 3,
+            coins_awarded: 2,
+            taken_at: '2025-01-02 11:00:00',
+        },
+    ],
+};
+
+// What an archive signed by this instance gives back: the rewards apart from the rest
+const {
+    coins,
+    stats,
+    owned_items: ownedItems,
+    practice_sessions: practiceSessions,
+    quiz_results: quizResults,
+    ...CONTENT
+} = DATA;
+const IMPORTED = {
+    ...CONTENT,
+    rewards: {
+        coins,
+        stats,
+        owned_items: ownedItems,
+        practice_sessions: practiceSessions,
+        quiz_results: quizResults,
+    },
+};
+
+/**
+ * Builds an archive of the test data with some of it changed.
+ * @param {object} [changes] - The data to change.
+ * @returns {object} - The archive.
+ */
+const archiveWith = (changes = {}) =>
+    buildAccountArchive({ ...DATA, ...changes }, 'alice');
+
+describe('Account Archive', () => {
+    beforeEach(() => {
+        process.env.ARCHIVE_SECRET = 'test secret';
+    });
+
+    afterEach(() => {
+        delete process.env.ARCHIVE_SECRET;
+    });
+
+    test('should accept a valid archive, leaving out unknown settings', () => {
+        expect(validateAccountArchive(archiveWith())).toEqual(IMPORTED);
+        expect(
+            validateAccountArchive(
+                archiveWith({
+                    settings: { typing_mode: 'turbo', ocr_language: 'xx' },
+                })
+            ).settings
+        ).toEqual({ typing_mode: null, ocr_language: null });
+    });
+
+    test('should not restore rewards from a crafted or unsigned archive', () => {
+        const archive = archiveWith();
+        const crafted = {
+            ...archive,
+            data: { ...archive.data, coins: 999999999 },
+        };
+        const unsigned = { ...archive, signature: undefined };
+
+        expect(validateAccountArchive(crafted)).toEqual({
+            ...CONTENT,
+            rewards: null,
+        });
+        expect(validateAccountArchive(unsigned).rewards).toBeNull();
+        expect(
+            validateAccountArchive({ ...crafted, signature: 'abc' }).rewards
+        ).toBeNull();
+
+        // Without a secret, nothing is signed and no rewards are restored
+        delete process.env.ARCHIVE_SECRET;
+        expect(archiveWith().signature).toBeUndefined();
+        expect(validateAccountArchive(archive).rewards).toBeNull();
+    });
+
+    test('should read version 1 archives, which have no translations', () => {
+        const texts = DATA.texts.map(
+            ({
+                source_text_id: sourceTextId,
+                translation_language: language,
+                ...text
+            }) => text
+        );
+
+        expect(
+            validateAccountArchive({
+                ...archiveWith({ texts }),
+                version: 1,
+            }).texts
+        ).toEqual(
+            texts.map((text) => ({
+                ...text,
+                source_text_id: null,
+                translation_language: null,
+            }))
+        );
+    });
+
+    test('should refuse files that are not archives of a known version', () => {
+        expect(() => validateAccountArchive({ texts: [] })).toThrow(
+            'Invalid account archive: this is not a Typing Trainer account archive.'
+        );
+        expect(() =>
+            validateAccountArchive({
+                ...archiveWith(),
+                version: ARCHIVE_VERSION + 1,
+            })
+        ).toThrow('it was made by a newer version of Typing Trainer');
+    });
+
+    test('should refuse inconsistent data', () => {
+        expect(() =>
+            validateAccountArchive(
+                archiveWith({
+                    categories: [
+                        { id: 1, name: 'A', parent_category_id: 2 },
+                        { id: 2, name: 'B', parent_category_id: 1 },
+                    ],
+                    texts: [],
+                    progress: [],
+                })
+            )
+        ).toThrow(
+            'Invalid account archive: the folder "A" has no valid parent.'
+        );
+        expect(() =>
+            validateAccountArchive(
+                archiveWith({ progress: [{ text_id: 7, progress_index: 0 }] })
+            )
+        ).toThrow(
+            'Invalid account archive: entry 1 of "progress" is not valid.'
+        );
+        expect(() =>
+            validateAccountArchive(
+                archiveWith({
+                    texts: [{ ...DATA.texts[0], source_text_id: 7 }],
+                })
+            )
+        ).toThrow('Invalid account archive: entry 1 of "texts" is not valid.');
+        expect(() =>
+            validateAccountArchive(archiveWith({ owned_items: undefined }))
+        ).toThrow('Invalid account archive: "owned_items" is missing.');
+        expect(() =>
+            validateAccountArchive(
+                archiveWith({
+                    owned_items: [{ item_id: 'gold_bar', quantity: 1 }],
+                })
+            )
+        ).toThrow(
+            'Invalid account archive: entry 1 of "owned_items" is not valid.'
+        );
+        expect(() =>
+            validateAccountArchive(
+                archiveWith({
+                    quiz_results: [
+                        { ...DATA.quiz_results[0], correct_count: 4 },
+                    ],
+                })
+            )
+        ).toThrow(
+            'Invalid account archive: entry 1 of "quiz_results" is not valid.'
+        );
+        expect(() =>
+            validateAccountArchive(
+                archiveWith({
+                    review_schedule: [
+                        { ...DATA.review_schedule[0], due_date: 'tomorrow' },
+                    ],
+                })
+            )
+        ).toThrow(
+            'Invalid account archive: entry 1 of "review_schedule" is not valid.'
+        );
+    });
+
+    test('should read JSON and ZIP archives', () => {
+        const archive = archiveWith();
+
+        expect(
+            readAccountArchive({
+                originalname: 'account.json',
+                buffer: Buffer.from(JSON.stringify(archive)),
+            })
+        ).toEqual(IMPORTED);
+        expect(
+            readAccountArchive({
+                originalname: 'account.zip',
+                buffer: zipAccountArchive(archive),
+            })
+        ).toEqual(IMPORTED);
+        expect(() =>
+            readAccountArchive({
+                originalname: 'account.zip',
+                buffer: new AdmZip().toBuffer(),
+            })
+        ).toThrow('the ZIP file does not contain account.json');
+        expect(() =>
+            readAccountArchive({
+                originalname: 'account.json',
+                buffer: Buffer.from('{'),
+            })
+        ).toThrow('Invalid account archive: the file is not valid JSON.');
+    });
+
+    test('should stop unzipping an archive larger than 100 MB', () => {
+        // A few hundred kilobytes of zipped spaces, which would take more than 100 MB once unzipped
+        const zip = new AdmZip();
+        zip.addFile('account.json', Buffer.alloc(100 * 1024 * 1024 + 1, ' '));
+
+        expect(() =>
+            readAccountArchive({
+                originalname: 'account.zip',
+                buffer: zip.toBuffer(),
+            })
+        ).toThrow(
+            'Invalid account archive: account.json is larger than 100 MB once unzipped.'
+        );
+    });
+});
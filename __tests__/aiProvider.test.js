@@ -0,0 +1,151 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { createAiProvider, parseJsonAnswer } = require('../services/aiProvider');
+
+// Mock the Gemini client (no network in tests)
+const mockGenerateContent = jest.fn();
+jest.mock('@google/generative-ai', () => ({
+    GoogleGenerativeAI: jest.fn(() => ({
+        getGenerativeModel: jest.fn(() => ({
+            generateContent: mockGenerateContent,
+        })),
+    })),
+}));
+
+const PROMPT = 'Summarize this text:\n\n---\nLe chat dort.\nIl rêve.\n---';
+
+describe('AI Provider', () => {
+    let fetchSpy;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        fetchSpy = jest.spyOn(global, 'fetch');
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should choose the provider from the configuration', () => {
+        expect(createAiProvider({})).toBeNull();
+        expect(createAiProvider({ AI_PROVIDER: 'none' })).toBeNull();
+        expect(createAiProvider({ AI_PROVIDER: 'other' })).toBeNull();
+        expect(createAiProvider({ AI_PROVIDER: 'openai' })).toBeNull(); // No address nor model
+        expect(createAiProvider({ GEMINI_API_KEY: 'key' })).toMatchObject({
+            name: 'gemini',
+            model: 'gemini-1.5-flash-latest',
+        });
+        expect(
+            createAiProvider({
+                AI_BASE_URL: 'http://localhost:11434/v1',
+                AI_MODEL: 'llama3',
+            })
+        ).toMatchObject({ name: 'openai', model: 'llama3' });
+        expect(
+            createAiProvider({ AI_PROVIDER: 'Mock', GEMINI_API_KEY: 'key' })
+        ).toMatchObject({ name: 'mock' });
+    });
+
+    test('should answer deterministically with the mock provider', async () => {
+        const provider = createAiProvider({ AI_PROVIDER: 'mock' });
+
+        await expect(provider.generateText(PROMPT)).resolves.toBe(
+            'Le chat dort. Il rêve.'
+        );
+        await expect(
+            createAiProvider({
+                AI_PROVIDER: 'mock',
+                AI_MOCK_RESPONSE: 'Résumé.',
+            }).generateText(PROMPT)
+        ).resolves.toBe('Résumé.');
+        expect(fetchSpy).not.toHaveBeenCalled();
+    });
+
+    test('should call an OpenAI-compatible chat completions endpoint', async () => {
+        fetchSpy.mockResolvedValue(
+            new Response(
+                JSON.stringify({
+                    choices: [{ message: { content: ' Un chat dort. \n' } }],
+                }),
+                { status: 200 }
+            )
+        );
+        const provider = createAiProvider({
+            AI_PROVIDER: 'openai',
+            AI_BASE_URL: 'http://localhost:8080/v1/',
+            AI_MODEL: 'local',
+            AI_API_KEY: 'secret',
+        });
+
+        await expect(provider.generateText(PROMPT)).resolves.toBe(
+            'Un chat dort.'
+        );
+        const [url, request] = fetchSpy.mock.calls[0];
+        expect(url).toBe('http://localhost:8080/v1/chat/completions');
+        expect(request.headers.Authorization).toBe('Bearer secret');
+        expect(JSON.parse(request.body)).toEqual({
+            model: 'local',
+            messages: [{ role: 'user', content: PROMPT }],
+        });
+    });
+
+    test('should report OpenAI-compatible failures with an HTTP status', async () => {
+        const provider = createAiProvider({
+            AI_BASE_URL: 'http://localhost:8080/v1',
+            AI_MODEL: 'local',
+        });
+
+        fetchSpy.mockRejectedValueOnce(new TypeError('fetch failed'));
+        await expect(provider.generateText(PROMPT)).rejects.toMatchObject({
+            message: 'Network error communicating with AI service.',
+            status: 504,
+        });
+        fetchSpy.mockResolvedValueOnce(new Response('', { status: 401 }));
+        await expect(provider.generateText(PROMPT)).rejects.toMatchObject({
+            status: 503,
+        });
+        fetchSpy.mockResolvedValueOnce(
+            new Response(JSON.stringify({ choices: [] }), { status: 200 })
+        );
+        await expect(provider.generateText(PROMPT)).rejects.toMatchObject({
+            message: 'AI did not return any text.',
+            status: 502,
+        });
+    });
+
+    test('should generate text with Gemini and translate its errors', async () => {
+        const provider = createAiProvider({
+            GEMINI_API_KEY: 'key',
+            AI_MODEL: 'gemini-2.0-flash',
+        });
+        mockGenerateContent.mockResolvedValueOnce({
+            response: { text: () => 'Un chat dort.' },
+        });
+
+        await expect(provider.generateText(PROMPT)).resolves.toBe(
+            'Un chat dort.'
+        );
+        expect(GoogleGenerativeAI).toHaveBeenCalledWith('key');
+        expect(mockGenerateContent).toHaveBeenCalledWith(PROMPT);
+
+        mockGenerateContent.mockRejectedValueOnce(
+            new Error('[400 Bad Request] API key not valid.')
+        );
+        await expect(provider.generateText(PROMPT)).rejects.toMatchObject({
+            message: 'AI Service Error: Invalid API Key.',
+            status: 503,
+        });
+    });
+
+    test('should read the JSON object of an answer, in a code block or not', () => {
+        expect(parseJsonAnswer('{"terms": ["chat"]}')).toEqual({
+            terms: ['chat'],
+        });
+        expect(
+            parseJsonAnswer('Here it is:\n```json\n{"a": {"b": 1}}\n```')
+        ).toEqual({ a: { b: 1 } });
+        expect(parseJsonAnswer('No JSON here.')).toBeNull();
+        expect(parseJsonAnswer('} {')).toBeNull();
+        expect(parseJsonAnswer('{"a": 1,}')).toBeNull();
+    });
+});
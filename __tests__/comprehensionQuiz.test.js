@@ -0,0 +1,93 @@
+const {
+    buildQuizExcerpt,
+    parseQuiz,
+    generateQuiz,
+    toPublicQuestions,
+    gradeQuiz,
+} = require('../services/comprehensionQuiz');
+
+const QUESTIONS = [
+    {
+        type: 'multiple_choice',
+        question: 'Quelle est la capitale ?',
+        choices: ['Paris', 'Lyon', 'Nice'],
+        answer: 0,
+    },
+    {
+        type: 'fill_blank',
+        question: 'Le ____ est arrivé.',
+        answer: 'Été',
+    },
+];
+
+describe('Comprehension Quiz', () => {
+    test('should read the quiz of the AI, dropping invalid questions', () => {
+        const answer = `Here is your quiz:\n\`\`\`json\n${JSON.stringify({
+            questions: [
+                { ...QUESTIONS[0], question: ' Quelle est la capitale ? ' },
+                { ...QUESTIONS[0], answer: 3 }, // No such choice
+                { type: 'fill_blank', question: 'Pas de blanc.', answer: 'x' },
+                { type: 'essay', question: 'Pourquoi ?' },
+                { ...QUESTIONS[1], question: 'Le ______ est arrivé.' },
+            ],
+        })}\n\`\`\``;
+
+        expect(parseQuiz(answer)).toEqual(QUESTIONS);
+        expect(toPublicQuestions(QUESTIONS)).toEqual([
+            {
+                type: 'multiple_choice',
+                question: 'Quelle est la capitale ?',
+                choices: ['Paris', 'Lyon', 'Nice'],
+            },
+            { type: 'fill_blank', question: 'Le ____ est arrivé.' },
+        ]);
+    });
+
+    test('should refuse an answer without any valid question', () => {
+        expect(() => parseQuiz('Le chat dort.')).toThrow(
+            'AI Service Error: the quiz could not be read.'
+        );
+        expect(() => parseQuiz('{"questions": [{"type": 1}]}')).toThrow(
+            expect.objectContaining({ status: 502 })
+        );
+    });
+
+    test('should grade answers regardless of case, accents and punctuation', () => {
+        expect(gradeQuiz(QUESTIONS, [0, ' ete.'])).toEqual({
+            correctCount: 2,
+            questionCount: 2,
+            results: [
+                { correct: true, answer: 'Paris' },
+                { correct: true, answer: 'Été' },
+            ],
+        });
+        expect(gradeQuiz(QUESTIONS, ['2', 'hiver']).correctCount).toBe(0);
+        expect(gradeQuiz(QUESTIONS, [null]).correctCount).toBe(0);
+        expect(gradeQuiz(QUESTIONS, 'not a list').correctCount).toBe(0);
+    });
+
+    test('should write the quiz of a long text from passages spread over it', async () => {
+        const paragraphs = Array.from(
+            { length: 20 },
+            (_, i) => `Paragraphe ${i}. ${'mot '.repeat(40).trim()}`
+        );
+        const excerpt = buildQuizExcerpt(paragraphs.join('\n\n'), 1000);
+
+        expect(excerpt.length).toBeLessThanOrEqual(1000);
+        expect(excerpt).toContain('Paragraphe 0.');
+        expect(excerpt).toContain('Paragraphe 19.');
+        expect(buildQuizExcerpt(' Court. ', 1000)).toBe('Court.');
+
+        const aiProvider = {
+            generateText: jest.fn(async () =>
+                JSON.stringify({ questions: QUESTIONS })
+            ),
+        };
+        await expect(generateQuiz(aiProvider, 'Court.')).resolves.toEqual(
+            QUESTIONS
+        );
+        expect(aiProvider.generateText).toHaveBeenCalledWith(
+            expect.stringContaining('---\nCourt.\n---')
+        );
+    });
+});
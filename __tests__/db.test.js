@@ -0,0 +1,123 @@
+// A database of its own, in memory, so the tests never touch typing_trainer.db
+process.env.DATABASE_PATH = ':memory:';
+
+const db = require('../models/db');
+
+describe('Database', () => {
+    describe('get_best_recorded_session', () => {
+        let userId;
+        let textId;
+
+        /**
+         * Records a session with keystrokes and its final statistics.
+         * @param {number} wpm - The WPM of the session.
+         * @param {object} [options] - The options of the session (see start_practice_session).
+         * @param {object} [stats] - Statistics to change (see update_practice_session).
+         * @returns {number} - The ID of the session.
+         */
+        const recordSession = (wpm, options = {}, stats = {}) => {
+            const sessionId = db.start_practice_session(
+                userId,
+                textId,
+                options
+            );
+            db.add_session_keystrokes(sessionId, userId, 'Line one.', [
+                [0, 'L'],
+            ]);
+            db.update_practice_session(sessionId, userId, {
+                wpm,
+                accuracy: 98,
+                errors: 1,
+                lines_completed: 2,
+                lines_skipped: 0,
+                completed: true,
+                ...stats,
+            });
+            return sessionId;
+        };
+
+        beforeAll(() => {
+            userId = db.new_user('ghost', 'password');
+            textId = db.add_text(userId, 'Text', 'Line one.\nLine two.');
+        });
+
+        test('should only replay complete runs of the whole text', () => {
+            const fullRunId = recordSession(40);
+            recordSession(90, {}, { lines_completed: 1, completed: false }); // Left after one fast line
+            recordSession(95, {}, { lines_skipped: 1, completed: false }); // Skipped a line
+            recordSession(100, { chunk_index: 0 }); // Paragraph review
+            recordSession(110, {
+                session_type: 'timed',
+                time_limit_seconds: 15,
+            });
+
+            expect(db.get_best_recorded_session(userId, textId)).toMatchObject({
+                id: fullRunId,
+                wpm: 40,
+            });
+        });
+
+        test('should keep a run complete when it is updated afterwards', () => {
+            const fullRunId = recordSession(50);
+            // The last update of a session being left does not finish the text again
+            db.update_practice_session(fullRunId, userId, {
+                wpm: 50,
+                accuracy: 98,
+                errors: 1,
+                lines_completed: 2,
+                lines_skipped: 0,
+            });
+
+            expect(db.get_best_recorded_session(userId, textId)).toMatchObject({
+                id: fullRunId,
+                wpm: 50,
+            });
+        });
+    });
+
+    describe('import_user_data', () => {
+        test('should keep the last of several reviews of the same paragraph', () => {
+            const userId = db.new_user('importer', 'password');
+            const review = {
+                text_id: 1,
+                chunk_index: 0,
+                repetitions: 1,
+                interval_days: 1,
+                ease_factor: 2.5,
+                due_date: '2026-01-02',
+                last_grade: 4,
+                last_reviewed_at: '2026-01-01 10:00:00',
+            };
+
+            const result = db.import_user_data(userId, {
+                categories: [],
+                texts: [
+                    {
+                        id: 1,
+                        title: 'Text',
+                        content: 'Line one.',
+                        category_id: null,
+                        order_index: 0,
+                        source_text_id: null,
+                        translation_language: null,
+                    },
+                ],
+                progress: [],
+                review_schedule: [
+                    review,
+                    { ...review, repetitions: 2, interval_days: 6 },
+                ],
+                key_errors: [],
+                settings: { typing_mode: null, ocr_language: null },
+                rewards: null,
+            });
+
+            expect(result).toMatchObject({ texts: 1 });
+            const [text] = db.get_texts(userId);
+            expect(db.get_review_item(userId, text.id, 0)).toMatchObject({
+                repetitions: 2,
+                interval_days: 6,
+            });
+        });
+    });
+});
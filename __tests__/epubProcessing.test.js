@@ -0,0 +1,195 @@
+const AdmZip = require('adm-zip');
+const { isEpubFile, processEpubUpload } = require('../utils/epubProcessing');
+
+/**
+ * Builds an EPUB archive in memory.
+ * @param {object} options - The book: title, and chapters as { id, href, path, order, xhtml }.
+ * @returns {Buffer} - The EPUB file content.
+ */
+const buildEpub = ({ title = 'Le Petit Livre', chapters }) => {
+    const zip = new AdmZip();
+    zip.addFile('mimetype', Buffer.from('application/epub+zip'));
+    zip.addFile(
+        'META-INF/container.xml',
+        Buffer.from(`<?xml version="1.0"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles>
+    <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
+  </rootfiles>
+</container>`)
+    );
+    const manifest = chapters
+        .map(
+            (c) =>
+                `<item id="${c.id}" href="${c.href}" media-type="application/xhtml+xml"/>`
+        )
+        .join('\n');
+    // The spine follows the `order` of the chapters, not their manifest order
+    const spine = [...chapters]
+        .sort((a, b) => a.order - b.order)
+        .map((c) => `<itemref idref="${c.id}"/>`)
+        .join('\n');
+    zip.addFile(
+        'OEBPS/content.opf',
+        Buffer.from(`<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+    <dc:title>${title}</dc:title>
+  </metadata>
+  <manifest>
+    ${manifest}
+  </manifest>
+  <spine>
+    ${spine}
+  </spine>
+</package>`)
+    );
+    chapters.forEach((c) => {
+        zip.addFile(`OEBPS/${c.path || c.href}`, Buffer.from(c.xhtml));
+    });
+    return zip.toBuffer();
+};
+
+const chapterXhtml = (
+    heading,
+    paragraphs
+) => `<?xml version="1.0" encoding="UTF-8"?>
+<html xmlns="http://www.w3.org/1999/xhtml">
+<head><title>Ignored</title><style>p { margin: 0; }</style></head>
+<body>
+  <h1>${heading}</h1>
+  ${paragraphs.map((p) => `<p>${p}</p>`).join('\n  ')}
+</body>
+</html>`;
+
+describe('EPUB processing', () => {
+    describe('isEpubFile', () => {
+        test('should recognize EPUBs by MIME type or extension', () => {
+            expect(
+                isEpubFile({
+                    mimetype: 'application/epub+zip',
+                    originalname: 'book',
+                })
+            ).toBe(true);
+            expect(
+                isEpubFile({
+                    mimetype: 'application/octet-stream',
+                    originalname: 'Book.EPUB',
+                })
+            ).toBe(true);
+            expect(
+                isEpubFile({
+                    mimetype: 'application/pdf',
+                    originalname: 'doc.pdf',
+                })
+            ).toBe(false);
+            expect(isEpubFile(undefined)).toBe(false);
+        });
+    });
+
+    describe('processEpubUpload', () => {
+        test('should extract the chapters in spine order with their headings', () => {
+            const buffer = buildEpub({
+                chapters: [
+                    {
+                        id: 'c2',
+                        href: 'text/chapitre%202.xhtml',
+                        path: 'text/chapitre 2.xhtml',
+                        order: 2,
+                        xhtml: chapterXhtml('Deuxième', ['Fin.']),
+                    },
+                    {
+                        id: 'c1',
+                        href: 'text/c1.xhtml',
+                        order: 1,
+                        xhtml: chapterXhtml('Premier', ['Il était une fois.']),
+                    },
+                ],
+            });
+
+            const book = processEpubUpload({
+                originalname: 'livre.epub',
+                buffer,
+            });
+
+            expect(book).toEqual({
+                title: 'Le Petit Livre',
+                chapters: [
+                    {
+                        title: 'Premier',
+                        content: 'Premier\nIl était une fois.',
+                    },
+                    { title: 'Deuxième', content: 'Deuxième\nFin.' },
+                ],
+            });
+        });
+
+        test('should skip chapters without text', () => {
+            const buffer = buildEpub({
+                chapters: [
+                    {
+                        id: 'cover',
+                        href: 'cover.xhtml',
+                        order: 1,
+                        xhtml: '<html><body><img src="cover.jpg"/></body></html>',
+                    },
+                    {
+                        id: 'c1',
+                        href: 'c1.xhtml',
+                        order: 2,
+                        xhtml: '<html><body><p>Sans titre.</p></body></html>',
+                    },
+                ],
+            });
+
+            const book = processEpubUpload({ originalname: 'b.epub', buffer });
+
+            expect(book.chapters).toEqual([
+                { title: null, content: 'Sans titre.' },
+            ]);
+        });
+
+        test('should throw when the file is not an EPUB archive', () => {
+            expect(() =>
+                processEpubUpload({
+                    originalname: 'b.epub',
+                    buffer: Buffer.from('not a zip'),
+                })
+            ).toThrow('Error processing EPUB');
+        });
+
+        test('should throw when the book has no text', () => {
+            const buffer = buildEpub({
+                chapters: [
+                    {
+                        id: 'cover',
+                        href: 'cover.xhtml',
+                        order: 1,
+                        xhtml: '<html><body><img src="cover.jpg"/></body></html>',
+                    },
+                ],
+            });
+
+            expect(() =>
+                processEpubUpload({ originalname: 'b.epub', buffer })
+            ).toThrow('Could not extract any text from this EPUB.');
+        });
+
+        test('should stop reading a book that grows too large once unzipped', () => {
+            // Two chapters of 30 MB: each fits the limit, the book does not (they compress to almost nothing)
+            const bigChapter = chapterXhtml('Long', [
+                'a'.repeat(30 * 1024 * 1024),
+            ]);
+            const buffer = buildEpub({
+                chapters: [
+                    { id: 'c1', href: 'c1.xhtml', order: 1, xhtml: bigChapter },
+                    { id: 'c2', href: 'c2.xhtml', order: 2, xhtml: bigChapter },
+                ],
+            });
+
+            expect(() =>
+                processEpubUpload({ originalname: 'b.epub', buffer })
+            ).toThrow('This file is too large once unzipped.');
+        });
+    });
+});
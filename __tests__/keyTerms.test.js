@@ -0,0 +1,89 @@
+const {
+    getTermCount,
+    extractKeyTermsTfIdf,
+    parseKeyTerms,
+    extractKeyTerms,
+} = require('../services/keyTerms');
+
+const TEXT =
+    'La photosynthèse transforme la lumière en énergie. La chlorophylle capte la lumière.\n\nLa photosynthèse produit aussi de l’oxygène.';
+
+describe('Key Terms', () => {
+    test('should scale the number of terms with the length of the text', () => {
+        expect(getTermCount('Un mot.')).toBe(3);
+        expect(getTermCount('mot '.repeat(400))).toBe(10);
+        expect(getTermCount('mot '.repeat(10000))).toBe(30);
+    });
+
+    test('should pick the words frequent in the text and rare in the other texts', () => {
+        const corpus = [
+            TEXT,
+            ...['du jour', 'vive', 'du soir', 'blanche', 'bleue'].map(
+                (words) => `Une lumière ${words}.`
+            ),
+        ];
+
+        const terms = extractKeyTermsTfIdf(TEXT, corpus, 3);
+
+        expect(terms).toEqual(['photosynthèse', 'capte', 'chlorophylle']); // Ties in alphabetical order
+        // Short and grammatical words are never picked
+        const allTerms = extractKeyTermsTfIdf(TEXT, corpus, 50);
+        ['aussi', 'la', 'en', 'de'].forEach((word) => {
+            expect(allTerms).not.toContain(word);
+        });
+    });
+
+    test('should use the paragraphs of the text as documents without other texts', () => {
+        const terms = extractKeyTermsTfIdf(TEXT, [TEXT], 2);
+
+        expect(terms).toHaveLength(2);
+        expect(terms).toContain('photosynthèse');
+    });
+
+    test('should only keep the distinct AI terms found as whole words of the text', () => {
+        const answer = `\`\`\`json\n${JSON.stringify({
+            terms: [
+                'Photosynthèse',
+                'photosynthèse',
+                ' chlorophylle ',
+                'synthèse', // Only part of a word of the text
+                'mitochondrie', // Not in the text
+                'la lumière en énergie', // Too many words
+                42,
+            ],
+        })}\n\`\`\``;
+
+        expect(parseKeyTerms(answer, TEXT, 10)).toEqual([
+            'Photosynthèse',
+            'chlorophylle',
+        ]);
+        expect(parseKeyTerms(answer, TEXT, 1)).toEqual(['Photosynthèse']);
+        expect(parseKeyTerms('Pas de JSON.', TEXT, 10)).toEqual([]);
+    });
+
+    test('should fall back to TF-IDF when the AI fails or finds no term', async () => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        const aiProvider = { generateText: jest.fn() };
+
+        aiProvider.generateText.mockResolvedValue('{"terms": ["Oxygène"]}');
+        await expect(extractKeyTerms(TEXT, { aiProvider })).resolves.toEqual({
+            terms: ['Oxygène'],
+            source: 'ai',
+        });
+
+        aiProvider.generateText.mockResolvedValue('{"terms": ["volcan"]}');
+        await expect(
+            extractKeyTerms(TEXT, { aiProvider })
+        ).resolves.toMatchObject({ source: 'tfidf' });
+
+        aiProvider.generateText.mockRejectedValue(new Error('Timeout'));
+        const { terms, source } = await extractKeyTerms(TEXT, { aiProvider });
+        expect(source).toBe('tfidf');
+        expect(terms).toHaveLength(3);
+
+        await expect(extractKeyTerms(TEXT)).resolves.toMatchObject({
+            source: 'tfidf',
+        });
+        console.warn.mockRestore();
+    });
+});
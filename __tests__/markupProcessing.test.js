@@ -0,0 +1,136 @@
+const {
+    resolveMarkupRules,
+    htmlToText,
+    markdownToText,
+    markupToText,
+} = require('../utils/markupProcessing');
+
+const MARKDOWN = `# Study *notes*
+
+First paragraph, written
+on two lines with **bold**, \`code_span\` and a [link](https://example.com "Example").
+
+- item one
+- [x] item **two**
+  continued
+1. numbered
+
+> A quote\\
+> on two lines
+
+![Diagram of the cell](cell.png)
+
+\`\`\`js
+const answer = 42;
+\`\`\`
+
+| Term | Meaning |
+| ---- | ------- |
+| snake_case | a_b |
+
+Setext heading
+--------------
+Escaped \\*stars\\* and &amp; entity.
+
+[ref]: https://example.com/ref`;
+
+describe('Markup Processing', () => {
+    describe('resolveMarkupRules', () => {
+        test('should keep valid rules and fall back to the defaults', () => {
+            expect(
+                resolveMarkupRules({ codeBlocks: 'keep', images: 'bogus' })
+            ).toEqual({ codeBlocks: 'keep', images: 'remove', links: 'text' });
+            expect(resolveMarkupRules()).toEqual({
+                codeBlocks: 'remove',
+                images: 'remove',
+                links: 'text',
+            });
+        });
+    });
+
+    describe('markdownToText', () => {
+        test('should turn headings, paragraphs and list items into lines with the default rules', () => {
+            expect(markdownToText(MARKDOWN)).toBe(
+                [
+                    'Study notes',
+                    'First paragraph, written on two lines with bold, code_span and a link.',
+                    'item one',
+                    'item two continued',
+                    'numbered',
+                    'A quote',
+                    'on two lines',
+                    'Term Meaning',
+                    'snake_case a_b',
+                    'Setext heading',
+                    'Escaped *stars* and & entity.',
+                ].join('\n')
+            );
+        });
+
+        test('should keep code blocks, image descriptions and link URLs when asked', () => {
+            const text = markdownToText(MARKDOWN, {
+                codeBlocks: 'keep',
+                images: 'alt',
+                links: 'text-and-url',
+            });
+
+            expect(text).toContain(
+                'with bold, code_span and a link (https://example.com).'
+            );
+            expect(text).toContain('\nDiagram of the cell\n');
+            expect(text).toContain('\nconst answer = 42;\n');
+        });
+    });
+
+    describe('htmlToText', () => {
+        test('should put each block on its own line and drop inline markup', () => {
+            const html = `<html><head><title>T</title></head><body>
+                <h2>Titre</h2>
+                <p>Une <em>phrase</em>   sur
+                deux lignes.</p>
+                <ul><li>un</li><li>deux</li></ul>
+                <script>alert('x');</script>
+                <p>Premier<br/>Second</p>
+            </body></html>`;
+
+            expect(htmlToText(html)).toBe(
+                'Titre\nUne phrase sur deux lignes.\nun\ndeux\nPremier\nSecond'
+            );
+        });
+
+        test('should decode named and numeric entities', () => {
+            expect(
+                htmlToText('<p>Caf&#233; &amp; th&#xE9;&nbsp;&hellip;</p>')
+            ).toBe('Café & thé …');
+        });
+
+        test('should apply the rules to code blocks, images and links', () => {
+            const html = `<p>See <a href="https://example.com">the site</a>
+                <img src="a.png" alt="a chart"> or <a href="#top">top</a>.</p>
+                <pre><code>if (a) {
+    b();
+}</code></pre>`;
+
+            expect(htmlToText(html)).toBe('See the site or top.');
+            expect(
+                htmlToText(html, {
+                    codeBlocks: 'keep',
+                    images: 'alt',
+                    links: 'text-and-url',
+                })
+            ).toBe(
+                'See the site (https://example.com) a chart or top.\nif (a) {\nb();\n}'
+            );
+        });
+    });
+
+    describe('markupToText', () => {
+        test('should pick the converter from the format and return plain text as it is', () => {
+            expect(markupToText('# Title', 'markdown')).toBe('Title');
+            expect(markupToText('<h1>Title</h1>', 'html')).toBe('Title');
+            expect(markupToText('# Not a title *', 'text')).toBe(
+                '# Not a title *'
+            );
+        });
+    });
+});
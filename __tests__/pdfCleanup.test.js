@@ -0,0 +1,81 @@
+const fs = require('fs');
+const path = require('path');
+const {
+    resolvePdfCleanupRules,
+    cleanupPdfPages,
+    joinPdfPages,
+} = require('../utils/pdfCleanup');
+
+// Output of pdftotext for a 4-page guide: running header, page numbers (none on page 3),
+// hyphenated words (one across pages 3 and 4), wrapped paragraphs and a list
+const PAGES = fs
+    .readFileSync(path.join(__dirname, 'pdf_layout_pages.txt'), 'utf8')
+    .split('\f')
+    .slice(0, -1);
+
+describe('PDF Cleanup', () => {
+    test('should apply all the rules by default', () => {
+        expect(resolvePdfCleanupRules()).toEqual({
+            dehyphenate: true,
+            headersFooters: true,
+            pageNumbers: true,
+            joinLines: true,
+        });
+        expect(resolvePdfCleanupRules({ joinLines: true })).toEqual({
+            dehyphenate: false,
+            headersFooters: false,
+            pageNumbers: false,
+            joinLines: true,
+        });
+    });
+
+    test('should remove the page layout: one line per paragraph, heading or list item', () => {
+        const text = joinPdfPages(cleanupPdfPages(PAGES));
+
+        expect(text.split('\n')).toEqual([
+            'Apprendre à taper sans regarder',
+            "La dactylographie est l'art d'écrire à la machine avec les dix doigts, sans regarder le clavier. Les premières méthodes sont apparues à la fin du XIXe siècle, lorsque les machines à écrire se sont répandues dans les bureaux et que les employeurs ont cherché des dactylographes rapides.",
+            "Une bonne position est la première condition d'une frappe rapide et précise : le dos droit, les pieds à plat et les poignets au-dessus du clavier.",
+            'Les doigts reposent sur la rangée de repos :',
+            '- la main gauche sur A, Z, E et R ;',
+            '- la main droite sur U, I, O et P.',
+            "Chaque doigt frappe les touches de sa colonne et revient ensuite à sa position de départ, ce qui permet de taper sans jamais chercher les touches du regard. Avec de l'entraînement, les gestes deviennent automatiques.",
+            'La vitesse',
+            "La vitesse se mesure en mots par minute. Un débutant tape une vingtaine de mots par minute ; un dactylographe entraîné en tape plus de soixante, sans fautes. La précision compte davantage que la vitesse : une faute corrigée coûte plus de temps qu'une frappe un peu plus lente, et il vaut mieux ralentir que de prendre de mauvaises habitudes qui seront difficiles à corriger plus tard.",
+        ]);
+    });
+
+    test('should only apply the selected rules', () => {
+        const pages = cleanupPdfPages(PAGES, { pageNumbers: true });
+
+        expect(pages[0]).toMatch(/^Guide de la dactylographie +Chapitre 1\n/);
+        expect(pages[0]).toContain('rapide et pré-\ncise');
+        expect(pages[0]).not.toMatch(/\n\s*1$/);
+        expect(pages[3]).toBe(
+            'Guide de la dactylographie                               Chapitre 2\n\nciles à corriger plus tard.'
+        );
+        expect(joinPdfPages(pages, { pageNumbers: true })).toContain(
+            'diffi-\nGuide de la dactylographie'
+        );
+    });
+
+    test('should recognize the common page number formats at the edges of a page only', () => {
+        const pages = [
+            'xiv\nPreface of the book.\n12 chapters in all.',
+            '- 12 -\nBody text.\nPage 13 / 300',
+            'Another page.\n13 of 300',
+        ];
+
+        expect(cleanupPdfPages(pages, { pageNumbers: true })).toEqual([
+            'Preface of the book.\n12 chapters in all.',
+            'Body text.',
+            'Another page.',
+        ]);
+    });
+
+    test('should keep the first lines of a single page', () => {
+        expect(cleanupPdfPages(['Title\nSome text.'])).toEqual([
+            'Title\nSome text.',
+        ]);
+    });
+});
@@ -0,0 +1,300 @@
+const fs = require('fs');
+const { execFile } = require('child_process');
+const {
+    processPdfUpload,
+    processPdfSections,
+} = require('../utils/textProcessing');
+
+// pdftotext, pdftohtml, pdftoppm and tesseract are replaced by fakes
+jest.mock('child_process', () => ({
+    execFile: jest.fn(),
+}));
+
+// The fake commands: (command, args) => what the command prints, or throws its error
+const commands = jest.fn();
+
+/**
+ * Resets the fake commands and runs them through execFile (asynchronous, with a callback).
+ */
+const resetCommands = () => {
+    commands.mockReset();
+    execFile.mockReset();
+    execFile.mockImplementation((command, args, options, callback) => {
+        let output;
+        try {
+            output = commands(command, args);
+        } catch (error) {
+            callback(error, '', error.stderr || '');
+            return;
+        }
+        callback(null, output, '');
+    });
+};
+
+const mockPdfFile = {
+    originalname: 'scan.pdf',
+    mimetype: 'application/pdf',
+    buffer: Buffer.from('%PDF-1.4 fake'),
+};
+
+// A different line for each page: lines repeated on every page are removed as running headers
+const pageText = (page) =>
+    `${String.fromCharCode(64 + page)} is the text of page ${page}.`;
+
+/**
+ * Fakes the commands of a scanned PDF: pdftotext finds no text, pdftoppm writes one
+ * image per page and tesseract "reads" the page number in the name of each image.
+ * @param {number} pageCount - The number of pages of the scan.
+ */
+const fakeScannedPdf = (pageCount) => {
+    commands.mockImplementation((command, args) => {
+        if (command === 'pdftotext') return '\n\f';
+        if (command === 'pdftoppm') {
+            const prefix = args[args.length - 1];
+            for (let page = 1; page <= pageCount; page += 1) {
+                fs.writeFileSync(`${prefix}-${page}.png`, 'image');
+            }
+            return '';
+        }
+        return `${pageText(parseInt(args[0].split('-').pop(), 10))}\n`;
+    });
+};
+
+/**
+ * Fakes a PDF with a text layer: pdftotext prints the selected pages, ended by form feeds,
+ * and pdftohtml prints the outline.
+ * @param {number} pageCount - The number of pages of the PDF.
+ * @param {string} [outlineXml] - The <outline> element written by pdftohtml.
+ */
+const fakeTextPdf = (pageCount, outlineXml = '') => {
+    commands.mockImplementation((command, args) => {
+        if (command === 'pdftohtml') {
+            return `<?xml version="1.0"?><pdf2xml><page number="1"></page>${outlineXml}</pdf2xml>`;
+        }
+        const option = (name, fallback) =>
+            args.includes(name)
+                ? Number(args[args.indexOf(name) + 1])
+                : fallback;
+        let output = '';
+        for (
+            let page = option('-f', 1);
+            page <= option('-l', pageCount);
+            page += 1
+        ) {
+            output += `${pageText(page)}\n\f`;
+        }
+        return output;
+    });
+};
+
+const OUTLINE = `<outline>
+<item page="1">Contents</item>
+<item page="3">Chapter 1 &amp; intro</item>
+<outline><item page="4">1.1 Details</item></outline>
+<item page="6">Chapter 2</item>
+<item page="6">Chapter 2 (duplicate)</item>
+</outline>`;
+
+describe('PDF page ranges and sections', () => {
+    beforeEach(() => {
+        resetCommands();
+    });
+
+    test('should extract only the selected pages, one line per page', async () => {
+        fakeTextPdf(10);
+
+        await expect(
+            processPdfUpload(mockPdfFile, { firstPage: 3, lastPage: 4 })
+        ).resolves.toBe(`${pageText(3)}\n${pageText(4)}`);
+        expect(commands.mock.calls[0][1]).toEqual(
+            expect.arrayContaining(['-f', '3', '-l', '4'])
+        );
+    });
+
+    test('should reject a PDF with more text than pdftotext may print', async () => {
+        commands.mockImplementation(() => {
+            // What execFile does once the output passes maxBuffer
+            const error = new RangeError('stdout maxBuffer length exceeded');
+            error.code = 'ERR_CHILD_PROCESS_STDIO_MAXBUFFER';
+            error.killed = true;
+            throw error;
+        });
+
+        await expect(processPdfUpload(mockPdfFile)).rejects.toThrow(
+            'This PDF has too much text to be imported at once (more than 16 MB). Please select fewer pages.'
+        );
+        expect(execFile.mock.calls[0][2]).toMatchObject({
+            maxBuffer: 16 * 1024 * 1024,
+        });
+    });
+
+    test('should reject a last page before the first page', async () => {
+        await expect(
+            processPdfUpload(mockPdfFile, { firstPage: 5, lastPage: 2 })
+        ).rejects.toThrow('The last page cannot come before the first page.');
+        expect(commands).not.toHaveBeenCalled();
+    });
+
+    test('should split the pages into groups of N pages', async () => {
+        fakeTextPdf(25);
+
+        const sections = await processPdfSections(mockPdfFile, {
+            split: 'pages',
+            pagesPerSection: 10,
+        });
+
+        expect(
+            sections.map(({ title, firstPage, lastPage }) => [
+                title,
+                firstPage,
+                lastPage,
+            ])
+        ).toEqual([
+            ['Pages 1-10', 1, 10],
+            ['Pages 11-20', 11, 20],
+            ['Pages 21-25', 21, 25],
+        ]);
+        expect(sections[2].content).toBe(
+            [21, 22, 23, 24, 25].map(pageText).join('\n')
+        );
+    });
+
+    test('should split by the top-level bookmarks within the page range', async () => {
+        fakeTextPdf(8, OUTLINE);
+
+        const sections = await processPdfSections(mockPdfFile, {
+            split: 'outline',
+            firstPage: 4,
+        });
+
+        expect(
+            sections.map(({ title, firstPage, lastPage }) => [
+                title,
+                firstPage,
+                lastPage,
+            ])
+        ).toEqual([
+            ['Chapter 1 & intro', 4, 5], // Starts before the range
+            ['Chapter 2', 6, 8],
+        ]);
+    });
+
+    test('should keep the pages before the first bookmark as their own section', async () => {
+        fakeTextPdf(
+            4,
+            '<outline><item page="3">A</item><item page="4">B</item></outline>'
+        );
+
+        const sections = await processPdfSections(mockPdfFile, {
+            split: 'outline',
+        });
+
+        expect(sections.map((section) => section.title)).toEqual([
+            'Pages 1-2',
+            'A',
+            'B',
+        ]);
+    });
+
+    test('should explain that a PDF without bookmarks cannot be split by them', async () => {
+        fakeTextPdf(4);
+
+        await expect(
+            processPdfSections(mockPdfFile, { split: 'outline' })
+        ).rejects.toThrow(
+            'This PDF has no bookmarks (outline) to split it by. Split it every N pages instead.'
+        );
+    });
+});
+
+describe('PDF OCR fallback', () => {
+    beforeEach(() => {
+        resetCommands();
+    });
+
+    test('should return the pdftotext text without running OCR', async () => {
+        commands.mockReturnValue('  Texte du PDF.\n');
+
+        await expect(processPdfUpload(mockPdfFile)).resolves.toBe(
+            'Texte du PDF.'
+        );
+        expect(commands).toHaveBeenCalledTimes(1);
+    });
+
+    test('should read the pages of a scanned PDF with OCR in the given language', async () => {
+        fakeScannedPdf(2);
+
+        const text = await processPdfUpload(mockPdfFile, {
+            ocrLanguage: 'fra',
+        });
+
+        expect(text).toBe(`${pageText(1)}\n${pageText(2)}`);
+        const tesseractCalls = commands.mock.calls.filter(
+            ([command]) => command === 'tesseract'
+        );
+        expect(tesseractCalls).toHaveLength(2);
+        expect(tesseractCalls[0][1]).toEqual(
+            expect.arrayContaining(['-l', 'fra'])
+        );
+    });
+
+    test('should use English for an unknown OCR language', async () => {
+        fakeScannedPdf(1);
+
+        await processPdfUpload(mockPdfFile, { ocrLanguage: '../etc' });
+
+        const tesseractCall = commands.mock.calls.find(
+            ([command]) => command === 'tesseract'
+        );
+        expect(tesseractCall[1]).toEqual(expect.arrayContaining(['-l', 'eng']));
+    });
+
+    test('should explain that tesseract is missing', async () => {
+        fakeScannedPdf(1);
+        const pdftoppm = commands.getMockImplementation();
+        commands.mockImplementation((command, args) => {
+            if (command === 'tesseract') {
+                const error = new Error('spawn tesseract ENOENT');
+                error.code = 'ENOENT';
+                throw error;
+            }
+            return pdftoppm(command, args);
+        });
+
+        await expect(processPdfUpload(mockPdfFile)).rejects.toThrow(
+            'tesseract command not found'
+        );
+    });
+
+    test('should stop a page that takes too long to read', async () => {
+        fakeScannedPdf(1);
+        const pdftoppm = commands.getMockImplementation();
+        commands.mockImplementation((command, args) => {
+            if (command === 'tesseract') {
+                const error = new Error('Command failed: tesseract');
+                error.killed = true; // What execFile reports when the timeout is reached
+                throw error;
+            }
+            return pdftoppm(command, args);
+        });
+
+        await expect(processPdfUpload(mockPdfFile)).rejects.toThrow(
+            'Error reading the PDF with OCR (language: English): the command took too long and was stopped'
+        );
+        execFile.mock.calls.forEach(([, , options]) => {
+            expect(options.timeout).toBeGreaterThan(0);
+        });
+    });
+
+    test('should throw when OCR finds no text either', async () => {
+        fakeScannedPdf(1);
+        const pdftoppm = commands.getMockImplementation();
+        commands.mockImplementation((command, args) =>
+            command === 'tesseract' ? ' \n' : pdftoppm(command, args)
+        );
+
+        await expect(processPdfUpload(mockPdfFile)).rejects.toThrow(
+            'Could not extract text using pdftotext or OCR. The PDF might be empty.'
+        );
+    });
+});
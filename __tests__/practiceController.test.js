@@ -18,8 +18,34 @@ jest.mock('better-sqlite3', () => {
 
 // Mock only the DB functions used by practiceController
 jest.mock('../models/db', () => ({
+    TYPING_MODES: ['strict', 'normal', 'free'],
     get_text: jest.fn(),
     save_progress: jest.fn(),
+    start_practice_session: jest.fn(),
+    update_practice_session: jest.fn(),
+    get_practice_session: jest.fn(),
+    add_session_keystrokes: jest.fn(),
+    get_session_keystrokes: jest.fn(),
+    get_best_recorded_session: jest.fn(),
+    record_key_errors: jest.fn(),
+    get_key_error_counts: jest.fn(),
+    get_text_contents: jest.fn(),
+    increment_texts_practiced: jest.fn(),
+    get_review_item: jest.fn(),
+    save_review_item: jest.fn(),
+    get_typing_mode: jest.fn(),
+    set_typing_mode: jest.fn(),
+    save_quiz_result: jest.fn(),
+    get_quiz_results: jest.fn(),
+    get_translation_source: jest.fn(),
+    increment_user_coins: jest.fn(),
+    get_user_details: jest.fn(),
+}));
+
+// Mock the AI provider (no network in tests)
+jest.mock('../services/aiProvider', () => ({
+    ...jest.requireActual('../services/aiProvider'),
+    getAiProvider: jest.fn(),
 }));
 
 // Mock middleware used by practiceController
@@ -66,6 +92,7 @@ const {
     requireLogin, // eslint-disable-line no-unused-vars
     requireOwnership, // eslint-disable-line no-unused-vars
 } = require('../middleware/authMiddleware');
+const { getAiProvider } = require('../services/aiProvider');
 
 // Helper to find route handlers within the practiceControllerRouter
 const findHandler = (method, pathPattern) => {
@@ -121,6 +148,81 @@ describe('Practice Controller', () => {
     beforeEach(() => {
         jest.clearAllMocks(); // Clears history, calls, instances, and results
         res = mockResponse();
+        db.get_typing_mode.mockReturnValue('normal'); // Default setting
+        db.get_translation_source.mockReturnValue(null); // Texts are not translations by default
+    });
+
+    // --- GET /drill (Weak Keys Drill) ---
+    describe('GET /drill', () => {
+        const getDrillHandler = findHandler('get', '/drill');
+
+        test('should redirect to the profile if no errors are recorded', () => {
+            req = mockRequest();
+            db.get_key_error_counts.mockReturnValue([]);
+
+            getDrillHandler(req, res);
+
+            expect(db.get_text_contents).not.toHaveBeenCalled();
+            expect(res.redirect).toHaveBeenCalledWith(
+                expect.stringMatching(/^\/profile\?message=No\+typing\+errors/)
+            );
+            expect(res.render).not.toHaveBeenCalled();
+        });
+
+        test('should redirect to the profile if no text contains the weak keys', () => {
+            req = mockRequest();
+            db.get_key_error_counts.mockReturnValue([
+                { expected_char: 'q', count: 3 },
+            ]);
+            db.get_text_contents.mockReturnValue([
+                { id: 1, title: 'T', content: 'hello world' },
+            ]);
+
+            getDrillHandler(req, res);
+
+            expect(res.redirect).toHaveBeenCalledWith(
+                expect.stringMatching(
+                    /^\/profile\?message=None\+of\+your\+texts/
+                )
+            );
+        });
+
+        test('should render a drill made of words containing the weak keys', () => {
+            req = mockRequest();
+            db.get_key_error_counts.mockReturnValue([
+                { expected_char: 'z', count: 5 },
+                { expected_char: 'Q', count: 2 },
+            ]);
+            db.get_text_contents.mockReturnValue([
+                {
+                    id: 1,
+                    title: 'T',
+                    content: 'A lazy quiet zebra, and a dog.',
+                },
+            ]);
+
+            getDrillHandler(req, res);
+
+            expect(db.get_text_contents).toHaveBeenCalledWith(
+                req.session.user.id
+            );
+            expect(res.render).toHaveBeenCalledWith(
+                'practice',
+                expect.objectContaining({
+                    sessionId: null,
+                    isDrill: true,
+                    typingMode: 'normal',
+                })
+            );
+            const { text } = res.render.mock.calls[0][1];
+            expect(text.title).toBe('Weak Keys Drill (z q)');
+            const drillWords = text.content.split(/\s+/);
+            expect(drillWords.length).toBe(60);
+            // Only words dense in weak keys, punctuation trimmed
+            expect(new Set(drillWords)).toEqual(
+                new Set(['lazy', 'quiet', 'zebra'])
+            );
+        });
     });
 
     // --- GET /:text_id (Practice Page) ---
@@ -136,6 +238,8 @@ describe('Practice Controller', () => {
                 progress_index: 5,
             };
             db.get_text.mockReturnValue(mockTextData);
+            db.start_practice_session.mockReturnValue(7);
+            db.get_typing_mode.mockReturnValue('strict');
 
             // Simulate requireOwnership attaching the text (already done by mock)
             await requireOwnership(req, res, jest.fn()); // Call middleware to attach req.text if needed by handler logic directly
@@ -145,13 +249,162 @@ describe('Practice Controller', () => {
                 '100',
                 req.session.user.id
             );
+            expect(db.start_practice_session).toHaveBeenCalledWith(
+                req.session.user.id,
+                '100',
+                { typing_mode: 'strict', chunk_index: null } // The session records the user's setting
+            );
             expect(res.render).toHaveBeenCalledWith('practice', {
                 user: req.session.user,
                 text: mockTextData,
+                sessionId: 7,
+                chunkIndex: null,
+                chunkCount: 1,
+                ghost: null, // No recorded run yet
+                translationSource: null, // Not a translation
+                typingMode: 'strict',
             });
             expect(res.redirect).not.toHaveBeenCalled();
         });
 
+        test('should still render practice view if the session cannot be created', async () => {
+            req = mockRequest({}, {}, {}, { text_id: '100' });
+            const mockTextData = { id: 100, title: 'T', content: 'C' };
+            db.get_text.mockReturnValue(mockTextData);
+            db.start_practice_session.mockReturnValue(-1); // Simulate DB error
+
+            await getPracticeHandler(req, res);
+
+            expect(res.render).toHaveBeenCalledWith('practice', {
+                user: req.session.user,
+                text: mockTextData,
+                sessionId: null,
+                chunkIndex: null,
+                chunkCount: 1,
+                ghost: null, // No recorded run yet
+                translationSource: null, // Not a translation
+                typingMode: 'normal',
+            });
+        });
+
+        test('should pass the pace of the best recorded run for the ghost racer', async () => {
+            req = mockRequest({}, {}, {}, { text_id: '100' });
+            db.get_text.mockReturnValue({
+                id: 100,
+                title: 'T',
+                content: 'ab\ncd',
+            });
+            db.get_best_recorded_session.mockReturnValue({
+                id: 3,
+                wpm: 61,
+                accuracy: 98,
+                started_at: '2025-03-01 10:00:00',
+            });
+            db.get_session_keystrokes.mockReturnValue([
+                {
+                    line_text: 'ab',
+                    events: [
+                        [0, 'a'],
+                        [100, 'ax'], // Typo: no progress
+                        [200, 'a'],
+                        [300, 'ab'],
+                    ],
+                },
+                { line_text: 'cd', events: [[500, 'c']] },
+            ]);
+
+            await getPracticeHandler(req, res);
+
+            expect(db.get_best_recorded_session).toHaveBeenCalledWith(
+                req.session.user.id,
+                '100'
+            );
+            expect(db.get_session_keystrokes).toHaveBeenCalledWith(3);
+            expect(res.render).toHaveBeenCalledWith(
+                'practice',
+                expect.objectContaining({
+                    ghost: {
+                        wpm: 61,
+                        started_at: '2025-03-01 10:00:00',
+                        // Characters typed over time, the line break counting as one
+                        pace: [
+                            [0, 1],
+                            [300, 2],
+                            [500, 4],
+                        ],
+                    },
+                })
+            );
+        });
+
+        test('should pass the original of a translation for side-by-side practice', async () => {
+            const source = {
+                id: 99,
+                title: 'Le chat',
+                content: 'Le chat dort.',
+                translation_language: 'en',
+            };
+            db.get_text.mockReturnValue({
+                id: 100,
+                title: 'English translation of: Le chat',
+                content: 'The cat sleeps.',
+            });
+            db.get_translation_source.mockReturnValue(source);
+
+            req = mockRequest({}, {}, {}, { text_id: '100' });
+            await getPracticeHandler(req, res);
+
+            expect(db.get_translation_source).toHaveBeenCalledWith('100', 1);
+            expect(res.render.mock.calls[0][1].translationSource).toBe(source);
+
+            // A single paragraph does not line up with the original
+            res = mockResponse();
+            req = mockRequest({}, {}, { chunk: '0' }, { text_id: '100' });
+            await getPracticeHandler(req, res);
+            expect(res.render.mock.calls[0][1].translationSource).toBeNull();
+        });
+
+        test('should render a single paragraph when a valid chunk is requested', async () => {
+            req = mockRequest({}, {}, { chunk: '1' }, { text_id: '100' });
+            db.get_text.mockReturnValue({
+                id: 100,
+                title: 'Notes',
+                content: 'First paragraph.\n\nSecond paragraph.',
+                progress_index: 12,
+            });
+            db.start_practice_session.mockReturnValue(8);
+
+            await getPracticeHandler(req, res);
+
+            expect(res.render).toHaveBeenCalledWith(
+                'practice',
+                expect.objectContaining({
+                    text: expect.objectContaining({
+                        title: 'Notes (paragraph 2/2)',
+                        content: 'Second paragraph.',
+                        progress_index: 0, // Progress does not apply to a paragraph
+                    }),
+                    chunkIndex: 1,
+                    chunkCount: 2,
+                })
+            );
+        });
+
+        test('should ignore an out of range chunk', async () => {
+            req = mockRequest({}, {}, { chunk: '5' }, { text_id: '100' });
+            const mockTextData = { id: 100, title: 'T', content: 'Only one.' };
+            db.get_text.mockReturnValue(mockTextData);
+
+            await getPracticeHandler(req, res);
+
+            expect(res.render).toHaveBeenCalledWith(
+                'practice',
+                expect.objectContaining({
+                    text: mockTextData,
+                    chunkIndex: null,
+                })
+            );
+        });
 
         // Note: Ownership failure is handled by the requireOwnership mock redirecting/sending 403,
         // so we don't explicitly test the handler for that case here, assuming middleware works.
@@ -195,4 +448,735 @@ describe('Practice Controller', () => {
         });
     }); // Close describe('POST /api/progress', ...)
 
+    // --- GET /replay/:session_id ---
+    describe('GET /replay/:session_id', () => {
+        const getReplayHandler = findHandler('get', '/replay/5');
+
+        test('should render the recorded keystrokes of an owned session', () => {
+            const practiceSession = { id: 5, user_id: 1, text_title: 'Notes' };
+            const recordedLines = [
+                {
+                    line_text: 'Hi there',
+                    events: [
+                        [0, 'H'],
+                        [180, 'Hi'],
+                    ],
+                },
+            ];
+            req = mockRequest({}, {}, {}, { session_id: '5' });
+            db.get_practice_session.mockReturnValue(practiceSession);
+            db.get_session_keystrokes.mockReturnValue(recordedLines);
+
+            getReplayHandler(req, res);
+
+            expect(db.get_practice_session).toHaveBeenCalledWith(5, 1);
+            expect(db.get_session_keystrokes).toHaveBeenCalledWith(5);
+            expect(res.render).toHaveBeenCalledWith('replay', {
+                user: req.session.user,
+                practiceSession,
+                recordedLines,
+            });
+        });
+
+        test('should redirect to the profile if the session is not found or not owned', () => {
+            req = mockRequest({}, {}, {}, { session_id: '5' });
+            db.get_practice_session.mockReturnValue(null);
+
+            getReplayHandler(req, res);
+
+            expect(db.get_session_keystrokes).not.toHaveBeenCalled();
+            expect(res.redirect).toHaveBeenCalledWith(
+                '/profile?message=Practice+session+not+found.'
+            );
+        });
+    });
+
+    // --- POST /api/session/:session_id/keystrokes ---
+    describe('POST /api/session/:session_id/keystrokes', () => {
+        const postKeystrokesHandler = findHandler(
+            'post',
+            '/api/session/5/keystrokes'
+        );
+
+        test('should store the events typed on a line', () => {
+            req = mockRequest(
+                {},
+                {
+                    line_text: 'Hi there',
+                    events: [
+                        [0, 'H'],
+                        [150.6, 'Hu'],
+                        [420, 'H'],
+                        [610.2, 'Hi'],
+                    ],
+                },
+                {},
+                { session_id: '5' }
+            );
+            db.add_session_keystrokes.mockReturnValue(true);
+
+            postKeystrokesHandler(req, res);
+
+            expect(db.add_session_keystrokes).toHaveBeenCalledWith(
+                5,
+                1,
+                'Hi there',
+                [
+                    [0, 'H'],
+                    [151, 'Hu'],
+                    [420, 'H'],
+                    [610, 'Hi'],
+                ]
+            );
+            expect(res.status).toHaveBeenCalledWith(200);
+            expect(res.json).toHaveBeenCalledWith({ success: true });
+        });
+
+        test('should return 400 for malformed events', () => {
+            req = mockRequest(
+                {},
+                { line_text: 'Hi there', events: [[-5, 'H'], { t: 3 }] },
+                {},
+                { session_id: '5' }
+            );
+
+            postKeystrokesHandler(req, res);
+
+            expect(db.add_session_keystrokes).not.toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(400);
+        });
+
+        test('should return 404 if the session is not found or not owned', () => {
+            req = mockRequest(
+                {},
+                { line_text: 'Hi', events: [[0, 'H']] },
+                {},
+                { session_id: '5' }
+            );
+            db.add_session_keystrokes.mockReturnValue(false);
+
+            postKeystrokesHandler(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(404);
+        });
+    });
+
+    // --- POST /api/session ---
+    describe('POST /api/session', () => {
+        const postNewSessionHandler = findHandler('post', '/api/session');
+
+        test('should start a timed test session on an owned text', () => {
+            req = mockRequest({}, { text_id: '100', time_limit_seconds: 60 });
+            db.get_text.mockReturnValue({ id: 100, user_id: 1 });
+            db.start_practice_session.mockReturnValue(12);
+
+            postNewSessionHandler(req, res);
+
+            expect(db.start_practice_session).toHaveBeenCalledWith(1, 100, {
+                session_type: 'timed',
+                time_limit_seconds: 60,
+                typing_mode: 'normal', // The user's setting
+                chunk_index: null,
+            });
+            expect(res.status).toHaveBeenCalledWith(201);
+            expect(res.json).toHaveBeenCalledWith({
+                success: true,
+                sessionId: 12,
+            });
+        });
+
+        test('should start a free typing session when no time limit is given', () => {
+            req = mockRequest({}, { text_id: '100' });
+            db.get_text.mockReturnValue({ id: 100, user_id: 1 });
+            db.start_practice_session.mockReturnValue(13);
+
+            postNewSessionHandler(req, res);
+
+            expect(db.start_practice_session).toHaveBeenCalledWith(1, 100, {
+                session_type: 'free',
+                time_limit_seconds: null,
+                typing_mode: 'normal',
+                chunk_index: null,
+            });
+            expect(res.status).toHaveBeenCalledWith(201);
+        });
+
+        test('should start a session in the typing mode requested by the client', () => {
+            req = mockRequest({}, { text_id: '100', typing_mode: 'free' });
+            db.get_text.mockReturnValue({ id: 100, user_id: 1 });
+            db.start_practice_session.mockReturnValue(14);
+
+            postNewSessionHandler(req, res);
+
+            expect(db.start_practice_session).toHaveBeenCalledWith(1, 100, {
+                session_type: 'free',
+                time_limit_seconds: null,
+                typing_mode: 'free',
+                chunk_index: null,
+            });
+            expect(res.status).toHaveBeenCalledWith(201);
+        });
+
+        test('should record the paragraph of a paragraph review', () => {
+            req = mockRequest(
+                {},
+                { text_id: '100', typing_mode: 'free', chunk_index: '2' }
+            );
+            db.get_text.mockReturnValue({ id: 100, user_id: 1 });
+            db.start_practice_session.mockReturnValue(15);
+
+            postNewSessionHandler(req, res);
+
+            expect(db.start_practice_session).toHaveBeenCalledWith(1, 100, {
+                session_type: 'free',
+                time_limit_seconds: null,
+                typing_mode: 'free',
+                chunk_index: 2,
+            });
+            expect(res.status).toHaveBeenCalledWith(201);
+        });
+
+        test('should return 400 for an unknown typing mode', () => {
+            req = mockRequest({}, { text_id: '100', typing_mode: 'lenient' });
+
+            postNewSessionHandler(req, res);
+
+            expect(db.start_practice_session).not.toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(400);
+        });
+
+        test('should return 400 for a duration that is not offered', () => {
+            req = mockRequest({}, { text_id: '100', time_limit_seconds: 45 });
+
+            postNewSessionHandler(req, res);
+
+            expect(db.start_practice_session).not.toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(400);
+        });
+
+        test('should return 404 if the text is not owned by the user', () => {
+            req = mockRequest({}, { text_id: '100', time_limit_seconds: 30 });
+            db.get_text.mockReturnValue({ id: 100, user_id: 2 });
+
+            postNewSessionHandler(req, res);
+
+            expect(db.start_practice_session).not.toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(404);
+        });
+    });
+
+    // --- POST /api/typing-mode ---
+    describe('POST /api/typing-mode', () => {
+        const postTypingModeHandler = findHandler('post', '/api/typing-mode');
+
+        test('should save the typing mode of the user', () => {
+            req = mockRequest({}, { typing_mode: 'strict' });
+            db.set_typing_mode.mockReturnValue(true);
+
+            postTypingModeHandler(req, res);
+
+            expect(db.set_typing_mode).toHaveBeenCalledWith(1, 'strict');
+            expect(res.status).toHaveBeenCalledWith(200);
+            expect(res.json).toHaveBeenCalledWith({ success: true });
+        });
+
+        test('should return 400 for an unknown typing mode', () => {
+            req = mockRequest({}, { typing_mode: 'STRICT' });
+
+            postTypingModeHandler(req, res);
+
+            expect(db.set_typing_mode).not.toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(res.json).toHaveBeenCalledWith({
+                success: false,
+                message: 'Invalid typing mode.',
+            });
+        });
+
+        test('should return 500 if the setting cannot be saved', () => {
+            req = mockRequest({}, { typing_mode: 'free' });
+            db.set_typing_mode.mockReturnValue(false);
+
+            postTypingModeHandler(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(500);
+        });
+    });
+
+    // --- POST /api/session/:session_id ---
+    describe('POST /api/session/:session_id', () => {
+        const postSessionHandler = findHandler('post', '/api/session/5');
+        const validStats = {
+            wpm: 42,
+            accuracy: 96.5,
+            errors: 3,
+            lines_completed: 4,
+            lines_skipped: 1,
+        };
+
+        test('should update the session statistics', async () => {
+            req = mockRequest({}, validStats, {}, { session_id: '5' });
+            db.update_practice_session.mockReturnValue(true);
+
+            await postSessionHandler(req, res);
+
+            expect(db.update_practice_session).toHaveBeenCalledWith(
+                5,
+                req.session.user.id,
+                { ...validStats, gross_wpm: null, completed: false } // Only timed tests send a gross WPM
+            );
+            expect(res.status).toHaveBeenCalledWith(200);
+            expect(res.json).toHaveBeenCalledWith({ success: true });
+        });
+
+        test('should mark a full run of the text as completed', async () => {
+            req = mockRequest(
+                {},
+                { ...validStats, lines_skipped: 0, completed: true },
+                {},
+                { session_id: '5' }
+            );
+            db.update_practice_session.mockReturnValue(true);
+
+            await postSessionHandler(req, res);
+
+            expect(db.update_practice_session).toHaveBeenCalledWith(
+                5,
+                req.session.user.id,
+                {
+                    ...validStats,
+                    lines_skipped: 0,
+                    gross_wpm: null,
+                    completed: true,
+                }
+            );
+        });
+
+        test('should store the gross WPM of a timed test', async () => {
+            req = mockRequest(
+                {},
+                { ...validStats, gross_wpm: 47 },
+                {},
+                { session_id: '5' }
+            );
+            db.update_practice_session.mockReturnValue(true);
+
+            await postSessionHandler(req, res);
+
+            expect(db.update_practice_session).toHaveBeenCalledWith(
+                5,
+                req.session.user.id,
+                { ...validStats, gross_wpm: 47, completed: false }
+            );
+            expect(res.status).toHaveBeenCalledWith(200);
+        });
+
+        test('should return 400 for invalid statistics', async () => {
+            req = mockRequest(
+                {},
+                { ...validStats, accuracy: 150 },
+                {},
+                { session_id: '5' }
+            );
+
+            await postSessionHandler(req, res);
+
+            expect(db.update_practice_session).not.toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(400);
+        });
+
+        test('should return 404 if the session is not found or not owned', async () => {
+            req = mockRequest({}, validStats, {}, { session_id: '5' });
+            db.update_practice_session.mockReturnValue(false);
+
+            await postSessionHandler(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(404);
+            expect(res.json).toHaveBeenCalledWith({
+                success: false,
+                message: 'Practice session not found.',
+            });
+        });
+    });
+
+    // --- POST /api/complete ---
+    describe('POST /api/complete', () => {
+        const postCompleteHandler = findHandler('post', '/api/complete');
+        const ownedText = {
+            id: 100,
+            user_id: 1,
+            title: 'Notes',
+            content: 'First paragraph.\n\nSecond paragraph.',
+        };
+
+        test('should count the text and schedule its first review', () => {
+            req = mockRequest({}, { text_id: '100', accuracy: 96 });
+            db.get_text.mockReturnValue(ownedText);
+            db.increment_texts_practiced.mockReturnValue(true);
+            db.get_review_item.mockReturnValue(null); // Never reviewed
+            db.save_review_item.mockReturnValue(true);
+
+            postCompleteHandler(req, res);
+
+            expect(db.increment_texts_practiced).toHaveBeenCalledWith(1);
+            expect(db.get_review_item).toHaveBeenCalledWith(1, 100, -1);
+            // 96% accuracy -> grade 4, first successful repetition -> 1 day
+            expect(db.save_review_item).toHaveBeenCalledWith(
+                1,
+                100,
+                -1,
+                { repetitions: 1, interval_days: 1, ease_factor: 2.5 },
+                4
+            );
+            expect(res.status).toHaveBeenCalledWith(200);
+            expect(res.json).toHaveBeenCalledWith({
+                success: true,
+                nextReviewInDays: 1,
+            });
+        });
+
+        test('should grow the interval of a paragraph review without counting a practiced text', () => {
+            req = mockRequest(
+                {},
+                { text_id: '100', accuracy: 100, chunk_index: 1 }
+            );
+            db.get_text.mockReturnValue(ownedText);
+            db.get_review_item.mockReturnValue({
+                repetitions: 2,
+                interval_days: 6,
+                ease_factor: 2.5,
+            });
+            db.save_review_item.mockReturnValue(true);
+
+            postCompleteHandler(req, res);
+
+            expect(db.increment_texts_practiced).not.toHaveBeenCalled();
+            expect(db.save_review_item).toHaveBeenCalledWith(
+                1,
+                100,
+                1,
+                { repetitions: 3, interval_days: 15, ease_factor: 2.6 },
+                5
+            );
+            expect(res.json).toHaveBeenCalledWith({
+                success: true,
+                nextReviewInDays: 15,
+            });
+        });
+
+        test('should restart the sequence after a poor recall', () => {
+            req = mockRequest({}, { text_id: '100', accuracy: 70 });
+            db.get_text.mockReturnValue(ownedText);
+            db.increment_texts_practiced.mockReturnValue(true);
+            db.get_review_item.mockReturnValue({
+                repetitions: 4,
+                interval_days: 30,
+                ease_factor: 2.5,
+            });
+            db.save_review_item.mockReturnValue(true);
+
+            postCompleteHandler(req, res);
+
+            const schedule = db.save_review_item.mock.calls[0][3];
+            expect(schedule.repetitions).toBe(0);
+            expect(schedule.interval_days).toBe(1);
+            expect(schedule.ease_factor).toBeCloseTo(1.96);
+        });
+
+        test('should not schedule a review when no accuracy is sent', () => {
+            req = mockRequest({}, { text_id: '100' });
+            db.get_text.mockReturnValue(ownedText);
+            db.increment_texts_practiced.mockReturnValue(true);
+
+            postCompleteHandler(req, res);
+
+            expect(db.save_review_item).not.toHaveBeenCalled();
+            expect(res.json).toHaveBeenCalledWith({
+                success: true,
+                nextReviewInDays: null,
+            });
+        });
+
+        test.each([
+            ['an invalid accuracy', { text_id: '100', accuracy: 120 }],
+            [
+                'an out of range paragraph',
+                { text_id: '100', accuracy: 90, chunk_index: 2 },
+            ],
+        ])('should return 400 for %s', (description, body) => {
+            req = mockRequest({}, body);
+            db.get_text.mockReturnValue(ownedText);
+
+            postCompleteHandler(req, res);
+
+            expect(db.save_review_item).not.toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(400);
+        });
+
+        test('should return 404 if the text is not owned', () => {
+            req = mockRequest({}, { text_id: '100', accuracy: 90 });
+            db.get_text.mockReturnValue({ ...ownedText, user_id: 2 });
+
+            postCompleteHandler(req, res);
+
+            expect(db.increment_texts_practiced).not.toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(404);
+        });
+    });
+
+    // --- POST /api/key-errors ---
+    describe('POST /api/key-errors', () => {
+        const postKeyErrorsHandler = findHandler('post', '/api/key-errors');
+        const validErrors = [
+            { expected: 'a', typed: 's' },
+            { expected: ' ', typed: 'b' },
+        ];
+
+        test('should record the batch of key errors', async () => {
+            req = mockRequest({}, { errors: validErrors });
+            db.record_key_errors.mockReturnValue(true);
+
+            await postKeyErrorsHandler(req, res);
+
+            expect(db.record_key_errors).toHaveBeenCalledWith(
+                req.session.user.id,
+                validErrors
+            );
+            expect(res.status).toHaveBeenCalledWith(200);
+            expect(res.json).toHaveBeenCalledWith({ success: true });
+        });
+
+        test.each([
+            ['a missing errors array', {}],
+            ['an empty batch', { errors: [] }],
+            [
+                'a multi-character value',
+                { errors: [{ expected: 'ab', typed: 'c' }] },
+            ],
+            [
+                'a pair that is not an error',
+                { errors: [{ expected: 'a', typed: 'a' }] },
+            ],
+        ])('should return 400 for %s', async (description, body) => {
+            req = mockRequest({}, body);
+
+            await postKeyErrorsHandler(req, res);
+
+            expect(db.record_key_errors).not.toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(res.json).toHaveBeenCalledWith({
+                success: false,
+                message: 'Invalid key error data provided.',
+            });
+        });
+
+        test('should return 500 if db.record_key_errors fails', async () => {
+            req = mockRequest({}, { errors: validErrors });
+            db.record_key_errors.mockReturnValue(false);
+
+            await postKeyErrorsHandler(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(500);
+        });
+    });
+
+    // --- Comprehension quizzes ---
+    describe('POST /api/quiz/:text_id and /api/quiz/:text_id/answers', () => {
+        const postQuizHandler = findHandler('post', '/api/quiz/100');
+        const postAnswersHandler = findHandler('post', '/api/quiz/100/answers');
+        const postCompleteHandler = findHandler('post', '/api/complete');
+        const text = {
+            id: 100,
+            user_id: 1,
+            title: 'Le chat',
+            content: 'Le chat dort au soleil.',
+        };
+        const quizAnswer = JSON.stringify({
+            questions: [
+                {
+                    type: 'multiple_choice',
+                    question: 'Où dort le chat ?',
+                    choices: ['Au soleil', 'À la cave'],
+                    answer: 0,
+                },
+                {
+                    type: 'fill_blank',
+                    question: 'Le chat ____ au soleil.',
+                    answer: 'dort',
+                },
+            ],
+        });
+        const generateText = jest.fn();
+        let session;
+
+        /**
+         * Asks for a quiz on the text, in the shared session.
+         * @returns {Promise<object>} - The JSON answer.
+         */
+        const startQuiz = async () => {
+            req = mockRequest({}, {}, {}, { text_id: '100' });
+            req.session = session;
+            req.text = text; // Simulate requireOwnership
+            res = mockResponse();
+            await postQuizHandler(req, res);
+            return res.json.mock.calls[0][0];
+        };
+
+        /**
+         * Sends answers to the quiz, in the shared session.
+         * @param {Array<*>} answers - The answers.
+         * @returns {object} - The JSON answer.
+         */
+        const answerQuiz = (answers) => {
+            req = mockRequest({}, { answers }, {}, { text_id: '100' });
+            req.session = session;
+            res = mockResponse();
+            postAnswersHandler(req, res);
+            return res.json.mock.calls[0][0];
+        };
+
+        beforeEach(() => {
+            session = { user: { id: 1, username: 'testuser' } };
+            getAiProvider.mockReturnValue({
+                name: 'mock',
+                model: 'mock',
+                generateText,
+            });
+            generateText.mockResolvedValue(`\`\`\`json\n${quizAnswer}\n\`\`\``);
+            db.get_quiz_results.mockReturnValue([]);
+            db.save_quiz_result.mockReturnValue(1);
+            db.increment_user_coins.mockReturnValue(true);
+            db.get_user_details.mockReturnValue({ coins: 12 });
+        });
+
+        test('should send the questions without their answers and keep these in the session', async () => {
+            const quiz = await startQuiz();
+
+            expect(generateText).toHaveBeenCalledWith(
+                expect.stringContaining('---\nLe chat dort au soleil.\n---')
+            );
+            expect(quiz).toEqual({
+                success: true,
+                questions: [
+                    {
+                        type: 'multiple_choice',
+                        question: 'Où dort le chat ?',
+                        choices: ['Au soleil', 'À la cave'],
+                    },
+                    { type: 'fill_blank', question: 'Le chat ____ au soleil.' },
+                ],
+                canEarnCoins: false,
+                pastResults: [],
+            });
+            expect(session.quiz.questions[1].answer).toBe('dort');
+        });
+
+        test('should award coins for the first quiz after a full run only', async () => {
+            // A full run through the text makes the next quiz rewarding
+            req = mockRequest({}, { text_id: '100' });
+            req.session = session;
+            db.get_text.mockReturnValue(text);
+            db.increment_texts_practiced.mockReturnValue(true);
+            postCompleteHandler(req, res);
+
+            expect((await startQuiz()).canEarnCoins).toBe(true);
+            expect(answerQuiz([0, ' Dort! '])).toEqual({
+                success: true,
+                correctCount: 2,
+                questionCount: 2,
+                results: [
+                    { correct: true, answer: 'Au soleil' },
+                    { correct: true, answer: 'dort' },
+                ],
+                coinsAwarded: 2,
+                newCoinCount: 12,
+            });
+            expect(db.save_quiz_result).toHaveBeenCalledWith(1, 100, 2, 2, 2);
+            expect(db.increment_user_coins).toHaveBeenCalledWith(1, 2);
+
+            // The quiz was answered: it cannot be graded again
+            expect(answerQuiz([0, 'dort']).success).toBe(false);
+            expect(res.status).toHaveBeenCalledWith(400);
+
+            // Another quiz without typing the text again is graded, without coins
+            expect((await startQuiz()).canEarnCoins).toBe(false);
+            expect(answerQuiz([1])).toMatchObject({
+                correctCount: 0,
+                coinsAwarded: 0,
+                newCoinCount: null,
+            });
+            expect(db.save_quiz_result).toHaveBeenLastCalledWith(
+                1,
+                100,
+                0,
+                2,
+                0
+            );
+            expect(db.increment_user_coins).toHaveBeenCalledTimes(1);
+        });
+
+        test('should report AI failures and a missing AI provider', async () => {
+            generateText.mockResolvedValue('Le chat dort.');
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+
+            expect(await startQuiz()).toEqual({
+                success: false,
+                message: 'AI Service Error: the quiz could not be read.',
+            });
+            expect(res.status).toHaveBeenCalledWith(502);
+            expect(session.quiz).toBeUndefined();
+
+            getAiProvider.mockReturnValue(null);
+            expect((await startQuiz()).success).toBe(false);
+            expect(res.status).toHaveBeenCalledWith(503);
+            console.error.mockRestore();
+        });
+    });
+
+    // --- Cloze mode ---
+    describe('GET /api/cloze/:text_id', () => {
+        const getClozeHandler = findHandler('get', '/api/cloze/100');
+        const text = {
+            id: 100,
+            user_id: 1,
+            title: 'Volcans',
+            content: 'Le magma du volcan remonte. Le magma refroidit.',
+        };
+
+        beforeEach(() => {
+            req = mockRequest({}, {}, {}, { text_id: '100' });
+            req.text = text; // Simulate requireOwnership
+            db.get_text_contents.mockReturnValue([
+                text,
+                { id: 101, title: 'Autre', content: 'Le volcan dort.' },
+            ]);
+        });
+
+        test('should return the key terms picked by the AI', async () => {
+            getAiProvider.mockReturnValue({
+                generateText: jest.fn(async () => '{"terms": ["Magma"]}'),
+            });
+
+            await getClozeHandler(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(200);
+            expect(res.json).toHaveBeenCalledWith({
+                success: true,
+                terms: ['Magma'],
+                source: 'ai',
+            });
+        });
+
+        test('should fall back to TF-IDF over the user texts without AI provider', async () => {
+            getAiProvider.mockReturnValue(null);
+
+            await getClozeHandler(req, res);
+
+            expect(db.get_text_contents).toHaveBeenCalledWith(1);
+            const { terms, source } = res.json.mock.calls[0][0];
+            expect(source).toBe('tfidf');
+            // Repeated in the text and absent from the other text: the best term
+            expect(terms[0]).toBe('magma');
+        });
+    });
 });
@@ -0,0 +1,213 @@
+// Mock the DB functions used by the race service
+jest.mock('../models/db', () => ({
+    increment_user_coins: jest.fn(),
+}));
+
+const db = require('../models/db');
+const {
+    RaceService,
+    buildRacePassage,
+    calculateRaceWPM,
+} = require('../services/raceService');
+
+const alice = { id: 1, username: 'alice' };
+const bob = { id: 2, username: 'bob' };
+const text = { id: 10, title: 'Race Text', content: 'ab  cd\nef' };
+
+describe('Race Service', () => {
+    let service;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        jest.clearAllMocks();
+        db.increment_user_coins.mockReturnValue(true);
+        service = new RaceService();
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    /**
+     * Creates a room with the given racers and runs it past the countdown.
+     * @param {Array<object>} users - The racers, the first one being the host.
+     * @returns {object} - The running room.
+     */
+    function startedRoom(users) {
+        const room = service.createRoom(users[0], text);
+        users.forEach((user) => service.joinRoom(room.code, user));
+        service.startRace(room.code, users[0].id);
+        jest.advanceTimersByTime(3000);
+        return room;
+    }
+
+    describe('buildRacePassage', () => {
+        it('should collapse whitespace', () => {
+            expect(buildRacePassage(' ab  cd\nef ')).toBe('ab cd ef');
+        });
+
+        it('should cut long texts at a word boundary', () => {
+            const passage = buildRacePassage('word '.repeat(100));
+            expect(passage.length).toBeLessThanOrEqual(300);
+            expect(passage.endsWith('word')).toBe(true);
+        });
+    });
+
+    it('should delete a room nobody joins in time', () => {
+        const abandoned = service.createRoom(alice, text);
+        const joined = service.createRoom(alice, text);
+        service.joinRoom(joined.code, alice);
+
+        jest.advanceTimersByTime(5 * 60 * 1000);
+
+        expect(service.getRoom(abandoned.code)).toBeNull();
+        expect(service.getRoom(joined.code)).toBe(joined);
+    });
+
+    it('should compute the WPM from the characters and the time taken', () => {
+        expect(calculateRaceWPM(300, 60000)).toBe(60);
+        expect(calculateRaceWPM(300, 0)).toBe(0);
+    });
+
+    it('should create rooms with a code that can be typed in lowercase', () => {
+        const room = service.createRoom(alice, text);
+
+        expect(room.code).toMatch(/^[A-Z]{5}$/);
+        expect(room.passage).toBe('ab cd ef');
+        expect(service.getRoom(room.code.toLowerCase())).toBe(room);
+        expect(service.createRoom(alice, { ...text, content: ' ' })).toBeNull();
+    });
+
+    it('should only let the host start the race, after a countdown', () => {
+        const room = service.createRoom(alice, text);
+        service.joinRoom(room.code, alice);
+        service.joinRoom(room.code, bob);
+
+        expect(service.startRace(room.code, bob.id)).toBe(false);
+        expect(service.startRace(room.code, alice.id)).toBe(true);
+        expect(room.status).toBe('countdown');
+
+        jest.advanceTimersByTime(3000);
+        expect(room.status).toBe('running');
+    });
+
+    it('should refuse new racers once the race has started', () => {
+        const room = startedRoom([alice]);
+
+        expect(service.joinRoom(room.code, bob)).toEqual({
+            success: false,
+            message: 'This race has already started.',
+        });
+    });
+
+    it('should broadcast updates and award coins by finishing place', () => {
+        const room = startedRoom([alice, bob]);
+        const listener = jest.fn();
+        service.on('update', listener);
+
+        jest.advanceTimersByTime(1000);
+        service.updateProgress(room.code, bob.id, { typed: 'ab x', errors: 1 });
+        expect(room.racers.get(bob.id).position).toBe(3);
+        expect(listener).toHaveBeenCalledWith(room);
+
+        jest.advanceTimersByTime(5000); // 6 s for 8 characters
+        service.updateProgress(room.code, bob.id, {
+            typed: 'ab cd ef and more',
+            errors: 1,
+        });
+        service.updateProgress(room.code, alice.id, {
+            typed: 'ab cd ef',
+            errors: 0,
+        });
+
+        expect(room.racers.get(bob.id)).toMatchObject({
+            position: 8,
+            place: 1,
+            wpm: 16,
+            coins: 5,
+        });
+        expect(room.racers.get(alice.id)).toMatchObject({
+            place: 2,
+            coins: 3,
+        });
+        expect(db.increment_user_coins).toHaveBeenCalledWith(bob.id, 5);
+        expect(db.increment_user_coins).toHaveBeenCalledWith(alice.id, 3);
+        expect(room.status).toBe('finished');
+    });
+
+    it('should refuse progress that does not match the passage or is too fast', () => {
+        const room = startedRoom([alice, bob]);
+        const passage = 'word '.repeat(60).trim();
+        const longRoom = startedRoom([alice, bob]);
+        longRoom.passage = passage;
+
+        // Claiming the whole passage right after the start
+        expect(
+            service.updateProgress(longRoom.code, bob.id, {
+                typed: passage,
+                errors: 0,
+            })
+        ).toBe(false);
+        expect(longRoom.racers.get(bob.id).position).toBe(0);
+
+        // Text that is not the passage does not move the racer
+        jest.advanceTimersByTime(5000);
+        service.updateProgress(room.code, bob.id, {
+            typed: 'xxxxxxxx',
+            errors: 0,
+        });
+        expect(room.racers.get(bob.id).position).toBe(0);
+
+        // 299 characters in 5 s is over 700 WPM
+        expect(
+            service.updateProgress(longRoom.code, bob.id, {
+                typed: passage,
+                errors: 0,
+            })
+        ).toBe(false);
+        expect(longRoom.racers.get(bob.id).finishedAt).toBeNull();
+        expect(db.increment_user_coins).not.toHaveBeenCalled();
+    });
+
+    it('should not award coins for a race with a single racer', () => {
+        const room = startedRoom([alice]);
+
+        jest.advanceTimersByTime(5000);
+        service.updateProgress(room.code, alice.id, {
+            typed: 'ab cd ef',
+            errors: 0,
+        });
+
+        expect(room.racers.get(alice.id).place).toBe(1);
+        expect(db.increment_user_coins).not.toHaveBeenCalled();
+    });
+
+    it('should end the race when the remaining racers leave', () => {
+        const room = startedRoom([alice, bob]);
+
+        jest.advanceTimersByTime(5000);
+        service.updateProgress(room.code, alice.id, {
+            typed: 'ab cd ef',
+            errors: 0,
+        });
+        expect(room.status).toBe('running');
+
+        service.leaveRoom(room.code, bob.id);
+        expect(room.status).toBe('finished');
+        expect(
+            RaceService.getRoomState(room).racers.map((r) => r.username)
+        ).toEqual(['alice', 'bob']);
+    });
+
+    it('should pass the host role on and delete empty rooms', () => {
+        const room = service.createRoom(alice, text);
+        service.joinRoom(room.code, alice);
+        service.joinRoom(room.code, bob);
+
+        service.leaveRoom(room.code, alice.id);
+        expect(room.hostId).toBe(bob.id);
+
+        service.leaveRoom(room.code, bob.id);
+        expect(service.getRoom(room.code)).toBeNull();
+    });
+});
@@ -0,0 +1,164 @@
+const { splitIntoChunks, summarizeText } = require('../services/summarizer');
+
+/**
+ * Builds a paragraph of a given number of sentences.
+ * @param {string} word - The word repeated in the sentences.
+ * @param {number} count - The number of sentences.
+ * @returns {string} - The paragraph.
+ */
+const paragraphOf = (word, count) =>
+    Array.from({ length: count }, () => `${word} ${word}.`).join(' ');
+
+/**
+ * Creates an AI provider answering with the first word of the text of each prompt.
+ * @returns {{generateText: jest.Mock}} - The provider.
+ */
+const createProvider = () => ({
+    generateText: jest.fn(async (prompt) => {
+        const subject = prompt.split(/^---$/m)[1];
+        return ` Summary of ${subject.trim().split(' ')[0]} `;
+    }),
+});
+
+describe('Summarizer', () => {
+    test('should group whole paragraphs into chunks', () => {
+        const text = `Un.\n\nDeux.\n   \nTrois trois.\n\n\n${paragraphOf('quatre', 4)}`;
+
+        expect(splitIntoChunks(text, 40)).toEqual([
+            'Un.\n\nDeux.\n\nTrois trois.',
+            paragraphOf('quatre', 2),
+            paragraphOf('quatre', 2),
+        ]);
+        expect(splitIntoChunks(text, 1000)).toHaveLength(1);
+        expect(splitIntoChunks('  \n\n ', 1000)).toEqual([]);
+    });
+
+    test('should cut sentences longer than a chunk between words', () => {
+        expect(splitIntoChunks('un deux trois quatre cinq six', 10)).toEqual([
+            'un deux',
+            'trois',
+            'quatre',
+            'cinq six',
+        ]);
+    });
+
+    test('should summarize a short text in a single prompt', async () => {
+        const provider = createProvider();
+        const progress = [];
+
+        await expect(
+            summarizeText(provider, 'Le chat dort.', {
+                length: 'long',
+                format: 'bullets',
+                chunkSize: 1000,
+                onProgress: (event) => progress.push(event),
+            })
+        ).resolves.toBe('Summary of Le');
+
+        expect(provider.generateText).toHaveBeenCalledTimes(1);
+        const [prompt] = provider.generateText.mock.calls[0];
+        expect(prompt).toContain(
+            'a detailed summary covering every main point'
+        );
+        expect(prompt).toContain('bulleted list');
+        expect(prompt).toContain('---\nLe chat dort.\n---');
+        expect(progress).toEqual([{ stage: 'final', done: 0, total: 1 }]);
+    });
+
+    test('should summarize the chunks of a long text, then their summaries', async () => {
+        const provider = createProvider();
+        const progress = [];
+        const text = ['alpha', 'beta', 'gamma', 'delta']
+            .map((word) => paragraphOf(word, 20))
+            .join('\n\n');
+
+        await expect(
+            summarizeText(provider, text, {
+                length: 'unknown', // Falls back to the default length and format
+                chunkSize: 300,
+                onProgress: (event) => progress.push(event),
+            })
+        ).resolves.toBe('Summary of Summary');
+
+        const prompts = provider.generateText.mock.calls.map(([p]) => p);
+        expect(prompts).toHaveLength(5);
+        expect(prompts[0]).toContain('part 1 of 4 of a longer document');
+        expect(prompts[4]).toContain(
+            'a summary of one to three paragraphs of the whole document'
+        );
+        expect(prompts[4]).toContain('continuous prose');
+        expect(prompts[4]).toContain(
+            'Summary of alpha\n\nSummary of beta\n\nSummary of gamma\n\nSummary of delta'
+        );
+        expect(progress.map(({ stage, done }) => `${stage} ${done}`)).toEqual([
+            'chunks 0',
+            'chunks 1',
+            'chunks 2',
+            'chunks 3',
+            'final 0',
+        ]);
+    });
+
+    test('should merge the summaries in several rounds when they do not fit in one prompt', async () => {
+        const words = Array.from({ length: 30 }, (_, i) => `mot${i}`);
+        const provider = {
+            // Long answers: the summaries of the chunks need merging before the last prompt
+            generateText: jest.fn(async (prompt) =>
+                prompt.includes('notes summarize')
+                    ? 'Merged notes.'
+                    : 'Notes. '.repeat(12)
+            ),
+        };
+        const progress = [];
+
+        await summarizeText(
+            provider,
+            words.map((word) => paragraphOf(word, 5)).join('\n\n'),
+            {
+                chunkSize: 200,
+                onProgress: (event) => progress.push(event),
+            }
+        );
+
+        const stages = progress.map((event) => event.stage);
+        expect(stages.filter((stage) => stage === 'chunks')).toHaveLength(
+            progress.find((event) => event.stage === 'chunks').total
+        );
+        expect(stages).toContain('combining');
+        expect(stages[stages.length - 1]).toBe('final');
+        expect(provider.generateText).toHaveBeenLastCalledWith(
+            expect.stringContaining('of the whole document')
+        );
+    });
+
+    test('should stop before the next request when aborted, and pass on provider errors', async () => {
+        const controller = new AbortController();
+        const provider = {
+            generateText: jest.fn(async () => {
+                controller.abort();
+                return 'Notes.';
+            }),
+        };
+        const text = `${paragraphOf('un', 10)}\n\n${paragraphOf('deux', 10)}`;
+
+        await expect(
+            summarizeText(provider, text, {
+                chunkSize: 100,
+                signal: controller.signal,
+            })
+        ).rejects.toThrow('The summary was cancelled.');
+        expect(provider.generateText).toHaveBeenCalledTimes(1);
+
+        const error = new Error('AI did not return any text.');
+        error.status = 502;
+        await expect(
+            summarizeText(
+                { generateText: jest.fn().mockRejectedValue(error) },
+                text
+            )
+        ).rejects.toMatchObject({ status: 502 });
+        await expect(summarizeText(provider, ' \n ')).rejects.toThrow(
+            'Cannot summarize empty text.'
+        );
+    });
+});
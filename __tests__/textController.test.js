@@ -19,6 +19,7 @@ jest.mock('better-sqlite3', () => {
 jest.mock('../models/db', () => ({
     get_texts: jest.fn(),
     add_text: jest.fn(),
+    add_translation: jest.fn(),
     get_text: jest.fn(),
     update_text: jest.fn(),
     delete_text: jest.fn(),
@@ -29,6 +30,8 @@ jest.mock('../models/db', () => ({
     delete_category: jest.fn(),
     get_folders: jest.fn(),
     get_all_categories_flat: jest.fn(), // Added mock function
+    get_ocr_language: jest.fn(),
+    set_ocr_language: jest.fn(),
     get_files: jest.fn(),
     create_folder: jest.fn(),
     get_file_metadata: jest.fn(),
@@ -72,12 +75,46 @@ jest.mock('../middleware/authMiddleware', () => ({
 // Mock the entire text processing utility module
 jest.mock('../utils/textProcessing', () => ({
     cleanupText: jest.fn((text) => text || ''), // Simple pass-through mock for cleanup
+    NORMALIZATION_PROFILES: jest.requireActual('../utils/textProcessing')
+        .NORMALIZATION_PROFILES,
+    DEFAULT_NORMALIZATION_PROFILE: jest.requireActual('../utils/textProcessing')
+        .DEFAULT_NORMALIZATION_PROFILE,
+    getDocumentType: jest.requireActual('../utils/textProcessing')
+        .getDocumentType, // Real file type detection
+    OCR_LANGUAGES: jest.requireActual('../utils/textProcessing').OCR_LANGUAGES,
+    PDF_SPLIT_MODES: jest.requireActual('../utils/textProcessing')
+        .PDF_SPLIT_MODES,
+    DEFAULT_PAGES_PER_SECTION: jest.requireActual('../utils/textProcessing')
+        .DEFAULT_PAGES_PER_SECTION,
     processPdfUpload: jest.fn(), // Mock the PDF processing function
+    processPdfSections: jest.fn(), // Mock the PDF splitting function
+    processDocxUpload: jest.fn(), // Mock the DOCX processing function
+    processOdtUpload: jest.fn(), // Mock the ODT processing function
+    processMarkupUpload: jest.fn(), // Mock the Markdown/HTML/text processing function
+}));
+
+// Mock the EPUB extraction (the archive parsing is covered by epubProcessing.test.js)
+jest.mock('../utils/epubProcessing', () => ({
+    ...jest.requireActual('../utils/epubProcessing'),
+    processEpubUpload: jest.fn(),
+}));
+
+// Mock the web page download (the extraction itself runs on the real implementation)
+jest.mock('../utils/webPageProcessing', () => ({
+    ...jest.requireActual('../utils/webPageProcessing'),
+    fetchWebPage: jest.fn(),
+}));
+
+// Mock the AI provider (the providers themselves are covered by aiProvider.test.js)
+jest.mock('../services/aiProvider', () => ({
+    ...jest.requireActual('../services/aiProvider'),
+    getAiProvider: jest.fn(),
 }));
 
 // Import fs and path for the real PDF test
 const fs = require('fs');
 const path = require('path');
+const AdmZip = require('adm-zip');
 
 // No longer need to mock fs, tmp, child_process directly as they are used within the mocked processPdfUpload
 // jest.mock('fs'); // Keep fs mocked generally, but requireActual in specific test
@@ -87,10 +124,27 @@ const path = require('path');
 // No longer need to mock multer as it's used inline in the controller route
 // --- Require Controller AFTER mocks ---
 // No longer need to require fs, tmp, child_process here
+// The PDF layout cleanup rules applied when the form does not choose them
+const ALL_PDF_CLEANUP_RULES = {
+    dehyphenate: true,
+    headersFooters: true,
+    pageNumbers: true,
+    joinLines: true,
+};
+
 // Require the controller AFTER mocks are set up
 const textControllerRouter = require('../controllers/textController');
 // Import the mocked functions to access their mock properties (e.g., mockResolvedValue)
-const { cleanupText, processPdfUpload } = require('../utils/textProcessing');
+const {
+    cleanupText,
+    processPdfUpload,
+    processPdfSections,
+    processDocxUpload,
+    processMarkupUpload,
+} = require('../utils/textProcessing');
+const { processEpubUpload } = require('../utils/epubProcessing');
+const { fetchWebPage } = require('../utils/webPageProcessing');
+const { getAiProvider } = require('../services/aiProvider');
 const db = require('../models/db');
 const {
     requireLogin, // eslint-disable-line no-unused-vars
@@ -132,6 +186,10 @@ const mockRequest = (
         params: paramsData,
         file: fileData,
         text: null, // Reset potentially attached text
+        headers: {},
+        get(name) {
+            return this.headers[name.toLowerCase()];
+        },
     };
 };
 
@@ -169,6 +227,7 @@ describe('Text Controller', () => {
         // Reset mocks for the utility functions
         cleanupText.mockClear().mockImplementation((text) => text || ''); // Reset cleanup mock
         processPdfUpload.mockClear(); // Reset PDF processing mock
+        db.get_ocr_language.mockReturnValue('eng'); // Default OCR language setting
 
         // No longer need to reset fs, tmp, execFileSync mocks here
 
@@ -196,6 +255,34 @@ describe('Text Controller', () => {
                 content: '',
                 categories: [], // Expect categories array now
                 selectedFolderId: null, // Expect selectedFolderId to be passed (as null here)
+                ocrLanguages: expect.objectContaining({
+                    eng: 'English',
+                    fra: 'French',
+                }),
+                ocrLanguage: 'eng',
+                normalizationProfiles: {
+                    original: 'Strict original',
+                    ascii: 'ASCII-friendly',
+                    azerty: 'French AZERTY-friendly',
+                },
+                normalization: 'original',
+                pdfOptions: {
+                    firstPage: null,
+                    lastPage: null,
+                    split: 'none',
+                    pagesPerSection: 10,
+                    cleanupRules: ALL_PDF_CLEANUP_RULES,
+                },
+                markupRuleOptions: {
+                    codeBlocks: ['remove', 'keep'],
+                    images: ['remove', 'alt'],
+                    links: ['text', 'text-and-url'],
+                },
+                markupRules: {
+                    codeBlocks: 'remove',
+                    images: 'remove',
+                    links: 'text',
+                },
             });
         });
     });
@@ -298,7 +385,12 @@ describe('Text Controller', () => {
             await postAddTextHandler(req, res);
 
             // Expect the mocked PDF processing function to be called
-            expect(processPdfUpload).toHaveBeenCalledWith(mockPdfFile);
+            expect(processPdfUpload).toHaveBeenCalledWith(mockPdfFile, {
+                ocrLanguage: 'eng',
+                firstPage: null,
+                lastPage: null,
+                cleanupRules: ALL_PDF_CLEANUP_RULES,
+            });
 
             // Check that db.add_text was called with the cleaned text from the mock
             expect(db.add_text).toHaveBeenCalledWith(
@@ -351,6 +443,679 @@ describe('Text Controller', () => {
             expect(res.redirect).not.toHaveBeenCalled();
         });
 
+        test('should read a scanned PDF in the chosen OCR language and remember it', async () => {
+            req = mockRequest(
+                {},
+                { title: 'Scan', ocr_language: 'fra' },
+                {},
+                {},
+                mockPdfFile
+            );
+            processPdfUpload.mockResolvedValue('Texte lu par OCR.');
+            db.add_text.mockReturnValue(130);
+
+            await postAddTextHandler(req, res);
+
+            expect(db.set_ocr_language).toHaveBeenCalledWith(1, 'fra');
+            expect(processPdfUpload).toHaveBeenCalledWith(mockPdfFile, {
+                ocrLanguage: 'fra',
+                firstPage: null,
+                lastPage: null,
+                cleanupRules: ALL_PDF_CLEANUP_RULES,
+            });
+            expect(db.add_text).toHaveBeenCalledWith(
+                1,
+                'Scan',
+                'Texte lu par OCR.',
+                null
+            );
+        });
+
+        test('should fall back to the saved OCR language for an unknown one', async () => {
+            req = mockRequest(
+                {},
+                { title: 'Scan', ocr_language: 'klingon' },
+                {},
+                {},
+                mockPdfFile
+            );
+            db.get_ocr_language.mockReturnValue('deu');
+            processPdfUpload.mockResolvedValue('Gescannter Text.');
+            db.add_text.mockReturnValue(131);
+
+            await postAddTextHandler(req, res);
+
+            expect(db.set_ocr_language).not.toHaveBeenCalled();
+            expect(processPdfUpload).toHaveBeenCalledWith(mockPdfFile, {
+                ocrLanguage: 'deu',
+                firstPage: null,
+                lastPage: null,
+                cleanupRules: ALL_PDF_CLEANUP_RULES,
+            });
+        });
+
+        test('should import only the selected pages of a PDF', async () => {
+            req = mockRequest(
+                {},
+                { title: 'Extrait', pdf_first_page: '12', pdf_last_page: '15' },
+                {},
+                {},
+                mockPdfFile
+            );
+            processPdfUpload.mockResolvedValue('Pages 12 to 15.');
+            db.add_text.mockReturnValue(132);
+
+            await postAddTextHandler(req, res);
+
+            expect(processPdfUpload).toHaveBeenCalledWith(mockPdfFile, {
+                ocrLanguage: 'eng',
+                firstPage: 12,
+                lastPage: 15,
+                cleanupRules: ALL_PDF_CLEANUP_RULES,
+            });
+            expect(processPdfSections).not.toHaveBeenCalled();
+            expect(res.redirect).toHaveBeenCalled();
+        });
+
+        test('should apply only the PDF cleanup rules checked on the form', async () => {
+            req = mockRequest(
+                {},
+                { title: 'Brut', pdf_cleanup: ['', 'pageNumbers', 'bogus'] },
+                {},
+                {},
+                mockPdfFile
+            );
+            processPdfUpload.mockResolvedValue('Text.');
+            db.add_text.mockReturnValue(133);
+
+            await postAddTextHandler(req, res);
+
+            expect(processPdfUpload).toHaveBeenCalledWith(
+                mockPdfFile,
+                expect.objectContaining({
+                    cleanupRules: {
+                        dehyphenate: false,
+                        headersFooters: false,
+                        pageNumbers: true,
+                        joinLines: false,
+                    },
+                })
+            );
+        });
+
+        test('should split a PDF into several texts in a new folder', async () => {
+            req = mockRequest(
+                {},
+                {
+                    title: '',
+                    category_id: '5',
+                    pdf_split: 'pages',
+                    pdf_pages_per_section: '20',
+                    pdf_last_page: '60',
+                },
+                {},
+                {},
+                mockPdfFile
+            );
+            processPdfSections.mockResolvedValue([
+                { title: 'Pages 1-20', content: 'First part.' },
+                { title: 'Pages 21-40', content: 'Second part.' },
+                { title: 'Pages 41-60', content: 'Third part.' },
+            ]);
+            db.create_category.mockReturnValue(42);
+            db.add_text
+                .mockReturnValueOnce(201)
+                .mockReturnValueOnce(202)
+                .mockReturnValueOnce(203);
+
+            await postAddTextHandler(req, res);
+
+            expect(processPdfSections).toHaveBeenCalledWith(mockPdfFile, {
+                firstPage: null,
+                lastPage: 60,
+                split: 'pages',
+                pagesPerSection: 20,
+                cleanupRules: ALL_PDF_CLEANUP_RULES,
+                ocrLanguage: 'eng',
+            });
+            expect(db.create_category).toHaveBeenCalledWith(
+                1,
+                mockPdfFile.originalname.replace(/\.pdf$/i, ''),
+                5
+            );
+            expect(db.add_text).toHaveBeenNthCalledWith(
+                2,
+                1,
+                'Pages 21-40',
+                'Second part.',
+                42
+            );
+            expect(res.redirect).toHaveBeenCalledWith(
+                expect.stringContaining('category_id=42')
+            );
+            expect(res.render).not.toHaveBeenCalled();
+        });
+
+        test('should show the error of a PDF that cannot be split by bookmarks', async () => {
+            req = mockRequest(
+                {},
+                { title: 'Manual', pdf_split: 'outline' },
+                {},
+                {},
+                mockPdfFile
+            );
+            processPdfSections.mockRejectedValue(
+                new Error(
+                    'This PDF has no bookmarks (outline) to split it by. Split it every N pages instead.'
+                )
+            );
+
+            await postAddTextHandler(req, res);
+
+            expect(db.create_category).not.toHaveBeenCalled();
+            expect(res.render).toHaveBeenCalledWith(
+                'add_text',
+                expect.objectContaining({
+                    error: 'This PDF has no bookmarks (outline) to split it by. Split it every N pages instead.',
+                    pdfOptions: expect.objectContaining({ split: 'outline' }),
+                })
+            );
+        });
+
+        test('should clean up the text with the chosen normalization profile', async () => {
+            req = mockRequest(
+                {},
+                {
+                    title: 'Typo',
+                    content: 'Il a dit “oui” — enfin.',
+                    normalization: 'ascii',
+                },
+                {},
+                {}
+            );
+            db.add_text.mockReturnValue(134);
+
+            await postAddTextHandler(req, res);
+
+            expect(cleanupText).toHaveBeenCalledWith(
+                'Il a dit “oui” — enfin.',
+                'ascii'
+            );
+        });
+
+        // DOCX Input
+        test('should add text from a Word document successfully', async () => {
+            const mockDocxFile = {
+                fieldname: 'pdfFile',
+                originalname: 'rapport.docx',
+                mimetype:
+                    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+                buffer: Buffer.from('mock docx content'),
+                size: 3456,
+            };
+            req = mockRequest(
+                {},
+                { title: 'Rapport', category_id: '3' },
+                {},
+                {},
+                mockDocxFile
+            );
+            processDocxUpload.mockResolvedValue('Titre\nPremier paragraphe.');
+            db.add_text.mockReturnValue(126);
+
+            await postAddTextHandler(req, res);
+
+            expect(processDocxUpload).toHaveBeenCalledWith(mockDocxFile);
+            expect(processPdfUpload).not.toHaveBeenCalled();
+            expect(cleanupText).toHaveBeenCalledWith(
+                'Titre\nPremier paragraphe.',
+                'original'
+            );
+            expect(db.add_text).toHaveBeenCalledWith(
+                req.session.user.id,
+                'Rapport',
+                'Titre\nPremier paragraphe.',
+                3
+            );
+            expect(res.redirect).toHaveBeenCalledWith(
+                '/texts?message=Text added successfully!&category_id=3'
+            );
+        });
+
+        // Markdown Input
+        test('should add text from a Markdown file with the chosen markup rules', async () => {
+            const mockMarkdownFile = {
+                fieldname: 'pdfFile',
+                originalname: 'notes.md',
+                mimetype: 'application/octet-stream',
+                buffer: Buffer.from('# Notes'),
+                size: 7,
+            };
+            req = mockRequest(
+                {},
+                {
+                    title: 'Notes',
+                    markup_code_blocks: 'keep',
+                    markup_images: 'alt',
+                    markup_links: 'bogus', // Invalid: falls back to the default
+                },
+                {},
+                {},
+                mockMarkdownFile
+            );
+            processMarkupUpload.mockResolvedValue('Notes');
+            db.add_text.mockReturnValue(127);
+
+            await postAddTextHandler(req, res);
+
+            expect(processMarkupUpload).toHaveBeenCalledWith(mockMarkdownFile, {
+                codeBlocks: 'keep',
+                images: 'alt',
+                links: 'text',
+            });
+            expect(db.add_text).toHaveBeenCalledWith(
+                req.session.user.id,
+                'Notes',
+                'Notes',
+                null
+            );
+            expect(res.redirect).toHaveBeenCalledWith(
+                '/texts?message=Text added successfully!'
+            );
+        });
+
+        // Web Page Input
+        const articleHtml = fs.readFileSync(
+            path.join(__dirname, 'web_article.html'),
+            'utf8'
+        );
+
+        test('should import the main content of a web page from its address', async () => {
+            req = mockRequest(
+                {},
+                {
+                    title: '',
+                    page_url: ' http://intranet.local/typewriter ',
+                    category_id: '5',
+                }
+            );
+            fetchWebPage.mockResolvedValue({
+                html: articleHtml,
+                url: 'http://intranet.local/typewriter',
+            });
+            db.add_text.mockReturnValue(128);
+
+            await postAddTextHandler(req, res);
+
+            expect(fetchWebPage).toHaveBeenCalledWith(
+                'http://intranet.local/typewriter'
+            );
+            const [userId, title, content, categoryId] =
+                db.add_text.mock.calls[0];
+            expect([userId, title, categoryId]).toEqual([
+                1,
+                'A Short History of the Typewriter',
+                5,
+            ]);
+            expect(content).toMatch(/^The first commercially successful/);
+            expect(content).not.toContain('Copyright');
+            expect(res.redirect).toHaveBeenCalledWith(
+                '/texts?message=Text+%22A+Short+History+of+the+Typewriter%22+added+from+the+web+page%21&category_id=5'
+            );
+        });
+
+        test('should import an uploaded HTML file as a saved web page', async () => {
+            const savedPage = {
+                fieldname: 'pdfFile',
+                originalname: 'typewriter.html',
+                mimetype: 'text/html',
+                buffer: Buffer.from(articleHtml),
+                size: articleHtml.length,
+            };
+            req = mockRequest(
+                {},
+                { title: 'Typewriters', web_page: '1' },
+                {},
+                {},
+                savedPage
+            );
+            db.add_text.mockReturnValue(129);
+
+            await postAddTextHandler(req, res);
+
+            expect(fetchWebPage).not.toHaveBeenCalled();
+            expect(processMarkupUpload).not.toHaveBeenCalled();
+            expect(db.add_text).toHaveBeenCalledWith(
+                1,
+                'Typewriters',
+                expect.not.stringContaining('Sponsored'),
+                null
+            );
+            expect(res.redirect).toHaveBeenCalled();
+        });
+
+        test('should show the error if the web page cannot be downloaded', async () => {
+            req = mockRequest(
+                {},
+                { title: '', page_url: 'http://intranet.local/missing' }
+            );
+            fetchWebPage.mockRejectedValue(
+                new Error('Could not download the web page (HTTP 404).')
+            );
+            db.get_all_categories_flat.mockReturnValue([]);
+
+            await postAddTextHandler(req, res);
+
+            expect(db.add_text).not.toHaveBeenCalled();
+            expect(res.render).toHaveBeenCalledWith(
+                'add_text',
+                expect.objectContaining({
+                    error: 'Could not download the web page (HTTP 404).',
+                    pageUrl: 'http://intranet.local/missing',
+                })
+            );
+        });
+
+        test('should fail if a web page address and text content are both provided', async () => {
+            req = mockRequest(
+                {},
+                {
+                    title: 'Both',
+                    content: 'Some text',
+                    page_url: 'http://intranet.local/a',
+                }
+            );
+            db.get_all_categories_flat.mockReturnValue([]);
+
+            await postAddTextHandler(req, res);
+
+            expect(fetchWebPage).not.toHaveBeenCalled();
+            expect(res.render).toHaveBeenCalledWith(
+                'add_text',
+                expect.objectContaining({
+                    error: 'Please provide a web page address, a file OR text content, not several.',
+                })
+            );
+        });
+
+        // EPUB Input
+        const mockEpubFile = {
+            fieldname: 'pdfFile',
+            originalname: 'livre.epub',
+            mimetype: 'application/epub+zip',
+            buffer: Buffer.from('mock epub content'),
+            size: 2345,
+        };
+        const mockBook = {
+            title: 'Le Petit Livre',
+            chapters: [
+                { title: 'Premier', content: 'Premier\nIl était une fois.' },
+                { title: null, content: 'Fin.' },
+            ],
+        };
+
+        test('should import an EPUB as one text per chapter in a new folder', async () => {
+            req = mockRequest(
+                {},
+                { title: '', category_id: '7' },
+                {},
+                {},
+                mockEpubFile
+            );
+            processEpubUpload.mockReturnValue(mockBook);
+            db.create_category.mockReturnValue(42);
+            db.add_text.mockReturnValueOnce(201).mockReturnValueOnce(202);
+
+            await postAddTextHandler(req, res);
+
+            expect(processEpubUpload).toHaveBeenCalledWith(mockEpubFile);
+            expect(db.create_category).toHaveBeenCalledWith(
+                1,
+                'Le Petit Livre',
+                7
+            );
+            expect(cleanupText).toHaveBeenCalledWith(
+                'Premier\nIl était une fois.',
+                'original'
+            );
+            expect(cleanupText).toHaveBeenCalledWith('Fin.', 'original');
+            expect(db.add_text).toHaveBeenNthCalledWith(
+                1,
+                1,
+                'Premier',
+                'Premier\nIl était une fois.',
+                42
+            );
+            expect(db.add_text).toHaveBeenNthCalledWith(
+                2,
+                1,
+                'Chapter 2',
+                'Fin.',
+                42
+            );
+            expect(processPdfUpload).not.toHaveBeenCalled();
+            expect(res.redirect).toHaveBeenCalledWith(
+                '/texts?message=Imported+2+chapter%28s%29+into+%22Le+Petit+Livre%22.&category_id=42'
+            );
+        });
+
+        test('should name the EPUB folder after the title when one is given', async () => {
+            req = mockRequest({}, { title: 'Lectures' }, {}, {}, mockEpubFile);
+            processEpubUpload.mockReturnValue(mockBook);
+            db.create_category.mockReturnValue(43);
+            db.add_text.mockReturnValue(203);
+
+            await postAddTextHandler(req, res);
+
+            expect(db.create_category).toHaveBeenCalledWith(
+                1,
+                'Lectures',
+                null
+            );
+            expect(res.redirect).toHaveBeenCalled();
+        });
+
+        test('should fail if the EPUB folder cannot be created', async () => {
+            req = mockRequest({}, { title: '' }, {}, {}, mockEpubFile);
+            processEpubUpload.mockReturnValue(mockBook);
+            db.create_category.mockReturnValue(-1);
+            db.get_all_categories_flat.mockReturnValue([]);
+
+            await postAddTextHandler(req, res);
+
+            expect(db.add_text).not.toHaveBeenCalled();
+            expect(res.render).toHaveBeenCalledWith(
+                'add_text',
+                expect.objectContaining({
+                    error: 'Could not create the folder "Le Petit Livre". A folder with this name may already exist.',
+                })
+            );
+        });
+
+        test('should remove the EPUB folder if no chapter could be saved', async () => {
+            req = mockRequest({}, { title: '' }, {}, {}, mockEpubFile);
+            processEpubUpload.mockReturnValue(mockBook);
+            db.create_category.mockReturnValue(44);
+            db.add_text.mockReturnValue(-1);
+            db.get_all_categories_flat.mockReturnValue([]);
+
+            await postAddTextHandler(req, res);
+
+            expect(db.delete_category).toHaveBeenCalledWith(44, 1);
+            expect(res.render).toHaveBeenCalledWith(
+                'add_text',
+                expect.objectContaining({
+                    error: 'Failed to save the chapters to the database.',
+                })
+            );
+        });
+
+        test('should show the error if the EPUB cannot be read', async () => {
+            req = mockRequest({}, { title: '' }, {}, {}, mockEpubFile);
+            processEpubUpload.mockImplementation(() => {
+                throw new Error('Could not extract any text from this EPUB.');
+            });
+            db.get_all_categories_flat.mockReturnValue([]);
+
+            await postAddTextHandler(req, res);
+
+            expect(db.create_category).not.toHaveBeenCalled();
+            expect(res.render).toHaveBeenCalledWith(
+                'add_text',
+                expect.objectContaining({
+                    error: 'Could not extract any text from this EPUB.',
+                    categories: [],
+                })
+            );
+        });
+
+        // ZIP Input (the archive is read by the real implementation)
+        const buildZipFile = (entries) => {
+            const zip = new AdmZip();
+            Object.entries(entries).forEach(([entryName, data]) => {
+                zip.addFile(entryName, Buffer.from(data));
+            });
+            const buffer = zip.toBuffer();
+            return {
+                fieldname: 'pdfFile',
+                originalname: 'notes.zip',
+                mimetype: 'application/zip',
+                buffer,
+                size: buffer.length,
+            };
+        };
+        const mockZipFile = buildZipFile({
+            'Semestre/Maths/cours 2.md': '# Cours 2',
+            'Semestre/Maths/cours 10.pdf': 'pdf',
+            'Semestre/Physique/tp.txt': 'TP',
+            'Semestre/photo.png': 'png',
+            'Semestre/.DS_Store': '',
+            '__MACOSX/Semestre/._tp.txt': '',
+        });
+
+        test('should import a ZIP archive with its folders and show a report of each file', async () => {
+            req = mockRequest(
+                {},
+                { title: '', category_id: '7', ocr_language: 'fra' },
+                {},
+                {},
+                mockZipFile
+            );
+            processMarkupUpload
+                .mockResolvedValueOnce('Cours 2')
+                .mockResolvedValueOnce('TP');
+            processPdfUpload.mockRejectedValue(
+                new Error('Could not extract text using pdftotext or OCR.')
+            );
+            db.create_category
+                .mockReturnValueOnce(50)
+                .mockReturnValueOnce(51)
+                .mockReturnValueOnce(52);
+            db.add_text.mockReturnValueOnce(301).mockReturnValueOnce(302);
+
+            await postAddTextHandler(req, res);
+
+            // The zipped folder names the new folder, its sub-folders are recreated inside it
+            expect(db.create_category).toHaveBeenNthCalledWith(
+                1,
+                1,
+                'Semestre',
+                7
+            );
+            expect(db.create_category).toHaveBeenNthCalledWith(
+                2,
+                1,
+                'Maths',
+                50
+            );
+            expect(db.create_category).toHaveBeenNthCalledWith(
+                3,
+                1,
+                'Physique',
+                50
+            );
+            expect(db.add_text).toHaveBeenCalledWith(
+                1,
+                'cours 2',
+                'Cours 2',
+                51
+            );
+            expect(db.add_text).toHaveBeenCalledWith(1, 'tp', 'TP', 52);
+            expect(processPdfUpload).toHaveBeenCalledWith(
+                expect.objectContaining({ originalname: 'cours 10.pdf' }),
+                expect.objectContaining({
+                    ocrLanguage: 'fra',
+                    cleanupRules: ALL_PDF_CLEANUP_RULES,
+                })
+            );
+            expect(res.render).toHaveBeenCalledWith('import_report', {
+                user: req.session.user,
+                success: true,
+                categoryId: 50,
+                name: 'Semestre',
+                importedCount: 2,
+                files: [
+                    { path: 'Maths/cours 2.md', success: true, textId: 301 },
+                    {
+                        path: 'Maths/cours 10.pdf',
+                        success: false,
+                        message:
+                            'Could not extract text using pdftotext or OCR.',
+                    },
+                    {
+                        path: 'photo.png',
+                        success: false,
+                        message: 'Unsupported file type.',
+                    },
+                    { path: 'Physique/tp.txt', success: true, textId: 302 },
+                ],
+            });
+        });
+
+        test('should not create any folder when no file of the ZIP can be imported', async () => {
+            req = mockRequest(
+                {},
+                { title: 'Images' },
+                {},
+                {},
+                buildZipFile({ 'a.png': 'png', 'b/c.jpg': 'jpg' })
+            );
+
+            await postAddTextHandler(req, res);
+
+            expect(db.create_category).not.toHaveBeenCalled();
+            expect(res.render).toHaveBeenCalledWith(
+                'import_report',
+                expect.objectContaining({
+                    success: false,
+                    categoryId: null,
+                    name: 'Images',
+                    importedCount: 0,
+                })
+            );
+        });
+
+        test('should show the error if the ZIP archive cannot be read', async () => {
+            req = mockRequest(
+                {},
+                { title: '' },
+                {},
+                {},
+                { ...mockZipFile, buffer: Buffer.from('not a zip') }
+            );
+            db.get_all_categories_flat.mockReturnValue([]);
+
+            await postAddTextHandler(req, res);
+
+            expect(db.create_category).not.toHaveBeenCalled();
+            expect(res.render).toHaveBeenCalledWith(
+                'add_text',
+                expect.objectContaining({
+                    error: 'Error processing ZIP: the file is not a valid archive.',
+                })
+            );
+        });
+
         test('should fail if pdftotext command not found (ENOENT)', async () => {
             req = mockRequest({}, { title: 'PDF Error' }, {}, {}, mockPdfFile);
             const pdfError = new Error('pdftotext command not found');
@@ -360,7 +1125,12 @@ describe('Text Controller', () => {
 
             await postAddTextHandler(req, res);
 
-            expect(processPdfUpload).toHaveBeenCalledWith(mockPdfFile);
+            expect(processPdfUpload).toHaveBeenCalledWith(mockPdfFile, {
+                ocrLanguage: 'eng',
+                firstPage: null,
+                lastPage: null,
+                cleanupRules: ALL_PDF_CLEANUP_RULES,
+            });
             expect(db.add_text).not.toHaveBeenCalled();
             // No longer check fs, tmp, execFileSync
             expect(res.render).toHaveBeenCalledWith(
@@ -382,7 +1152,12 @@ describe('Text Controller', () => {
 
             await postAddTextHandler(req, res);
 
-            expect(processPdfUpload).toHaveBeenCalledWith(mockPdfFile);
+            expect(processPdfUpload).toHaveBeenCalledWith(mockPdfFile, {
+                ocrLanguage: 'eng',
+                firstPage: null,
+                lastPage: null,
+                cleanupRules: ALL_PDF_CLEANUP_RULES,
+            });
             expect(db.add_text).not.toHaveBeenCalled();
             // No longer check fs, tmp, execFileSync
             expect(res.render).toHaveBeenCalledWith(
@@ -406,7 +1181,12 @@ describe('Text Controller', () => {
 
             await postAddTextHandler(req, res);
 
-            expect(processPdfUpload).toHaveBeenCalledWith(mockPdfFile);
+            expect(processPdfUpload).toHaveBeenCalledWith(mockPdfFile, {
+                ocrLanguage: 'eng',
+                firstPage: null,
+                lastPage: null,
+                cleanupRules: ALL_PDF_CLEANUP_RULES,
+            });
             expect(db.add_text).not.toHaveBeenCalled();
             // No longer check fs, tmp, execFileSync
             expect(res.render).toHaveBeenCalledWith(
@@ -434,7 +1214,12 @@ describe('Text Controller', () => {
 
             await postAddTextHandler(req, res);
 
-            expect(processPdfUpload).toHaveBeenCalledWith(mockPdfFile);
+            expect(processPdfUpload).toHaveBeenCalledWith(mockPdfFile, {
+                ocrLanguage: 'eng',
+                firstPage: null,
+                lastPage: null,
+                cleanupRules: ALL_PDF_CLEANUP_RULES,
+            });
             // Check db.add_text was called correctly before failing
             expect(db.add_text).toHaveBeenCalledWith(
                 req.session.user.id,
@@ -450,7 +1235,12 @@ describe('Text Controller', () => {
             // Re-run handler
             await postAddTextHandler(req, res);
 
-            expect(processPdfUpload).toHaveBeenCalledWith(mockPdfFile);
+            expect(processPdfUpload).toHaveBeenCalledWith(mockPdfFile, {
+                ocrLanguage: 'eng',
+                firstPage: null,
+                lastPage: null,
+                cleanupRules: ALL_PDF_CLEANUP_RULES,
+            });
             expect(db.add_text).toHaveBeenCalledWith(
                 req.session.user.id,
                 'PDF DB Fail',
@@ -551,6 +1341,77 @@ describe('Text Controller', () => {
         });
     });
 
+    // --- POST /add_text/preview ---
+    describe('POST /add_text/preview', () => {
+        const previewHandler = findHandler('post', '/add_text/preview');
+        const mockPdfFile = {
+            fieldname: 'pdfFile',
+            originalname: 'long.pdf',
+            mimetype: 'application/pdf',
+            buffer: Buffer.from('mock pdf content'),
+        };
+
+        test('should return the cleaned-up text of the first pages without saving it', async () => {
+            req = mockRequest(
+                {},
+                { pdf_first_page: '10', pdf_cleanup: ['', 'dehyphenate'] },
+                {},
+                {},
+                mockPdfFile
+            );
+            processPdfUpload.mockResolvedValue('Preview text.');
+
+            await previewHandler(req, res);
+
+            expect(processPdfUpload).toHaveBeenCalledWith(mockPdfFile, {
+                ocrLanguage: 'eng',
+                firstPage: 10,
+                lastPage: 14,
+                cleanupRules: {
+                    dehyphenate: true,
+                    headersFooters: false,
+                    pageNumbers: false,
+                    joinLines: false,
+                },
+            });
+            expect(res.json).toHaveBeenCalledWith({
+                success: true,
+                text: 'Preview text.',
+            });
+            expect(db.add_text).not.toHaveBeenCalled();
+        });
+
+        test('should return the error of the extraction', async () => {
+            req = mockRequest(
+                {},
+                { pdf_first_page: '8', pdf_last_page: '3' },
+                {},
+                {},
+                mockPdfFile
+            );
+            processPdfUpload.mockRejectedValue(
+                new Error('The last page cannot come before the first page.')
+            );
+
+            await previewHandler(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(res.json).toHaveBeenCalledWith({
+                success: false,
+                message: 'The last page cannot come before the first page.',
+            });
+        });
+
+        test('should require a supported document', async () => {
+            req = mockRequest({}, {}, {}, {}, null);
+
+            await previewHandler(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(processPdfUpload).not.toHaveBeenCalled();
+        });
+    });
+
     // --- GET /edit_text/:text_id ---
     describe('GET /edit_text/:text_id', () => {
         const getEditTextHandler = findHandler('get', '/edit_text/:text_id');
@@ -579,6 +1440,9 @@ describe('Text Controller', () => {
                 text: req.text, // Check the text attached by middleware mock
                 categories: [], // Expect categories array
                 error: null,
+                normalizationProfiles: expect.objectContaining({
+                    ascii: 'ASCII-friendly',
+                }),
             });
         });
 
@@ -622,6 +1486,32 @@ describe('Text Controller', () => {
             );
             expect(res.render).not.toHaveBeenCalled();
         });
+
+        test('should re-apply the chosen character normalization profile', async () => {
+            req = mockRequest(
+                {},
+                {
+                    title: 'Citation',
+                    content: '« Déjà vu » — ﬁn…',
+                    normalization: 'azerty',
+                },
+                {},
+                { text_id: '100' }
+            );
+            db.update_text.mockReturnValue(true);
+            cleanupText.mockImplementation(
+                jest.requireActual('../utils/textProcessing').cleanupText
+            );
+
+            await postEditTextHandler(req, res);
+
+            expect(db.update_text).toHaveBeenCalledWith(
+                '100',
+                'Citation',
+                '"Déjà vu" - fin...',
+                null
+            );
+        });
     }); // Close describe('POST /edit_text/:text_id', ...)
 
     // --- POST /delete_text/:text_id ---
@@ -648,5 +1538,218 @@ describe('Text Controller', () => {
         });
     }); // Close describe('POST /delete_text/:text_id', ...)
 
+    // --- POST /texts/summarize/:id ---
+    describe('POST /texts/summarize/:id', () => {
+        const postSummarizeHandler = findHandler(
+            'post',
+            '/texts/summarize/:id'
+        );
+        const originalText = {
+            id: 100,
+            user_id: 1,
+            title: 'Le chat',
+            content: 'Le chat dort. Il rêve de souris.',
+            category_id: 7,
+        };
+        const generateText = jest.fn();
+
+        beforeEach(() => {
+            getAiProvider.mockReturnValue({
+                name: 'mock',
+                model: 'mock',
+                generateText,
+            });
+            req = mockRequest({}, {}, {}, { id: '100' });
+            req.text = originalText; // Simulate requireOwnership
+        });
+
+        test('should save the summary of the configured AI provider as a new text', async () => {
+            generateText.mockResolvedValue('Un chat dort.');
+            db.add_text.mockReturnValue(101);
+
+            await postSummarizeHandler(req, res);
+
+            expect(generateText).toHaveBeenCalledWith(
+                expect.stringContaining(
+                    '---\nLe chat dort. Il rêve de souris.\n---'
+                )
+            );
+            expect(db.add_text).toHaveBeenCalledWith(
+                1,
+                'Summary of: Le chat',
+                'Un chat dort.',
+                7
+            );
+            expect(res.status).toHaveBeenCalledWith(201);
+            expect(res.json).toHaveBeenCalledWith({
+                message: 'Summary created successfully',
+                newTextId: 101,
+                newTextTitle: 'Summary of: Le chat',
+            });
+        });
+
+        test('should answer 503 when no AI provider is configured', async () => {
+            getAiProvider.mockReturnValue(null);
+
+            await postSummarizeHandler(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(503);
+            expect(db.add_text).not.toHaveBeenCalled();
+        });
+
+        test('should pass on the status of an AI provider error', async () => {
+            const error = new Error(
+                'Network error communicating with AI service.'
+            );
+            error.status = 504;
+            generateText.mockRejectedValue(error);
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+
+            await postSummarizeHandler(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(504);
+            expect(res.json).toHaveBeenCalledWith(
+                expect.objectContaining({
+                    message: 'Network error communicating with AI service.',
+                })
+            );
+            expect(db.add_text).not.toHaveBeenCalled();
+            console.error.mockRestore();
+        });
+
+        test('should stream the progress of a long summary when asked to', async () => {
+            const paragraph = 'Le chat dort au soleil. '.repeat(400).trim();
+            req.text = {
+                ...originalText,
+                content: `${paragraph}\n\n${paragraph}\n\n${paragraph}`,
+            };
+            req.headers.accept = 'application/x-ndjson';
+            req.body = { length: 'short', format: 'bullets' };
+            res.write = jest.fn();
+            res.end = jest.fn();
+            res.on = jest.fn();
+            generateText
+                .mockResolvedValueOnce('Partie 1.')
+                .mockResolvedValueOnce('Partie 2.')
+                .mockResolvedValueOnce('Partie 3.')
+                .mockResolvedValueOnce('- Un chat dort.');
+            db.add_text.mockReturnValue(101);
+
+            await postSummarizeHandler(req, res);
+
+            expect(generateText).toHaveBeenCalledTimes(4);
+            expect(generateText.mock.calls[3][0]).toContain(
+                'a short summary of a few sentences of the whole document'
+            );
+            expect(generateText.mock.calls[3][0]).toContain('bulleted list');
+            expect(db.add_text).toHaveBeenCalledWith(
+                1,
+                'Summary of: Le chat',
+                '- Un chat dort.',
+                7
+            );
+            expect(res.status).toHaveBeenCalledWith(200);
+            expect(res.setHeader).toHaveBeenCalledWith(
+                'Content-Type',
+                'application/x-ndjson; charset=utf-8'
+            );
+            expect(
+                res.write.mock.calls.map(([line]) => JSON.parse(line))
+            ).toEqual([
+                { type: 'progress', stage: 'chunks', done: 0, total: 3 },
+                { type: 'progress', stage: 'chunks', done: 1, total: 3 },
+                { type: 'progress', stage: 'chunks', done: 2, total: 3 },
+                { type: 'progress', stage: 'final', done: 0, total: 1 },
+            ]);
+            expect(JSON.parse(res.end.mock.calls[0][0])).toEqual({
+                type: 'done',
+                status: 201,
+                message: 'Summary created successfully',
+                newTextId: 101,
+                newTextTitle: 'Summary of: Le chat',
+            });
+            expect(res.json).not.toHaveBeenCalled();
+        });
+    });
+
+    // --- POST /texts/translate/:id ---
+    describe('POST /texts/translate/:id', () => {
+        const postTranslateHandler = findHandler(
+            'post',
+            '/texts/translate/:id'
+        );
+        const originalText = {
+            id: 100,
+            user_id: 1,
+            title: 'Le chat',
+            content: 'Le chat dort.\n\nIl rêve de souris.',
+            category_id: 7,
+        };
+        const generateText = jest.fn();
+
+        beforeEach(() => {
+            getAiProvider.mockReturnValue({
+                name: 'mock',
+                model: 'mock',
+                generateText,
+            });
+            req = mockRequest({}, { language: 'en' }, {}, { id: '100' });
+            req.text = originalText; // Simulate requireOwnership
+        });
+
+        test('should save the translation as a copy linked to its original', async () => {
+            generateText.mockResolvedValue(
+                '{"translations": ["The cat sleeps.", "It dreams of mice."]}'
+            );
+            db.add_translation.mockReturnValue(101);
+
+            await postTranslateHandler(req, res);
+
+            expect(generateText).toHaveBeenCalledTimes(1);
+            expect(db.add_translation).toHaveBeenCalledWith(
+                1,
+                100,
+                'English translation of: Le chat',
+                'The cat sleeps.\n\nIt dreams of mice.',
+                7,
+                'en'
+            );
+            expect(res.status).toHaveBeenCalledWith(201);
+            expect(res.json).toHaveBeenCalledWith({
+                message: 'Translation created successfully',
+                newTextId: 101,
+                newTextTitle: 'English translation of: Le chat',
+            });
+        });
+
+        test('should refuse a language that is not offered', async () => {
+            req.body = { language: 'xx' };
+
+            await postTranslateHandler(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(res.json).toHaveBeenCalledWith({
+                message: 'Please choose a language to translate into.',
+            });
+            expect(generateText).not.toHaveBeenCalled();
+        });
+
+        test('should answer 500 when the translation cannot be saved', async () => {
+            generateText.mockResolvedValue(
+                '{"translations": ["The cat sleeps.", "It dreams of mice."]}'
+            );
+            db.add_translation.mockReturnValue(-1);
+
+            await postTranslateHandler(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(500);
+            expect(res.json).toHaveBeenCalledWith(
+                expect.objectContaining({
+                    message: 'Failed to save the translation to the database.',
+                })
+            );
+        });
+    });
+
     // --- Practice routes tests moved to __tests__/practiceController.test.js ---
 });
@@ -0,0 +1,230 @@
+const AdmZip = require('adm-zip');
+const {
+    cleanupText,
+    getDocumentType,
+    processDocxUpload,
+    processOdtUpload,
+    processMarkupUpload,
+} = require('../utils/textProcessing');
+
+/**
+ * Builds an office document (a ZIP archive) in memory.
+ * @param {string} entryName - The path of the XML body inside the archive.
+ * @param {string} xml - The XML body.
+ * @returns {Buffer} - The file content.
+ */
+const buildDocument = (entryName, xml) => {
+    const zip = new AdmZip();
+    zip.addFile(entryName, Buffer.from(xml));
+    return zip.toBuffer();
+};
+
+const DOCX_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+  <w:body>
+    <w:p>
+      <w:pPr><w:pStyle w:val="Heading1"/><w:tabs><w:tab w:val="left" w:pos="720"/></w:tabs></w:pPr>
+      <w:r><w:t>Rapport annuel</w:t></w:r>
+    </w:p>
+    <w:p>
+      <w:r><w:t xml:space="preserve">Les r</w:t></w:r><w:r><w:rPr><w:b/></w:rPr><w:t>ésultats</w:t></w:r>
+      <w:r><w:t xml:space="preserve"> sont bons &amp; stables.</w:t></w:r>
+      <w:del><w:r><w:delText>Texte supprimé</w:delText></w:r></w:del>
+    </w:p>
+    <w:p/>
+    <w:p>
+      <w:r><w:t>Colonne</w:t><w:tab/><w:t>valeur</w:t><w:br/><w:t>Suite</w:t></w:r>
+    </w:p>
+  </w:body>
+</w:document>`;
+
+const ODT_XML = `<?xml version="1.0" encoding="UTF-8"?>
+<office:document-content xmlns:office="urn:oasis:names:tc:opendocument:xmlns:office:1.0" xmlns:text="urn:oasis:names:tc:opendocument:xmlns:text:1.0">
+  <office:body>
+    <office:text>
+      <text:h text:outline-level="1">Compte rendu</text:h>
+      <text:p text:style-name="P1">Une <text:span text:style-name="T1">phrase</text:span>
+        avec<text:s text:c="2"/>des espaces.<text:note text:note-class="footnote"><text:note-body><text:p>Note de bas de page</text:p></text:note-body></text:note></text:p>
+      <text:p text:style-name="P1"/>
+      <text:list><text:list-item><text:p>Premier point<text:line-break/>suite</text:p></text:list-item></text:list>
+    </office:text>
+  </office:body>
+</office:document-content>`;
+
+describe('Text Processing', () => {
+    describe('cleanupText normalization profiles', () => {
+        const TEXT =
+            '« L’œuvre » — une ﬁn\u00A0heureuse… 3 × 4 ≤ 15 €\nÉlève, Straße, Ñandú • fin';
+
+        test('should keep the original characters by default', () => {
+            expect(cleanupText(TEXT)).toBe(
+                "« L'œuvre » — une ﬁn\u00A0heureuse… 3 × 4 ≤ 15 €\nÉlève, Straße, Ñandú • fin"
+            );
+            expect(cleanupText(TEXT, 'bogus')).toBe(cleanupText(TEXT));
+        });
+
+        test('should only keep ASCII characters with the ASCII-friendly profile', () => {
+            expect(cleanupText(TEXT, 'ascii')).toBe(
+                `"L'oeuvre" - une fin heureuse... 3 x 4 <= 15 EUR\nEleve, Strasse, Nandu - fin`
+            );
+        });
+
+        test('should keep the accented letters of a French keyboard with the AZERTY-friendly profile', () => {
+            expect(cleanupText(TEXT, 'azerty')).toBe(
+                `"L'oeuvre" - une fin heureuse... 3 x 4 <= 15 €\nElève, Strasse, Nandu - fin`
+            );
+            expect(cleanupText('Noël, ça, où, Ôter, À bientôt', 'azerty')).toBe(
+                'Noël, ça, où, Ôter, A bientôt'
+            );
+        });
+
+        test('should leave other scripts unchanged', () => {
+            expect(cleanupText('Ελληνικά и русский', 'ascii')).toBe(
+                'Ελληνικά и русский'
+            );
+        });
+    });
+
+    describe('getDocumentType', () => {
+        test('should detect the document type from the MIME type or the extension', () => {
+            expect(
+                getDocumentType({
+                    mimetype: 'application/pdf',
+                    originalname: 'a',
+                })
+            ).toBe('pdf');
+            expect(
+                getDocumentType({
+                    mimetype:
+                        'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+                    originalname: 'a',
+                })
+            ).toBe('docx');
+            expect(
+                getDocumentType({
+                    mimetype: 'application/octet-stream',
+                    originalname: 'Notes.ODT',
+                })
+            ).toBe('odt');
+            expect(
+                getDocumentType({
+                    mimetype: 'application/msword',
+                    originalname: 'old.doc',
+                })
+            ).toBeNull();
+        });
+    });
+
+    describe('processDocxUpload', () => {
+        test('should extract paragraphs in reading order, headings on their own line', async () => {
+            const buffer = buildDocument('word/document.xml', DOCX_XML);
+
+            const text = await processDocxUpload({
+                originalname: 'rapport.docx',
+                buffer,
+            });
+
+            expect(text).toBe(
+                'Rapport annuel\nLes résultats sont bons & stables.\nColonne valeur\nSuite'
+            );
+        });
+
+        test('should throw when the document body is missing', async () => {
+            const buffer = buildDocument('other.xml', '<xml/>');
+
+            await expect(
+                processDocxUpload({ originalname: 'a.docx', buffer })
+            ).rejects.toThrow(
+                'Error processing DOCX: the document body (word/document.xml) could not be found.'
+            );
+        });
+
+        test('should throw when the file is not an archive', async () => {
+            await expect(
+                processDocxUpload({
+                    originalname: 'a.docx',
+                    buffer: Buffer.from('not a zip'),
+                })
+            ).rejects.toThrow('Error processing DOCX');
+        });
+
+        test('should not unzip a document body beyond the size limit', async () => {
+            // 51 MB of text that compresses to almost nothing
+            const buffer = buildDocument(
+                'word/document.xml',
+                `<w:document><w:body><w:p><w:r><w:t>${'a'.repeat(51 * 1024 * 1024)}</w:t></w:r></w:p></w:body></w:document>`
+            );
+
+            await expect(
+                processDocxUpload({ originalname: 'a.docx', buffer })
+            ).rejects.toThrow('This file is too large once unzipped.');
+        });
+    });
+
+    describe('processOdtUpload', () => {
+        test('should extract headings and paragraphs, without footnotes', async () => {
+            const buffer = buildDocument('content.xml', ODT_XML);
+
+            const text = await processOdtUpload({
+                originalname: 'compte-rendu.odt',
+                buffer,
+            });
+
+            expect(text).toBe(
+                'Compte rendu\nUne phrase avec des espaces.\nPremier point\nsuite'
+            );
+        });
+
+        test('should throw when the document has no text', async () => {
+            const buffer = buildDocument(
+                'content.xml',
+                '<office:document-content><office:body><text:p/></office:body></office:document-content>'
+            );
+
+            await expect(
+                processOdtUpload({ originalname: 'vide.odt', buffer })
+            ).rejects.toThrow(
+                'Could not extract any text from this ODT document.'
+            );
+        });
+    });
+
+    describe('processMarkupUpload', () => {
+        test('should convert Markdown with the given rules and keep plain text as it is', async () => {
+            const markdown = {
+                originalname: 'notes.md',
+                mimetype: 'application/octet-stream',
+                buffer: Buffer.from(
+                    '\uFEFF## Notes\n\nSee [docs](https://d.example).'
+                ),
+            };
+            const plainText = {
+                originalname: 'notes.txt',
+                mimetype: 'text/plain',
+                buffer: Buffer.from('## Notes *as typed*'),
+            };
+
+            await expect(processMarkupUpload(markdown)).resolves.toBe(
+                'Notes\nSee docs.'
+            );
+            await expect(
+                processMarkupUpload(markdown, { links: 'text-and-url' })
+            ).resolves.toBe('Notes\nSee docs (https://d.example).');
+            await expect(processMarkupUpload(plainText)).resolves.toBe(
+                '## Notes *as typed*'
+            );
+        });
+
+        test('should throw when no text is left after conversion', async () => {
+            await expect(
+                processMarkupUpload({
+                    originalname: 'empty.html',
+                    mimetype: 'text/html',
+                    buffer: Buffer.from(
+                        '<html><body><img src="a.png"></body></html>'
+                    ),
+                })
+            ).rejects.toThrow('Could not extract any text from this file.');
+        });
+    });
+});
@@ -0,0 +1,94 @@
+const { translateText } = require('../services/translator');
+
+describe('Translator', () => {
+    test('should translate the lines of a text in one batch, keeping its empty lines', async () => {
+        const aiProvider = {
+            generateText: jest.fn(
+                async () =>
+                    '```json\n{"translations": ["The cat sleeps.", "It dreams\\nof mice."]}\n```'
+            ),
+        };
+        const onProgress = jest.fn();
+
+        await expect(
+            translateText(
+                aiProvider,
+                'Le chat dort.\n\nIl rêve de souris.\n',
+                'en',
+                { onProgress }
+            )
+        ).resolves.toBe('The cat sleeps.\n\nIt dreams of mice.\n');
+        expect(aiProvider.generateText).toHaveBeenCalledTimes(1);
+        const [prompt] = aiProvider.generateText.mock.calls[0];
+        expect(prompt).toContain('into English');
+        expect(prompt).toContain('exactly 2 translations');
+        expect(prompt).toContain('["Le chat dort.","Il rêve de souris."]');
+        expect(onProgress.mock.calls).toEqual([
+            [{ stage: 'translating', done: 0, total: 1 }],
+        ]);
+    });
+
+    test('should translate line by line when a batch answer does not match its lines', async () => {
+        const aiProvider = {
+            generateText: jest
+                .fn()
+                .mockResolvedValueOnce('{"translations": ["Merged lines."]}')
+                .mockResolvedValueOnce('The cat sleeps.')
+                .mockResolvedValueOnce(' It dreams of mice. '),
+        };
+
+        await expect(
+            translateText(aiProvider, 'Le chat dort.\nIl rêve de souris.', 'en')
+        ).resolves.toBe('The cat sleeps.\nIt dreams of mice.');
+        expect(aiProvider.generateText).toHaveBeenCalledTimes(3);
+        expect(aiProvider.generateText.mock.calls[2][0]).toContain(
+            '---\nIl rêve de souris.\n---'
+        );
+    });
+
+    test('should send long texts in several batches', async () => {
+        const line = 'Le chat dort au soleil.';
+        const aiProvider = {
+            generateText: jest.fn(async (prompt) =>
+                prompt.includes('JSON')
+                    ? JSON.stringify({
+                          translations: JSON.parse(
+                              prompt.split('\n---')[1].trim()
+                          ).map(() => 'The cat sleeps in the sun.'),
+                      })
+                    : ''
+            ),
+        };
+
+        const translation = await translateText(
+            aiProvider,
+            Array(6).fill(line).join('\n'),
+            'en',
+            { chunkSize: line.length * 2 }
+        );
+
+        expect(aiProvider.generateText).toHaveBeenCalledTimes(3);
+        expect(translation.split('\n')).toEqual(
+            Array(6).fill('The cat sleeps in the sun.')
+        );
+    });
+
+    test('should refuse unknown languages, blank texts and cancelled translations', async () => {
+        const aiProvider = { generateText: jest.fn() };
+        const abortController = new AbortController();
+        abortController.abort();
+
+        await expect(
+            translateText(aiProvider, 'Le chat dort.', 'xx')
+        ).rejects.toThrow('Cannot translate into "xx".');
+        await expect(translateText(aiProvider, ' \n \n', 'en')).rejects.toThrow(
+            'Cannot translate empty text.'
+        );
+        await expect(
+            translateText(aiProvider, 'Le chat dort.', 'en', {
+                signal: abortController.signal,
+            })
+        ).rejects.toThrow('The translation was cancelled.');
+        expect(aiProvider.generateText).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,145 @@
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const {
+    extractMainContent,
+    webPageToText,
+    fetchWebPage,
+} = require('../utils/webPageProcessing');
+
+const articleHtml = fs.readFileSync(
+    path.join(__dirname, 'web_article.html'),
+    'utf8'
+);
+
+describe('Web Page Processing', () => {
+    describe('webPageToText', () => {
+        test('should keep the article and drop navigation, ads, sidebars and footers', () => {
+            const { title, text } = webPageToText(articleHtml);
+
+            expect(title).toBe('A Short History of the Typewriter');
+            expect(text).toMatch(
+                /^The first commercially successful typewriter was invented in 1868/
+            );
+            expect(text).toContain('\nTouch typing\n');
+            expect(text).toContain(
+                '\nKeep your fingers on the home row.\nNever look at the keyboard while typing.\n'
+            );
+            [
+                'cookies',
+                'Subscribe',
+                'Sponsored',
+                'Related articles',
+                'Great article',
+                'Copyright',
+                'Privacy policy',
+            ].forEach((noise) => expect(text).not.toContain(noise));
+        });
+
+        test('should apply the markup rules to the article', () => {
+            const html = articleHtml.replace(
+                'Frank McGurrin',
+                '<a href="/mcgurrin">Frank McGurrin</a>'
+            );
+
+            const { text } = webPageToText(html, {
+                url: 'http://intranet.local/articles/typewriter',
+                markupRules: { links: 'text-and-url' },
+            });
+
+            expect(text).toContain(
+                'Frank McGurrin (http://intranet.local/mcgurrin)'
+            );
+        });
+
+        test('should throw when the page has no main content', () => {
+            expect(extractMainContent('<html><body></body></html>')).toEqual({
+                title: null,
+                content: null,
+            });
+            expect(() =>
+                webPageToText(
+                    '<html><head><title>Gallery</title></head><body><img src="a.png"></body></html>'
+                )
+            ).toThrow('Could not find the main content of this web page.');
+        });
+    });
+
+    describe('fetchWebPage', () => {
+        let server;
+        let baseUrl;
+
+        beforeAll(
+            () =>
+                new Promise((resolve) => {
+                    server = http.createServer((req, res) => {
+                        if (req.url === '/article') {
+                            res.writeHead(200, {
+                                'Content-Type': 'text/html; charset=utf-8',
+                            });
+                            res.end(articleHtml);
+                        } else if (req.url === '/data.json') {
+                            res.writeHead(200, {
+                                'Content-Type': 'application/json',
+                            });
+                            res.end('{}');
+                        } else if (req.url === '/endless') {
+                            // A page without Content-Length that never ends:
+                            // only aborting the download stops it
+                            res.writeHead(200, {
+                                'Content-Type': 'text/html; charset=utf-8',
+                            });
+                            const chunk = '<p>Line</p>'.repeat(10000);
+                            const writeChunk = () => {
+                                if (!res.destroyed)
+                                    res.write(chunk, writeChunk);
+                            };
+                            writeChunk();
+                        } else {
+                            res.writeHead(404);
+                            res.end();
+                        }
+                    });
+                    server.listen(0, '127.0.0.1', () => {
+                        baseUrl = `http://127.0.0.1:${server.address().port}`;
+                        resolve();
+                    });
+                })
+        );
+
+        afterAll(
+            () =>
+                new Promise((resolve) => {
+                    server.close(resolve);
+                })
+        );
+
+        test('should download a page from a local address', async () => {
+            const page = await fetchWebPage(`${baseUrl}/article`);
+
+            expect(page.url).toBe(`${baseUrl}/article`);
+            expect(page.html).toBe(articleHtml);
+        });
+
+        test('should reject missing pages, non-HTML content and invalid addresses', async () => {
+            await expect(fetchWebPage(`${baseUrl}/missing`)).rejects.toThrow(
+                'Could not download the web page (HTTP 404).'
+            );
+            await expect(fetchWebPage(`${baseUrl}/data.json`)).rejects.toThrow(
+                'This address does not point to a web page (HTML).'
+            );
+            await expect(fetchWebPage('file:///etc/passwd')).rejects.toThrow(
+                'Please enter a valid web page address'
+            );
+            await expect(fetchWebPage('not a url')).rejects.toThrow(
+                'Please enter a valid web page address'
+            );
+        });
+
+        test('should stop downloading a page once it is too large', async () => {
+            await expect(fetchWebPage(`${baseUrl}/endless`)).rejects.toThrow(
+                'This web page is too large to be imported.'
+            );
+        });
+    });
+});
@@ -0,0 +1,114 @@
+const AdmZip = require('adm-zip');
+const { isZipFile, readZipDocuments } = require('../utils/zipProcessing');
+
+/**
+ * Builds a ZIP archive in memory.
+ * @param {Array<string>} entryNames - The paths of the entries (a trailing slash for a folder).
+ * @returns {object} - The uploaded file (multer file object).
+ */
+const buildZip = (entryNames) => {
+    const zip = new AdmZip();
+    entryNames.forEach((entryName) => {
+        zip.addFile(entryName, Buffer.from(`Content of ${entryName}`));
+    });
+    return { originalname: 'archive.zip', buffer: zip.toBuffer() };
+};
+
+describe('ZIP Processing', () => {
+    test('should detect ZIP files from the MIME type or the extension', () => {
+        expect(
+            isZipFile({ mimetype: 'application/zip', originalname: 'a' })
+        ).toBe(true);
+        expect(
+            isZipFile({
+                mimetype: 'application/octet-stream',
+                originalname: 'Notes.ZIP',
+            })
+        ).toBe(true);
+        expect(
+            isZipFile({
+                mimetype: 'application/epub+zip',
+                originalname: 'book.epub',
+            })
+        ).toBe(false);
+        expect(isZipFile(undefined)).toBe(false);
+    });
+
+    test('should list the files of a zipped folder in natural order, without system files', () => {
+        const archive = readZipDocuments(
+            buildZip([
+                'Cours/',
+                'Cours/Semaine 10/notes.md',
+                'Cours/Semaine 2/notes.md',
+                'Cours/Semaine 2/.DS_Store',
+                'Cours/plan.pdf',
+                'Cours/Thumbs.db',
+                '__MACOSX/Cours/._plan.pdf',
+            ])
+        );
+
+        expect(archive.name).toBe('Cours');
+        expect(
+            archive.documents.map(({ path, folders }) => ({ path, folders }))
+        ).toEqual([
+            { path: 'plan.pdf', folders: [] },
+            { path: 'Semaine 2/notes.md', folders: ['Semaine 2'] },
+            { path: 'Semaine 10/notes.md', folders: ['Semaine 10'] },
+        ]);
+        expect(archive.documents[1].unzip()).toEqual({
+            originalname: 'notes.md',
+            mimetype: 'application/octet-stream',
+            buffer: Buffer.from('Content of Cours/Semaine 2/notes.md'),
+            size: 35,
+        });
+    });
+
+    test('should keep the top-level folders of an archive that is not a single zipped folder', () => {
+        const archive = readZipDocuments(
+            buildZip(['Maths/cours.md', 'Physique/tp.txt'])
+        );
+
+        expect(archive.name).toBeNull();
+        expect(archive.documents.map((document) => document.folders)).toEqual([
+            ['Maths'],
+            ['Physique'],
+        ]);
+    });
+
+    test('should throw when the archive is invalid or has no files', () => {
+        expect(() =>
+            readZipDocuments({ buffer: Buffer.from('not a zip') })
+        ).toThrow('Error processing ZIP: the file is not a valid archive.');
+        expect(() => readZipDocuments(buildZip(['.hidden']))).toThrow(
+            'This ZIP archive does not contain any files.'
+        );
+    });
+
+    test('should not trust the sizes written in the archive when unzipping', () => {
+        const zip = new AdmZip();
+        zip.addFile('bomb.txt', Buffer.alloc(60 * 1024 * 1024)); // Zeros compress very well
+        zip.addFile('notes.txt', Buffer.from('Notes'));
+        const buffer = zip.toBuffer();
+        // Forge the uncompressed sizes of the local and central headers: a 1-byte file
+        [
+            [0x04034b50, 22],
+            [0x02014b50, 24],
+        ].forEach(([signature, sizeOffset]) => {
+            for (let offset = 0; offset < buffer.length - 4; offset += 1) {
+                if (buffer.readUInt32LE(offset) === signature) {
+                    buffer.writeUInt32LE(1, offset + sizeOffset);
+                }
+            }
+        });
+
+        const archive = readZipDocuments({
+            originalname: 'archive.zip',
+            buffer,
+        });
+
+        expect(() => archive.documents[0].unzip()).toThrow(
+            'This file is too large once unzipped.'
+        );
+        expect(archive.documents[1].unzip().buffer.toString()).toBe('Notes');
+    });
+});
@@ -7,12 +7,83 @@ const {
     requireOwnership,
 } = require('../middleware/authMiddleware'); // Import authentication middleware
 const db = require('../models/db'); // Import database functions from the model
+const { generateDrill } = require('../utils/drillGenerator');
+const { buildRedirectUrl } = require('../utils/urlUtils');
+const { buildGhostPace } = require('../utils/ghostPace');
+const {
+    accuracyToGrade,
+    scheduleReview,
+    splitIntoChunks,
+} = require('../utils/spacedRepetition');
+const { getAiProvider } = require('../services/aiProvider');
+const {
+    generateQuiz,
+    toPublicQuestions,
+    gradeQuiz,
+} = require('../services/comprehensionQuiz');
+const { extractKeyTerms } = require('../services/keyTerms');
+
+// Coins earned per correct answer to the comprehension quiz taken after typing a whole text
+const QUIZ_COINS_PER_CORRECT_ANSWER = 1;
 
 // --- Practice Routes ---
 
+/**
+ * Route: GET /drill
+ * Description: Builds a "weak keys" drill from words of the user's own texts that are dense in the
+ *              characters they mistype the most, and displays it on the regular practice page.
+ *              Must be registered before GET /:text_id.
+ * Middleware: requireLogin
+ */
+router.get('/drill', requireLogin, (req, res) => {
+    const userId = req.session.user.id;
+
+    const errorCounts = db.get_key_error_counts(userId);
+    if (errorCounts.length === 0) {
+        return res.redirect(
+            buildRedirectUrl('/profile', {
+                message:
+                    'No typing errors recorded yet. Practice a few texts before starting a drill.',
+            })
+        );
+    }
+
+    const drill = generateDrill(db.get_text_contents(userId), errorCounts);
+    if (!drill) {
+        return res.redirect(
+            buildRedirectUrl('/profile', {
+                message:
+                    'None of your texts contain the keys you miss most. Add more texts to build a drill.',
+            })
+        );
+    }
+
+    if (process.env.NODE_ENV === 'development') {
+        console.log(
+            `Drill generated for user ${userId}, focus characters: ${drill.focusChars.join(' ')}`
+        );
+    }
+
+    // Drills are generated on the fly: no text ID, no saved progress and no session log
+    res.render('practice', {
+        user: req.session.user,
+        text: {
+            id: '',
+            title: `Weak Keys Drill (${drill.focusChars.join(' ')})`,
+            content: drill.content,
+            progress_index: 0,
+        },
+        sessionId: null,
+        isDrill: true,
+        typingMode: db.get_typing_mode(userId),
+    });
+});
+
 /**
  * Route: GET /:text_id
  * Description: Displays the typing practice page for a specific text. Corresponds to GET /practice/:text_id in original file.
+ *              With `?chunk=N`, only paragraph N of the text is practiced (spaced-repetition review of a passage);
+ *              progress is not saved in that case since it doesn't map onto the full text.
  * Middleware:
  *   - `requireLogin`: Ensures user is logged in.
  *   - `requireOwnership`: Ensures the logged-in user owns the text specified by `:text_id`.
@@ -28,14 +99,99 @@ router.get('/:text_id', requireLogin, requireOwnership, (req, res) => {
     // Fetch text data *including* user progress
     const textData = db.get_text(textId, userId); // Use original get_text
 
+    // Paragraphs of the text, offered for passage reviews
+    const chunks = splitIntoChunks(textData.content);
+
+    // Optional paragraph to practice on its own (ignored if out of range)
+    let chunkIndex = null;
+    const requestedChunk = parseInt(req.query.chunk, 10);
+    if (
+        !Number.isNaN(requestedChunk) &&
+        requestedChunk >= 0 &&
+        requestedChunk < chunks.length
+    ) {
+        chunkIndex = requestedChunk;
+    }
+
+    // Ghost racer: the pace of the user's best recorded run on the whole text (looked up before this visit's session exists)
+    let ghost = null;
+    const bestSession =
+        chunkIndex === null
+            ? db.get_best_recorded_session(userId, textId)
+            : null;
+    if (bestSession) {
+        const pace = buildGhostPace(db.get_session_keystrokes(bestSession.id));
+        if (pace.length > 0) {
+            ghost = {
+                wpm: bestSession.wpm,
+                started_at: bestSession.started_at,
+                pace,
+            };
+        }
+    }
+
+    // Translations can be typed next to their original, line for line (not when practicing a single paragraph)
+    const translationSource =
+        chunkIndex === null ? db.get_translation_source(textId, userId) : null;
+
+    // Record this visit as a new practice session (stats are filled in by the client as the user types)
+    const typingMode = db.get_typing_mode(userId);
+    const newSessionId = db.start_practice_session(userId, textId, {
+        typing_mode: typingMode,
+        chunk_index: chunkIndex, // A paragraph review is not a run of the whole text (see the ghost above)
+    });
+    const sessionId = newSessionId !== -1 ? newSessionId : null;
+
     // Render the 'practice.ejs' view, passing user and the full text data (including progress)
     res.render('practice', {
         user: req.session.user,
-        text: textData, // Pass the object containing id, title, content, progress_index
+        text:
+            chunkIndex === null
+                ? textData // Pass the object containing id, title, content, progress_index
+                : {
+                      ...textData,
+                      title: `${textData.title} (paragraph ${chunkIndex + 1}/${chunks.length})`,
+                      content: chunks[chunkIndex],
+                      progress_index: 0,
+                  },
+        sessionId, // Null if the session could not be created (practice still works, it just isn't logged)
+        chunkIndex,
+        chunkCount: chunks.length,
+        ghost, // Null on a first run, or when practicing a single paragraph
+        translationSource, // { id, title, content, translation_language } of the original, or null
+        typingMode,
     });
      
 });
 
+/**
+ * Route: GET /replay/:session_id
+ * Description: Plays a recorded practice session back keystroke by keystroke, in the practice line display,
+ *              so hesitations and corrections can be seen and not just the final numbers.
+ * Middleware: requireLogin
+ */
+router.get('/replay/:session_id', requireLogin, (req, res) => {
+    const userId = req.session.user.id;
+    const sessionId = parseInt(req.params.session_id, 10);
+
+    const practiceSession = Number.isNaN(sessionId)
+        ? null
+        : db.get_practice_session(sessionId, userId);
+    if (!practiceSession) {
+        return res.redirect(
+            buildRedirectUrl('/profile', {
+                message: 'Practice session not found.',
+            })
+        );
+    }
+
+    res.render('replay', {
+        user: req.session.user,
+        practiceSession,
+        recordedLines: db.get_session_keystrokes(sessionId), // Empty if nothing was recorded
+    });
+});
+
 /**
  * Route: POST /api/progress
  * Description: Saves the user's typing progress for a specific text. Corresponds to POST /api/progress in original file.
@@ -69,6 +225,310 @@ router.post('/api/progress', requireLogin, (req, res) => {
     }    
 );
 
+// Durations (in seconds) offered for timed tests
+const TIMED_TEST_DURATIONS = [15, 30, 60, 120];
+
+/**
+ * API Route: POST /practice/api/session
+ * Description: Starts a new practice session on a text without reloading the page: a timed test (logged as
+ *              its own session so timed scores can be compared), free typing again when leaving a timed test,
+ *              or a session in another typing mode.
+ * Middleware: requireLogin
+ * Request Body: { text_id: number, time_limit_seconds?: number (one of TIMED_TEST_DURATIONS, omit for free typing),
+ *                 typing_mode?: string (one of db.TYPING_MODES, omit for the user's setting),
+ *                 chunk_index?: number (the paragraph practiced on its own, omit for the whole text) }
+ * Response:
+ *  - 201 Created: { success: true, sessionId: number }
+ *  - 400 Bad Request: { success: false, message: string } (for invalid input)
+ *  - 404 Not Found: { success: false, message: string } (text not found or not owned)
+ *  - 500 Internal Server Error: { success: false, message: string }
+ */
+router.post('/api/session', requireLogin, (req, res) => {
+    const userId = req.session.user.id;
+    const textIdNum = parseInt(req.body.text_id, 10);
+    const { time_limit_seconds, typing_mode, chunk_index } = req.body;
+    const chunkIndex =
+        chunk_index === undefined || chunk_index === null
+            ? null // The whole text
+            : parseInt(chunk_index, 10);
+    const timeLimit =
+        time_limit_seconds === undefined || time_limit_seconds === null
+            ? null // Free typing
+            : parseInt(time_limit_seconds, 10);
+    const typingMode =
+        typing_mode === undefined || typing_mode === null
+            ? db.get_typing_mode(userId)
+            : typing_mode;
+
+    // --- Validate Input ---
+    if (
+        Number.isNaN(textIdNum) ||
+        (timeLimit !== null && !TIMED_TEST_DURATIONS.includes(timeLimit)) ||
+        !db.TYPING_MODES.includes(typingMode) ||
+        Number.isNaN(chunkIndex) ||
+        chunkIndex < 0
+    ) {
+        console.error(
+            `Session start failed: Invalid data. Body:`,
+            req.body,
+            `User: ${userId}`
+        );
+        return res.status(400).json({
+            success: false,
+            message: 'Invalid session data provided.',
+        });
+    }
+
+    const text = db.get_text(textIdNum, userId);
+    if (!text || text.user_id !== userId) {
+        return res.status(404).json({
+            success: false,
+            message: 'Text not found.',
+        });
+    }
+
+    const sessionId = db.start_practice_session(userId, textIdNum, {
+        session_type: timeLimit === null ? 'free' : 'timed',
+        time_limit_seconds: timeLimit,
+        typing_mode: typingMode,
+        chunk_index: chunkIndex,
+    });
+    if (sessionId === -1) {
+        return res.status(500).json({
+            success: false,
+            message: 'Database error starting the practice session.',
+        });
+    }
+    res.status(201).json({ success: true, sessionId });
+});
+
+/**
+ * API Route: POST /practice/api/typing-mode
+ * Description: Saves the typing mode setting of the user (used for the next sessions).
+ * Middleware: requireLogin
+ * Request Body: { typing_mode: string (one of db.TYPING_MODES) }
+ * Response:
+ *  - 200 OK: { success: true }
+ *  - 400 Bad Request: { success: false, message: string } (for invalid input)
+ *  - 500 Internal Server Error: { success: false, message: string }
+ */
+router.post('/api/typing-mode', requireLogin, (req, res) => {
+    const userId = req.session.user.id;
+    const { typing_mode } = req.body;
+
+    if (!db.TYPING_MODES.includes(typing_mode)) {
+        return res.status(400).json({
+            success: false,
+            message: 'Invalid typing mode.',
+        });
+    }
+
+    if (!db.set_typing_mode(userId, typing_mode)) {
+        return res.status(500).json({
+            success: false,
+            message: 'Database error saving the typing mode.',
+        });
+    }
+    res.status(200).json({ success: true });
+});
+
+/**
+ * API Route: POST /practice/api/session/:session_id
+ * Description: Updates the statistics of the current practice session (sent by the client after each line, skip and on completion).
+ * Middleware: requireLogin
+ * Request Body: { wpm: number, accuracy: number, errors: number, lines_completed: number, lines_skipped: number,
+ *                 gross_wpm?: number (timed tests only), completed?: boolean (every line typed, none skipped) }
+ * Response:
+ *  - 200 OK: { success: true }
+ *  - 400 Bad Request: { success: false, message: string } (for invalid input)
+ *  - 404 Not Found: { success: false, message: string } (session not found or not owned)
+ */
+router.post('/api/session/:session_id', requireLogin, (req, res) => {
+    const userId = req.session.user.id;
+    const sessionId = parseInt(req.params.session_id, 10);
+    const {
+        wpm,
+        accuracy,
+        errors,
+        lines_completed,
+        lines_skipped,
+        gross_wpm,
+        completed,
+    } = req.body;
+
+    const stats = {
+        wpm: parseInt(wpm, 10),
+        accuracy: parseFloat(accuracy),
+        errors: parseInt(errors, 10),
+        lines_completed: parseInt(lines_completed, 10),
+        lines_skipped: parseInt(lines_skipped, 10),
+    };
+
+    // --- Validate Input ---
+    const hasInvalidValue = Object.values(stats).some(
+        (value) => Number.isNaN(value) || value < 0
+    );
+    const grossWpm =
+        gross_wpm === undefined || gross_wpm === null
+            ? null
+            : parseInt(gross_wpm, 10);
+    if (
+        Number.isNaN(sessionId) ||
+        hasInvalidValue ||
+        stats.accuracy > 100 ||
+        Number.isNaN(grossWpm) ||
+        grossWpm < 0
+    ) {
+        console.error(
+            `Session update failed: Invalid data. Body:`,
+            req.body,
+            `User: ${userId}, Session: ${req.params.session_id}`
+        );
+        return res.status(400).json({
+            success: false,
+            message: 'Invalid session statistics data provided.',
+        });
+    }
+
+    const success = db.update_practice_session(sessionId, userId, {
+        ...stats,
+        gross_wpm: grossWpm,
+        completed: completed === true,
+    });
+    if (success) {
+        res.status(200).json({ success: true });
+    } else {
+        res.status(404).json({
+            success: false,
+            message: 'Practice session not found.',
+        });
+    }
+});
+
+// Upper bounds on a batch of recorded keystrokes (the client sends one batch per line)
+const MAX_KEYSTROKES_PER_BATCH = 500;
+const MAX_RECORDED_LINE_LENGTH = 1000;
+
+// Helper function to validate one recorded input event: [milliseconds since the first keystroke, input value]
+function isValidKeystroke(event) {
+    return (
+        Array.isArray(event) &&
+        event.length === 2 &&
+        Number.isFinite(event[0]) &&
+        event[0] >= 0 &&
+        typeof event[1] === 'string' &&
+        event[1].length <= MAX_RECORDED_LINE_LENGTH
+    );
+}
+
+/**
+ * API Route: POST /practice/api/session/:session_id/keystrokes
+ * Description: Stores a batch of input events typed on one line of a practice session, for the replay page.
+ * Middleware: requireLogin
+ * Request Body: { line_text: string, events: Array<[number, string]> }
+ * Response:
+ *  - 200 OK: { success: true }
+ *  - 400 Bad Request: { success: false, message: string } (for invalid input)
+ *  - 404 Not Found: { success: false, message: string } (session not found or not owned)
+ */
+router.post('/api/session/:session_id/keystrokes', requireLogin, (req, res) => {
+    const userId = req.session.user.id;
+    const sessionId = parseInt(req.params.session_id, 10);
+    const { line_text, events } = req.body;
+
+    // --- Validate Input ---
+    const isValidBatch =
+        !Number.isNaN(sessionId) &&
+        typeof line_text === 'string' &&
+        line_text.length <= MAX_RECORDED_LINE_LENGTH &&
+        Array.isArray(events) &&
+        events.length > 0 &&
+        events.length <= MAX_KEYSTROKES_PER_BATCH &&
+        events.every(isValidKeystroke);
+    if (!isValidBatch) {
+        console.error(
+            `Keystroke recording failed: Invalid data. User: ${userId}, Session: ${req.params.session_id}`
+        );
+        return res.status(400).json({
+            success: false,
+            message: 'Invalid keystroke data provided.',
+        });
+    }
+
+    // Millisecond precision is plenty for a replay
+    const roundedEvents = events.map(([time, value]) => [
+        Math.round(time),
+        value,
+    ]);
+    if (
+        db.add_session_keystrokes(sessionId, userId, line_text, roundedEvents)
+    ) {
+        res.status(200).json({ success: true });
+    } else {
+        res.status(404).json({
+            success: false,
+            message: 'Practice session not found.',
+        });
+    }
+});
+
+// Upper bound on the number of mistyped characters accepted in a single batch
+const MAX_KEY_ERRORS_PER_BATCH = 200;
+
+// Helper function to check that a value is exactly one character (counting astral symbols as one)
+function isSingleChar(value) {
+    return typeof value === 'string' && Array.from(value).length === 1;
+}
+
+/**
+ * API Route: POST /practice/api/key-errors
+ * Description: Records a batch of mistyped characters (which character was expected, which one was typed)
+ *              for the logged-in user. Used by the keyboard heatmap on the profile page.
+ * Middleware: requireLogin
+ * Request Body: { errors: Array<{ expected: string, typed: string }> }
+ * Response:
+ *  - 200 OK: { success: true }
+ *  - 400 Bad Request: { success: false, message: string } (for invalid input)
+ *  - 500 Internal Server Error: { success: false, message: string }
+ */
+router.post('/api/key-errors', requireLogin, (req, res) => {
+    const userId = req.session.user.id;
+    const { errors } = req.body;
+
+    // --- Validate Input ---
+    const isValidBatch =
+        Array.isArray(errors) &&
+        errors.length > 0 &&
+        errors.length <= MAX_KEY_ERRORS_PER_BATCH &&
+        errors.every(
+            (pair) =>
+                pair &&
+                isSingleChar(pair.expected) &&
+                isSingleChar(pair.typed) &&
+                pair.expected !== pair.typed
+        );
+    if (!isValidBatch) {
+        console.error(
+            `Key errors failed: Invalid data. User: ${userId}, Body:`,
+            req.body
+        );
+        return res.status(400).json({
+            success: false,
+            message: 'Invalid key error data provided.',
+        });
+    }
+
+    const pairs = errors.map(({ expected, typed }) => ({ expected, typed }));
+    if (db.record_key_errors(userId, pairs)) {
+        res.status(200).json({ success: true });
+    } else {
+        res.status(500).json({
+            success: false,
+            message: 'Database error recording key errors.',
+        });
+    }
+});
+
 /**
  * API Route: POST /practice/line-complete
  * Description: Increments user coins and updates incremental statistics (time, accuracy) after a line is completed.
@@ -222,35 +682,271 @@ router.post('/penalty', requireLogin, (req, res) => {
 
 /**
  * API Route: POST /api/complete
- * Description: Records the completion of a practice session by incrementing the texts_practiced count.
+ * Description: Records the completion of a practice session. Completing a whole text increments the
+ *              texts_practiced count. When the accuracy is provided, it is converted into a recall grade
+ *              and the next spaced-repetition review of the text (or of the practiced paragraph) is scheduled.
  * Middleware: requireLogin
- * Request Body: { text_id: number }
+ * Request Body: { text_id: number, accuracy?: number (0-100), chunk_index?: number (paragraph reviews only) }
  * Response:
- *  - 200 OK: { success: true }
+ *  - 200 OK: { success: true, nextReviewInDays: number | null }
  *  - 400 Bad Request: { success: false, message: string }
+ *  - 404 Not Found: { success: false, message: string } (text not found or not owned)
  *  - 500 Internal Server Error: { success: false, message: string }
  */
 router.post('/api/complete', requireLogin, (req, res) => {
     const userId = req.session.user.id;
-    const { text_id } = req.body; // Only need text_id now
+    const { text_id, accuracy, chunk_index } = req.body;
 
+    // --- Validate Input ---
+    const textIdNum = parseInt(text_id, 10);
+    const accuracyNum = accuracy === undefined ? null : parseFloat(accuracy);
+    const chunkIndexNum =
+        chunk_index === undefined || chunk_index === null
+            ? -1 // Whole text
+            : parseInt(chunk_index, 10);
+    if (
+        Number.isNaN(textIdNum) ||
+        Number.isNaN(chunkIndexNum) ||
+        chunkIndexNum < -1 ||
+        (accuracyNum !== null &&
+            (Number.isNaN(accuracyNum) || accuracyNum < 0 || accuracyNum > 100))
+    ) {
+        console.error(
+            `Practice complete failed: Invalid data. Body:`,
+            req.body,
+            `User: ${userId}`
+        );
+        return res.status(400).json({
+            success: false,
+            message: 'Invalid completion data provided.',
+        });
+    }
 
-    
-    // Call the DB function to increment the texts practiced count
-    const success = db.increment_texts_practiced(userId);
+    const text = db.get_text(textIdNum, userId);
+    if (!text || text.user_id !== userId) {
+        return res.status(404).json({
+            success: false,
+            message: 'Text not found.',
+        });
+    }
 
-    if (success) {
-        res.status(200).json({ success: true });
-    } else {
+    if (chunkIndexNum >= splitIntoChunks(text.content).length) {
+        return res.status(400).json({
+            success: false,
+            message: 'Invalid completion data provided.',
+        });
+    }
+
+    // Only a full run through the text counts as a practiced text
+    if (chunkIndexNum === -1 && !db.increment_texts_practiced(userId)) {
         console.error(
             `Practice complete DB error: Failed to increment texts_practiced for User ${userId}, Text ${textIdNum}`
         );
-        res.status(500).json({
+        return res.status(500).json({
             success: false,
             message: 'Database error incrementing texts practiced count.',
+        });
+    }
+
+    // The next quiz on the text can earn coins (once per full run, see POST /api/quiz/:text_id/answers)
+    if (chunkIndexNum === -1) {
+        const rewardable = req.session.quizRewardTextIds || [];
+        if (!rewardable.includes(textIdNum)) {
+            req.session.quizRewardTextIds = [...rewardable, textIdNum];
+        }
+    }
+
+    // --- Schedule the Next Review ---
+    let nextReviewInDays = null;
+    if (accuracyNum !== null) {
+        const grade = accuracyToGrade(accuracyNum);
+        const schedule = scheduleReview(
+            db.get_review_item(userId, textIdNum, chunkIndexNum),
+            grade
+        );
+        if (
+            !db.save_review_item(
+                userId,
+                textIdNum,
+                chunkIndexNum,
+                schedule,
+                grade
+            )
+        ) {
+            return res.status(500).json({
+                success: false,
+                message: 'Database error scheduling the next review.',
+            });
+        }
+        nextReviewInDays = schedule.interval_days;
+        if (process.env.NODE_ENV === 'development') {
+            console.log(
+                `Review scheduled: User ${userId}, Text ${textIdNum}, Chunk ${chunkIndexNum}, Grade ${grade}, Next in ${nextReviewInDays} day(s)`
+            );
+        }
+    }
+
+    res.status(200).json({ success: true, nextReviewInDays });
+});
+
+/**
+ * API Route: POST /api/quiz/:text_id
+ * Description: Writes a comprehension quiz about a text with the configured AI provider (see
+ *              services/comprehensionQuiz). The questions are sent without their answers, which are kept
+ *              in the session until the quiz is graded; a new quiz replaces the one not yet answered.
+ * Middleware: requireLogin, requireOwnership
+ * Response:
+ *  - 200 OK: { success: true, questions: [{ type, question, choices? }], canEarnCoins: boolean,
+ *            pastResults: [{ correct_count, question_count, coins_awarded, taken_at }] }
+ *  - 502/503/504: { success: false, message: string } (AI service failure, not configured, unreachable)
+ */
+router.post(
+    '/api/quiz/:text_id',
+    requireLogin,
+    requireOwnership,
+    async (req, res) => {
+        const userId = req.session.user.id;
+        const textId = req.text.id;
+        const aiProvider = getAiProvider();
+        if (!aiProvider) {
+            return res.status(503).json({
+                success: false,
+                message: 'AI Service is not configured or unavailable.',
             });
         }
-    } 
+
+        try {
+            const questions = await generateQuiz(aiProvider, req.text.content);
+            req.session.quiz = { textId, questions };
+            return res.status(200).json({
+                success: true,
+                questions: toPublicQuestions(questions),
+                canEarnCoins: (req.session.quizRewardTextIds || []).includes(
+                    textId
+                ),
+                pastResults: db.get_quiz_results(userId, textId),
+            });
+        } catch (error) {
+            console.error(`Error writing a quiz for text ID ${textId}:`, error);
+            return res.status(error.status || 500).json({
+                success: false,
+                message: error.status
+                    ? error.message
+                    : 'Failed to write the quiz due to an internal error.',
+            });
+        }
+    }
+);
+
+/**
+ * API Route: POST /api/quiz/:text_id/answers
+ * Description: Grades the answers to the quiz written for the text and records the score. After a full run
+ *              through the text, each correct answer earns coins (only for the first quiz taken after the run).
+ * Middleware: requireLogin
+ * Request Body: { answers: Array<number|string> } (index of the chosen choice, or the word of the blank)
+ * Response:
+ *  - 200 OK: { success: true, correctCount, questionCount, results: [{ correct, answer }], coinsAwarded,
+ *            newCoinCount: number | null }
+ *  - 400 Bad Request: { success: false, message: string } (no quiz waiting for answers on this text)
+ *  - 500 Internal Server Error: { success: false, message: string }
+ */
+router.post('/api/quiz/:text_id/answers', requireLogin, (req, res) => {
+    const userId = req.session.user.id;
+    const textIdNum = parseInt(req.params.text_id, 10);
+    const { quiz } = req.session;
+
+    if (!quiz || quiz.textId !== textIdNum) {
+        return res.status(400).json({
+            success: false,
+            message: 'This quiz has expired. Please start a new one.',
+        });
+    }
+
+    const { correctCount, questionCount, results } = gradeQuiz(
+        quiz.questions,
+        req.body.answers
+    );
+    const rewardable = req.session.quizRewardTextIds || [];
+    const coinsAwarded = rewardable.includes(textIdNum)
+        ? correctCount * QUIZ_COINS_PER_CORRECT_ANSWER
+        : 0;
+
+    if (
+        db.save_quiz_result(
+            userId,
+            textIdNum,
+            correctCount,
+            questionCount,
+            coinsAwarded
+        ) === -1
+    ) {
+        return res.status(500).json({
+            success: false,
+            message: 'Database error saving the quiz result.',
+        });
+    }
+    // A quiz is answered once, and a full run earns coins with one quiz only
+    delete req.session.quiz;
+    req.session.quizRewardTextIds = rewardable.filter((id) => id !== textIdNum);
+
+    let newCoinCount = null;
+    if (coinsAwarded > 0) {
+        if (db.increment_user_coins(userId, coinsAwarded)) {
+            const userDetails = db.get_user_details(userId);
+            newCoinCount = userDetails ? userDetails.coins : null;
+        } else {
+            console.error(
+                `API (/api/quiz): Failed to award ${coinsAwarded} coin(s) to user ${userId}.`
+            );
+        }
+    }
+
+    return res.status(200).json({
+        success: true,
+        correctCount,
+        questionCount,
+        results,
+        coinsAwarded,
+        newCoinCount,
+    });
+});
+
+/**
+ * API Route: GET /api/cloze/:text_id
+ * Description: Picks the key terms of a text for the cloze mode of the practice page, where they are blanked
+ *              out and typed from memory (see services/keyTerms). The AI provider picks them when one is
+ *              configured; otherwise, or if it fails, they are picked by TF-IDF against the user's other texts.
+ * Middleware: requireLogin, requireOwnership
+ * Response:
+ *  - 200 OK: { success: true, terms: [string], source: 'ai' | 'tfidf' }
+ *  - 500 Internal Server Error: { success: false, message: string }
+ */
+router.get(
+    '/api/cloze/:text_id',
+    requireLogin,
+    requireOwnership,
+    async (req, res) => {
+        const userId = req.session.user.id;
+        const textId = req.text.id;
+        try {
+            const { terms, source } = await extractKeyTerms(req.text.content, {
+                aiProvider: getAiProvider(),
+                corpus: db
+                    .get_text_contents(userId)
+                    .map((text) => text.content),
+            });
+            return res.status(200).json({ success: true, terms, source });
+        } catch (error) {
+            console.error(
+                `Error picking the key terms of text ID ${textId}:`,
+                error
+            );
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to find the key terms of the text.',
+            });
+        }
+    }
 );
 
 // --- Export Router ---
@@ -1,8 +1,18 @@
 const express = require('express');
+const multer = require('multer');
 
 const router = express.Router();
 const db = require('../models/db');
 const { requireLogin } = require('../middleware/authMiddleware');
+const { buildKeyboardHeatmap } = require('../utils/keyboardHeatmap');
+const {
+    buildAccountArchive,
+    zipAccountArchive,
+    readAccountArchive,
+} = require('../utils/accountArchive');
+const { buildRedirectUrl } = require('../utils/urlUtils');
+
+const MAX_ARCHIVE_SIZE = 100 * 1024 * 1024; // Accounts with many long texts
 
 // Helper function to format seconds into "Xh Ym Zs"
 function formatTime(totalSeconds) {
@@ -30,12 +40,171 @@ router.get('/profile', requireLogin, (req, res) => {
             totalPracticeTime: formatTime(rawStats.total_practice_time_seconds), // Format the time
             averageAccuracy: rawStats.average_accuracy.toFixed(1), // Format accuracy to one decimal place
         };
+        // Per-key error data collected during practice
+        const heatmap = buildKeyboardHeatmap(db.get_key_error_counts(userId));
+        const confusedPairs = db.get_confused_pairs(userId, 10);
+
         res.render('profile', {
             user: req.session.user,
             stats,
+            heatmap,
+            confusedPairs,
             message: req.query.message || null,
         });
     } 
 );
 
+// Helper function to validate a YYYY-MM-DD date string coming from the query string
+function parseDateFilter(value) {
+    if (!value || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return null;
+    return Number.isNaN(Date.parse(value)) ? null : value;
+}
+
+// Helper function to turn the `mode` query value ('free', 'timed' or 'timed-60') into session filters
+function parseModeFilter(value) {
+    const match = /^(free|timed)(?:-(\d+))?$/.exec(value || '');
+    if (!match || (match[1] === 'free' && match[2])) {
+        return { session_type: null, time_limit_seconds: null };
+    }
+    return {
+        session_type: match[1],
+        time_limit_seconds: match[2] ? parseInt(match[2], 10) : null,
+    };
+}
+
+/**
+ * Route: GET /profile/history
+ * Description: Displays the log of the user's practice sessions.
+ *              Supports filtering by text (`text_id`), date range (`from`, `to` as YYYY-MM-DD)
+ *              mode (`mode`: 'free', 'timed' or 'timed-<seconds>' to compare timed tests of the same length)
+ *              and typing mode (`typing_mode`: 'strict', 'normal' or 'free', so accuracies of different modes aren't mixed).
+ * Middleware: requireLogin
+ */
+router.get('/profile/history', requireLogin, (req, res) => {
+    const userId = req.session.user.id;
+
+    const parsedTextId = parseInt(req.query.text_id, 10);
+    const filters = {
+        text_id: Number.isNaN(parsedTextId) ? null : parsedTextId,
+        from: parseDateFilter(req.query.from),
+        to: parseDateFilter(req.query.to),
+        ...parseModeFilter(req.query.mode),
+        typing_mode: db.TYPING_MODES.includes(req.query.typing_mode)
+            ? req.query.typing_mode
+            : null,
+    };
+
+    // SQLite stores CURRENT_TIMESTAMP in UTC as 'YYYY-MM-DD HH:MM:SS'
+    const sessions = db.get_practice_sessions(userId, filters).map((s) => ({
+        ...s,
+        duration: formatTime(
+            (Date.parse(`${s.ended_at}Z`) - Date.parse(`${s.started_at}Z`)) /
+                1000
+        ),
+    }));
+
+    res.render('history', {
+        user: req.session.user,
+        sessions,
+        texts: db.get_practiced_texts(userId), // Options for the text filter
+        filters,
+    });
+});
+
+/**
+ * Route: GET /profile/export
+ * Description: Downloads an archive of the user's account (texts, folders, progress, statistics, owned items,
+ *              settings and the history of sessions, reviews and quizzes; see export_user_data in models/db),
+ *              to restore it into another account or instance with POST /profile/import.
+ *              `format=zip` gives a zipped archive, JSON otherwise.
+ * Middleware: requireLogin
+ */
+router.get('/profile/export', requireLogin, (req, res) => {
+    const { id: userId, username } = req.session.user;
+    const data = db.export_user_data(userId);
+    if (!data) {
+        return res.redirect(
+            buildRedirectUrl('/profile', {
+                message: 'Could not export your account. Please try again.',
+            })
+        );
+    }
+
+    const archive = buildAccountArchive(data, username);
+    const fileName = `typing-trainer-${username.replace(/[^\w-]+/g, '_')}-${archive.exported_at.slice(0, 10)}`;
+    if (req.query.format === 'zip') {
+        res.attachment(`${fileName}.zip`);
+        return res.send(zipAccountArchive(archive));
+    }
+    res.attachment(`${fileName}.json`);
+    return res.send(JSON.stringify(archive, null, 2));
+});
+
+/**
+ * Receives the uploaded archive, sending the user back to the profile page when it is too large
+ * (instead of the generic error handler).
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ * @param {function} next - Express next middleware function.
+ */
+function uploadArchive(req, res, next) {
+    multer({
+        storage: multer.memoryStorage(),
+        limits: { fileSize: MAX_ARCHIVE_SIZE },
+    }).single('archiveFile')(req, res, (err) => {
+        if (err && err.code === 'LIMIT_FILE_SIZE') {
+            return res.redirect(
+                buildRedirectUrl('/profile', {
+                    message: `This account archive is too large (over ${MAX_ARCHIVE_SIZE / (1024 * 1024)} MB). Nothing was changed.`,
+                })
+            );
+        }
+        return next(err);
+    });
+}
+
+/**
+ * Route: POST /profile/import
+ * Description: Restores an account archive (JSON or ZIP, see GET /profile/export) into the user's account.
+ *              The whole archive is validated before anything is saved, then imported in one transaction.
+ *              Coins, store items and statistics only come back from an archive signed by this server,
+ *              into a new account (see import_user_data in models/db).
+ * Middleware: requireLogin, uploadArchive
+ */
+router.post('/profile/import', requireLogin, uploadArchive, (req, res) => {
+    let data;
+    try {
+        data = readAccountArchive(req.file);
+    } catch (archiveError) {
+        // Not an archive, made by a newer version or inconsistent data
+        return res.redirect(
+            buildRedirectUrl('/profile', { message: archiveError.message })
+        );
+    }
+
+    const result = db.import_user_data(req.session.user.id, data);
+    if (!result) {
+        return res.redirect(
+            buildRedirectUrl('/profile', {
+                message:
+                    'Could not import the account archive. Nothing was changed.',
+            })
+        );
+    }
+
+    let rewardsMessage =
+        'Coins, store items and statistics were not restored: the archive was not signed by this server.';
+    if (result.rewards) {
+        rewardsMessage = 'Coins, store items and statistics were restored.';
+    } else if (data.rewards) {
+        rewardsMessage =
+            'Coins, store items and statistics are only restored into a new account.';
+    }
+    return res.redirect(
+        buildRedirectUrl('/profile', {
+            message: `Account archive imported: ${result.texts} text(s) and ${result.categories} new folder(s). ${rewardsMessage}`,
+        })
+    );
+});
+
 module.exports = router;
@@ -0,0 +1,103 @@
+// --- Dependencies ---
+const express = require('express');
+
+const router = express.Router(); // Create a new router object
+const { requireLogin } = require('../middleware/authMiddleware'); // Import authentication middleware
+const db = require('../models/db'); // Import database functions from the model
+const { buildRedirectUrl } = require('../utils/urlUtils');
+const { raceService, PLACE_REWARDS } = require('../services/raceService');
+
+// --- Race Routes ---
+// The race itself runs over the WebSocket server attached in server.js (see services/raceSocket.js).
+
+/**
+ * Route: GET /
+ * Description: Displays the race lobby: create a room for one of the user's texts or join one with a code.
+ * Middleware: requireLogin
+ */
+router.get('/', requireLogin, (req, res) => {
+    const userId = req.session.user.id;
+    const texts = db
+        .get_text_contents(userId)
+        .map(({ id, title }) => ({ id, title }));
+
+    res.render('race_lobby', {
+        user: req.session.user,
+        texts,
+        placeRewards: PLACE_REWARDS,
+        message: req.query.message || null,
+    });
+});
+
+/**
+ * Route: POST /create
+ * Description: Creates a race room for a text of the user and redirects to it.
+ * Middleware: requireLogin
+ */
+router.post('/create', requireLogin, (req, res) => {
+    const userId = req.session.user.id;
+    const text = db.get_text(req.body.text_id, userId);
+
+    if (!text || text.user_id !== userId) {
+        return res.redirect(
+            buildRedirectUrl('/race', { message: 'Text not found.' })
+        );
+    }
+
+    const room = raceService.createRoom(req.session.user, text);
+    if (!room) {
+        return res.redirect(
+            buildRedirectUrl('/race', {
+                message: 'This text is empty: there is nothing to race on.',
+            })
+        );
+    }
+    return res.redirect(`/race/${room.code}`);
+});
+
+/**
+ * Route: POST /join
+ * Description: Redirects to the room matching the code typed in the lobby.
+ * Middleware: requireLogin
+ */
+router.post('/join', requireLogin, (req, res) => {
+    const room = raceService.getRoom((req.body.code || '').trim());
+    if (!room) {
+        return res.redirect(
+            buildRedirectUrl('/race', { message: 'Race room not found.' })
+        );
+    }
+    return res.redirect(`/race/${room.code}`);
+});
+
+/**
+ * Route: GET /:code
+ * Description: Displays a race room. Late comers can only come back to a race they were already in.
+ * Middleware: requireLogin
+ */
+router.get('/:code', requireLogin, (req, res) => {
+    const room = raceService.getRoom(req.params.code);
+    if (!room) {
+        return res.redirect(
+            buildRedirectUrl('/race', { message: 'Race room not found.' })
+        );
+    }
+    if (room.status !== 'waiting' && !room.racers.has(req.session.user.id)) {
+        return res.redirect(
+            buildRedirectUrl('/race', {
+                message: 'This race has already started.',
+            })
+        );
+    }
+
+    return res.render('race', {
+        user: req.session.user,
+        room: {
+            code: room.code,
+            textTitle: room.textTitle,
+            passage: room.passage,
+        },
+    });
+});
+
+module.exports = router;
@@ -3,44 +3,7 @@ const express = require('express');
 const router = express.Router();
 const db = require('../models/db'); // Import database functions
 const { requireLogin } = require('../middleware/authMiddleware'); // Middleware to ensure user is logged in
-
-//Item Definitions 
-const storeItems = {
-    car: { name: 'Car', price: 100, emoji: '🚗' },
-    house: { name: 'House', price: 500, emoji: '🏠' },
-    laptop: { name: 'Laptop', price: 50, emoji: '💻' },
-    phone: { name: 'Phone', price: 30, emoji: '📱' },
-    book: { name: 'Book', price: 10, emoji: '📖' },
-    game_controller: { name: 'Game Controller', price: 25, emoji: '🎮' },
-    pizza_slice: { name: 'Pizza Slice', price: 5, emoji: '🍕' },
-    coffee_cup: { name: 'Coffee Cup', price: 3, emoji: '☕' },
-    sword: { name: 'Sword', price: 75, emoji: '⚔️' },
-    shield: { name: 'Shield', price: 60, emoji: '🛡️' },
-    rubber_chicken: { name: 'Rubber Chicken', price: 1, emoji: '🐔' },
-    pet_rock: { name: 'Pet Rock', price: 2, emoji: '🪨' },
-    infinite_coffee: { name: 'Infinite Coffee Mug', price: 999, emoji: '♾️☕' },
-    invisibility_cloak_rental: {
-        name: 'Invisibility Cloak (1hr Rental)',
-        price: 150,
-        emoji: '👻',
-    },
-    portable_black_hole: {
-        name: 'Portable Black Hole (Use with caution!)',
-        price: 10000,
-        emoji: '⚫',
-    },
-    unicorn_horn_polish: {
-        name: 'Unicorn Horn Polish',
-        price: 42,
-        emoji: '🦄✨',
-    },
-    anti_gravity_boots: {
-        name: 'Anti-Gravity Boots (Low Power)',
-        price: 250,
-        emoji: '🚀👢',
-    },
-    brian: { name: 'Brian', price: 1, emoji: '🧍' }, // Just Brian.
-};
+const storeItems = require('../models/storeItems'); // The items on sale
 
 // --- Route Handlers ---
 
@@ -111,4 +74,4 @@ router.get('/shelf', requireLogin, (req, res) => {
 
 
 // Export both the router and the items definition
-module.exports = { router, storeItems };
+module.exports = { router };
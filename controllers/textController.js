@@ -6,30 +6,45 @@ const router = express.Router(); // Create a new router object
 const multer = require('multer'); // Ensure multer is required before use
 // const pdfParse = require('pdf-parse'); // No longer needed (using pdftotext)
 // const { URLSearchParams } = require('url'); // No longer needed here, moved to urlUtils
-const { GoogleGenerativeAI } = require('@google/generative-ai'); // Added for Gemini
-require('dotenv').config(); // Added to load .env variables
+require('dotenv').config(); // Added to load .env variables (AI provider settings)
 const {
     requireLogin,
     requireOwnership,
 } = require('../middleware/authMiddleware'); // Import authentication middleware
 const db = require('../models/db'); // Import database functions from the model
-const { cleanupText, processPdfUpload } = require('../utils/textProcessing'); // Import text utils
+const {
+    NORMALIZATION_PROFILES,
+    DEFAULT_NORMALIZATION_PROFILE,
+    cleanupText,
+    getDocumentType,
+    OCR_LANGUAGES,
+    PDF_SPLIT_MODES,
+    DEFAULT_PAGES_PER_SECTION,
+} = require('../utils/textProcessing'); // Import text utils
+const { isEpubFile } = require('../utils/epubProcessing'); // Import EPUB utils
+const { isZipFile } = require('../utils/zipProcessing'); // Import ZIP utils
+const {
+    MARKUP_RULE_OPTIONS,
+    DEFAULT_MARKUP_RULES,
+    resolveMarkupRules,
+} = require('../utils/markupProcessing'); // Import Markdown/HTML conversion rules
+const {
+    PDF_CLEANUP_RULES,
+    resolvePdfCleanupRules,
+} = require('../utils/pdfCleanup'); // Import PDF layout cleanup rules
+const TextService = require('../services/textService');
+const { getAiProvider } = require('../services/aiProvider'); // Gemini, OpenAI-compatible or mock, see .env
+const { summarizeText } = require('../services/summarizer'); // Map-reduce summaries of long texts
+const {
+    TRANSLATION_LANGUAGES,
+    translateText,
+} = require('../services/translator'); // Line-by-line translations for language learners
 const { buildRedirectUrl } = require('../utils/urlUtils'); // Import URL utils
 
-// --- Gemini AI Client Initialization ---
-// Ensure GEMINI_API_KEY is set in your .env file
-const genAI = process.env.GEMINI_API_KEY
-    ? new GoogleGenerativeAI(process.env.GEMINI_API_KEY)
-    : null;
-const geminiModel = genAI
-    ? genAI.getGenerativeModel({ model: 'gemini-1.5-flash-latest' })
-    : null;
-
-if (!genAI) {
-    console.warn(
-        'GEMINI_API_KEY not found in .env file. AI summarization feature will be disabled.'
-    );
-}
+// --- AI Provider Initialization ---
+// Chosen with AI_PROVIDER in your .env file (see services/aiProvider); created now so that
+// a configuration problem is logged at startup
+getAiProvider();
 
 /**
  * Route: GET /texts
@@ -57,6 +72,10 @@ router.get('/texts', requireLogin, (req, res) => {
     // Fetch all categories flat list for the "Move" dropdown
     const allCategoriesFlat = db.get_all_categories_flat(userId);
 
+    // Texts and paragraphs due for a spaced-repetition review (queue shown at the root only)
+    const dueReviews =
+        currentCategoryId === null ? db.get_due_reviews(userId) : [];
+
     res.render('texts', {
         user: req.session.user,
         texts,
@@ -65,10 +84,82 @@ router.get('/texts', requireLogin, (req, res) => {
         breadcrumbs, // Pass breadcrumbs
         message: req.query.message || null,
         allCategoriesFlat, // Pass the flat list for the move dropdown
+        dueReviews,
+        translationLanguages: TRANSLATION_LANGUAGES,
     });
 
 });
 
+const PREVIEW_PAGE_COUNT = 5; // Pages of a PDF read for a preview
+
+/**
+ * Reads the PDF import options of the add-text form.
+ * @param {object} body - The submitted form fields.
+ * @returns {{firstPage: number|null, lastPage: number|null, split: string, pagesPerSection: number, cleanupRules: object}} - The
+ *   page range (null for the start/end of the document), how the PDF is split into texts (see PDF_SPLIT_MODES) and the
+ *   layout cleanup rules to apply (see PDF_CLEANUP_RULES; all of them if the form did not send its checkboxes).
+ */
+function parsePdfOptions(body) {
+    const parsePage = (value) => {
+        const page = parseInt(value, 10);
+        return page > 0 ? page : null;
+    };
+    return {
+        firstPage: parsePage(body.pdf_first_page),
+        lastPage: parsePage(body.pdf_last_page),
+        split: PDF_SPLIT_MODES.includes(body.pdf_split)
+            ? body.pdf_split
+            : PDF_SPLIT_MODES[0],
+        pagesPerSection:
+            parsePage(body.pdf_pages_per_section) || DEFAULT_PAGES_PER_SECTION,
+        // The checkboxes come with an empty hidden field, so that unchecking all of them is not "no choice"
+        cleanupRules: resolvePdfCleanupRules(
+            body.pdf_cleanup === undefined
+                ? undefined
+                : Object.fromEntries(
+                      []
+                          .concat(body.pdf_cleanup)
+                          .filter((rule) => PDF_CLEANUP_RULES.includes(rule))
+                          .map((rule) => [rule, true])
+                  )
+        ),
+    };
+}
+
+/**
+ * Reads the character normalization profile chosen on the add-text or edit-text form.
+ * @param {object} body - The submitted form fields.
+ * @returns {string} - The profile (see NORMALIZATION_PROFILES), the strict original text by default.
+ */
+function parseNormalizationProfile(body) {
+    return NORMALIZATION_PROFILES[body.normalization]
+        ? body.normalization
+        : DEFAULT_NORMALIZATION_PROFILE;
+}
+
+/**
+ * Reads the import options of the add-text form shared by the import and its preview.
+ * @param {object} body - The submitted form fields.
+ * @param {number} userId - The ID of the user (whose saved OCR language is the default).
+ * @returns {{normalization: string, ocrLanguage: string, markupRules: object, pdfOptions: object}} - The character
+ *   normalization profile, the language of scanned PDFs, the Markdown/HTML conversion rules (invalid values fall back to
+ *   the defaults) and the PDF options (see parsePdfOptions).
+ */
+function parseImportOptions(body, userId) {
+    return {
+        normalization: parseNormalizationProfile(body),
+        ocrLanguage: OCR_LANGUAGES[body.ocr_language]
+            ? body.ocr_language
+            : db.get_ocr_language(userId),
+        markupRules: resolveMarkupRules({
+            codeBlocks: body.markup_code_blocks,
+            images: body.markup_images,
+            links: body.markup_links,
+        }),
+        pdfOptions: parsePdfOptions(body),
+    };
+}
+
 /**
  * Route: GET /add_text
  * Description: Displays the form for adding a new text.
@@ -98,25 +189,44 @@ router.get('/add_text', requireLogin, (req, res) => {
         content: '', // Empty content for new text
         categories, // Pass the flat list of categories
         selectedFolderId, // Pass the ID for pre-selection
+        markupRuleOptions: MARKUP_RULE_OPTIONS,
+        markupRules: DEFAULT_MARKUP_RULES,
+        ocrLanguages: OCR_LANGUAGES,
+        ocrLanguage: db.get_ocr_language(userId), // Language of scanned PDFs, remembered per user
+        pdfOptions: parsePdfOptions({}), // Whole document, one text
+        normalizationProfiles: NORMALIZATION_PROFILES,
+        normalization: DEFAULT_NORMALIZATION_PROFILE,
     });
 });
 
 /**
  * Route: POST /add_text
- * Description: Handles the submission of the add text form (either text content or PDF upload).
+ * Description: Handles the submission of the add text form (either text content, a PDF, DOCX, ODT, Markdown, HTML or text upload,
+ *              an EPUB upload, imported as one text per chapter in a new folder named after the book, or a web page
+ *              (address or saved HTML file) of which only the main content is kept). A page range of a PDF can be
+ *              selected, and a PDF can be split into several texts (by bookmarks or every N pages) in a new folder.
+ *              A ZIP archive of documents is imported into a new folder recreating its folders, and a report of
+ *              each file is shown.
  * Middleware:
  *   - `requireLogin`: Ensures user is logged in.
  *   - `upload.single('pdfFile')`: Processes a potential single file upload with the field name 'pdfFile'.
  *                                  Adds `req.file` (if uploaded) and `req.body` (for text fields).
  */
+// Largest document accepted (a long scanned PDF, or a ZIP archive of a semester of notes)
+const MAX_UPLOAD_SIZE = 100 * 1024 * 1024;
 // Define file filter here, just before it's used in the route below
-const pdfFileFilter = (req, file, cb) => {
+const documentFileFilter = (req, file, cb) => {
     // Function to control which files are accepted
-    if (file.mimetype === 'application/pdf') {
-        cb(null, true); // Accept the file if it's a PDF
+    if (getDocumentType(file) || isEpubFile(file) || isZipFile(file)) {
+        cb(null, true); // Accept the file if it's a supported document, an EPUB or a ZIP archive
     } else {
-        // Reject the file if it's not a PDF, passing an error message
-        cb(new Error('Only PDF files are allowed!'), false);
+        // Reject any other file, passing an error message
+        cb(
+            new Error(
+                'Only PDF, DOCX, ODT, EPUB, ZIP, Markdown, HTML and text files are allowed!'
+            ),
+            false
+        );
     }
 };
 router.post(
@@ -125,7 +235,8 @@ router.post(
     // Define and use multer middleware inline
     multer({
         storage: multer.memoryStorage(),
-        fileFilter: pdfFileFilter,
+        fileFilter: documentFileFilter,
+        limits: { fileSize: MAX_UPLOAD_SIZE },
     }).single('pdfFile'),
     async (req, res) => {
         // Extract title from form body
@@ -150,6 +261,15 @@ router.post(
         }
         // Get uploaded file info from multer (will be undefined if no file uploaded)
         const uploadedFile = req.file;
+        // Web page import: an address to download, or an uploaded HTML file marked as a saved web page
+        const pageUrl = (req.body.page_url || '').trim();
+        const isSavedWebPage =
+            Boolean(req.body.web_page) &&
+            getDocumentType(uploadedFile) === 'html';
+        // Language used to read scanned PDFs with OCR (falls back to the user's saved setting),
+        // how Markdown/HTML is converted and which pages of a PDF are imported, split and cleaned up how
+        const { normalization, ocrLanguage, markupRules, pdfOptions } =
+            parseImportOptions(req.body, userId);
 
         // Prepare arguments for rendering the form again in case of errors
         const renderArgs = {
@@ -157,8 +277,169 @@ router.post(
             title, // Keep submitted title
             content, // Keep submitted content
             categories: [], // Need to re-fetch categories on error render
+            markupRuleOptions: MARKUP_RULE_OPTIONS,
+            markupRules, // Keep submitted markup rules
+            pageUrl, // Keep submitted web page address
+            ocrLanguages: OCR_LANGUAGES,
+            ocrLanguage, // Keep submitted OCR language
+            pdfOptions, // Keep submitted PDF page range, splitting and cleanup rules
+            normalizationProfiles: NORMALIZATION_PROFILES,
+            normalization, // Keep submitted character normalization profile
         };
 
+        // Remember the OCR language chosen with a PDF for the next imports
+        if (
+            getDocumentType(uploadedFile) === 'pdf' &&
+            OCR_LANGUAGES[req.body.ocr_language]
+        ) {
+            db.set_ocr_language(userId, ocrLanguage);
+        }
+
+        // --- ZIP Import (folders recreated, one text per document, the title is optional) ---
+        if (isZipFile(uploadedFile)) {
+            if (content) {
+                renderArgs.error =
+                    'Please provide text content OR upload a file, not both.';
+                renderArgs.categories = db.get_all_categories_flat(userId);
+                return res.render('add_text', renderArgs);
+            }
+            try {
+                const result = await TextService.addZipArchive(
+                    userId,
+                    uploadedFile,
+                    targetCategoryId,
+                    title ? title.trim() : null,
+                    {
+                        markupRules,
+                        normalization,
+                        ocrLanguage,
+                        cleanupRules: pdfOptions.cleanupRules,
+                    }
+                );
+                // Per-file report, shown whether or not texts were imported
+                return res.render('import_report', {
+                    user: req.session.user,
+                    ...result,
+                    importedCount: result.files.filter((file) => file.success)
+                        .length,
+                });
+            } catch (zipError) {
+                // Invalid archive, no files or too large
+                renderArgs.error = zipError.message;
+                renderArgs.categories = db.get_all_categories_flat(userId);
+                return res.render('add_text', renderArgs);
+            }
+        }
+
+        // --- EPUB Import (one text per chapter, the title is optional) ---
+        if (isEpubFile(uploadedFile)) {
+            if (content) {
+                renderArgs.error =
+                    'Please provide text content OR upload a file, not both.';
+                renderArgs.categories = db.get_all_categories_flat(userId);
+                return res.render('add_text', renderArgs);
+            }
+            try {
+                const result = TextService.addEpubBook(
+                    userId,
+                    uploadedFile,
+                    targetCategoryId,
+                    title ? title.trim() : null,
+                    { normalization }
+                );
+                if (!result.success) {
+                    renderArgs.error = result.message;
+                    renderArgs.categories = db.get_all_categories_flat(userId);
+                    return res.render('add_text', renderArgs);
+                }
+                return res.redirect(
+                    buildRedirectUrl('/texts', {
+                        message: `Imported ${result.textIds.length} chapter(s) into "${result.name}".`,
+                        category_id: result.categoryId,
+                    })
+                );
+            } catch (epubError) {
+                // Invalid archive, missing package document or no text
+                renderArgs.error = epubError.message;
+                renderArgs.categories = db.get_all_categories_flat(userId);
+                return res.render('add_text', renderArgs);
+            }
+        }
+
+        // --- Web Page Import (main content only, the title defaults to the article's) ---
+        if (pageUrl || isSavedWebPage) {
+            if (content || (pageUrl && uploadedFile)) {
+                renderArgs.error =
+                    'Please provide a web page address, a file OR text content, not several.';
+                renderArgs.categories = db.get_all_categories_flat(userId);
+                return res.render('add_text', renderArgs);
+            }
+            try {
+                const result = await TextService.addWebPage(
+                    userId,
+                    title ? title.trim() : null,
+                    pageUrl ? { url: pageUrl } : { uploadedFile },
+                    targetCategoryId,
+                    { markupRules, normalization }
+                );
+                if (!result.success) {
+                    renderArgs.error =
+                        'Failed to save text to the database. Please try again.';
+                    renderArgs.categories = db.get_all_categories_flat(userId);
+                    return res.render('add_text', renderArgs);
+                }
+                return res.redirect(
+                    buildRedirectUrl('/texts', {
+                        message: `Text "${result.title}" added from the web page!`,
+                        category_id: targetCategoryId,
+                    })
+                );
+            } catch (pageError) {
+                // Invalid address, download failure or no main content found
+                renderArgs.error = pageError.message;
+                renderArgs.categories = db.get_all_categories_flat(userId);
+                return res.render('add_text', renderArgs);
+            }
+        }
+
+        // --- PDF Import Split Into Sections (one text per bookmark or group of pages, the title is optional) ---
+        if (
+            getDocumentType(uploadedFile) === 'pdf' &&
+            pdfOptions.split !== 'none'
+        ) {
+            if (content) {
+                renderArgs.error =
+                    'Please provide text content OR upload a file, not both.';
+                renderArgs.categories = db.get_all_categories_flat(userId);
+                return res.render('add_text', renderArgs);
+            }
+            try {
+                const result = await TextService.addPdfSections(
+                    userId,
+                    uploadedFile,
+                    targetCategoryId,
+                    title ? title.trim() : null,
+                    { ...pdfOptions, ocrLanguage, normalization }
+                );
+                if (!result.success) {
+                    renderArgs.error = result.message;
+                    renderArgs.categories = db.get_all_categories_flat(userId);
+                    return res.render('add_text', renderArgs);
+                }
+                return res.redirect(
+                    buildRedirectUrl('/texts', {
+                        message: `Imported ${result.textIds.length} text(s) into "${result.name}".`,
+                        category_id: result.categoryId,
+                    })
+                );
+            } catch (pdfError) {
+                // Invalid page range, no bookmarks, missing Poppler utilities or no text
+                renderArgs.error = pdfError.message;
+                renderArgs.categories = db.get_all_categories_flat(userId);
+                return res.render('add_text', renderArgs);
+            }
+        }
+
         // --- Input Validation ---
         if (!title) {
             renderArgs.error = 'Title cannot be empty.';
@@ -177,57 +458,47 @@ router.post(
             return res.render('add_text', renderArgs);
         }
 
-        // --- Process Input (PDF or Textarea) ---
+        // --- Process Input (Document Upload or Textarea) ---
         try {
-            let textToSave = content; // Default to textarea content
-
-            // If a file was uploaded, process it using pdftotext
-
-            // If a file was uploaded, process it using the helper function
-            if (uploadedFile) {
-                try {
-                    // Assign the result to the existing textToSave variable
-                    textToSave = await processPdfUpload(uploadedFile);
-                } catch (pdfError) {
-                    // Handle errors from PDF processing
-                    renderArgs.error = pdfError.message; // Use the error message from the helper
-                    // Re-fetch categories before rendering error
-                    try {
-                        renderArgs.categories =
-                            db.get_all_categories_flat(userId);
-                    } catch (fetchErr) {
-                        console.error(
-                            'Error re-fetching categories for PDF error render:',
-                            fetchErr
-                        );
-                        renderArgs.categories = []; // Default to empty if fetch fails
+            // TextService extracts the text of the uploaded file (if any), cleans it up and saves it
+            let result;
+            try {
+                result = await TextService.addText(
+                    userId,
+                    title,
+                    content,
+                    targetCategoryId,
+                    uploadedFile,
+                    {
+                        markupRules,
+                        normalization,
+                        ocrLanguage,
+                        firstPage: pdfOptions.firstPage,
+                        lastPage: pdfOptions.lastPage,
+                        cleanupRules: pdfOptions.cleanupRules,
                     }
-                    return res.render('add_text', renderArgs);
+                );
+            } catch (fileError) {
+                // Handle errors from the document processing helpers
+                renderArgs.error = fileError.message; // Use the error message from the helper
+                // Re-fetch categories before rendering error
+                try {
+                    renderArgs.categories = db.get_all_categories_flat(userId);
+                } catch (fetchErr) {
+                    console.error(
+                        'Error re-fetching categories for file error render:',
+                        fetchErr
+                    );
+                    renderArgs.categories = []; // Default to empty if fetch fails
                 }
+                return res.render('add_text', renderArgs);
             }
 
-            // --- Apply Common Text Cleanup (using function defined at module level) ---
-            // Apply cleanup to the text regardless of source (PDF or textarea)
-            // Make sure textToSave is not null/undefined before cleaning
-            const finalContentToSave = cleanupText(textToSave || '');
-
-            // --- Save to Database ---
-            // Ensure we don't try to save completely empty content after cleanup if it wasn't intended
-            // (Re-check validation logic - maybe empty content is allowed?)
-            // Assuming empty content IS allowed if explicitly entered or extracted:
-            // --- Save to Database ---
-            // Pass the targetCategoryId to the updated db.add_text function
-            const newTextId = db.add_text(
-                userId,
-                title,
-                finalContentToSave,
-                targetCategoryId
-            );
-            if (newTextId !== -1) {
+            if (result.success) {
                 // Success: Redirect to the folder where the text was added
                 if (process.env.NODE_ENV === 'development')
                     console.log(
-                        `Text added: ID ${newTextId}, Title: ${title}, User ID: ${userId}, Category: ${targetCategoryId} (Source: ${uploadedFile ? 'PDF' : 'Textarea'}), Final Length: ${finalContentToSave.length}`
+                        `Text added: ID ${result.textId}, Title: ${title}, User ID: ${userId}, Category: ${targetCategoryId} (Source: ${uploadedFile ? getDocumentType(uploadedFile).toUpperCase() : 'Textarea'}), Final Length: ${result.content.length}`
                     );
                 let redirectUrl = '/texts?message=Text added successfully!';
                 if (targetCategoryId) {
@@ -273,6 +544,57 @@ router.post(
     }
 );
 
+/**
+ * Route: POST /add_text/preview
+ * Description: Extracts the text of an uploaded document with the options of the add-text form (PDF page range and
+ *              layout cleanup rules, Markdown/HTML conversion rules, OCR language, character normalization) without saving it. Only the first
+ *              pages of a PDF are read, so that the preview stays quick.
+ * Middleware: requireLogin, upload.single('pdfFile')
+ * Response: JSON { success: true, text } or { success: false, message } (400).
+ */
+router.post(
+    '/add_text/preview',
+    requireLogin,
+    multer({
+        storage: multer.memoryStorage(),
+        fileFilter: documentFileFilter,
+        limits: { fileSize: MAX_UPLOAD_SIZE },
+    }).single('pdfFile'),
+    async (req, res) => {
+        const uploadedFile = req.file;
+        if (!getDocumentType(uploadedFile)) {
+            return res.status(400).json({
+                success: false,
+                message:
+                    'Please choose a PDF, DOCX, ODT, Markdown, HTML or text file to preview.',
+            });
+        }
+        const { normalization, ocrLanguage, markupRules, pdfOptions } =
+            parseImportOptions(req.body, req.session.user.id);
+        const firstPage = pdfOptions.firstPage || 1;
+
+        try {
+            const text = await TextService.previewText(uploadedFile, {
+                markupRules,
+                normalization,
+                ocrLanguage,
+                firstPage,
+                lastPage: Math.min(
+                    pdfOptions.lastPage || Infinity,
+                    firstPage + PREVIEW_PAGE_COUNT - 1
+                ),
+                cleanupRules: pdfOptions.cleanupRules,
+            });
+            return res.json({ success: true, text });
+        } catch (error) {
+            // Invalid page range, missing command or no text
+            return res
+                .status(400)
+                .json({ success: false, message: error.message });
+        }
+    }
+);
+
 /**
  * Route: GET /edit_text/:text_id
  * Description: Displays the form for editing an existing text.
@@ -298,6 +620,7 @@ router.get(
             text: req.text, // Pass the text object to pre-fill the form
             categories, // Pass the flat list of categories
             error: null, // No error initially
+            normalizationProfiles: NORMALIZATION_PROFILES,
         });
     }
 );
@@ -332,8 +655,11 @@ router.post(
 
         // --- Update Database ---
         
-        // Clean the content before saving
-        const cleanedContent = cleanupText(content);
+        // Clean the content before saving, re-applying the chosen character normalization profile
+        const cleanedContent = cleanupText(
+            content,
+            parseNormalizationProfile(req.body)
+        );
         // Attempt to update the text in the database, now including category_id
         const success = db.update_text(
             textId,
@@ -352,9 +678,55 @@ router.post(
     }
 );
 
+/**
+ * Prepares the answer of a long AI task on a text (summary, translation). When the request accepts
+ * application/x-ndjson, the answer is streamed as one JSON object per line: {type: 'progress', stage,
+ * done, total} before each request to the AI service, then {type: 'done' | 'error', status, ...} with
+ * the same content as the plain JSON answer. The status can no longer change once streaming.
+ * @param {object} req - The Express request.
+ * @param {object} res - The Express response.
+ * @returns {{signal: AbortSignal, onProgress: (function(object): void)|undefined, finish: function(number, object)}}
+ *   - signal aborts when the user leaves the page, onProgress streams a progress event (streaming only)
+ *   and finish sends the result with its status code.
+ */
+function startAiTaskResponse(req, res) {
+    const streamProgress = (req.get('Accept') || '').includes(
+        'application/x-ndjson'
+    );
+    const abortController = new AbortController();
+    if (streamProgress) {
+        res.status(200);
+        res.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8');
+        res.setHeader('Cache-Control', 'no-cache');
+        // Stop sending requests to the AI service when the user leaves the page
+        res.on('close', () => {
+            if (!res.writableFinished) abortController.abort();
+        });
+    }
+    return {
+        signal: abortController.signal,
+        onProgress: streamProgress
+            ? (progress) =>
+                  res.write(
+                      `${JSON.stringify({ type: 'progress', ...progress })}\n`
+                  )
+            : undefined,
+        finish: (statusCode, body) => {
+            if (!streamProgress) return res.status(statusCode).json(body);
+            const type = statusCode < 400 ? 'done' : 'error';
+            return res.end(
+                `${JSON.stringify({ type, status: statusCode, ...body })}\n`
+            );
+        },
+    };
+}
+
 /**
  * Route: POST /texts/summarize/:id
- * Description: Summarizes a given text using AI and saves it as a new text.
+ * Description: Summarizes a given text using the configured AI provider and saves it as a new text.
+ * Long texts are summarized chunk by chunk (see services/summarizer).
+ * Body (optional): length ('short', 'medium' or 'long') and format ('prose' or 'bullets') of the summary.
+ * The progress can be streamed (see startAiTaskResponse).
  * Middleware: requireLogin, requireOwnership (to ensure user owns the text being summarized)
  */
 router.post(
@@ -362,58 +734,55 @@ router.post(
     requireLogin,
     requireOwnership,
     async (req, res) => {
-        if (!geminiModel) {
+        const aiProvider = getAiProvider();
+        if (!aiProvider) {
             return res.status(503).json({
                 message:
                     'AI Service is not configured or unavailable. Missing API Key.',
             });
         }
 
-        try {
-            const originalTextId = req.params.id; // Renamed from text_id for clarity
-            const userId = req.session.user.id;
+        const originalTextId = req.params.id; // Renamed from text_id for clarity
+        const userId = req.session.user.id;
 
-            // req.text is populated by requireOwnership middleware
-            const originalText = req.text;
+        // req.text is populated by requireOwnership middleware
+        const originalText = req.text;
 
-            if (!originalText) {
-                // This case should ideally be caught by requireOwnership, but double-check
-                return res.status(404).json({
-                    message: 'Original text not found or not owned by user.',
-                });
-            }
+        if (!originalText) {
+            // This case should ideally be caught by requireOwnership, but double-check
+            return res.status(404).json({
+                message: 'Original text not found or not owned by user.',
+            });
+        }
 
-            if (
-                !originalText.content ||
-                originalText.content.trim().length === 0
-            ) {
-                return res
-                    .status(400)
-                    .json({ message: 'Cannot summarize empty text.' });
-            }
+        if (!originalText.content || originalText.content.trim().length === 0) {
+            return res
+                .status(400)
+                .json({ message: 'Cannot summarize empty text.' });
+        }
 
-            const prompt = `Detect the language of the following text and provide a detailed summary (in that same language):\n\n---\n${originalText.content}\n---`;
+        // The texts page asks to follow the progress
+        const { signal, onProgress, finish } = startAiTaskResponse(req, res);
+
+        try {
+            const { length, format } = req.body || {};
 
             if (process.env.NODE_ENV === 'development') {
                 console.log(
-                    `Sending prompt to Gemini for text ID ${originalTextId} (first 100 chars): ${prompt.substring(0, 100)}...`
+                    `Summarizing text ID ${originalTextId} (${originalText.content.length} chars, ${length || 'default'} ${format || 'default'}) with ${aiProvider.name} (${aiProvider.model})...`
                 );
             }
 
-            const result = await geminiModel.generateContent(prompt);
-            const response = await result.response;
-            const summaryContent = response.text();
-
-            if (!summaryContent) {
-                console.error(
-                    `Gemini API did not return content for text ID: ${originalTextId}`
-                );
-                throw new Error('AI did not return a summary.');
-            }
+            // Rejects with an error carrying its HTTP status when the AI service fails or returns nothing
+            const summaryContent = await summarizeText(
+                aiProvider,
+                originalText.content,
+                { length, format, signal, onProgress }
+            );
 
             if (process.env.NODE_ENV === 'development') {
                 console.log(
-                    `Received summary from Gemini (first 100 chars): ${summaryContent.substring(0, 100)}...`
+                    `Received summary from ${aiProvider.name} (first 100 chars): ${summaryContent.substring(0, 100)}...`
                 );
             }
 
@@ -440,7 +809,7 @@ router.post(
                 );
             }
 
-            res.status(201).json({
+            return finish(201, {
                 message: 'Summary created successfully',
                 newTextId,
                 newTextTitle,
@@ -451,27 +820,17 @@ router.post(
                 'Failed to summarize text due to an internal error.';
             let statusCode = 500;
 
-            if (error.message.includes('AI did not return')) {
+            if (error.status) {
+                // AI provider errors: bad answer (502), configuration (503) or unreachable service (504)
                 errorMessage = error.message;
-                statusCode = 502; // Bad Gateway (issue communicating with AI)
-            } else if (
-                error.message.includes('FETCH_ERROR') ||
-                error.message.includes(
-                    'request to https://generativelanguage.googleapis.com failed'
-                )
-            ) {
-                errorMessage = 'Network error communicating with AI service.';
-                statusCode = 504; // Gateway Timeout
-            } else if (error.message.includes('API key not valid')) {
-                errorMessage = 'AI Service Error: Invalid API Key.';
-                statusCode = 503; // Service Unavailable (config issue)
+                statusCode = error.status;
             } else if (error.message.includes('Failed to save the summary')) {
                 errorMessage = error.message;
                 statusCode = 500; // Internal DB error
             }
             // Consider more specific error handling based on AI API responses if needed
 
-            res.status(statusCode).json({
+            return finish(statusCode, {
                 message: errorMessage,
                 details: error.message,
             });
@@ -479,6 +838,92 @@ router.post(
     }
 );
 
+/**
+ * Route: POST /texts/translate/:id
+ * Description: Translates a given text using the configured AI provider and saves the translation as a new
+ * text, in the same folder and linked to its original (see services/translator). The translation keeps the
+ * lines of the original, for side-by-side practice.
+ * Body: language, the code of the target language (a key of TRANSLATION_LANGUAGES).
+ * The progress can be streamed (see startAiTaskResponse).
+ * Middleware: requireLogin, requireOwnership (to ensure user owns the text being translated)
+ */
+router.post(
+    '/texts/translate/:id',
+    requireLogin,
+    requireOwnership,
+    async (req, res) => {
+        const aiProvider = getAiProvider();
+        if (!aiProvider) {
+            return res.status(503).json({
+                message:
+                    'AI Service is not configured or unavailable. Missing API Key.',
+            });
+        }
+
+        const userId = req.session.user.id;
+        const originalText = req.text;
+        const { language } = req.body || {};
+        if (!Object.keys(TRANSLATION_LANGUAGES).includes(language)) {
+            return res.status(400).json({
+                message: 'Please choose a language to translate into.',
+            });
+        }
+        if (!originalText.content || originalText.content.trim().length === 0) {
+            return res
+                .status(400)
+                .json({ message: 'Cannot translate empty text.' });
+        }
+
+        // The texts page asks to follow the progress
+        const { signal, onProgress, finish } = startAiTaskResponse(req, res);
+
+        try {
+            if (process.env.NODE_ENV === 'development') {
+                console.log(
+                    `Translating text ID ${originalText.id} (${originalText.content.length} chars) into ${language} with ${aiProvider.name} (${aiProvider.model})...`
+                );
+            }
+
+            // Rejects with an error carrying its HTTP status when the AI service fails or returns nothing
+            const translation = await translateText(
+                aiProvider,
+                originalText.content,
+                language,
+                { signal, onProgress }
+            );
+
+            const newTextTitle = `${TRANSLATION_LANGUAGES[language]} translation of: ${originalText.title}`;
+            const newTextId = db.add_translation(
+                userId,
+                originalText.id,
+                newTextTitle,
+                translation,
+                originalText.category_id, // Saved next to the original, like summaries
+                language
+            );
+            if (newTextId === -1) {
+                return finish(500, {
+                    message: 'Failed to save the translation to the database.',
+                });
+            }
+
+            return finish(201, {
+                message: 'Translation created successfully',
+                newTextId,
+                newTextTitle,
+            });
+        } catch (error) {
+            console.error(`Error translating text ID ${req.params.id}:`, error);
+            return finish(error.status || 500, {
+                message: error.status
+                    ? error.message
+                    : 'Failed to translate text due to an internal error.',
+                details: error.message,
+            });
+        }
+    }
+);
+
 /**
  * Route: POST /delete_text/:text_id
  * Description: Handles the deletion of a text.
@@ -6,8 +6,9 @@ const bcrypt = require('bcrypt');
 const saltRounds = 10; // Cost factor for bcrypt hashing
 
 // --- Database Connection ---
-// Construct the absolute path to the database file
-const dbPath = path.join(__dirname, 'typing_trainer.db');
+// Construct the absolute path to the database file (DATABASE_PATH overrides it, e.g. ':memory:' in tests)
+const dbPath =
+    process.env.DATABASE_PATH || path.join(__dirname, 'typing_trainer.db');
 // Create or open the SQLite database file at the specified path
 const db = new Database(dbPath);
 
@@ -20,7 +21,9 @@ db.exec(`
         id INTEGER PRIMARY KEY AUTOINCREMENT, -- Unique user ID, automatically increments
         username TEXT UNIQUE NOT NULL,        -- Username, must be unique and cannot be null
         password TEXT NOT NULL,               -- Hashed password
-        coins INTEGER NOT NULL DEFAULT 0      -- Number of coins the user has
+        coins INTEGER NOT NULL DEFAULT 0,     -- Number of coins the user has
+        typing_mode TEXT NOT NULL DEFAULT 'normal', -- How errors are handled when practicing: 'strict', 'normal' or 'free'
+        ocr_language TEXT NOT NULL DEFAULT 'eng' -- Tesseract language code used to read scanned PDFs (e.g. 'eng', 'fra')
     );
 `);
 
@@ -33,8 +36,11 @@ db.exec(`
         title TEXT NOT NULL,                  -- Title of the text, cannot be null
         content TEXT NOT NULL,                -- The actual text content for typing practice
         order_index INTEGER NOT NULL DEFAULT 0, -- Display order for the user's list
+        source_text_id INTEGER,               -- For a translation: the text it was translated from (NULL otherwise)
+        translation_language TEXT,            -- For a translation: the language code it was translated into
         FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE, -- If user deleted, delete text
-        FOREIGN KEY (category_id) REFERENCES categories (id) ON DELETE SET NULL -- If category deleted, move text to root
+        FOREIGN KEY (category_id) REFERENCES categories (id) ON DELETE SET NULL, -- If category deleted, move text to root
+        FOREIGN KEY (source_text_id) REFERENCES texts (id) ON DELETE SET NULL -- If the original is deleted, keep the translation
     );
 `); // Close the template literal and db.exec call
 
@@ -77,6 +83,141 @@ db.exec(`
     );
 `);
 
+// Create the 'user_stats' table (only the shipped database had it, so new databases could not record statistics)
+db.exec(`
+    CREATE TABLE IF NOT EXISTS user_stats (
+        user_id INTEGER PRIMARY KEY,          -- Foreign key to users table, one row per user
+        texts_practiced INTEGER NOT NULL DEFAULT 0,
+        total_practice_time_seconds INTEGER NOT NULL DEFAULT 0,
+        total_accuracy_points REAL NOT NULL DEFAULT 0, -- Sum of the accuracy of every line typed
+        accuracy_entries_count INTEGER NOT NULL DEFAULT 0, -- Number of lines in total_accuracy_points
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+    );
+`);
+
+// Create the 'practice_sessions' table to keep a record of every practice visit
+db.exec(`
+    CREATE TABLE IF NOT EXISTS practice_sessions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,             -- Foreign key to users table
+        text_id INTEGER NOT NULL,             -- Foreign key to texts table
+        started_at DATETIME DEFAULT CURRENT_TIMESTAMP, -- When the practice page was opened
+        ended_at DATETIME,                    -- Last activity recorded for the session (NULL until first update)
+        wpm INTEGER NOT NULL DEFAULT 0,       -- Words per minute at the last update
+        accuracy REAL NOT NULL DEFAULT 100,   -- Accuracy percentage at the last update
+        errors INTEGER NOT NULL DEFAULT 0,    -- Total errors made during the session
+        lines_completed INTEGER NOT NULL DEFAULT 0, -- Lines finished with Enter
+        lines_skipped INTEGER NOT NULL DEFAULT 0,   -- Lines skipped with the Skip button / Shift + Enter
+        session_type TEXT NOT NULL DEFAULT 'free',  -- 'free' (type until the text ends) or 'timed' (countdown test)
+        time_limit_seconds INTEGER,           -- Duration of a timed test (NULL for free sessions)
+        gross_wpm INTEGER,                    -- WPM counting every keystroke, errors included (timed tests only)
+        typing_mode TEXT NOT NULL DEFAULT 'normal', -- Error handling used for the session: 'strict', 'normal' or 'free'
+        chunk_index INTEGER,                  -- Paragraph practiced on its own (?chunk=N review), NULL for the whole text
+        completed INTEGER NOT NULL DEFAULT 0, -- 1 once every line was typed to the end, none skipped
+        FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE, -- Delete sessions if user is deleted
+        FOREIGN KEY(text_id) REFERENCES texts(id) ON DELETE CASCADE  -- Delete sessions if text is deleted
+    );
+`);
+
+/**
+ * Adds a column to an existing table if it is not there yet.
+ * `CREATE TABLE IF NOT EXISTS` leaves tables created by an older version untouched, so columns added later need this.
+ * @param {string} table - The table name.
+ * @param {string} column - The column name.
+ * @param {string} definition - The column type and constraints (e.g. "INTEGER NOT NULL DEFAULT 0").
+ */
+function addColumnIfMissing(table, column, definition) {
+    const columns = db.pragma(`table_info(${table})`);
+    if (!columns.some((c) => c.name === column)) {
+        db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    }
+}
+
+addColumnIfMissing(
+    'practice_sessions',
+    'session_type',
+    "TEXT NOT NULL DEFAULT 'free'"
+);
+addColumnIfMissing('practice_sessions', 'time_limit_seconds', 'INTEGER');
+addColumnIfMissing('practice_sessions', 'gross_wpm', 'INTEGER');
+addColumnIfMissing(
+    'practice_sessions',
+    'typing_mode',
+    "TEXT NOT NULL DEFAULT 'normal'"
+);
+addColumnIfMissing('practice_sessions', 'chunk_index', 'INTEGER');
+addColumnIfMissing(
+    'practice_sessions',
+    'completed',
+    'INTEGER NOT NULL DEFAULT 0'
+);
+addColumnIfMissing('users', 'typing_mode', "TEXT NOT NULL DEFAULT 'normal'");
+addColumnIfMissing('users', 'ocr_language', "TEXT NOT NULL DEFAULT 'eng'");
+addColumnIfMissing(
+    'texts',
+    'source_text_id',
+    'INTEGER REFERENCES texts (id) ON DELETE SET NULL'
+);
+addColumnIfMissing('texts', 'translation_language', 'TEXT');
+
+// Create the 'session_keystrokes' table: the recorded input events of a session, for replays.
+// Each row holds the events typed on one display line, in order (a line typed twice gets two rows).
+db.exec(`
+    CREATE TABLE IF NOT EXISTS session_keystrokes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT, -- Also gives the playback order of the rows
+        session_id INTEGER NOT NULL,          -- Foreign key to practice_sessions table
+        line_text TEXT NOT NULL,              -- The line being typed
+        events TEXT NOT NULL,                 -- JSON array of [milliseconds since the first keystroke, input value]
+        FOREIGN KEY(session_id) REFERENCES practice_sessions(id) ON DELETE CASCADE -- Delete keystrokes with their session
+    );
+`);
+
+// Create the 'user_key_errors' table to aggregate which wrong key was typed for which expected character
+db.exec(`
+    CREATE TABLE IF NOT EXISTS user_key_errors (
+        user_id INTEGER NOT NULL,             -- Foreign key to users table
+        expected_char TEXT NOT NULL,          -- The character the text asked for
+        typed_char TEXT NOT NULL,             -- The (wrong) character the user typed instead
+        count INTEGER NOT NULL DEFAULT 0,     -- How many times this confusion happened
+        PRIMARY KEY (user_id, expected_char, typed_char),
+        FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE -- Delete error counts if user is deleted
+    );
+`);
+
+// Create the 'review_schedule' table: spaced-repetition schedule layered on top of user_text_progress.
+// A row is either a whole text (chunk_index = -1) or one of its paragraphs (chunk_index >= 0).
+db.exec(`
+    CREATE TABLE IF NOT EXISTS review_schedule (
+        user_id INTEGER NOT NULL,             -- Foreign key to users table
+        text_id INTEGER NOT NULL,             -- Foreign key to texts table
+        chunk_index INTEGER NOT NULL DEFAULT -1, -- Paragraph index within the text, -1 for the whole text
+        repetitions INTEGER NOT NULL DEFAULT 0,  -- Successful reviews in a row (SM-2 'n')
+        interval_days INTEGER NOT NULL DEFAULT 0, -- Days until the next review (SM-2 'I')
+        ease_factor REAL NOT NULL DEFAULT 2.5,    -- SM-2 easiness factor ('EF')
+        due_date DATE NOT NULL,               -- Date (UTC) the item should be retyped
+        last_grade INTEGER,                   -- Recall grade (0-5) of the last review
+        last_reviewed_at DATETIME,            -- When the last review happened
+        PRIMARY KEY (user_id, text_id, chunk_index),
+        FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE, -- Delete schedule if user is deleted
+        FOREIGN KEY(text_id) REFERENCES texts(id) ON DELETE CASCADE  -- Delete schedule if text is deleted
+    );
+`);
+
+// Create the 'quiz_results' table: scores of the comprehension quizzes taken after typing a text
+db.exec(`
+    CREATE TABLE IF NOT EXISTS quiz_results (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,             -- Foreign key to users table
+        text_id INTEGER NOT NULL,             -- Foreign key to texts table
+        correct_count INTEGER NOT NULL,       -- Questions answered correctly
+        question_count INTEGER NOT NULL,      -- Questions in the quiz
+        coins_awarded INTEGER NOT NULL DEFAULT 0, -- Coins earned with this quiz
+        taken_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE, -- Delete results if user is deleted
+        FOREIGN KEY(text_id) REFERENCES texts(id) ON DELETE CASCADE  -- Delete results if text is deleted
+    );
+`);
+
 // --- Database Access Functions (Model Logic) ---
 
 /**
@@ -170,6 +311,74 @@ function get_user_details(user_id) {
     return stmt.get(user_id) || null;
 }
 
+// How errors are handled when practicing (user setting, recorded on each session):
+// 'strict' blocks wrong characters, 'normal' requires correcting them, 'free' lets the user move on
+const TYPING_MODES = ['strict', 'normal', 'free'];
+
+/**
+ * Retrieves the typing mode setting of a user (how errors are handled when practicing).
+ * @param {number} user_id - The user's ID.
+ * @returns {string} - 'strict', 'normal' or 'free' ('normal' if the user is not found or on error).
+ */
+function get_typing_mode(user_id) {
+    const stmt = db.prepare('SELECT typing_mode FROM users WHERE id = ?');
+    try {
+        const row = stmt.get(user_id);
+        return row ? row.typing_mode : 'normal';
+    } catch (err) {
+        console.error(`Error fetching typing mode for user ${user_id}:`, err);
+        return 'normal';
+    }
+}
+
+/**
+ * Saves the typing mode setting of a user.
+ * @param {number} user_id - The user's ID.
+ * @param {string} typing_mode - 'strict', 'normal' or 'free'.
+ * @returns {boolean} - True if the setting was saved, false otherwise.
+ */
+function set_typing_mode(user_id, typing_mode) {
+    const stmt = db.prepare('UPDATE users SET typing_mode = ? WHERE id = ?');
+    try {
+        return stmt.run(typing_mode, user_id).changes > 0;
+    } catch (err) {
+        console.error(`Error saving typing mode for user ${user_id}:`, err);
+        return false;
+    }
+}
+
+/**
+ * Retrieves the OCR language setting of a user (the language of their scanned documents).
+ * @param {number} user_id - The user's ID.
+ * @returns {string} - A Tesseract language code ('eng' if the user is not found or on error).
+ */
+function get_ocr_language(user_id) {
+    const stmt = db.prepare('SELECT ocr_language FROM users WHERE id = ?');
+    try {
+        const row = stmt.get(user_id);
+        return row ? row.ocr_language : 'eng';
+    } catch (err) {
+        console.error(`Error fetching OCR language for user ${user_id}:`, err);
+        return 'eng';
+    }
+}
+
+/**
+ * Saves the OCR language setting of a user.
+ * @param {number} user_id - The user's ID.
+ * @param {string} ocr_language - A Tesseract language code (e.g. 'eng', 'fra').
+ * @returns {boolean} - True if the setting was saved, false otherwise.
+ */
+function set_ocr_language(user_id, ocr_language) {
+    const stmt = db.prepare('UPDATE users SET ocr_language = ? WHERE id = ?');
+    try {
+        return stmt.run(ocr_language, user_id).changes > 0;
+    } catch (err) {
+        console.error(`Error saving OCR language for user ${user_id}:`, err);
+        return false;
+    }
+}
+
 /**
  * Increments the coin count for a specific user.
  * @param {number} user_id - The ID of the user whose coins to increment.
@@ -249,7 +458,8 @@ function get_texts(user_id, category_id = null) {
             t.title,
             LENGTH(t.content) as content_length,
             COALESCE(utp.progress_index, 0) as progress_index,
-            t.category_id -- Include category_id for potential frontend use
+            t.category_id, -- Include category_id for potential frontend use
+            t.translation_language -- Set for translations of another text
         FROM texts t
         LEFT JOIN user_text_progress utp ON t.id = utp.text_id AND utp.user_id = ?
         WHERE t.user_id = ?
@@ -293,6 +503,24 @@ function get_text(text_id, user_id) {
     return stmt.get(user_id, text_id) || null;
 }
 
+/**
+ * Retrieves the content of every text belonging to a user, across all categories.
+ * Used to build drills from the user's own material.
+ * @param {number} user_id - The user's ID.
+ * @returns {Array<object>} - A list of { id, title, content } objects.
+ */
+function get_text_contents(user_id) {
+    const stmt = db.prepare(
+        'SELECT id, title, content FROM texts WHERE user_id = ? ORDER BY id'
+    );
+    try {
+        return stmt.all(user_id);
+    } catch (err) {
+        console.error(`Error fetching text contents for user ${user_id}:`, err);
+        return [];
+    }
+}
+
 /**
  * Adds a new text record to the 'texts' table for a specific user.
  * @param {number} user_id - The ID of the user adding the text.
@@ -648,6 +876,971 @@ function increment_texts_practiced(user_id) {
     }
 }
 
+/**
+ * Creates a new practice session record when a user opens a text for practice or starts a timed test.
+ * @param {number} user_id - The user's ID.
+ * @param {number} text_id - The ID of the text being practiced.
+ * @param {object} [options={}] - Optional session settings.
+ * @param {string} [options.session_type='free'] - 'free' or 'timed'.
+ * @param {number|null} [options.time_limit_seconds=null] - Duration of a timed test.
+ * @param {string} [options.typing_mode='normal'] - 'strict', 'normal' or 'free'.
+ * @param {number|null} [options.chunk_index=null] - The paragraph practiced on its own, null for the whole text.
+ * @returns {number} - The ID of the new session, or -1 on error.
+ */
+function start_practice_session(user_id, text_id, options = {}) {
+    const {
+        session_type = 'free',
+        time_limit_seconds = null,
+        typing_mode = 'normal',
+        chunk_index = null,
+    } = options;
+    const stmt = db.prepare(
+        'INSERT INTO practice_sessions (user_id, text_id, session_type, time_limit_seconds, typing_mode, chunk_index) VALUES (?, ?, ?, ?, ?, ?)'
+    );
+    try {
+        const info = stmt.run(
+            user_id,
+            text_id,
+            session_type,
+            time_limit_seconds,
+            typing_mode,
+            chunk_index
+        );
+        if (process.env.NODE_ENV === 'development')
+            console.log(
+                `Practice session started: ID ${info.lastInsertRowid}, User ${user_id}, Text ${text_id}, Type ${session_type}`
+            );
+        return info.lastInsertRowid;
+    } catch (err) {
+        console.error(
+            `Error starting practice session for user ${user_id}, text ${text_id}:`,
+            err
+        );
+        return -1;
+    }
+}
+
+/**
+ * Updates the statistics of a practice session and stamps its end time.
+ * Only the owner of the session can update it.
+ * @param {number} session_id - The ID of the session to update.
+ * @param {number} user_id - The ID of the user owning the session.
+ * @param {object} stats - The session statistics.
+ * @param {number} stats.wpm - Words per minute.
+ * @param {number} stats.accuracy - Accuracy percentage (0-100).
+ * @param {number} stats.errors - Total errors.
+ * @param {number} stats.lines_completed - Number of completed lines.
+ * @param {number} stats.lines_skipped - Number of skipped lines.
+ * @param {number|null} [stats.gross_wpm] - Gross WPM (timed tests only).
+ * @param {boolean} [stats.completed] - True once every line was typed to the end, none skipped (kept once set).
+ * @returns {boolean} - True if the session was updated, false otherwise (not found, not owned, or error).
+ */
+function update_practice_session(session_id, user_id, stats) {
+    const stmt = db.prepare(`
+        UPDATE practice_sessions SET
+            wpm = ?,
+            accuracy = ?,
+            errors = ?,
+            lines_completed = ?,
+            lines_skipped = ?,
+            gross_wpm = ?,
+            completed = MAX(completed, ?),
+            ended_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND user_id = ?
+    `);
+    try {
+        const info = stmt.run(
+            stats.wpm,
+            stats.accuracy,
+            stats.errors,
+            stats.lines_completed,
+            stats.lines_skipped,
+            stats.gross_wpm ?? null,
+            stats.completed ? 1 : 0,
+            session_id,
+            user_id
+        );
+        return info.changes > 0;
+    } catch (err) {
+        console.error(
+            `Error updating practice session ${session_id} for user ${user_id}:`,
+            err
+        );
+        return false;
+    }
+}
+
+/**
+ * Retrieves the practice sessions of a user, most recent first.
+ * Sessions that never recorded any activity (ended_at IS NULL) are left out.
+ * @param {number} user_id - The user's ID.
+ * @param {object} [filters={}] - Optional filters.
+ * @param {number|null} [filters.text_id] - Only return sessions for this text.
+ * @param {string|null} [filters.from] - Only return sessions started on or after this date (YYYY-MM-DD).
+ * @param {string|null} [filters.to] - Only return sessions started on or before this date (YYYY-MM-DD).
+ * @param {string|null} [filters.session_type] - Only return sessions of this type ('free' or 'timed').
+ * @param {number|null} [filters.time_limit_seconds] - Only return timed tests of this duration.
+ * @param {string|null} [filters.typing_mode] - Only return sessions typed in this mode ('strict', 'normal' or 'free').
+ * @returns {Array<object>} - A list of session objects including the text title.
+ */
+function get_practice_sessions(user_id, filters = {}) {
+    let sql = `
+        SELECT
+            ps.id,
+            ps.text_id,
+            t.title AS text_title,
+            ps.started_at,
+            ps.ended_at,
+            ps.wpm,
+            ps.accuracy,
+            ps.errors,
+            ps.lines_completed,
+            ps.lines_skipped,
+            ps.session_type,
+            ps.time_limit_seconds,
+            ps.gross_wpm,
+            ps.typing_mode,
+            EXISTS (
+                SELECT 1 FROM session_keystrokes sk WHERE sk.session_id = ps.id
+            ) AS has_replay
+        FROM practice_sessions ps
+        JOIN texts t ON t.id = ps.text_id
+        WHERE ps.user_id = ? AND ps.ended_at IS NOT NULL
+    `;
+    const params = [user_id];
+
+    if (filters.text_id) {
+        sql += ' AND ps.text_id = ?';
+        params.push(filters.text_id);
+    }
+    if (filters.from) {
+        sql += ' AND date(ps.started_at) >= date(?)';
+        params.push(filters.from);
+    }
+    if (filters.to) {
+        sql += ' AND date(ps.started_at) <= date(?)';
+        params.push(filters.to);
+    }
+    if (filters.session_type) {
+        sql += ' AND ps.session_type = ?';
+        params.push(filters.session_type);
+    }
+    if (filters.time_limit_seconds) {
+        sql += ' AND ps.time_limit_seconds = ?';
+        params.push(filters.time_limit_seconds);
+    }
+    if (filters.typing_mode) {
+        sql += ' AND ps.typing_mode = ?';
+        params.push(filters.typing_mode);
+    }
+
+    sql += ' ORDER BY ps.started_at DESC, ps.id DESC';
+
+    try {
+        return db.prepare(sql).all(...params);
+    } catch (err) {
+        console.error(
+            `Error fetching practice sessions for user ${user_id}:`,
+            err
+        );
+        return [];
+    }
+}
+
+/**
+ * Retrieves a single practice session of a user, including the text title.
+ * @param {number} session_id - The ID of the session.
+ * @param {number} user_id - The ID of the user owning the session.
+ * @returns {object|null} - The session object, or null if not found, not owned or on error.
+ */
+function get_practice_session(session_id, user_id) {
+    const stmt = db.prepare(`
+        SELECT
+            ps.*,
+            t.title AS text_title
+        FROM practice_sessions ps
+        JOIN texts t ON t.id = ps.text_id
+        WHERE ps.id = ? AND ps.user_id = ?
+    `);
+    try {
+        return stmt.get(session_id, user_id) || null;
+    } catch (err) {
+        console.error(
+            `Error fetching practice session ${session_id} for user ${user_id}:`,
+            err
+        );
+        return null;
+    }
+}
+
+/**
+ * Appends recorded input events to a practice session. Only the owner of the session can add to it.
+ * @param {number} session_id - The ID of the session.
+ * @param {number} user_id - The ID of the user owning the session.
+ * @param {string} line_text - The line the events were typed on.
+ * @param {Array<Array>} events - The input events, as [milliseconds since the first keystroke, input value] pairs.
+ * @returns {boolean} - True if the events were stored, false otherwise (session not found, not owned, or error).
+ */
+function add_session_keystrokes(session_id, user_id, line_text, events) {
+    // Insert through a SELECT so nothing is written for a session the user doesn't own
+    const stmt = db.prepare(`
+        INSERT INTO session_keystrokes (session_id, line_text, events)
+        SELECT id, ?, ? FROM practice_sessions WHERE id = ? AND user_id = ?
+    `);
+    try {
+        const info = stmt.run(
+            line_text,
+            JSON.stringify(events),
+            session_id,
+            user_id
+        );
+        return info.changes > 0;
+    } catch (err) {
+        console.error(
+            `Error recording keystrokes for session ${session_id}, user ${user_id}:`,
+            err
+        );
+        return false;
+    }
+}
+
+/**
+ * Retrieves the recorded input events of a practice session, in playback order.
+ * Ownership must be checked by the caller (see get_practice_session).
+ * @param {number} session_id - The ID of the session.
+ * @returns {Array<{line_text: string, events: Array<Array>}>} - The recorded lines, or an empty array on error.
+ */
+function get_session_keystrokes(session_id) {
+    const stmt = db.prepare(`
+        SELECT line_text, events
+        FROM session_keystrokes
+        WHERE session_id = ?
+        ORDER BY id
+    `);
+    try {
+        return stmt.all(session_id).map((row) => ({
+            line_text: row.line_text,
+            events: JSON.parse(row.events),
+        }));
+    } catch (err) {
+        console.error(
+            `Error fetching keystrokes for session ${session_id}:`,
+            err
+        );
+        return [];
+    }
+}
+
+/**
+ * Retrieves the user's best run on a text among the sessions that have recorded keystrokes (ghost racer).
+ * Only complete runs of the whole text count: free typing (not a timed test, nor a paragraph review)
+ * with every line typed. The best run is the one with the highest WPM, then the highest accuracy.
+ * @param {number} user_id - The user's ID.
+ * @param {number} text_id - The ID of the text.
+ * @returns {object|null} - The session ({ id, wpm, accuracy, started_at }), or null if there is none or on error.
+ */
+function get_best_recorded_session(user_id, text_id) {
+    const stmt = db.prepare(`
+        SELECT ps.id, ps.wpm, ps.accuracy, ps.started_at
+        FROM practice_sessions ps
+        WHERE ps.user_id = ? AND ps.text_id = ? AND ps.ended_at IS NOT NULL
+          AND ps.session_type = 'free' AND ps.chunk_index IS NULL AND ps.completed = 1
+          AND EXISTS (
+              SELECT 1 FROM session_keystrokes sk WHERE sk.session_id = ps.id
+          )
+        ORDER BY ps.wpm DESC, ps.accuracy DESC, ps.id DESC
+        LIMIT 1
+    `);
+    try {
+        return stmt.get(user_id, text_id) || null;
+    } catch (err) {
+        console.error(
+            `Error fetching best recorded session for user ${user_id}, text ${text_id}:`,
+            err
+        );
+        return null;
+    }
+}
+
+/**
+ * Retrieves the texts a user has at least one recorded practice session for.
+ * Used to populate the text filter of the history page.
+ * @param {number} user_id - The user's ID.
+ * @returns {Array<object>} - A list of { id, title } objects ordered by title.
+ */
+function get_practiced_texts(user_id) {
+    const stmt = db.prepare(`
+        SELECT DISTINCT t.id, t.title
+        FROM practice_sessions ps
+        JOIN texts t ON t.id = ps.text_id
+        WHERE ps.user_id = ? AND ps.ended_at IS NOT NULL
+        ORDER BY t.title
+    `);
+    try {
+        return stmt.all(user_id);
+    } catch (err) {
+        console.error(
+            `Error fetching practiced texts for user ${user_id}:`,
+            err
+        );
+        return [];
+    }
+}
+
+/**
+ * Adds a batch of mistyped characters to the user's per-key error counts within a transaction.
+ * @param {number} user_id - The user's ID.
+ * @param {Array<{expected: string, typed: string}>} errors - The expected/typed character pairs.
+ * @returns {boolean} - True if all pairs were recorded, false otherwise.
+ */
+function record_key_errors(user_id, errors) {
+    const stmt = db.prepare(`
+        INSERT INTO user_key_errors (user_id, expected_char, typed_char, count)
+        VALUES (?, ?, ?, 1)
+        ON CONFLICT(user_id, expected_char, typed_char) DO UPDATE SET
+            count = count + 1
+    `);
+    const recordAll = db.transaction((pairs) => {
+        pairs.forEach((pair) => stmt.run(user_id, pair.expected, pair.typed));
+    });
+    try {
+        recordAll(errors);
+        return true;
+    } catch (err) {
+        console.error(`Error recording key errors for user ${user_id}:`, err);
+        return false;
+    }
+}
+
+/**
+ * Retrieves the total number of errors per expected character for a user.
+ * @param {number} user_id - The user's ID.
+ * @returns {Array<object>} - A list of { expected_char, count } objects, most errors first.
+ */
+function get_key_error_counts(user_id) {
+    const stmt = db.prepare(`
+        SELECT expected_char, SUM(count) AS count
+        FROM user_key_errors
+        WHERE user_id = ?
+        GROUP BY expected_char
+        ORDER BY count DESC
+    `);
+    try {
+        return stmt.all(user_id);
+    } catch (err) {
+        console.error(
+            `Error fetching key error counts for user ${user_id}:`,
+            err
+        );
+        return [];
+    }
+}
+
+/**
+ * Retrieves the expected/typed character pairs a user confuses the most.
+ * @param {number} user_id - The user's ID.
+ * @param {number} [limit=10] - Maximum number of pairs to return.
+ * @returns {Array<object>} - A list of { expected_char, typed_char, count } objects, most frequent first.
+ */
+function get_confused_pairs(user_id, limit = 10) {
+    const stmt = db.prepare(`
+        SELECT expected_char, typed_char, count
+        FROM user_key_errors
+        WHERE user_id = ?
+        ORDER BY count DESC, expected_char, typed_char
+        LIMIT ?
+    `);
+    try {
+        return stmt.all(user_id, limit);
+    } catch (err) {
+        console.error(
+            `Error fetching confused pairs for user ${user_id}:`,
+            err
+        );
+        return [];
+    }
+}
+
+/**
+ * Retrieves the review schedule of a text (or one of its paragraphs) for a user.
+ * @param {number} user_id - The user's ID.
+ * @param {number} text_id - The text's ID.
+ * @param {number} chunk_index - The paragraph index, or -1 for the whole text.
+ * @returns {object|null} - The schedule row, or null if the item was never reviewed (or on error).
+ */
+function get_review_item(user_id, text_id, chunk_index) {
+    const stmt = db.prepare(`
+        SELECT * FROM review_schedule
+        WHERE user_id = ? AND text_id = ? AND chunk_index = ?
+    `);
+    try {
+        return stmt.get(user_id, text_id, chunk_index) || null;
+    } catch (err) {
+        console.error(
+            `Error fetching review item for user ${user_id}, text ${text_id}, chunk ${chunk_index}:`,
+            err
+        );
+        return null;
+    }
+}
+
+/**
+ * Saves the outcome of a review and schedules the next one (UPSERT).
+ * @param {number} user_id - The user's ID.
+ * @param {number} text_id - The text's ID.
+ * @param {number} chunk_index - The paragraph index, or -1 for the whole text.
+ * @param {object} schedule - The new schedule.
+ * @param {number} schedule.repetitions - Successful reviews in a row.
+ * @param {number} schedule.interval_days - Days until the next review.
+ * @param {number} schedule.ease_factor - SM-2 easiness factor.
+ * @param {number} grade - The recall grade (0-5) of this review.
+ * @returns {boolean} - True if successful, false otherwise.
+ */
+function save_review_item(user_id, text_id, chunk_index, schedule, grade) {
+    const stmt = db.prepare(`
+        INSERT INTO review_schedule (user_id, text_id, chunk_index, repetitions, interval_days, ease_factor, due_date, last_grade, last_reviewed_at)
+        VALUES (?, ?, ?, ?, ?, ?, date('now', '+' || ? || ' days'), ?, CURRENT_TIMESTAMP)
+        ON CONFLICT(user_id, text_id, chunk_index) DO UPDATE SET
+            repetitions = excluded.repetitions,
+            interval_days = excluded.interval_days,
+            ease_factor = excluded.ease_factor,
+            due_date = excluded.due_date,
+            last_grade = excluded.last_grade,
+            last_reviewed_at = excluded.last_reviewed_at
+    `);
+    try {
+        stmt.run(
+            user_id,
+            text_id,
+            chunk_index,
+            schedule.repetitions,
+            schedule.interval_days,
+            schedule.ease_factor,
+            schedule.interval_days,
+            grade
+        );
+        return true;
+    } catch (err) {
+        console.error(
+            `Error saving review item for user ${user_id}, text ${text_id}, chunk ${chunk_index}:`,
+            err
+        );
+        return false;
+    }
+}
+
+/**
+ * Retrieves the texts and paragraphs due for review today (or overdue), oldest due date first.
+ * @param {number} user_id - The user's ID.
+ * @returns {Array<object>} - A list of { text_id, title, chunk_index, due_date, interval_days, last_grade } objects.
+ */
+function get_due_reviews(user_id) {
+    const stmt = db.prepare(`
+        SELECT
+            rs.text_id,
+            t.title,
+            rs.chunk_index,
+            rs.due_date,
+            rs.interval_days,
+            rs.last_grade
+        FROM review_schedule rs
+        JOIN texts t ON t.id = rs.text_id
+        WHERE rs.user_id = ? AND rs.due_date <= date('now')
+        ORDER BY rs.due_date ASC, t.title ASC, rs.chunk_index ASC
+    `);
+    try {
+        return stmt.all(user_id);
+    } catch (err) {
+        console.error(`Error fetching due reviews for user ${user_id}:`, err);
+        return [];
+    }
+}
+
+// --- Translation Functions ---
+
+/**
+ * Adds the translation of a text as a new text of the user, linked to its original.
+ * @param {number} user_id - The user's ID.
+ * @param {number} source_text_id - The ID of the translated text.
+ * @param {string} title - The title of the translation.
+ * @param {string} content - The translation.
+ * @param {number|null} category_id - The folder of the translation.
+ * @param {string} language - The language code of the translation (see TRANSLATION_LANGUAGES in services/translator).
+ * @returns {number} - The ID of the new text, or -1 on error.
+ */
+function add_translation(
+    user_id,
+    source_text_id,
+    title,
+    content,
+    category_id,
+    language
+) {
+    const linkStmt = db.prepare(
+        'UPDATE texts SET source_text_id = ?, translation_language = ? WHERE id = ?'
+    );
+    const addAndLink = db.transaction(() => {
+        const text_id = add_text(user_id, title, content, category_id);
+        if (text_id === -1) throw new Error('The text could not be added.');
+        linkStmt.run(source_text_id, language, text_id);
+        return text_id;
+    });
+    try {
+        return addAndLink();
+    } catch (err) {
+        console.error(
+            `Error adding translation of text ${source_text_id} for user ${user_id}:`,
+            err
+        );
+        return -1;
+    }
+}
+
+/**
+ * Retrieves the original of a translated text, if the user still has it.
+ * @param {number} text_id - The ID of the translation.
+ * @param {number} user_id - The user's ID.
+ * @returns {object|null} - { id, title, content, translation_language } (the language of the translation),
+ *   or null if the text is not a translation or its original was deleted.
+ */
+function get_translation_source(text_id, user_id) {
+    const stmt = db.prepare(`
+        SELECT s.id, s.title, s.content, t.translation_language
+        FROM texts t
+        JOIN texts s ON s.id = t.source_text_id
+        WHERE t.id = ? AND s.user_id = ?
+    `);
+    try {
+        return stmt.get(text_id, user_id) || null;
+    } catch (err) {
+        console.error(
+            `Error fetching the original of text ${text_id} for user ${user_id}:`,
+            err
+        );
+        return null;
+    }
+}
+
+// --- Quiz Functions ---
+
+/**
+ * Records the score of a comprehension quiz taken on a text.
+ * @param {number} user_id - The user's ID.
+ * @param {number} text_id - The text's ID.
+ * @param {number} correct_count - The number of questions answered correctly.
+ * @param {number} question_count - The number of questions of the quiz.
+ * @param {number} coins_awarded - The coins earned with the quiz.
+ * @returns {number} - The ID of the new result row, or -1 on failure.
+ */
+function save_quiz_result(
+    user_id,
+    text_id,
+    correct_count,
+    question_count,
+    coins_awarded
+) {
+    const stmt = db.prepare(`
+        INSERT INTO quiz_results (user_id, text_id, correct_count, question_count, coins_awarded)
+        VALUES (?, ?, ?, ?, ?)
+    `);
+    try {
+        const info = stmt.run(
+            user_id,
+            text_id,
+            correct_count,
+            question_count,
+            coins_awarded
+        );
+        return info.lastInsertRowid;
+    } catch (err) {
+        console.error(
+            `Error saving quiz result for user ${user_id}, text ${text_id}:`,
+            err
+        );
+        return -1;
+    }
+}
+
+/**
+ * Retrieves the quiz scores of a user on a text, most recent first.
+ * @param {number} user_id - The user's ID.
+ * @param {number} text_id - The text's ID.
+ * @param {number} [limit=10] - The maximum number of results.
+ * @returns {Array<object>} - A list of { correct_count, question_count, coins_awarded, taken_at } objects.
+ */
+function get_quiz_results(user_id, text_id, limit = 10) {
+    const stmt = db.prepare(`
+        SELECT correct_count, question_count, coins_awarded, taken_at
+        FROM quiz_results
+        WHERE user_id = ? AND text_id = ?
+        ORDER BY taken_at DESC, id DESC
+        LIMIT ?
+    `);
+    try {
+        return stmt.all(user_id, text_id, limit);
+    } catch (err) {
+        console.error(
+            `Error fetching quiz results for user ${user_id}, text ${text_id}:`,
+            err
+        );
+        return [];
+    }
+}
+
+// --- Account Archive Functions ---
+
+/**
+ * Retrieves all the data of a user's account that can be moved to another account or instance
+ * (see utils/accountArchive): settings, coins, category tree, texts, reading progress, statistics,
+ * per-key error counts, owned items, practice sessions, review schedule and quiz results.
+ * Only the keystroke recordings of the sessions (session_keystrokes) are left out: they are only used to
+ * replay a session, weigh far more than the rest of the account, and their errors are already in key_errors.
+ * IDs are those of this database: they only link the rows of the export together.
+ * @param {number} user_id - The user's ID.
+ * @returns {object|null} - { settings: { typing_mode, ocr_language }, coins, categories: [{ id, name,
+ *   parent_category_id }], texts: [{ id, category_id, title, content, order_index, source_text_id,
+ *   translation_language }], progress: [{ text_id, progress_index }], stats: { texts_practiced,
+ *   total_practice_time_seconds, total_accuracy_points, accuracy_entries_count } or null, key_errors: [{
+ *   expected_char, typed_char, count }], owned_items: [{ item_id, quantity }], practice_sessions: [{ text_id,
+ *   started_at, ended_at, wpm, accuracy, errors, lines_completed, lines_skipped, session_type,
+ *   time_limit_seconds, gross_wpm, typing_mode }], review_schedule: [{ text_id, chunk_index, repetitions,
+ *   interval_days, ease_factor, due_date, last_grade, last_reviewed_at }], quiz_results: [{ text_id,
+ *   correct_count, question_count, coins_awarded, taken_at }] }, or null on error.
+ */
+function export_user_data(user_id) {
+    try {
+        const user = db
+            .prepare(
+                'SELECT coins, typing_mode, ocr_language FROM users WHERE id = ?'
+            )
+            .get(user_id);
+        if (!user) return null;
+        return {
+            settings: {
+                typing_mode: user.typing_mode,
+                ocr_language: user.ocr_language,
+            },
+            coins: user.coins,
+            // Parents before their children, so that an import can create them in order
+            categories: db
+                .prepare(
+                    'SELECT id, name, parent_category_id FROM categories WHERE user_id = ? ORDER BY id'
+                )
+                .all(user_id),
+            texts: db
+                .prepare(
+                    'SELECT id, category_id, title, content, order_index, source_text_id, translation_language FROM texts WHERE user_id = ? ORDER BY category_id, order_index, id'
+                )
+                .all(user_id),
+            progress: db
+                .prepare(
+                    'SELECT text_id, progress_index FROM user_text_progress WHERE user_id = ?'
+                )
+                .all(user_id),
+            stats:
+                db
+                    .prepare(
+                        'SELECT texts_practiced, total_practice_time_seconds, total_accuracy_points, accuracy_entries_count FROM user_stats WHERE user_id = ?'
+                    )
+                    .get(user_id) || null,
+            key_errors: db
+                .prepare(
+                    'SELECT expected_char, typed_char, count FROM user_key_errors WHERE user_id = ?'
+                )
+                .all(user_id),
+            owned_items: db
+                .prepare(
+                    'SELECT item_id, quantity FROM user_owned_items WHERE user_id = ?'
+                )
+                .all(user_id),
+            practice_sessions: db
+                .prepare(
+                    `SELECT text_id, started_at, ended_at, wpm, accuracy, errors, lines_completed, lines_skipped,
+                        session_type, time_limit_seconds, gross_wpm, typing_mode
+                    FROM practice_sessions WHERE user_id = ? ORDER BY id`
+                )
+                .all(user_id),
+            review_schedule: db
+                .prepare(
+                    `SELECT text_id, chunk_index, repetitions, interval_days, ease_factor, due_date, last_grade,
+                        last_reviewed_at
+                    FROM review_schedule WHERE user_id = ?`
+                )
+                .all(user_id),
+            quiz_results: db
+                .prepare(
+                    'SELECT text_id, correct_count, question_count, coins_awarded, taken_at FROM quiz_results WHERE user_id = ? ORDER BY id'
+                )
+                .all(user_id),
+        };
+    } catch (err) {
+        console.error(`Error exporting data of user ${user_id}:`, err);
+        return null;
+    }
+}
+
+/**
+ * Restores the data of an account archive into a user's account, within a transaction (all or nothing).
+ * The data is added to what the account already holds: folders with the same name at the same level are
+ * merged, texts are added after the existing ones of their folder (with their progress, review schedule and
+ * the link of translations to their original) and error counts are added up. The settings of the archive replace the user's.
+ * The rewards of a signed archive (coins, owned items, statistics, practice sessions and quiz results) are only
+ * restored into a new account, which has not earned any yet: they are set, never added, so an archive cannot be
+ * imported twice for profit.
+ * @param {number} user_id - The user's ID.
+ * @param {object} data - The validated data of the archive (see validateAccountArchive in utils/accountArchive).
+ * @returns {{categories: number, texts: number, rewards: boolean}|null} - How many folders were created and
+ *   texts added, and whether the rewards were restored, or null on error.
+ */
+function import_user_data(user_id, data) {
+    const findCategoryStmt = db.prepare(
+        'SELECT id FROM categories WHERE user_id = ? AND name = ? AND parent_category_id IS ?'
+    );
+    const insertCategoryStmt = db.prepare(
+        'INSERT INTO categories (user_id, name, parent_category_id) VALUES (?, ?, ?)'
+    );
+    const maxOrderStmt = db.prepare(
+        'SELECT MAX(order_index) as max_index FROM texts WHERE user_id = ? AND category_id IS ?'
+    );
+    const insertTextStmt = db.prepare(
+        'INSERT INTO texts (user_id, title, content, category_id, order_index, translation_language) VALUES (?, ?, ?, ?, ?, ?)'
+    );
+    const linkTranslationStmt = db.prepare(
+        'UPDATE texts SET source_text_id = ? WHERE id = ?'
+    );
+    const progressStmt = db.prepare(`
+        INSERT INTO user_text_progress (user_id, text_id, progress_index)
+        VALUES (?, ?, ?)
+        ON CONFLICT(user_id, text_id) DO UPDATE SET progress_index = excluded.progress_index
+    `);
+    const statsStmt = db.prepare(`
+        INSERT INTO user_stats (user_id, texts_practiced, total_practice_time_seconds, total_accuracy_points, accuracy_entries_count)
+        VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT(user_id) DO UPDATE SET
+            texts_practiced = excluded.texts_practiced,
+            total_practice_time_seconds = excluded.total_practice_time_seconds,
+            total_accuracy_points = excluded.total_accuracy_points,
+            accuracy_entries_count = excluded.accuracy_entries_count
+    `);
+    const keyErrorStmt = db.prepare(`
+        INSERT INTO user_key_errors (user_id, expected_char, typed_char, count)
+        VALUES (?, ?, ?, ?)
+        ON CONFLICT(user_id, expected_char, typed_char) DO UPDATE SET
+            count = count + excluded.count
+    `);
+    const ownedItemStmt = db.prepare(`
+        INSERT INTO user_owned_items (user_id, item_id, quantity)
+        VALUES (?, ?, ?)
+        ON CONFLICT(user_id, item_id) DO UPDATE SET
+            quantity = excluded.quantity
+    `);
+    const reviewStmt = db.prepare(`
+        INSERT INTO review_schedule (user_id, text_id, chunk_index, repetitions, interval_days, ease_factor, due_date, last_grade, last_reviewed_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT(user_id, text_id, chunk_index) DO UPDATE SET
+            repetitions = excluded.repetitions,
+            interval_days = excluded.interval_days,
+            ease_factor = excluded.ease_factor,
+            due_date = excluded.due_date,
+            last_grade = excluded.last_grade,
+            last_reviewed_at = excluded.last_reviewed_at
+    `);
+    const sessionStmt = db.prepare(`
+        INSERT INTO practice_sessions (user_id, text_id, started_at, ended_at, wpm, accuracy, errors, lines_completed,
+            lines_skipped, session_type, time_limit_seconds, gross_wpm, typing_mode)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    const quizResultStmt = db.prepare(`
+        INSERT INTO quiz_results (user_id, text_id, correct_count, question_count, coins_awarded, taken_at)
+        VALUES (?, ?, ?, ?, ?, ?)
+    `);
+    const coinsStmt = db.prepare('UPDATE users SET coins = ? WHERE id = ?');
+    const settingsStmt = db.prepare(`
+        UPDATE users SET
+            typing_mode = COALESCE(?, typing_mode),
+            ocr_language = COALESCE(?, ocr_language)
+        WHERE id = ?
+    `);
+    // A new account: no coins, no items and nothing practiced yet
+    const isNewAccountStmt = db.prepare(`
+        SELECT 1 FROM users WHERE id = ? AND coins = 0
+            AND NOT EXISTS (SELECT 1 FROM user_owned_items WHERE user_id = users.id)
+            AND NOT EXISTS (SELECT 1 FROM practice_sessions WHERE user_id = users.id)
+            AND NOT EXISTS (
+                SELECT 1 FROM user_stats WHERE user_id = users.id
+                    AND (texts_practiced > 0 OR total_practice_time_seconds > 0 OR accuracy_entries_count > 0)
+            )
+    `);
+
+    const importAll = db.transaction(() => {
+        // IDs of the archive -> IDs of this database
+        const categoryIds = new Map();
+        const textIds = new Map();
+        let createdCategories = 0;
+
+        // Parents first: a folder is created once its parent is
+        const pending = [...data.categories];
+        while (pending.length > 0) {
+            const index = pending.findIndex(
+                (c) =>
+                    c.parent_category_id === null ||
+                    categoryIds.has(c.parent_category_id)
+            );
+            const [category] = pending.splice(index, 1);
+            const parentId =
+                category.parent_category_id === null
+                    ? null
+                    : categoryIds.get(category.parent_category_id);
+            const existing = findCategoryStmt.get(
+                user_id,
+                category.name,
+                parentId
+            );
+            if (existing) {
+                categoryIds.set(category.id, existing.id);
+            } else {
+                const info = insertCategoryStmt.run(
+                    user_id,
+                    category.name,
+                    parentId
+                );
+                categoryIds.set(category.id, info.lastInsertRowid);
+                createdCategories += 1;
+            }
+        }
+
+        // Texts keep their order, after the texts already in their folder
+        const orderOffsets = new Map();
+        [...data.texts]
+            .sort((a, b) => a.order_index - b.order_index)
+            .forEach((text) => {
+                const categoryId =
+                    text.category_id === null
+                        ? null
+                        : categoryIds.get(text.category_id);
+                if (!orderOffsets.has(categoryId)) {
+                    const result = maxOrderStmt.get(user_id, categoryId);
+                    orderOffsets.set(
+                        categoryId,
+                        result && result.max_index !== null
+                            ? result.max_index + 1
+                            : 0
+                    );
+                }
+                const next_index = orderOffsets.get(categoryId);
+                orderOffsets.set(categoryId, next_index + 1);
+                const info = insertTextStmt.run(
+                    user_id,
+                    text.title,
+                    text.content,
+                    categoryId,
+                    next_index,
+                    text.translation_language
+                );
+                textIds.set(text.id, info.lastInsertRowid);
+            });
+        // Translations are linked once their original is in, wherever it is in the list
+        data.texts
+            .filter((text) => text.source_text_id !== null)
+            .forEach((text) =>
+                linkTranslationStmt.run(
+                    textIds.get(text.source_text_id),
+                    textIds.get(text.id)
+                )
+            );
+
+        data.progress.forEach((p) =>
+            progressStmt.run(user_id, textIds.get(p.text_id), p.progress_index)
+        );
+        data.review_schedule.forEach((r) =>
+            reviewStmt.run(
+                user_id,
+                textIds.get(r.text_id),
+                r.chunk_index,
+                r.repetitions,
+                r.interval_days,
+                r.ease_factor,
+                r.due_date,
+                r.last_grade,
+                r.last_reviewed_at
+            )
+        );
+        data.key_errors.forEach((e) =>
+            keyErrorStmt.run(user_id, e.expected_char, e.typed_char, e.count)
+        );
+        settingsStmt.run(
+            data.settings.typing_mode,
+            data.settings.ocr_language,
+            user_id
+        );
+
+        const { rewards } = data;
+        const restoreRewards = Boolean(
+            rewards && isNewAccountStmt.get(user_id)
+        );
+        if (restoreRewards) {
+            if (rewards.stats) {
+                statsStmt.run(
+                    user_id,
+                    rewards.stats.texts_practiced,
+                    rewards.stats.total_practice_time_seconds,
+                    rewards.stats.total_accuracy_points,
+                    rewards.stats.accuracy_entries_count
+                );
+            }
+            rewards.owned_items.forEach((item) =>
+                ownedItemStmt.run(user_id, item.item_id, item.quantity)
+            );
+            rewards.practice_sessions.forEach((session) =>
+                sessionStmt.run(
+                    user_id,
+                    textIds.get(session.text_id),
+                    session.started_at,
+                    session.ended_at,
+                    session.wpm,
+                    session.accuracy,
+                    session.errors,
+                    session.lines_completed,
+                    session.lines_skipped,
+                    session.session_type,
+                    session.time_limit_seconds,
+                    session.gross_wpm,
+                    session.typing_mode
+                )
+            );
+            rewards.quiz_results.forEach((result) =>
+                quizResultStmt.run(
+                    user_id,
+                    textIds.get(result.text_id),
+                    result.correct_count,
+                    result.question_count,
+                    result.coins_awarded,
+                    result.taken_at
+                )
+            );
+            coinsStmt.run(rewards.coins, user_id);
+        }
+
+        return {
+            categories: createdCategories,
+            texts: textIds.size,
+            rewards: restoreRewards,
+        };
+    });
+
+    try {
+        const result = importAll();
+        if (process.env.NODE_ENV === 'development')
+            console.log(
+                `Account archive imported for user ${user_id}: ${result.categories} folder(s), ${result.texts} text(s)`
+            );
+        return result;
+    } catch (err) {
+        console.error(`Error importing data for user ${user_id}:`, err);
+        return null;
+    }
+}
+
 // --- Exports ---
 // Make the database functions available for other modules (like controllers) to import
 module.exports = {
@@ -657,12 +1850,18 @@ module.exports = {
     login,
     get_texts,
     get_text,
+    get_text_contents,
     add_text,
     update_text,
     delete_text,
     save_progress,
     update_text_order,
     get_user_details,
+    TYPING_MODES,
+    get_typing_mode,
+    set_typing_mode,
+    get_ocr_language,
+    set_ocr_language,
     increment_user_coins,
     decrement_user_coins,
     check_item_ownership,
@@ -671,6 +1870,26 @@ module.exports = {
     get_user_stats, // Export the stats getter
     update_user_stats, // Export the incremental stats updater
     increment_texts_practiced, // Export the text count incrementer
+    start_practice_session,
+    update_practice_session,
+    get_practice_sessions,
+    get_practiced_texts,
+    get_practice_session,
+    add_session_keystrokes,
+    get_session_keystrokes,
+    get_best_recorded_session,
+    record_key_errors,
+    get_key_error_counts,
+    get_confused_pairs,
+    get_review_item,
+    save_review_item,
+    get_due_reviews,
+    add_translation,
+    get_translation_source,
+    save_quiz_result,
+    get_quiz_results,
+    export_user_data,
+    import_user_data,
     // --- Category Functions ---
 
     /**
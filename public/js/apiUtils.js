@@ -171,13 +171,20 @@ export async function sendLineCompletionStats(
 }
 
 /**
- * Sends the final text completion signal to the server (increments texts_practiced).
+ * Sends the final text completion signal to the server (increments texts_practiced and schedules the next review).
  * @param {string} textId - The ID of the completed text.
+ * @param {number} accuracy - The accuracy of the run (0-100), used as the spaced-repetition recall grade.
+ * @param {string|null} chunkIndex - The index of the practiced paragraph, or null for the whole text.
+ * @returns {Promise<object|null>} - The server response ({ success, nextReviewInDays }), or null on failure.
  */
-export async function sendTextCompletionSignal(textId) {
+export async function sendTextCompletionSignal(
+    textId,
+    accuracy,
+    chunkIndex = null
+) {
     if (!textId) {
         console.warn('Cannot send text completion signal: Text ID is missing.');
-        return;
+        return null;
     }
 
     console.log(`Attempting to send text completion signal: textId=${textId}`);
@@ -190,19 +197,62 @@ export async function sendTextCompletionSignal(textId) {
                 'Content-Type': 'application/json',
             },
             body: JSON.stringify({
-                text_id: textId, // Only send text_id
+                text_id: textId,
+                accuracy,
+                chunk_index: chunkIndex,
             }),
         });
 
         if (response.ok) {
             const result = await response.json();
             console.log('Text completion signal sent successfully:', result);
-        } else {
+            return result;
+        }
+        const errorData = await response
+            .json()
+            .catch(() => ({ message: 'Failed to parse error response' }));
+        console.error(
+            'Failed to send text completion signal:',
+            response.status,
+            response.statusText,
+            errorData
+        );
+    } catch (error) {
+        console.error(
+            'Network or other error sending text completion signal:',
+            error
+        );
+    }
+    return null;
+}
+
+/**
+ * Sends the current statistics of the practice session to the server.
+ * Fire-and-forget: failures are logged but never interrupt the practice.
+ * @param {string} sessionId - The ID of the practice session (from the page's data attributes).
+ * @param {object} stats - { wpm, accuracy, errors, lines_completed, lines_skipped, completed, gross_wpm? }
+ */
+export async function sendSessionUpdate(sessionId, stats) {
+    if (!sessionId) {
+        console.warn('Cannot update practice session: Session ID is missing.');
+        return;
+    }
+
+    try {
+        const response = await fetch(`/practice/api/session/${sessionId}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify(stats),
+        });
+
+        if (!response.ok) {
             const errorData = await response
                 .json()
                 .catch(() => ({ message: 'Failed to parse error response' }));
             console.error(
-                'Failed to send text completion signal:',
+                'Failed to update practice session:',
                 response.status,
                 response.statusText,
                 errorData
@@ -210,8 +260,251 @@ export async function sendTextCompletionSignal(textId) {
         }
     } catch (error) {
         console.error(
-            'Network or other error sending text completion signal:',
+            'Network or other error updating practice session:',
+            error
+        );
+    }
+}
+
+/**
+ * Starts a new practice session on the server (timed test, free typing again after a test, or a new typing mode).
+ * @param {string} textId - The ID of the text being practiced.
+ * @param {number|null} [timeLimitSeconds=null] - The duration of a timed test, or null for free typing.
+ * @param {string|null} [typingMode=null] - 'strict', 'normal' or 'free' (null = the user's saved setting).
+ * @param {string|null} [chunkIndex=null] - The paragraph practiced on its own, or null for the whole text.
+ * @returns {Promise<number|null>} - The ID of the new session, or null if it could not be created.
+ */
+export async function startPracticeSession(
+    textId,
+    timeLimitSeconds = null,
+    typingMode = null,
+    chunkIndex = null
+) {
+    if (!textId) {
+        console.warn('Cannot start a practice session: Text ID is missing.');
+        return null;
+    }
+
+    try {
+        const response = await fetch('/practice/api/session', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({
+                text_id: textId,
+                time_limit_seconds: timeLimitSeconds,
+                typing_mode: typingMode,
+                chunk_index: chunkIndex,
+            }),
+        });
+
+        const result = await response
+            .json()
+            .catch(() => ({ message: 'Failed to parse response' }));
+        if (response.ok && result.success) {
+            return result.sessionId;
+        }
+        console.error(
+            'Failed to start practice session:',
+            response.status,
+            response.statusText,
+            result
+        );
+    } catch (error) {
+        console.error(
+            'Network or other error starting practice session:',
             error
         );
     }
+    return null;
+}
+
+/**
+ * Saves the typing mode setting of the user (how errors are handled on the practice page).
+ * Fire-and-forget: failures are logged but never interrupt the practice.
+ * @param {string} typingMode - 'strict', 'normal' or 'free'.
+ */
+export async function saveTypingMode(typingMode) {
+    try {
+        const response = await fetch('/practice/api/typing-mode', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ typing_mode: typingMode }),
+        });
+
+        if (!response.ok) {
+            const errorData = await response
+                .json()
+                .catch(() => ({ message: 'Failed to parse error response' }));
+            console.error(
+                'Failed to save the typing mode:',
+                response.status,
+                response.statusText,
+                errorData
+            );
+        }
+    } catch (error) {
+        console.error('Network or other error saving the typing mode:', error);
+    }
+}
+
+/**
+ * Sends the input events recorded on one line of a practice session (for the replay page).
+ * Uses `keepalive` so a batch flushed while the page is being closed still reaches the server.
+ * @param {number|string} sessionId - The ID of the practice session.
+ * @param {string} lineText - The line the events were typed on.
+ * @param {Array<Array>} events - The events, as [milliseconds since the first keystroke, input value] pairs.
+ */
+export async function sendKeystrokes(sessionId, lineText, events) {
+    if (!sessionId || !events || events.length === 0) return;
+
+    try {
+        const response = await fetch(
+            `/practice/api/session/${sessionId}/keystrokes`,
+            {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ line_text: lineText, events }),
+                keepalive: true,
+            }
+        );
+
+        if (!response.ok) {
+            const errorData = await response
+                .json()
+                .catch(() => ({ message: 'Failed to parse error response' }));
+            console.error(
+                'Failed to record keystrokes:',
+                response.status,
+                response.statusText,
+                errorData
+            );
+        }
+    } catch (error) {
+        console.error('Network or other error recording keystrokes:', error);
+    }
+}
+
+/**
+ * Sends a batch of mistyped characters to the server for the per-key error statistics.
+ * Uses `keepalive` so a batch flushed while the page is being closed still reaches the server.
+ * @param {Array<{expected: string, typed: string}>} errors - The expected/typed character pairs.
+ */
+export async function sendKeyErrors(errors) {
+    if (!errors || errors.length === 0) return;
+
+    try {
+        const response = await fetch('/practice/api/key-errors', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ errors }),
+            keepalive: true,
+        });
+
+        if (!response.ok) {
+            const errorData = await response
+                .json()
+                .catch(() => ({ message: 'Failed to parse error response' }));
+            console.error(
+                'Failed to record key errors:',
+                response.status,
+                response.statusText,
+                errorData
+            );
+        }
+    } catch (error) {
+        console.error('Network or other error recording key errors:', error);
+    }
+}
+
+/**
+ * Posts JSON to a quiz route and returns its answer, failures included (the quiz panel shows them).
+ * @param {string} url - The route.
+ * @param {object} body - The request body.
+ * @returns {Promise<object>} - The server response, or { success: false, message } on failure.
+ */
+async function postQuizRequest(url, body) {
+    try {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                Accept: 'application/json',
+            },
+            body: JSON.stringify(body),
+        });
+        const result = await response
+            .json()
+            .catch(() => ({ message: 'Failed to parse the response' }));
+        if (response.ok) return result;
+        console.error('Quiz request failed:', response.status, result);
+        return {
+            success: false,
+            message: result.message || `HTTP error! status: ${response.status}`,
+        };
+    } catch (error) {
+        console.error('Network or other error during quiz request:', error);
+        return {
+            success: false,
+            message: 'Network error, please try again.',
+        };
+    }
+}
+
+/**
+ * Asks the server for a comprehension quiz about a text (written by the AI, which can take a while).
+ * @param {string} textId - The ID of the text.
+ * @returns {Promise<object>} - { success: true, questions, canEarnCoins, pastResults }, or { success: false, message }.
+ */
+export function requestQuiz(textId) {
+    return postQuizRequest(`/practice/api/quiz/${textId}`, {});
+}
+
+/**
+ * Sends the answers to the quiz of a text for grading.
+ * @param {string} textId - The ID of the text.
+ * @param {Array<number|string>} answers - The index of the chosen choice, or the word of the blank, per question.
+ * @returns {Promise<object>} - { success: true, correctCount, questionCount, results, coinsAwarded, newCoinCount },
+ *   or { success: false, message }.
+ */
+export function submitQuizAnswers(textId, answers) {
+    return postQuizRequest(`/practice/api/quiz/${textId}/answers`, {
+        answers,
+    });
+}
+
+/**
+ * Asks the server for the key terms of a text, blanked out in cloze mode (picked by the AI when it is
+ * configured, which can take a while).
+ * @param {string} textId - The ID of the text.
+ * @returns {Promise<object>} - { success: true, terms, source: 'ai' | 'tfidf' }, or { success: false, message }.
+ */
+export async function fetchClozeTerms(textId) {
+    try {
+        const response = await fetch(`/practice/api/cloze/${textId}`, {
+            headers: { Accept: 'application/json' },
+        });
+        const result = await response
+            .json()
+            .catch(() => ({ message: 'Failed to parse the response' }));
+        if (response.ok) return result;
+        console.error('Key terms request failed:', response.status, result);
+        return {
+            success: false,
+            message: result.message || `HTTP error! status: ${response.status}`,
+        };
+    } catch (error) {
+        console.error('Network or other error fetching key terms:', error);
+        return {
+            success: false,
+            message: 'Network error, please try again.',
+        };
+    }
 }
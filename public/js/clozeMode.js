@@ -0,0 +1,156 @@
+// public/js/clozeMode.js
+
+/**
+ * Finds the key terms in a line: whole words only, ignoring case, longest terms first when they overlap.
+ * @param {string} lineText - The line.
+ * @param {Array<string>} terms - The key terms.
+ * @returns {Array<{start: number, end: number}>} - The positions of the terms in the line (end excluded).
+ */
+export function getClozeRanges(lineText, terms) {
+    if (!terms || terms.length === 0) return [];
+    const alternatives = [...terms]
+        .sort((a, b) => b.length - a.length)
+        .map((term) => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+        .join('|');
+    const termPattern = new RegExp(
+        `(?<![\\p{L}\\p{N}])(?:${alternatives})(?![\\p{L}\\p{N}])`,
+        'giu'
+    );
+    return Array.from(lineText.matchAll(termPattern), (match) => ({
+        start: match.index,
+        end: match.index + match[0].length,
+    }));
+}
+
+/**
+ * Creates the cloze mode module: blanks out the key terms of the text in the displayed line, to be typed
+ * from memory. A wrong character inside a blanked term counts as a term not recalled rather than as a typing
+ * error, and the mode keeps the score of recalled terms.
+ * @param {object} dependencies - Object containing necessary dependencies.
+ * @param {HTMLElement|null} dependencies.statusElement - Optional element displaying the score.
+ * @param {function(): Promise<object>} dependencies.loadTerms - Fetches the key terms of the text
+ *   (see fetchClozeTerms), the first time the mode is turned on.
+ * @returns {object} - The cloze mode instance.
+ */
+function createClozeMode({ statusElement, loadTerms }) {
+    let enabled = false;
+    let terms = null; // Loaded once, on first use
+    let source = null;
+    let recalledCount = 0;
+    let missedCount = 0;
+    const rangesByLine = new Map();
+
+    // On, with its terms loaded
+    const isReady = () => enabled && terms !== null;
+
+    function getRanges(lineText) {
+        if (!rangesByLine.has(lineText)) {
+            rangesByLine.set(lineText, getClozeRanges(lineText, terms));
+        }
+        return rangesByLine.get(lineText);
+    }
+
+    function showStatus(text) {
+        if (!statusElement) return;
+        statusElement.textContent = text;
+        statusElement.classList.toggle('d-none', !enabled);
+    }
+
+    function updateStatus() {
+        const picker = source === 'ai' ? 'AI' : 'word frequency';
+        const attempted = recalledCount + missedCount;
+        showStatus(
+            attempted > 0
+                ? `Cloze: ${recalledCount}/${attempted} terms recalled (key terms by ${picker})`
+                : `Cloze: ${terms.length} key terms to recall (picked by ${picker})`
+        );
+    }
+
+    return {
+        isEnabled: isReady,
+
+        /**
+         * Turns the mode on or off. The score restarts each time the mode is turned on.
+         * @param {boolean} value - Whether cloze mode is active.
+         * @returns {Promise<boolean>} - Resolves once the mode is ready: true if it is on with its terms,
+         *   false if it is off or the terms could not be loaded (the error is shown in the status element).
+         */
+        async setEnabled(value) {
+            enabled = value;
+            recalledCount = 0;
+            missedCount = 0;
+            if (!enabled) {
+                showStatus('');
+                return false;
+            }
+            if (terms === null) {
+                showStatus('Cloze: finding the key terms of the text...');
+                const result = await loadTerms();
+                if (!result.success || result.terms.length === 0) {
+                    const message = result.success
+                        ? 'no key term found in this text.'
+                        : result.message;
+                    if (enabled) showStatus(`Cloze: ${message}`);
+                    return false;
+                }
+                terms = result.terms;
+                source = result.source;
+                rangesByLine.clear();
+            }
+            if (!enabled) return false; // Turned off while loading
+            updateStatus();
+            return true;
+        },
+
+        /**
+         * Whether a position of a line lies in a blanked key term.
+         * @param {string} lineText - The real text of the line.
+         * @param {number} index - The position in the line.
+         * @returns {boolean} - True if the character is blanked out.
+         */
+        isTermPosition(lineText, index) {
+            if (!isReady()) return false;
+            return getRanges(lineText).some(
+                ({ start, end }) => index >= start && index < end
+            );
+        },
+
+        /**
+         * Blanks out the key terms of a rendered line. Like memorization mode, the spans keep their real
+         * text: hidden characters are only made transparent (see practice-animations.css) and show up
+         * again once typed correctly.
+         * @param {Array<HTMLElement>} lineSpans - The character spans of the line.
+         * @param {string} lineText - The real text of the line.
+         */
+        applyMask(lineSpans, lineText) {
+            if (!isReady()) return;
+            getRanges(lineText).forEach(({ start, end }) => {
+                lineSpans.slice(start, end).forEach((span) => {
+                    span.classList.add('masked');
+                });
+            });
+        },
+
+        /**
+         * Scores the blanked terms of a completed line: a term is recalled if it was typed without error.
+         * @param {string} lineText - The real text of the completed line.
+         * @param {Set<number>} errorPositions - The positions of the line where a wrong character was typed.
+         * @returns {{recalled: number, missed: number}} - The terms of the line recalled and missed.
+         */
+        recordLineResult(lineText, errorPositions) {
+            if (!isReady()) return { recalled: 0, missed: 0 };
+            const ranges = getRanges(lineText);
+            const missed = ranges.filter(({ start, end }) =>
+                [...errorPositions].some(
+                    (index) => index >= start && index < end
+                )
+            ).length;
+            recalledCount += ranges.length - missed;
+            missedCount += missed;
+            updateStatus();
+            return { recalled: ranges.length - missed, missed };
+        },
+    };
+}
+
+export default createClozeMode;
@@ -0,0 +1,255 @@
+// public/js/comprehensionQuiz.js
+import { requestQuiz, submitQuizAnswers } from './apiUtils.js';
+
+const BLANK = '____'; // Marks the missing word of a fill-in-the-blank question
+
+/**
+ * Creates an element with classes and text. Text written by the AI is only ever set as text.
+ * @param {string} tagName - The tag of the element.
+ * @param {string} [className] - Its classes.
+ * @param {string} [text] - Its text.
+ * @returns {HTMLElement} - The element.
+ */
+function createElement(tagName, className = '', text = '') {
+    const element = document.createElement(tagName);
+    if (className) element.className = className;
+    if (text) element.textContent = text;
+    return element;
+}
+
+/**
+ * Creates a button.
+ * @param {string} label - Its label.
+ * @param {string} className - Its classes.
+ * @param {function} onClick - Called when it is clicked.
+ * @returns {HTMLButtonElement} - The button.
+ */
+function createButton(label, className, onClick) {
+    const button = createElement('button', className, label);
+    button.type = 'button';
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+/**
+ * Describes the past scores of the user on the text.
+ * @param {Array<{correct_count: number, question_count: number}>} pastResults - Most recent first.
+ * @returns {string} - e.g. "Best score so far: 4/5 (3 quizzes taken)", or '' on a first quiz.
+ */
+function describePastResults(pastResults) {
+    if (!pastResults || pastResults.length === 0) return '';
+    const best = pastResults.reduce((a, b) =>
+        b.correct_count / b.question_count > a.correct_count / a.question_count
+            ? b
+            : a
+    );
+    const count = pastResults.length;
+    return `Best score so far: ${best.correct_count}/${best.question_count} (${count} quiz${count > 1 ? 'zes' : ''} taken)`;
+}
+
+/**
+ * Creates the comprehension quiz panel of the practice page: once the whole text is typed, it
+ * offers a short quiz written by the AI about the text, then grades the answers on the server.
+ * @param {object} dependencies - Object containing necessary dependencies.
+ * @param {string} dependencies.textId - The ID of the practiced text.
+ * @param {HTMLElement} dependencies.container - The (hidden) element the panel is shown in.
+ * @returns {object} - The quiz panel instance.
+ */
+function createComprehensionQuiz({ textId, container }) {
+    /**
+     * Replaces the content of the panel, with a heading.
+     * @param {...HTMLElement} elements - The new content.
+     */
+    function show(...elements) {
+        container.replaceChildren(
+            createElement('h4', 'mb-3', 'Comprehension quiz'),
+            ...elements
+        );
+        container.classList.remove('d-none');
+    }
+
+    /**
+     * Shows an error, with a button to try again.
+     * @param {string} message - The error message.
+     */
+    function showError(message) {
+        show(
+            createElement('div', 'alert alert-danger', message),
+            createButton('Try again', 'btn btn-outline-primary', start)
+        );
+    }
+
+    /**
+     * Shows the graded quiz: each question marked right or wrong, with its answer, and the score.
+     * @param {HTMLFormElement} form - The quiz form.
+     * @param {object} grading - The answer of the server (see submitQuizAnswers).
+     */
+    function showResults(form, grading) {
+        grading.results.forEach((result, index) => {
+            const fieldset = form.elements[`question-${index}`];
+            fieldset.disabled = true;
+            fieldset.classList.add(
+                'border-start',
+                'border-4',
+                'ps-3',
+                result.correct ? 'border-success' : 'border-danger'
+            );
+            fieldset.append(
+                createElement(
+                    'div',
+                    result.correct ? 'text-success' : 'text-danger',
+                    result.correct ? 'Correct!' : `Answer: ${result.answer}`
+                )
+            );
+        });
+
+        let coinsNote = '';
+        if (grading.coinsAwarded > 0) {
+            coinsNote = ` You earned ${grading.coinsAwarded} coin${grading.coinsAwarded > 1 ? 's' : ''}!`;
+            const coinCountElement = document.getElementById('coin-count');
+            if (coinCountElement && grading.newCoinCount !== null) {
+                coinCountElement.textContent = grading.newCoinCount;
+            }
+        }
+        const score = createElement(
+            'div',
+            'alert alert-info mt-3',
+            `Score: ${grading.correctCount}/${grading.questionCount}.${coinsNote}`
+        );
+        form.querySelector('[type="submit"]').remove();
+        form.append(
+            score,
+            createButton('New quiz', 'btn btn-outline-primary', start)
+        );
+    }
+
+    /**
+     * Builds the fieldset of a question.
+     * @param {{type: string, question: string, choices?: Array<string>}} question - The question.
+     * @param {number} index - Its position in the quiz.
+     * @returns {HTMLFieldSetElement} - The fieldset.
+     */
+    function buildQuestion(question, index) {
+        const fieldset = createElement('fieldset', 'mb-4');
+        fieldset.name = `question-${index}`;
+        fieldset.append(
+            createElement(
+                'legend',
+                'fs-6 fw-bold',
+                `${index + 1}. ${question.question}`
+            )
+        );
+
+        if (question.type === 'multiple_choice') {
+            question.choices.forEach((choice, choiceIndex) => {
+                const id = `quiz-${index}-${choiceIndex}`;
+                const wrapper = createElement('div', 'form-check');
+                const input = createElement('input', 'form-check-input');
+                input.type = 'radio';
+                input.name = `answer-${index}`;
+                input.id = id;
+                input.value = choiceIndex;
+                const label = createElement(
+                    'label',
+                    'form-check-label',
+                    choice
+                );
+                label.htmlFor = id;
+                wrapper.append(input, label);
+                fieldset.append(wrapper);
+            });
+        } else {
+            const input = createElement('input', 'form-control w-auto');
+            input.type = 'text';
+            input.name = `answer-${index}`;
+            input.autocomplete = 'off';
+            input.placeholder = `Word for ${BLANK}`;
+            fieldset.append(input);
+        }
+        return fieldset;
+    }
+
+    /**
+     * Shows the questions of a quiz.
+     * @param {object} quiz - The answer of the server (see requestQuiz).
+     */
+    function showQuiz(quiz) {
+        const form = createElement('form');
+        quiz.questions.forEach((question, index) => {
+            form.append(buildQuestion(question, index));
+        });
+        const submitButton = createElement(
+            'button',
+            'btn btn-primary',
+            'Check my answers'
+        );
+        submitButton.type = 'submit';
+        form.append(submitButton);
+
+        form.addEventListener('submit', (event) => {
+            event.preventDefault();
+            const answers = quiz.questions.map((question, index) => {
+                const field = form.elements[`answer-${index}`];
+                if (question.type === 'multiple_choice') {
+                    return field.value === '' ? null : Number(field.value); // RadioNodeList
+                }
+                return field.value;
+            });
+            submitButton.disabled = true;
+            submitQuizAnswers(textId, answers).then((grading) => {
+                if (!grading.success) {
+                    showError(grading.message);
+                    return;
+                }
+                showResults(form, grading);
+            });
+        });
+
+        const notes = [
+            quiz.canEarnCoins
+                ? 'Each correct answer earns a coin.'
+                : 'Coins are only earned with the first quiz after typing the whole text.',
+            describePastResults(quiz.pastResults),
+        ].filter(Boolean);
+        show(createElement('p', 'text-body-secondary', notes.join(' ')), form);
+    }
+
+    /**
+     * Asks the server for a new quiz, then shows it.
+     */
+    function start() {
+        show(
+            createElement(
+                'p',
+                'text-body-secondary',
+                'Writing a quiz about the text...'
+            ),
+            createElement('div', 'spinner-border text-primary')
+        );
+        requestQuiz(textId).then((quiz) => {
+            if (!quiz.success) {
+                showError(quiz.message);
+                return;
+            }
+            showQuiz(quiz);
+        });
+    }
+
+    return {
+        /**
+         * Offers the quiz, once the whole text has been typed.
+         */
+        offer() {
+            show(
+                createElement(
+                    'p',
+                    '',
+                    'Check what you retained from the text with a short quiz.'
+                ),
+                createButton('Take the quiz', 'btn btn-primary', start)
+            );
+        },
+    };
+}
+
+export default createComprehensionQuiz;
@@ -122,3 +122,36 @@ export function updateCursorPosition(
     typingCursor.style.left = `${Math.min(finalCursorLeft, maxLeft)}px`;
     typingCursor.style.top = `${Math.min(finalCursorTop, maxTop)}px`;
 }
+
+/**
+ * Positions the ghost cursor (ghost racer) on a character of the line display.
+ * Works like updateCursorPosition, but follows a character span of the displayed text instead of the input.
+ * @param {HTMLElement} ghostCursor - The ghost cursor element, absolutely positioned inside the container.
+ * @param {HTMLElement} container - The positioned element containing the line display.
+ * @param {HTMLElement|null} targetSpan - The character the ghost is about to type, or null to hide the ghost cursor.
+ * @param {boolean} [afterSpan=false] - Place the cursor after the span instead (ghost at the end of a line).
+ */
+export function updateGhostCursorPosition(
+    ghostCursor,
+    container,
+    targetSpan,
+    afterSpan = false
+) {
+    if (!ghostCursor || !container) return; // Guard clauses
+
+    if (!targetSpan) {
+        ghostCursor.style.opacity = '0';
+        return;
+    }
+    ghostCursor.style.opacity = '1';
+
+    // Position relative to the container, like the typing cursor
+    const spanRect = targetSpan.getBoundingClientRect();
+    const containerRect = container.getBoundingClientRect();
+    const left =
+        (afterSpan ? spanRect.right : spanRect.left) - containerRect.left;
+
+    ghostCursor.style.left = `${left}px`;
+    ghostCursor.style.top = `${spanRect.top - containerRect.top}px`;
+    ghostCursor.style.height = `${spanRect.height}px`;
+}
@@ -0,0 +1,175 @@
+// public/js/ghostRacer.js
+import { getDisplayLineAndOffset } from './textUtils.js';
+import { updateGhostCursorPosition } from './domUtils.js';
+
+const TICK_MS = 100; // How often the ghost moves
+
+/**
+ * Finds how many characters the ghost had typed at a given time of its run.
+ * @param {Array<Array<number>>} pace - [milliseconds since the first keystroke, characters typed] pairs, in order.
+ * @param {number} elapsed - Milliseconds since the current run started.
+ * @returns {number} - The number of characters typed by the ghost.
+ */
+function charsTypedAt(pace, elapsed) {
+    // Binary search for the last pace entry at or before `elapsed`
+    let low = 0;
+    let high = pace.length - 1;
+    let found = -1;
+    while (low <= high) {
+        const mid = Math.floor((low + high) / 2);
+        if (pace[mid][0] <= elapsed) {
+            found = mid;
+            low = mid + 1;
+        } else {
+            high = mid - 1;
+        }
+    }
+    return found === -1 ? 0 : pace[found][1];
+}
+
+/**
+ * Describes the gap between the ghost and the user.
+ * @param {number} gap - Positive if the ghost is ahead.
+ * @param {string} unit - 'line' or 'character'.
+ * @returns {string} - e.g. "Ghost 2 lines ahead".
+ */
+function describeGap(gap, unit) {
+    const count = Math.abs(gap);
+    const units = `${count} ${unit}${count > 1 ? 's' : ''}`;
+    return gap > 0 ? `Ghost ${units} ahead` : `You lead by ${units}`;
+}
+
+/**
+ * Creates the ghost racer: a second cursor in the line display that replays the pace of
+ * the user's best previous run on the text, starting when the user starts typing.
+ * @param {object} dependencies - Object containing necessary dependencies.
+ * @param {object} dependencies.practiceState - The shared state object.
+ * @param {Array<Array<number>>} dependencies.pace - The pace of the best run (see utils/ghostPace.js).
+ * @param {HTMLElement} dependencies.ghostCursor - The ghost cursor element.
+ * @param {HTMLElement} dependencies.lineContainer - The positioned container of the line display.
+ * @param {HTMLElement|null} dependencies.statusElement - Optional element telling who is ahead.
+ * @param {function} dependencies.calculateStartIndexForLine - Function to get the start index of a line.
+ * @returns {object} - The ghost racer instance.
+ */
+function createGhostRacer(dependencies) {
+    const {
+        practiceState,
+        pace,
+        ghostCursor,
+        lineContainer,
+        statusElement,
+        calculateStartIndexForLine,
+    } = dependencies;
+
+    let enabled = true;
+    let origin = null; // Overall index where the current run started (null until the user starts typing)
+
+    function setStatus(text) {
+        if (statusElement) statusElement.textContent = text;
+    }
+
+    /**
+     * Places the ghost cursor on its character if that character is in the displayed block.
+     * @param {number} ghostLine - The display line of that index.
+     * @param {number} charOffset - The offset of that index within its line.
+     */
+    function drawGhost(ghostLine, charOffset) {
+        const blockStart = practiceState.currentDisplayLineIndex;
+        const blockEnd = blockStart + practiceState.linesToShow;
+        if (ghostLine < blockStart || ghostLine >= blockEnd) {
+            updateGhostCursorPosition(ghostCursor, lineContainer, null); // Ghost off screen
+            return;
+        }
+
+        // Each line of the block is followed by a hidden newline placeholder span
+        let spanIndex = 0;
+        for (let i = blockStart; i < ghostLine; i++) {
+            spanIndex += practiceState.lines[i].length + 1;
+        }
+        const lineLength = practiceState.lines[ghostLine].length;
+        const spans = practiceState.currentCharSpans;
+        if (charOffset < lineLength) {
+            updateGhostCursorPosition(
+                ghostCursor,
+                lineContainer,
+                spans[spanIndex + charOffset]
+            );
+        } else if (lineLength > 0) {
+            // End of the line: the ghost is about to press Enter
+            updateGhostCursorPosition(
+                ghostCursor,
+                lineContainer,
+                spans[spanIndex + lineLength - 1],
+                true
+            );
+        } else {
+            updateGhostCursorPosition(ghostCursor, lineContainer, null); // Empty line, nothing to point at
+        }
+    }
+
+    function update() {
+        if (!enabled) return;
+
+        if (!practiceState.startTime) {
+            // Not typing yet (or reset): the ghost waits at the start line
+            origin = null;
+            updateGhostCursorPosition(ghostCursor, lineContainer, null);
+            setStatus('Ghost ready: start typing to race your best run');
+            return;
+        }
+        if (origin === null) {
+            // The run starts at the beginning of the line the user started typing on
+            const { lineIndex } = getDisplayLineAndOffset(
+                practiceState.currentOverallCharIndex,
+                practiceState.lines
+            );
+            origin = calculateStartIndexForLine(lineIndex);
+        }
+
+        const elapsed = Date.now() - practiceState.startTime.getTime();
+        const ghostIndex = Math.min(
+            origin + charsTypedAt(pace, elapsed),
+            practiceState.totalDisplayLength
+        );
+        const { lineIndex: ghostLine, charOffset } = getDisplayLineAndOffset(
+            ghostIndex,
+            practiceState.lines
+        );
+        const { lineIndex: userLine } = getDisplayLineAndOffset(
+            practiceState.currentOverallCharIndex,
+            practiceState.lines
+        );
+
+        drawGhost(ghostLine, charOffset);
+
+        const charGap = ghostIndex - practiceState.currentOverallCharIndex;
+        if (ghostLine !== userLine) {
+            setStatus(describeGap(ghostLine - userLine, 'line'));
+        } else if (charGap !== 0) {
+            setStatus(describeGap(charGap, 'character'));
+        } else {
+            setStatus('Neck and neck with your ghost');
+        }
+    }
+
+    setInterval(update, TICK_MS);
+
+    return {
+        /**
+         * Shows or hides the ghost (e.g. in memorization mode, where lines are repeated).
+         * @param {boolean} value - Whether the ghost races.
+         */
+        setEnabled(value) {
+            enabled = value;
+            if (statusElement)
+                statusElement.classList.toggle('d-none', !enabled);
+            if (!enabled) {
+                updateGhostCursorPosition(ghostCursor, lineContainer, null);
+            } else {
+                update();
+            }
+        },
+    };
+}
+
+export default createGhostRacer;
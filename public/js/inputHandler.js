@@ -5,7 +5,7 @@ import {
     applyEffect,
 } from './domUtils.js';
 import { calculateAccuracy } from './statsUtils.js'; // Import accuracy calculation
-import { sendLineCompletionStats } from './apiUtils.js'; // Import the new API function
+import { sendLineCompletionStats, sendKeyErrors } from './apiUtils.js'; // Import the new API function
 /**
  * Creates an input handler module for the typing practice.
  * @param {object} dependencies - Object containing necessary dependencies.
@@ -20,6 +20,10 @@ import { sendLineCompletionStats } from './apiUtils.js'; // Import the new API f
  * @param {function} dependencies.renderLine - Function to render a specific line.
  * @param {function} dependencies.updateStats - Function to update displayed statistics.
  * @param {function} dependencies.calculateStartIndexForLine - Function to get the start index of a line.
+ * @param {function} dependencies.reportSessionStats - Function sending the session statistics to the server.
+ * @param {object} dependencies.memorizationMode - The memorization mode instance (decides when a line is repeated).
+ * @param {object} dependencies.clozeMode - The cloze mode instance (blanked key terms, scored apart from typing errors).
+ * @param {object} dependencies.keystrokeRecorder - The keystroke recorder instance (session replays).
  * @returns {object} - The input handler instance with an initialize method.
  */
 function createInputHandler(dependencies) {
@@ -35,6 +39,10 @@ function createInputHandler(dependencies) {
         renderLine,
         updateStats,
         calculateStartIndexForLine,
+        reportSessionStats,
+        memorizationMode,
+        clozeMode,
+        keystrokeRecorder,
     } = dependencies;
 
     // --- Internal State for Line Tracking ---
@@ -42,9 +50,133 @@ function createInputHandler(dependencies) {
     let lineTypedEntries = 0;
     // lineErrors variable removed, using lineErrorPositions Set instead
     const lineErrorPositions = new Set(); // Tracks indices within the line where errors occurred
+    // Mistyped characters waiting to be sent for the per-key error statistics
+    let pendingKeyErrors = [];
+    const KEY_ERROR_BATCH_SIZE = 20; // Send early if the user makes many errors on a long line
+    // Memorization mode: the line being typed again, or null. A repeat is not a new line: it is neither
+    // counted in the lines completed nor rewarded with a coin.
+    let repeatedLineIndex = null;
 
     // --- Internal Helper Functions ---
 
+    /**
+     * Cloze mode: a wrong character inside a blanked key term is a term not recalled, scored by the
+     * cloze mode, not a typing error (no error count, penalty or per-key error statistics).
+     * @param {string} lineText - The expected text of the line.
+     * @param {number} index - The position of the wrong character in the line.
+     * @returns {boolean} - True if the position lies in a blanked key term.
+     */
+    function isRecallPosition(lineText, index) {
+        return clozeMode.isTermPosition(lineText, index);
+    }
+
+    /**
+     * Sends the buffered expected/typed character pairs to the server and empties the buffer.
+     */
+    function flushKeyErrors() {
+        if (pendingKeyErrors.length === 0) return;
+        sendKeyErrors(pendingKeyErrors);
+        pendingKeyErrors = [];
+    }
+
+    /**
+     * Buffers a mistyped character for the per-key error statistics.
+     * @param {string} expectedChar - The character the text asked for.
+     * @param {string} typedChar - The character the user typed instead.
+     */
+    function recordKeyError(expectedChar, typedChar) {
+        pendingKeyErrors.push({ expected: expectedChar, typed: typedChar });
+        if (pendingKeyErrors.length >= KEY_ERROR_BATCH_SIZE) {
+            flushKeyErrors();
+        }
+    }
+
+    /**
+     * Applies the coin penalty once too many errors were made since the last one.
+     */
+    function checkErrorPenalty() {
+        if (practiceState.errorsSinceLastPenalty < 10) return;
+        let coinCountElement = document.getElementById('coin-count'); // Changed to let
+        const currentCoins = coinCountElement
+            ? parseInt(coinCountElement.textContent, 10)
+            : 0;
+
+        if (currentCoins <= 0) {
+            // Coins are already 0 or less, skip penalty API call
+            console.info(
+                `Reached ${practiceState.errorsSinceLastPenalty} errors, but penalty skipped (coins already 0).`
+            );
+            practiceState.errorsSinceLastPenalty = 0; // Reset counter
+        } else {
+            // Proceed with penalty API call
+            console.log(
+                `Reached ${practiceState.errorsSinceLastPenalty} errors, applying penalty...`
+            );
+            const errorsBeforePenalty = practiceState.errorsSinceLastPenalty; // Store current count before resetting
+            practiceState.errorsSinceLastPenalty = 0; // Reset counter immediately
+
+            fetch('/practice/penalty', {
+                // Corrected path
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+            })
+                .then(async (response) => {
+                    // Make async to potentially read body on error
+                    const { status } = response;
+                    const data = await response.json().catch(() => null); // Try to parse JSON, default to null if fails
+
+                    if (
+                        status === 200 &&
+                        data &&
+                        data.success &&
+                        data.newCoinCount !== null
+                    ) {
+                        // --- Success Case ---
+                        console.log(
+                            `Penalty applied! New coin count: ${data.newCoinCount}`
+                        );
+                        coinCountElement = // Removed const to avoid shadowing
+                            document.getElementById('coin-count');
+                        if (coinCountElement) {
+                            coinCountElement.textContent = data.newCoinCount;
+                        }
+                    } else if (
+                        status === 400 &&
+                        data &&
+                        !data.success &&
+                        data.currentCoinCount !== undefined
+                    ) {
+                        // --- Expected "Already Zero" Case ---
+                        console.info(
+                            `Penalty skipped (coins already 0). Current count: ${data.currentCoinCount}`
+                        ); // Use console.info
+                        coinCountElement = // Removed const to avoid shadowing
+                            document.getElementById('coin-count');
+                        if (coinCountElement) {
+                            // Update display just in case it was out of sync
+                            coinCountElement.textContent =
+                                data.currentCoinCount;
+                        }
+                    } else {
+                        // --- Unexpected Error Case ---
+                        console.error(
+                            `API call for penalty failed. Status: ${status}`,
+                            data || 'No response body'
+                        );
+                        // Revert the penalty counter for this attempt
+                        practiceState.errorsSinceLastPenalty =
+                            errorsBeforePenalty;
+                    }
+                })
+                .catch((error) => {
+                    // --- Network or Fetch Error Case ---
+                    console.error('Network error calling penalty API:', error);
+                    // Revert the penalty counter if the fetch itself failed
+                    practiceState.errorsSinceLastPenalty = errorsBeforePenalty;
+                });
+        } // End of else block (proceed with penalty)
+    }
+
     /**
      * Processes character input against the target spans for the current block.
      * @param {string} inputValue - The current value from the hidden input.
@@ -59,7 +191,8 @@ function createInputHandler(dependencies) {
         previousInputValue,
         targetSpans,
         isLineTextCorrect,
-        lineLength
+        lineLength,
+        lineText
     ) {
         if (inputLength === 0) return;
 
@@ -77,6 +210,13 @@ function createInputHandler(dependencies) {
                     .play()
                     .catch((e) => console.log('Sound play interrupted'));
                 applyEffect(lastCharSpan, 'effect-incorrect');
+                // Keep which key was hit instead of the expected one
+                if (!isRecallPosition(lineText, inputLength - 1)) {
+                    recordKeyError(
+                        lineText[inputLength - 1],
+                        practiceState.currentInputValue[inputLength - 1]
+                    );
+                }
             }
         } else {
             // Typed past end of line (inputLength > lineLength)
@@ -130,20 +270,25 @@ function createInputHandler(dependencies) {
         if (isLineReadyForCompletion) {
             const absoluteLineIndex =
                 practiceState.currentDisplayLineIndex + currentLineIndexInBlock;
+            const isRepeat = repeatedLineIndex === absoluteLineIndex;
+            repeatedLineIndex = null;
             console.log(`Individual line ${absoluteLineIndex} complete.`);
             lineCompleteSound
                 .play()
                 .catch((e) => console.log('Sound play interrupted'));
 
             // --- Calculate and Send Line Stats (Only for non-empty lines) ---
+            let currentLineAccuracy = 100;
             if (currentLineText.length > 0) {
                 const lineEndTime = performance.now();
                 const lineTimeSeconds = lineStartTime
                     ? (lineEndTime - lineStartTime) / 1000
                     : 0;
-                // Calculate accuracy using the size of the error positions set
-                const currentLineErrors = lineErrorPositions.size;
-                const currentLineAccuracy =
+                // Calculate accuracy using the size of the error positions set (forgotten cloze terms aside)
+                const currentLineErrors = [...lineErrorPositions].filter(
+                    (index) => !isRecallPosition(currentLineText, index)
+                ).length;
+                currentLineAccuracy =
                     parseFloat(
                         calculateAccuracy(lineTypedEntries, currentLineErrors)
                     ) || 0;
@@ -165,13 +310,19 @@ function createInputHandler(dependencies) {
                         );
                     }
                 };
-                // Call the combined API function
-                sendLineCompletionStats(
-                    lineTimeSeconds,
-                    currentLineAccuracy,
-                    updateCoinDisplayCallback
-                );
+                // Call the combined API function (first completion of the line only)
+                if (!isRepeat) {
+                    sendLineCompletionStats(
+                        lineTimeSeconds,
+                        currentLineAccuracy,
+                        updateCoinDisplayCallback
+                    );
+                }
             }
+            clozeMode.recordLineResult(currentLineText, lineErrorPositions); // No-op unless cloze mode is on
+            if (!isRepeat) practiceState.linesCompleted++;
+            flushKeyErrors();
+            keystrokeRecorder.flush(); // One replay batch per line attempt
 
             // --- Reset Line Tracking ---
             lineStartTime = null; // Will be reset when next line starts
@@ -191,12 +342,44 @@ function createInputHandler(dependencies) {
                 practiceState.isCustomInputFocused
             );
 
+            // --- Memorization Mode: type the line again, with more of it hidden, until it is typed from memory ---
+            if (
+                memorizationMode.isEnabled() &&
+                currentLineText.trim().length > 0
+            ) {
+                const { repeat, level } = memorizationMode.recordLineResult(
+                    currentLineText,
+                    currentLineAccuracy
+                );
+                if (repeat) {
+                    console.log(
+                        `Memorization: repeating line ${absoluteLineIndex} at level ${level}.`
+                    );
+                    repeatedLineIndex = absoluteLineIndex;
+                    practiceState.currentOverallCharIndex =
+                        calculateStartIndexForLine(absoluteLineIndex);
+                    renderLine(practiceState.currentDisplayLineIndex); // Re-render with the new mask
+                    lineStartTime = performance.now();
+                    updateStats();
+                    reportSessionStats();
+                    return false; // Block not completed yet
+                }
+            }
+
             // --- Check if Block is Complete ---
             const isLastLineOfBlock =
                 currentLineIndexInBlock === linesInCurrentBlock - 1;
 
             if (isLastLineOfBlock) {
                 console.log(`Last line of block completed. Advancing block.`);
+                // Report before rendering: rendering the final block sends its own update on completion
+                if (
+                    practiceState.currentDisplayLineIndex +
+                        linesInCurrentBlock <
+                    practiceState.lines.length
+                ) {
+                    reportSessionStats();
+                }
                 // Advance to the start of the next block
                 practiceState.currentDisplayLineIndex += linesInCurrentBlock;
                 practiceState.currentOverallCharIndex =
@@ -216,6 +399,7 @@ function createInputHandler(dependencies) {
             lineStartTime = performance.now(); // Start timer for the next line within the block
             // Update stats (completion % changes)
             updateStats();
+            reportSessionStats();
             // Focus is handled by renderLine when block changes, or should persist otherwise.
             // Removed explicit focus() call here.
             return false; // Block not completed yet
@@ -223,10 +407,54 @@ function createInputHandler(dependencies) {
         return false; // Block not completed
     }
 
+    /**
+     * Strict mode: counts the wrong keystroke and puts the input back to what it was,
+     * so the user cannot get past a wrong character.
+     * @param {string} previousInputValue - The input before the wrong keystroke (a correct prefix of the line).
+     * @param {string} lineText - The expected text of the line.
+     * @param {Array<HTMLElement>} lineSpans - The character spans of the line.
+     */
+    function rejectWrongInput(previousInputValue, lineText, lineSpans) {
+        const errorIndex = previousInputValue.length; // Position of the character that should have been typed
+        const typedChar = practiceState.currentInputValue[errorIndex];
+        const isRecallMiss = isRecallPosition(lineText, errorIndex);
+
+        practiceState.totalTypedEntries++;
+        lineTypedEntries++;
+        if (!isRecallMiss) {
+            practiceState.totalErrors++;
+            practiceState.errorsSinceLastPenalty++;
+        }
+        incorrectSound
+            .play()
+            .catch((e) => console.log('Sound play interrupted'));
+        if (errorIndex < lineText.length) {
+            lineErrorPositions.add(errorIndex);
+            if (!isRecallMiss) recordKeyError(lineText[errorIndex], typedChar);
+            applyEffect(lineSpans[errorIndex], 'effect-incorrect');
+        }
+
+        practiceState.hiddenInput.value = previousInputValue;
+        practiceState.currentInputValue = previousInputValue;
+        renderCustomInput(previousInputValue, typingInputContent);
+        updateCursorPosition(
+            typingCursor,
+            typingInputArea,
+            typingInputContent,
+            practiceState.isCustomInputFocused
+        );
+        checkErrorPenalty();
+        updateStats();
+    }
+
     // --- Event Handlers ---
 
     function handleKeyDown(event) {
         // console.log('Keydown:', event.key);
+        if (practiceState.inputLocked) {
+            event.preventDefault(); // Time is up: ignore Enter / Shift + Enter too
+            return;
+        }
         if (event.key === 'Enter' && !event.shiftKey) {
             // Handle regular Enter
             event.preventDefault(); // Prevent default Enter behavior (e.g., newline in input)
@@ -272,6 +500,10 @@ function createInputHandler(dependencies) {
 
             // Check if the input exactly matches the current line's text
             const lineTextCorrect = currentInput === textForCurrentLine;
+            // Free correction mode: a fully typed line can be validated with its errors (they stay counted)
+            const isLineFullyTyped =
+                practiceState.typingMode === 'free' &&
+                currentInput.length >= textForCurrentLine.length;
 
             // --- Trigger Completion Logic ---
             // Allow Enter if line is correct OR if the target line is effectively empty (empty or only whitespace) and the input is empty.
@@ -281,6 +513,7 @@ function createInputHandler(dependencies) {
 
             if (
                 lineTextCorrect ||
+                isLineFullyTyped ||
                 (isTargetLineEffectivelyEmpty && isInputEmpty)
             ) {
                 console.log(
@@ -322,6 +555,11 @@ function createInputHandler(dependencies) {
     function handleHiddenInput() {
         // console.log("[Debug HandleInput] Fired."); // Remove log
         if (!practiceState.hiddenInput) return;
+        if (practiceState.inputLocked) {
+            // Undo whatever slipped through (e.g. IME or paste) while input is locked
+            practiceState.hiddenInput.value = practiceState.currentInputValue;
+            return;
+        }
         const previousInputValue = practiceState.currentInputValue;
         practiceState.currentInputValue = practiceState.hiddenInput.value;
         const currentInput = practiceState.currentInputValue; // Use a shorter alias
@@ -439,6 +677,23 @@ function createInputHandler(dependencies) {
             return;
         }
 
+        // Keep every input event (backspaces and corrections included) for the session replay
+        keystrokeRecorder.record(textForCurrentLine, currentInput);
+
+        // --- Strict Mode: a wrong character is counted but never entered ---
+        if (
+            practiceState.typingMode === 'strict' &&
+            inputLength > previousInputValue.length &&
+            !textForCurrentLine.startsWith(currentInput)
+        ) {
+            rejectWrongInput(
+                previousInputValue,
+                textForCurrentLine,
+                spansForCurrentLine
+            );
+            return;
+        }
+
         // --- Process Input for the Current Line Only ---
         // Increment global and line entry counts
         practiceState.totalTypedEntries++;
@@ -455,7 +710,8 @@ function createInputHandler(dependencies) {
 
         // Process only the characters corresponding to the actual line text
         spansForCurrentLine.forEach((charSpan, index) => {
-            const expectedChar = charSpan.textContent;
+            // Compare against the real text, not the span (which may be masked in memorization mode)
+            const expectedChar = textForCurrentLine[index];
             if (index < inputLength && index < lengthOfCurrentLine) {
                 // Only compare up to line length
                 const typedChar = currentInput[index];
@@ -469,7 +725,8 @@ function createInputHandler(dependencies) {
                     // Increment global/penalty errors only for *new* incorrect characters
                     if (
                         !wasPreviouslyIncorrect &&
-                        inputLength > previousInputValue.length
+                        inputLength > previousInputValue.length &&
+                        !isRecallPosition(textForCurrentLine, index)
                     ) {
                         practiceState.totalErrors++;
                         practiceState.errorsSinceLastPenalty++;
@@ -545,94 +802,7 @@ function createInputHandler(dependencies) {
             }
         }
 
-        // --- Check for Error Penalty ---
-        if (practiceState.errorsSinceLastPenalty >= 10) {
-            let coinCountElement = document.getElementById('coin-count'); // Changed to let
-            const currentCoins = coinCountElement
-                ? parseInt(coinCountElement.textContent, 10)
-                : 0;
-
-            if (currentCoins <= 0) {
-                // Coins are already 0 or less, skip penalty API call
-                console.info(
-                    `Reached ${practiceState.errorsSinceLastPenalty} errors, but penalty skipped (coins already 0).`
-                );
-                practiceState.errorsSinceLastPenalty = 0; // Reset counter
-            } else {
-                // Proceed with penalty API call
-                console.log(
-                    `Reached ${practiceState.errorsSinceLastPenalty} errors, applying penalty...`
-                );
-                const errorsBeforePenalty =
-                    practiceState.errorsSinceLastPenalty; // Store current count before resetting
-                practiceState.errorsSinceLastPenalty = 0; // Reset counter immediately
-
-                fetch('/practice/penalty', {
-                    // Corrected path
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                })
-                    .then(async (response) => {
-                        // Make async to potentially read body on error
-                        const { status } = response;
-                        const data = await response.json().catch(() => null); // Try to parse JSON, default to null if fails
-
-                        if (
-                            status === 200 &&
-                            data &&
-                            data.success &&
-                            data.newCoinCount !== null
-                        ) {
-                            // --- Success Case ---
-                            console.log(
-                                `Penalty applied! New coin count: ${data.newCoinCount}`
-                            );
-                            coinCountElement = // Removed const to avoid shadowing
-                                document.getElementById('coin-count');
-                            if (coinCountElement) {
-                                coinCountElement.textContent =
-                                    data.newCoinCount;
-                            }
-                        } else if (
-                            status === 400 &&
-                            data &&
-                            !data.success &&
-                            data.currentCoinCount !== undefined
-                        ) {
-                            // --- Expected "Already Zero" Case ---
-                            console.info(
-                                `Penalty skipped (coins already 0). Current count: ${data.currentCoinCount}`
-                            ); // Use console.info
-                            coinCountElement = // Removed const to avoid shadowing
-                                document.getElementById('coin-count');
-                            if (coinCountElement) {
-                                // Update display just in case it was out of sync
-                                coinCountElement.textContent =
-                                    data.currentCoinCount;
-                            }
-                        } else {
-                            // --- Unexpected Error Case ---
-                            console.error(
-                                `API call for penalty failed. Status: ${status}`,
-                                data || 'No response body'
-                            );
-                            // Revert the penalty counter for this attempt
-                            practiceState.errorsSinceLastPenalty =
-                                errorsBeforePenalty;
-                        }
-                    })
-                    .catch((error) => {
-                        // --- Network or Fetch Error Case ---
-                        console.error(
-                            'Network error calling penalty API:',
-                            error
-                        );
-                        // Revert the penalty counter if the fetch itself failed
-                        practiceState.errorsSinceLastPenalty =
-                            errorsBeforePenalty;
-                    });
-            } // End of else block (proceed with penalty)
-        }
+        checkErrorPenalty();
 
         // Original lineCorrect check is replaced by isLineReadyForCompletion for the completion function
         // We still need lineTextCorrect for other logic potentially.
@@ -648,7 +818,8 @@ function createInputHandler(dependencies) {
                 previousInputValue,
                 spansForCurrentLine,
                 lineTextCorrect,
-                lengthOfCurrentLine
+                lengthOfCurrentLine,
+                textForCurrentLine
             );
         }
 
@@ -657,7 +828,10 @@ function createInputHandler(dependencies) {
             startIndexOfCurrentLine + correctPrefixLengthOnLine;
         // Update totalTypedChars (used for WPM) - needs careful consideration
         // Let's base it on overall index for now, but this might need refinement for accuracy across clears.
-        practiceState.totalTypedChars = practiceState.currentOverallCharIndex;
+        // A timed test only counts the portion typed since it started.
+        practiceState.totalTypedChars =
+            practiceState.currentOverallCharIndex -
+            (practiceState.timedTest ? practiceState.timedTest.startIndex : 0);
 
         // --- Check for Individual Line Completion ---
         // Use the new flag to check for completion
@@ -717,6 +891,9 @@ function createInputHandler(dependencies) {
 
         document.body.appendChild(practiceState.hiddenInput);
 
+        // Don't lose the errors of an unfinished line when the user leaves the page
+        window.addEventListener('pagehide', flushKeyErrors);
+
         // Add event listeners
         practiceState.hiddenInput.addEventListener('input', handleHiddenInput);
         practiceState.hiddenInput.addEventListener('keydown', handleKeyDown);
@@ -747,6 +924,18 @@ function createInputHandler(dependencies) {
             focusHiddenInput(); // Attempt to focus
         },
         focus: focusHiddenInput, // Expose focus method
+
+        /**
+         * Stops (or resumes) accepting input, e.g. when a timed test runs out of time.
+         * @param {boolean} locked - Whether typing is blocked.
+         */
+        setLocked(locked) {
+            practiceState.inputLocked = locked;
+            if (practiceState.hiddenInput) {
+                practiceState.hiddenInput.readOnly = locked;
+            }
+            typingInputArea.classList.toggle('locked', locked);
+        },
     };
 
     return handler;
@@ -0,0 +1,63 @@
+// public/js/keystrokeRecorder.js
+import { sendKeystrokes } from './apiUtils.js';
+
+// Events sent in one request at most (a long struggle on one line is split into several batches)
+const MAX_EVENTS_PER_BATCH = 500;
+
+/**
+ * Creates a keystroke recorder: keeps every input event of the session with its timestamp,
+ * and sends them to the server line by line so the session can be replayed later.
+ * @returns {object} - The recorder instance.
+ */
+function createKeystrokeRecorder() {
+    let sessionId = null;
+    let firstEventTime = null; // performance.now() of the first event of the session
+    let currentLineText = null;
+    let pendingEvents = [];
+
+    /**
+     * Sends the buffered events of the current line and empties the buffer.
+     */
+    function flush() {
+        if (pendingEvents.length === 0) return;
+        sendKeystrokes(sessionId, currentLineText, pendingEvents);
+        pendingEvents = [];
+    }
+
+    // Don't lose the events of an unfinished line when the user leaves the page
+    window.addEventListener('pagehide', flush);
+
+    return {
+        flush,
+
+        /**
+         * Starts recording for another session (or stops recording with null). Pending events go to the previous one.
+         * @param {number|string|null} newSessionId - The ID of the session the next events belong to.
+         */
+        setSession(newSessionId) {
+            flush();
+            sessionId = newSessionId;
+            firstEventTime = null;
+            currentLineText = null;
+        },
+
+        /**
+         * Records the value of the input after an input event (typed character, backspace, correction...).
+         * @param {string} lineText - The line being typed.
+         * @param {string} value - The full input value after the event.
+         */
+        record(lineText, value) {
+            if (!sessionId) return; // Not logged (drill, or session not created yet)
+            const now = performance.now();
+            if (firstEventTime === null) firstEventTime = now;
+            if (lineText !== currentLineText) {
+                flush(); // One batch per line
+                currentLineText = lineText;
+            }
+            pendingEvents.push([now - firstEventTime, value]);
+            if (pendingEvents.length >= MAX_EVENTS_PER_BATCH) flush();
+        },
+    };
+}
+
+export default createKeystrokeRecorder;
@@ -0,0 +1,129 @@
+// public/js/memorizationMode.js
+
+// --- Mask Levels ---
+// Each line starts fully visible and is hidden a bit more every time it is typed accurately enough.
+export const MASK_LEVELS = [
+    { name: 'Full text' },
+    { name: 'Every 3rd word hidden' },
+    { name: 'First letters only' },
+    { name: 'Blank' },
+];
+const HIDDEN_WORD_INTERVAL = 3; // Level 1 hides every Nth word
+const ESCALATE_ACCURACY = 90; // Line accuracy (%) needed to hide more of the line
+const DEESCALATE_ACCURACY = 60; // Below this accuracy, the previous level comes back
+
+/**
+ * Computes which characters of a line are hidden at a given mask level.
+ * Spaces and punctuation stay visible (except at the blank level) so the shape of the line remains readable.
+ * @param {string} lineText - The line to mask.
+ * @param {number} level - The mask level (index in MASK_LEVELS).
+ * @returns {boolean[]} - One entry per character of the line, true if the character is hidden.
+ */
+export function getMaskedPositions(lineText, level) {
+    const masked = new Array(lineText.length).fill(false);
+    if (level <= 0) return masked;
+    if (level >= MASK_LEVELS.length - 1) return masked.fill(true);
+
+    // Walk through the words (runs of letters/digits) of the line
+    const wordPattern = /[\p{L}\p{N}]+/gu;
+    let wordIndex = 0;
+    let match = wordPattern.exec(lineText);
+    while (match) {
+        const start = match.index;
+        const end = start + match[0].length;
+        if (level === 1 && wordIndex % HIDDEN_WORD_INTERVAL === 1) {
+            // Hide the whole word (2nd, 5th, 8th... so the first word stays as a cue)
+            masked.fill(true, start, end);
+        } else if (level === 2) {
+            // Keep the first letter only
+            masked.fill(true, start + 1, end);
+        }
+        wordIndex++;
+        match = wordPattern.exec(lineText);
+    }
+    return masked;
+}
+
+/**
+ * Creates the memorization mode module: masks the displayed line and decides when a line is repeated.
+ * Mask levels are tracked per line text, so they survive the re-layout of lines on resize.
+ * @param {HTMLElement|null} levelIndicator - Optional element displaying the current mask level.
+ * @returns {object} - The memorization mode instance.
+ */
+function createMemorizationMode(levelIndicator) {
+    let enabled = false;
+    const levelsByLine = new Map();
+
+    function getLevel(lineText) {
+        return levelsByLine.get(lineText) || 0;
+    }
+
+    function updateIndicator(lineText) {
+        if (!levelIndicator) return;
+        levelIndicator.classList.toggle('d-none', !enabled);
+        const level = getLevel(lineText);
+        levelIndicator.textContent = `Memorization level ${level}/${MASK_LEVELS.length - 1}: ${MASK_LEVELS[level].name}`;
+    }
+
+    return {
+        isEnabled: () => enabled,
+
+        /**
+         * Turns the mode on or off. Levels are forgotten when the mode is turned off.
+         * @param {boolean} value - Whether memorization mode is active.
+         */
+        setEnabled(value) {
+            enabled = value;
+            if (!enabled) levelsByLine.clear();
+            if (levelIndicator)
+                levelIndicator.classList.toggle('d-none', !enabled);
+        },
+
+        /**
+         * Hides the characters of a rendered line according to its current level.
+         * The spans keep their real text: hidden characters are only made transparent (see practice-animations.css)
+         * and show up again once typed correctly.
+         * @param {Array<HTMLElement>} lineSpans - The character spans of the line.
+         * @param {string} lineText - The real text of the line.
+         */
+        applyMask(lineSpans, lineText) {
+            if (!enabled) return;
+            const level = getLevel(lineText);
+            const masked = getMaskedPositions(lineText, level);
+            const isBlank = level === MASK_LEVELS.length - 1;
+            lineSpans.forEach((span, i) => {
+                span.classList.toggle('masked', masked[i]);
+                span.classList.toggle('masked-blank', isBlank);
+            });
+            updateIndicator(lineText);
+        },
+
+        /**
+         * Records the accuracy of a completed line and moves its level up or down.
+         * @param {string} lineText - The real text of the completed line.
+         * @param {number} accuracy - The accuracy on that line (0-100).
+         * @returns {{repeat: boolean, level: number}} - Whether the line must be typed again, and its new level.
+         */
+        recordLineResult(lineText, accuracy) {
+            const level = getLevel(lineText);
+            const lastLevel = MASK_LEVELS.length - 1;
+
+            if (accuracy >= ESCALATE_ACCURACY) {
+                if (level === lastLevel) {
+                    // Typed from memory: the line is learned
+                    levelsByLine.delete(lineText);
+                    return { repeat: false, level };
+                }
+                levelsByLine.set(lineText, level + 1);
+                return { repeat: true, level: level + 1 };
+            }
+
+            const newLevel =
+                accuracy < DEESCALATE_ACCURACY ? Math.max(0, level - 1) : level;
+            levelsByLine.set(lineText, newLevel);
+            return { repeat: true, level: newLevel };
+        },
+    };
+}
+
+export default createMemorizationMode;
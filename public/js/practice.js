@@ -13,10 +13,22 @@ import {
     renderCustomInput, // Needed by inputHandler
     updateCursorPosition, // Needed by inputHandler
 } from './domUtils.js';
-import saveProgressToServer, { sendTextCompletionSignal } from './apiUtils.js'; // Import the correct function for text completion signal
+import saveProgressToServer, {
+    sendTextCompletionSignal,
+    sendSessionUpdate,
+    startPracticeSession,
+    saveTypingMode,
+    fetchClozeTerms,
+} from './apiUtils.js'; // Import the correct function for text completion signal
 import createTimerManager from './timerManager.js';
 import createInputHandler from './inputHandler.js';
 import createPracticeInitializer from './practiceInitializer.js'; // Import the new initializer
+import createMemorizationMode from './memorizationMode.js';
+import createClozeMode from './clozeMode.js';
+import createKeystrokeRecorder from './keystrokeRecorder.js';
+import createGhostRacer from './ghostRacer.js';
+import createComprehensionQuiz from './comprehensionQuiz.js';
+import createSourcePanel from './sourcePanel.js';
 
 let inputHandler = null; // Declare at module scope
 // This script runs after the DOM is fully loaded
@@ -42,6 +54,17 @@ document.addEventListener('DOMContentLoaded', () => {
     const fullTextContainer = document.getElementById('full-text-container'); // Added full text container reference
     const fullTextDisplay = document.getElementById('full-text-display'); // Added full text display reference
     const resultsContainer = document.getElementById('results');
+    const practiceModeSelect = document.getElementById('practice-mode-select');
+    const typingModeSelect = document.getElementById('typing-mode-select');
+    const memorizationLevelElement =
+        document.getElementById('memorization-level');
+    const clozeStatusElement = document.getElementById('cloze-status');
+    const timedTestStatus = document.getElementById('timed-test-status');
+    const ghostCursor = document.getElementById('ghost-cursor');
+    const ghostToggle = document.getElementById('ghost-toggle');
+    const sourcePanelElement = document.getElementById('source-panel'); // Translations only
+    const sourceToggle = document.getElementById('source-toggle');
+    const ghostStatus = document.getElementById('ghost-status');
 
     // --- Audio Elements ---
     const correctSound = new Audio('/sounds/correct.wav');
@@ -81,6 +104,25 @@ document.addEventListener('DOMContentLoaded', () => {
     // --- Constants from DOM ---
     const fullText = lineContainer.dataset.textContent || '';
     const textId = lineContainer.dataset.textId || null;
+    let sessionId = lineContainer.dataset.sessionId || null; // Practice session logged for this visit (replaced by timed tests)
+    let sessionRequestCount = 0; // Ignores the answer of a session request made obsolete by a newer one
+    const chunkIndex = lineContainer.dataset.chunkIndex || null; // Paragraph reviewed on its own (spaced repetition)
+    const canSaveProgress = Boolean(textId) && chunkIndex === null; // A paragraph's index doesn't map onto the text's progress
+    // Comprehension quiz offered after typing the whole text
+    const quizContainer = document.getElementById('quiz-container');
+    const comprehensionQuiz =
+        canSaveProgress && quizContainer
+            ? createComprehensionQuiz({ textId, container: quizContainer })
+            : null;
+    // Best previous run on this text ({ wpm, started_at, pace }), empty on a first run
+    let ghost = null;
+    try {
+        ghost = lineContainer.dataset.ghost
+            ? JSON.parse(lineContainer.dataset.ghost)
+            : null;
+    } catch (error) {
+        console.error('Could not read the ghost racer data:', error);
+    }
     const initialProgressIndex = parseInt(
         lineContainer.dataset.progressIndex || '0',
         10
@@ -94,6 +136,7 @@ document.addEventListener('DOMContentLoaded', () => {
         isCustomInputFocused: false,
         // Core text/progress state (managed by initializer/renderLine/inputHandler)
         lines: [],
+        sourceLineIndices: [], // Line of the text each display line comes from (side-by-side translations)
         totalDisplayLength: 0,
         currentDisplayLineIndex: 0,
         currentOverallCharIndex: 0,
@@ -103,12 +146,21 @@ document.addEventListener('DOMContentLoaded', () => {
         startTime: null,
         timerRunning: false,
         timeElapsed: 0,
+        timeLimit: null, // Seconds of the running timed test (null = free typing, counting up)
+        // Timed test in progress, or null: { startIndex, finished } (startIndex = where the typed portion starts)
+        timedTest: null,
+        inputLocked: false, // Set when a timed test runs out of time
+        // How errors are handled (user setting): 'strict' (blocked), 'normal' (Backspace needed) or 'free' (no correction needed)
+        typingMode: lineContainer.dataset.typingMode || 'normal',
         // Stats state (updated by inputHandler/initializer)
         totalErrors: 0,
         totalTypedChars: 0,
         totalTypedEntries: 0,
         linesToShow: 1,
         errorsSinceLastPenalty: 0, // Track errors for coin penalty
+        // Session log counters (sent to the server with each session update)
+        linesCompleted: 0,
+        linesSkipped: 0,
     };
 
     // --- Initialize Managers ---
@@ -116,8 +168,28 @@ document.addEventListener('DOMContentLoaded', () => {
     const timerManager = createTimerManager(
         practiceState,
         timerElement,
-        wpmElement
+        wpmElement,
+        timedTestStatus
     );
+    // Memorization mode: masks the displayed line progressively (off until selected)
+    const memorizationMode = createMemorizationMode(memorizationLevelElement);
+    // Cloze mode: blanks out the key terms of the text (off until selected, terms loaded on first use)
+    const clozeMode = createClozeMode({
+        statusElement: clozeStatusElement,
+        loadTerms: () => fetchClozeTerms(textId),
+    });
+    // Side-by-side view of a translation: the original lines next to the ones being typed (off until toggled)
+    const sourcePanel = sourcePanelElement
+        ? createSourcePanel({
+              practiceState,
+              sourceText: sourcePanelElement.dataset.sourceContent || '',
+              panel: sourcePanelElement,
+              display: document.getElementById('source-line-display'),
+          })
+        : null;
+    // Keystroke recorder: input events of the session, for the replay page
+    const keystrokeRecorder = createKeystrokeRecorder();
+    keystrokeRecorder.setSession(sessionId);
 
     // --- Core Rendering & Logic (Shared/Remaining Functions) ---
     // These functions are passed as dependencies to other modules
@@ -142,13 +214,40 @@ document.addEventListener('DOMContentLoaded', () => {
             practiceState.currentOverallCharIndex =
                 practiceState.totalDisplayLength;
             updateStats(); // Final stats update before sending
+            reportSessionStats();
             console.log('Text completed!');
+            if (practiceState.timedTest) {
+                finishTimedTest(false); // Ran out of text before time
+                // A timed test is not a run of the text: it neither counts as practiced nor schedules a review
+                return;
+            }
 
             // --- Send final text completion signal ---
             // Stats are now sent incrementally per line
             if (textId) {
                 console.log(`Sending text completion signal: textId=${textId}`);
-                sendTextCompletionSignal(textId); // Send signal to increment texts_practiced
+                // Send signal to increment texts_practiced and schedule the next review
+                sendTextCompletionSignal(
+                    textId,
+                    calculateAccuracy(
+                        practiceState.totalTypedEntries,
+                        practiceState.totalErrors
+                    ),
+                    chunkIndex
+                ).then((result) => {
+                    if (result && result.nextReviewInDays !== null) {
+                        const reviewNote = document.createElement('span');
+                        reviewNote.className =
+                            'd-block fs-6 text-body-secondary';
+                        reviewNote.textContent =
+                            result.nextReviewInDays === 1
+                                ? 'Next review: tomorrow'
+                                : `Next review in ${result.nextReviewInDays} days`;
+                        lineDisplay.appendChild(reviewNote);
+                    }
+                    // A quiz on what was just typed (whole texts only, not a single paragraph)
+                    if (result && comprehensionQuiz) comprehensionQuiz.offer();
+                });
             } else {
                 console.warn(
                     'Cannot send text completion signal: Text ID is missing.'
@@ -166,12 +265,14 @@ document.addEventListener('DOMContentLoaded', () => {
         console.log(
             `[Debug] Rendering lines from ${startIndex} to ${endIndex - 1}`
         );
+        if (sourcePanel) sourcePanel.update(startIndex, endIndex);
 
         for (let i = startIndex; i < endIndex; i++) {
             const lineText = practiceState.lines[i];
             console.log(`[Debug] Rendering line ${i}: "${lineText}"`);
 
             // Add spans for the current line
+            const lineSpans = [];
             for (let j = 0; j < lineText.length; j++) {
                 const char = lineText[j];
                 const span = document.createElement('span');
@@ -179,7 +280,10 @@ document.addEventListener('DOMContentLoaded', () => {
                 if (char === ' ') span.classList.add('space-char');
                 lineDisplay.appendChild(span);
                 practiceState.currentCharSpans.push(span);
+                lineSpans.push(span);
             }
+            memorizationMode.applyMask(lineSpans, lineText); // No-op unless memorization mode is on
+            clozeMode.applyMask(lineSpans, lineText); // No-op unless cloze mode is on
 
             // Add line break if not the last line in the block AND not the last line overall
             if (i < endIndex - 1) {
@@ -227,6 +331,166 @@ document.addEventListener('DOMContentLoaded', () => {
         );
     }
 
+    /**
+     * Sends the current session statistics to the server (session history log).
+     * Called by inputHandler after each line, and here on skip and completion.
+     */
+    function reportSessionStats() {
+        if (!sessionId) return; // Session logging unavailable for this visit
+        const stats = {
+            wpm: calculateWPM(
+                practiceState.totalTypedChars,
+                practiceState.timeElapsed
+            ),
+            accuracy: calculateAccuracy(
+                practiceState.totalTypedEntries,
+                practiceState.totalErrors
+            ),
+            errors: practiceState.totalErrors,
+            lines_completed: practiceState.linesCompleted,
+            lines_skipped: practiceState.linesSkipped,
+            // A full run of the text, from its first line to its last (the ghost racer replays the best one)
+            completed:
+                practiceState.currentDisplayLineIndex >=
+                    practiceState.lines.length &&
+                practiceState.linesSkipped === 0 &&
+                practiceState.linesCompleted >= practiceState.lines.length,
+        };
+        if (practiceState.timedTest) stats.gross_wpm = calculateGrossWPM();
+        sendSessionUpdate(sessionId, stats);
+    }
+
+    /**
+     * Gross WPM of a timed test: every keystroke counts, errors and corrections included.
+     * (The net WPM is the regular WPM: correctly typed characters of the text since the test started.)
+     * @returns {number} - The gross WPM.
+     */
+    function calculateGrossWPM() {
+        return calculateWPM(
+            practiceState.totalTypedEntries,
+            practiceState.timeElapsed
+        );
+    }
+
+    /**
+     * Replaces the logged session with a new one (timed test, or free typing after a test).
+     * Stats are not reported until the server has answered with the new session ID.
+     * @param {number|null} timeLimit - The duration of the timed test, or null for free typing.
+     */
+    function switchSession(timeLimit) {
+        sessionId = null;
+        keystrokeRecorder.setSession(null);
+        if (!textId) return; // Drills are not logged
+        sessionRequestCount++;
+        const request = sessionRequestCount;
+        startPracticeSession(
+            textId,
+            timeLimit,
+            practiceState.typingMode,
+            chunkIndex
+        ).then((newSessionId) => {
+            if (request !== sessionRequestCount) return;
+            sessionId = newSessionId;
+            keystrokeRecorder.setSession(newSessionId);
+        });
+    }
+
+    /**
+     * Clears the session counters, so a new session starts from zero.
+     */
+    function resetSessionCounters() {
+        timerManager.reset();
+        practiceState.totalErrors = 0;
+        practiceState.totalTypedChars = 0;
+        practiceState.totalTypedEntries = 0;
+        practiceState.linesCompleted = 0;
+        practiceState.linesSkipped = 0;
+    }
+
+    /**
+     * Restarts the current line (or block) from its first character.
+     */
+    function restartCurrentLine() {
+        practiceState.currentOverallCharIndex = calculateStartIndexForLine(
+            practiceState.currentDisplayLineIndex
+        );
+        if (practiceState.hiddenInput) practiceState.hiddenInput.value = '';
+        practiceState.currentInputValue = '';
+        renderLine(practiceState.currentDisplayLineIndex);
+        updateStats();
+    }
+
+    /**
+     * Starts a timed test from the beginning of the current line. The countdown starts with the first keystroke.
+     * @param {number} seconds - The duration of the test.
+     */
+    function startTimedTest(seconds) {
+        if (
+            practiceState.currentDisplayLineIndex >= practiceState.lines.length
+        ) {
+            practiceState.currentDisplayLineIndex = 0; // Text already complete: test on it from the start
+        }
+        resetSessionCounters();
+        timerManager.setTimeLimit(seconds, finishTimedTest);
+        inputHandler.setLocked(false);
+        skipLineButton.disabled = false;
+        if (resultsContainer) resultsContainer.classList.remove('completed');
+
+        restartCurrentLine();
+        practiceState.timedTest = {
+            startIndex: practiceState.currentOverallCharIndex,
+            finished: false,
+        };
+        switchSession(seconds);
+        console.log(`Timed test of ${seconds}s ready`);
+    }
+
+    /**
+     * Ends the running timed test: blocks input, shows the result and logs it.
+     * @param {boolean} [timeUp=true] - False if the test ended because the text was completed first.
+     */
+    function finishTimedTest(timeUp = true) {
+        const { timedTest } = practiceState;
+        if (!timedTest || timedTest.finished) return;
+        timedTest.finished = true;
+        timerManager.stop();
+        inputHandler.setLocked(true);
+        skipLineButton.disabled = true;
+        if (resultsContainer) resultsContainer.classList.add('completed');
+        updateStats();
+        reportSessionStats();
+
+        if (timeUp) {
+            lineDisplay.innerHTML = '<span class="correct">Time\'s up!</span>';
+        }
+        const resultNote = document.createElement('span');
+        resultNote.id = 'timed-test-result';
+        resultNote.className = 'd-block fs-6 text-body-secondary';
+        resultNote.textContent = `${calculateWPM(
+            practiceState.totalTypedChars,
+            practiceState.timeElapsed
+        )} WPM net, ${calculateGrossWPM()} WPM gross, ${calculateAccuracy(
+            practiceState.totalTypedEntries,
+            practiceState.totalErrors
+        )}% accuracy in ${practiceState.timeElapsed}s. Press Reset to try again.`;
+        lineDisplay.appendChild(resultNote);
+        console.log('Timed test finished.');
+    }
+
+    /**
+     * Leaves timed test mode: the countdown and the input lock are removed and free typing is logged again.
+     */
+    function stopTimedTest() {
+        if (!practiceState.timedTest) return;
+        practiceState.timedTest = null;
+        timerManager.setTimeLimit(null);
+        resetSessionCounters();
+        inputHandler.setLocked(false);
+        skipLineButton.disabled = false;
+        if (resultsContainer) resultsContainer.classList.remove('completed');
+        switchSession(null);
+    }
+
     /**
      * Calculates the starting overall index for a given display line index.
      * Needed by inputHandler and initializer.
@@ -274,8 +538,39 @@ document.addEventListener('DOMContentLoaded', () => {
         renderLine,
         updateStats,
         calculateStartIndexForLine,
+        reportSessionStats,
+        memorizationMode,
+        clozeMode,
+        keystrokeRecorder,
     });
 
+    // --- Initialize Ghost Racer ---
+    // Only when a previous run of this text was recorded
+    const ghostRacer =
+        ghost && ghostCursor
+            ? createGhostRacer({
+                  practiceState,
+                  pace: ghost.pace,
+                  ghostCursor,
+                  lineContainer,
+                  statusElement: ghostStatus,
+                  calculateStartIndexForLine,
+              })
+            : null;
+
+    /**
+     * Shows the ghost if the toggle is on and the mode allows it (memorization repeats lines, so no race there).
+     */
+    function updateGhostVisibility() {
+        if (!ghostRacer) return;
+        ghostRacer.setEnabled(
+            (!ghostToggle || ghostToggle.checked) &&
+                !memorizationMode.isEnabled()
+        );
+    }
+    if (ghostToggle)
+        ghostToggle.addEventListener('change', updateGhostVisibility);
+
     // --- Initialize Practice Initializer ---
     // Needs state, constants, DOM elements, and other managers/handlers
     const practiceInitializer = createPracticeInitializer({
@@ -284,7 +579,7 @@ document.addEventListener('DOMContentLoaded', () => {
         initialProgressIndex,
         lineDisplay,
         resultsContainer,
-        saveButton,
+        saveButton: canSaveProgress ? saveButton : null, // Drills and paragraph reviews keep the button disabled
         timerManager,
         inputHandler, // Pass the created input handler
         renderLine,
@@ -294,11 +589,15 @@ document.addEventListener('DOMContentLoaded', () => {
     });
 
     // --- Event Listeners ---
-    resetButton.addEventListener('click', practiceInitializer.reset); // Use initializer method
+    resetButton.addEventListener('click', () => {
+        practiceInitializer.reset(); // Use initializer method
+        // Reset starts a new attempt of a timed test
+        if (practiceState.timedTest) startTimedTest(practiceState.timeLimit);
+    });
 
     if (saveButton) {
         saveButton.addEventListener('click', () => {
-            if (textId) {
+            if (canSaveProgress) {
                 saveProgressToServer(
                     textId,
                     practiceState.currentOverallCharIndex,
@@ -316,7 +615,7 @@ document.addEventListener('DOMContentLoaded', () => {
         saveAndProfileLink.addEventListener('click', async (event) => {
             event.preventDefault();
             console.log('Save and profile link clicked.');
-            if (textId) {
+            if (canSaveProgress) {
                 saveAndProfileLink.textContent = 'Saving...';
                 saveAndProfileLink.style.pointerEvents = 'none';
                 try {
@@ -337,7 +636,7 @@ document.addEventListener('DOMContentLoaded', () => {
                 }
             } else {
                 console.warn(
-                    'Cannot save progress: Text ID is missing. Navigating directly.'
+                    'No progress to save (no text ID or paragraph review). Navigating directly.'
                 );
                 window.location.href = saveAndProfileLink.href;
             }
@@ -363,6 +662,7 @@ document.addEventListener('DOMContentLoaded', () => {
             // Check if there's a next block to skip to
             if (nextBlockStartIndex < practiceState.lines.length) {
                 timerManager.stop(); // Stop the timer when skipping
+                practiceState.linesSkipped += linesInCurrentBlock;
 
                 // Move state to the start of the next block
                 practiceState.currentDisplayLineIndex = nextBlockStartIndex;
@@ -377,6 +677,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
                 // Update stats (completion will change)
                 updateStats();
+                reportSessionStats();
 
                 console.log(
                     `Skipped to block starting at line index: ${practiceState.currentDisplayLineIndex}, overall index: ${practiceState.currentOverallCharIndex}`
@@ -447,6 +748,9 @@ document.addEventListener('DOMContentLoaded', () => {
 
             // Update stats display
             updateStats();
+            // The layout reset cleared the counters: a running timed test starts over
+            if (practiceState.timedTest)
+                startTimedTest(practiceState.timeLimit);
 
             console.log(
                 `Lines to show set to ${newLinesToShow}. Restored position to overall index: ${savedIndex} (New Start Line: ${newStartIndex})`
@@ -459,6 +763,68 @@ document.addEventListener('DOMContentLoaded', () => {
         console.warn('Lines to show select element not found.');
     }
 
+    // --- Practice Mode Listener ---
+    if (practiceModeSelect) {
+        practiceModeSelect.addEventListener('change', () => {
+            const mode = practiceModeSelect.value;
+            const isMemorization = mode === 'memorization';
+            // Timed tests are selected as 'timed-<seconds>'
+            const timeLimit = mode.startsWith('timed-')
+                ? parseInt(mode.slice('timed-'.length), 10)
+                : null;
+            reportSessionStats(); // Last update of the session being left
+            memorizationMode.setEnabled(isMemorization);
+            const clozeReady = clozeMode.setEnabled(mode === 'cloze');
+            if (mode === 'cloze' && !clozeMode.isEnabled()) {
+                // First use: blank the key terms out once loaded (picking them can take the AI a while)
+                clozeReady.then((ready) => {
+                    if (!ready) return;
+                    restartCurrentLine();
+                    inputHandler.focus();
+                });
+            }
+            updateGhostVisibility();
+            if (timeLimit === null) stopTimedTest();
+
+            // Memorization repeats one line at a time
+            linesToShowSelect.disabled = isMemorization;
+            if (isMemorization && linesToShowSelect.value !== '1') {
+                linesToShowSelect.value = '1';
+                // Reuse the dropdown listener to re-layout and keep the position
+                linesToShowSelect.dispatchEvent(new Event('change'));
+            } else if (timeLimit !== null) {
+                startTimedTest(timeLimit);
+                inputHandler.focus();
+            } else {
+                // Restart the current line with the mask applied or removed
+                restartCurrentLine();
+                inputHandler.focus();
+            }
+            console.log(`Practice mode set to: ${practiceModeSelect.value}`);
+        });
+    } else {
+        console.warn('Practice mode select element not found.');
+    }
+
+    // --- Typing Mode Listener ---
+    if (typingModeSelect) {
+        typingModeSelect.addEventListener('change', () => {
+            practiceState.typingMode = typingModeSelect.value;
+            saveTypingMode(practiceState.typingMode); // Remembered for the next practices
+            reportSessionStats(); // Last update of the session being left
+            // Each session is logged with a single typing mode, so accuracies of different modes are not mixed
+            if (practiceState.timedTest) {
+                startTimedTest(practiceState.timeLimit);
+            } else {
+                resetSessionCounters();
+                switchSession(null);
+                restartCurrentLine();
+            }
+            inputHandler.focus();
+            console.log(`Typing mode set to: ${practiceState.typingMode}`);
+        });
+    }
+
     // --- Debounce Utility ---
     function debounce(func, wait) {
         let timeout;
@@ -496,11 +862,21 @@ document.addEventListener('DOMContentLoaded', () => {
             `Restored position to overall index: ${practiceState.currentOverallCharIndex} (New Start Line: ${newLine}, Offset: ${newOffset})`
         );
         updateStats();
+        // The layout reset cleared the counters: a running timed test starts over
+        if (practiceState.timedTest) startTimedTest(practiceState.timeLimit);
         inputHandler.focus(); // Ensure focus after resize adjustments
     }, 250);
 
     window.addEventListener('resize', handleResize);
 
+    // --- Side-by-Side Toggle (translations) ---
+    if (sourcePanel && sourceToggle) {
+        sourceToggle.addEventListener('change', () => {
+            sourcePanel.setVisible(sourceToggle.checked);
+            handleResize(); // The typing area changed width: lay the lines out again
+        });
+    }
+
     // --- Initial Setup ---
     practiceInitializer.resetFromSaved(); // Initialize the practice area using the initializer
 }); // End DOMContentLoaded
@@ -1,6 +1,7 @@
 // public/js/practiceInitializer.js
 import {
     splitIntoLines,
+    getSourceLineIndices,
     calculateTotalDisplayLength,
     getDisplayLineAndOffset,
 } from './textUtils.js';
@@ -110,6 +111,10 @@ function createPracticeInitializer(dependencies) {
         const targetWidth = calculateTargetWidth(lineDisplay);
         console.log(`[Debug] Calculated targetWidth: ${targetWidth}`);
         practiceState.lines = splitIntoLines(fullText, targetWidth);
+        practiceState.sourceLineIndices = getSourceLineIndices(
+            fullText,
+            targetWidth
+        );
         console.log(
             `[Debug] Generated lines array (length ${practiceState.lines.length}):`,
             practiceState.lines
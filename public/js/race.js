@@ -0,0 +1,228 @@
+// public/js/race.js
+
+const STATUS_LABELS = {
+    waiting: 'Waiting for the host to start',
+    running: 'Go!',
+    finished: 'Race over',
+};
+const PLACE_LABELS = ['1st', '2nd', '3rd'];
+
+/**
+ * Returns the label of a finishing place.
+ * @param {number} place - The place (1-based).
+ * @returns {string} - e.g. "2nd", "5th".
+ */
+function formatPlace(place) {
+    return PLACE_LABELS[place - 1] || `${place}th`;
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    // --- DOM Element References ---
+    const raceContainer = document.getElementById('race-container');
+    const startButton = document.getElementById('race-start');
+    const statusElement = document.getElementById('race-status');
+    const racersList = document.getElementById('race-racers');
+    const passageDisplay = document.getElementById('race-passage');
+    const raceInput = document.getElementById('race-input');
+
+    if (!raceContainer) return;
+
+    const { code, passage } = raceContainer.dataset;
+    const userId = parseInt(raceContainer.dataset.userId, 10);
+
+    // --- Race State ---
+    let status = null;
+    let position = 0; // Characters typed correctly from the start of the passage
+    let errors = 0;
+    let countdownInterval = null;
+
+    // --- Passage Display ---
+    const passageSpans = Array.from(passage, (char) => {
+        const span = document.createElement('span');
+        span.textContent = char;
+        passageDisplay.appendChild(span);
+        return span;
+    });
+
+    /**
+     * Colors the passage according to the current input.
+     * @param {string} value - The content of the input.
+     */
+    function renderPassage(value) {
+        passageSpans.forEach((span, i) => {
+            span.classList.toggle('correct', i < position);
+            span.classList.toggle(
+                'incorrect',
+                i >= position && i < value.length
+            );
+            span.classList.toggle('next-char', i === value.length);
+        });
+    }
+
+    // --- WebSocket Connection ---
+    const protocol = window.location.protocol === 'https:' ? 'wss' : 'ws';
+    const socket = new WebSocket(
+        `${protocol}://${window.location.host}/race/socket?code=${encodeURIComponent(code)}`
+    );
+
+    function sendMessage(message) {
+        if (socket.readyState === WebSocket.OPEN) {
+            socket.send(JSON.stringify(message));
+        }
+    }
+
+    function setStatus(text, style = 'secondary') {
+        statusElement.textContent = text;
+        statusElement.className = `badge text-bg-${style} fs-6`;
+    }
+
+    /**
+     * Shows the countdown until the race starts.
+     * @param {number} startsIn - Milliseconds before the start, as computed by the server.
+     */
+    function startCountdown(startsIn) {
+        clearInterval(countdownInterval);
+        const startsAt = Date.now() + startsIn;
+        const tick = () => {
+            const seconds = Math.ceil((startsAt - Date.now()) / 1000);
+            setStatus(`Starting in ${Math.max(seconds, 1)}...`, 'warning');
+        };
+        tick();
+        countdownInterval = setInterval(tick, 200);
+    }
+
+    /**
+     * Rebuilds the list of racers with their progress bars.
+     * @param {object} room - The room state sent by the server.
+     */
+    function renderRacers(room) {
+        racersList.innerHTML = '';
+        room.racers.forEach((racer) => {
+            const item = document.createElement('li');
+            item.className = 'list-group-item';
+
+            const header = document.createElement('div');
+            header.className = 'd-flex justify-content-between mb-1';
+            const name = document.createElement('span');
+            name.textContent = racer.username;
+            if (racer.userId === userId) name.classList.add('fw-bold');
+            if (racer.userId === room.hostId) name.textContent += ' (host)';
+            if (!racer.connected) name.textContent += ' (left)';
+            const result = document.createElement('span');
+            if (racer.place) {
+                result.textContent = `${formatPlace(racer.place)} · ${racer.wpm} WPM`;
+                if (racer.coins > 0)
+                    result.textContent += ` · +${racer.coins} coins`;
+            } else {
+                result.textContent = `${racer.errors} error(s)`;
+            }
+            header.append(name, result);
+
+            const percent = Math.round(
+                (racer.position / room.passageLength) * 100
+            );
+            const progress = document.createElement('div');
+            progress.className = 'progress';
+            progress.setAttribute('role', 'progressbar');
+            progress.setAttribute('aria-valuenow', percent);
+            progress.setAttribute('aria-valuemin', 0);
+            progress.setAttribute('aria-valuemax', 100);
+            const bar = document.createElement('div');
+            bar.className = `progress-bar${racer.place ? ' bg-success' : ''}`;
+            bar.style.width = `${percent}%`;
+            progress.appendChild(bar);
+
+            item.append(header, progress);
+            racersList.appendChild(item);
+        });
+    }
+
+    /**
+     * Applies a new room state: status, start button, input and progress bars.
+     * @param {object} room - The room state sent by the server.
+     */
+    function applyState(room) {
+        const previousStatus = status;
+        status = room.status;
+        const me = room.racers.find((racer) => racer.userId === userId);
+
+        startButton.classList.toggle(
+            'd-none',
+            status !== 'waiting' || room.hostId !== userId
+        );
+
+        if (status === 'countdown') {
+            if (previousStatus !== 'countdown') startCountdown(room.startsIn);
+        } else {
+            clearInterval(countdownInterval);
+            if (status === 'running' && me && me.place) {
+                setStatus(`Finished ${formatPlace(me.place)}!`, 'success');
+            } else {
+                setStatus(
+                    STATUS_LABELS[status],
+                    status === 'running' ? 'success' : 'secondary'
+                );
+            }
+        }
+
+        const canType = status === 'running' && me && !me.place;
+        raceInput.disabled = !canType;
+        if (canType && previousStatus !== 'running') raceInput.focus();
+        if (status === 'finished' && !room.rewarded) {
+            statusElement.textContent +=
+                ' · Coins are only given when at least two people race';
+        }
+
+        renderRacers(room);
+    }
+
+    socket.addEventListener('message', (event) => {
+        const message = JSON.parse(event.data);
+        if (message.type === 'state') {
+            applyState(message.room);
+        } else if (message.type === 'error') {
+            setStatus(message.message, 'danger');
+        }
+    });
+
+    socket.addEventListener('close', () => {
+        raceInput.disabled = true;
+        startButton.classList.add('d-none');
+        if (status !== 'finished') setStatus('Disconnected', 'danger');
+    });
+
+    // --- Event Listeners ---
+    startButton.addEventListener('click', () => {
+        sendMessage({ type: 'start' });
+    });
+
+    raceInput.addEventListener('input', (event) => {
+        const { value } = raceInput;
+
+        // A new character that does not match the passage is an error
+        if (
+            event.inputType === 'insertText' &&
+            value[value.length - 1] !== passage[value.length - 1]
+        ) {
+            errors++;
+        }
+
+        let newPosition = 0;
+        while (
+            newPosition < value.length &&
+            value[newPosition] === passage[newPosition]
+        ) {
+            newPosition++;
+        }
+        position = newPosition;
+        renderPassage(value);
+        // The server checks the input against the passage itself
+        sendMessage({ type: 'progress', typed: value, errors });
+    });
+
+    // Pasting the passage is not typing it
+    raceInput.addEventListener('paste', (event) => event.preventDefault());
+
+    // --- Initial Setup ---
+    renderPassage('');
+});
@@ -0,0 +1,220 @@
+// public/js/replay.js
+import { renderCustomInput, updateCursorPosition } from './domUtils.js';
+
+// --- Playback Settings ---
+const HESITATION_MS = 2000; // A pause this long between two keystrokes is shown as a hesitation
+const HESITATIONS_LISTED = 5; // Number of longest pauses listed under the player
+const MAX_WAIT_MS = 5000; // Longer pauses (e.g. the user left the page) are shortened during playback
+
+/**
+ * Flattens the recorded lines into a single list of events, in playback order.
+ * @param {Array<{line_text: string, events: Array<Array>}>} recordedLines - The recorded lines.
+ * @returns {Array<{lineNumber: number, lineText: string, time: number, value: string}>} - The timeline.
+ */
+function buildTimeline(recordedLines) {
+    const timeline = [];
+    recordedLines.forEach((line, lineIndex) => {
+        line.events.forEach(([time, value]) => {
+            timeline.push({
+                lineNumber: lineIndex + 1,
+                lineText: line.line_text,
+                time,
+                value,
+            });
+        });
+    });
+    return timeline;
+}
+
+/**
+ * Finds the longest pauses between two consecutive events.
+ * @param {Array<object>} timeline - The events (see buildTimeline).
+ * @returns {Array<{index: number, pause: number}>} - The events that came after a long pause, longest first.
+ */
+function findHesitations(timeline) {
+    const hesitations = [];
+    for (let i = 1; i < timeline.length; i++) {
+        const pause = timeline[i].time - timeline[i - 1].time;
+        if (pause >= HESITATION_MS) hesitations.push({ index: i, pause });
+    }
+    return hesitations
+        .sort((a, b) => b.pause - a.pause)
+        .slice(0, HESITATIONS_LISTED);
+}
+
+/**
+ * Formats a duration for display.
+ * @param {number} ms - Duration in milliseconds.
+ * @returns {string} - e.g. "2.4 s".
+ */
+function formatSeconds(ms) {
+    return `${(ms / 1000).toFixed(1)} s`;
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    // --- DOM Element References ---
+    const replayContainer = document.getElementById('replay-container');
+    const lineDisplay = document.getElementById('current-line-display');
+    const typingInputArea = document.getElementById('typing-input-area');
+    const typingInputContent = document.getElementById('typing-input-content');
+    const typingCursor = document.getElementById('typing-cursor');
+    const playButton = document.getElementById('replay-play');
+    const restartButton = document.getElementById('replay-restart');
+    const speedSelect = document.getElementById('replay-speed');
+    const positionElement = document.getElementById('replay-position');
+    const hesitationBadge = document.getElementById('replay-hesitation');
+    const hesitationList = document.getElementById('replay-hesitations');
+
+    // Nothing recorded: the page only shows a message
+    if (!replayContainer) return;
+
+    let timeline = [];
+    try {
+        timeline = buildTimeline(
+            JSON.parse(replayContainer.dataset.recordedLines || '[]')
+        );
+    } catch (error) {
+        console.error('Could not read the recorded keystrokes:', error);
+    }
+    if (timeline.length === 0) return;
+    const lineCount = timeline[timeline.length - 1].lineNumber;
+
+    // --- Player State ---
+    let current = 0; // Index of the event on screen
+    let playing = false;
+    let timeoutId = null;
+
+    /**
+     * Displays the state of the practice after a given event: the line with its
+     * correct/incorrect characters and the input as it was typed.
+     * @param {number} index - The index of the event in the timeline.
+     */
+    function showEvent(index) {
+        const { lineNumber, lineText, time, value } = timeline[index];
+
+        lineDisplay.innerHTML = '';
+        for (let i = 0; i < lineText.length; i++) {
+            const span = document.createElement('span');
+            span.textContent = lineText[i];
+            if (lineText[i] === ' ') span.classList.add('space-char');
+            if (i < value.length) {
+                span.classList.add(
+                    value[i] === lineText[i] ? 'correct' : 'incorrect'
+                );
+            }
+            lineDisplay.appendChild(span);
+        }
+
+        renderCustomInput(value, typingInputContent);
+        updateCursorPosition(
+            typingCursor,
+            typingInputArea,
+            typingInputContent,
+            true
+        );
+        positionElement.textContent = `Line ${lineNumber}/${lineCount} · ${formatSeconds(time)}`;
+    }
+
+    function setPlaying(value) {
+        playing = value;
+        playButton.innerHTML = playing
+            ? '<i class="fas fa-pause me-2"></i>Pause'
+            : '<i class="fas fa-play me-2"></i>Play';
+    }
+
+    function pause() {
+        clearTimeout(timeoutId);
+        timeoutId = null;
+        setPlaying(false);
+    }
+
+    /**
+     * Shows the current event and schedules the next one after the recorded delay (divided by the speed).
+     */
+    function step() {
+        showEvent(current);
+        if (current >= timeline.length - 1) {
+            pause();
+            hesitationBadge.classList.add('d-none');
+            positionElement.textContent += ' · Replay finished';
+            return;
+        }
+
+        const gap = timeline[current + 1].time - timeline[current].time;
+        hesitationBadge.classList.toggle('d-none', gap < HESITATION_MS);
+        hesitationBadge.textContent = `Hesitating ${formatSeconds(gap)}`;
+
+        const speed = parseInt(speedSelect.value, 10) || 1;
+        timeoutId = setTimeout(
+            () => {
+                current++;
+                step();
+            },
+            Math.min(gap, MAX_WAIT_MS) / speed
+        );
+    }
+
+    function play() {
+        if (current >= timeline.length - 1) current = 0; // Finished: play again
+        setPlaying(true);
+        step();
+    }
+
+    /**
+     * Jumps to an event and pauses there.
+     * @param {number} index - The index of the event in the timeline.
+     */
+    function seek(index) {
+        pause();
+        hesitationBadge.classList.add('d-none');
+        current = index;
+        showEvent(current);
+    }
+
+    // --- Event Listeners ---
+    playButton.addEventListener('click', () => {
+        if (playing) pause();
+        else play();
+    });
+
+    restartButton.addEventListener('click', () => {
+        seek(0);
+        play();
+    });
+
+    speedSelect.addEventListener('change', () => {
+        // Reschedule the pending event with the new speed
+        if (playing) {
+            clearTimeout(timeoutId);
+            step();
+        }
+    });
+
+    // --- Longest Hesitations ---
+    const hesitations = findHesitations(timeline);
+    if (hesitations.length === 0) {
+        hesitationList.outerHTML =
+            '<p class="mb-0 fst-italic">No hesitation: no pause of 2 seconds or more.</p>';
+    } else {
+        hesitations.forEach(({ index, pause: hesitation }) => {
+            const { lineNumber, lineText, value } = timeline[index - 1];
+            const item = document.createElement('li');
+            const link = document.createElement('a');
+            link.href = '#';
+            // Where the typist was stuck: the next character of the line
+            const nextChar = lineText[value.length];
+            link.textContent = `${formatSeconds(hesitation)} on line ${lineNumber}${
+                nextChar ? `, before "${nextChar}"` : ''
+            }`;
+            link.addEventListener('click', (event) => {
+                event.preventDefault();
+                seek(index - 1); // Show the moment the pause started
+            });
+            item.appendChild(link);
+            hesitationList.appendChild(item);
+        });
+    }
+
+    // --- Initial Setup ---
+    showEvent(0);
+});
@@ -0,0 +1,64 @@
+// public/js/sourcePanel.js
+
+/**
+ * Creates the side-by-side panel of a translated text: it shows the lines of the original matching the
+ * lines on display. A translation keeps the lines of its original (see services/translator), so line N of
+ * the text being typed is the translation of line N of the original.
+ * @param {object} dependencies - Object containing necessary dependencies.
+ * @param {object} dependencies.practiceState - The shared state object (uses sourceLineIndices).
+ * @param {string} dependencies.sourceText - The original text.
+ * @param {HTMLElement} dependencies.panel - The column of the panel, hidden while it is off.
+ * @param {HTMLElement} dependencies.display - The element the original lines are written in.
+ * @returns {object} - The source panel instance.
+ */
+function createSourcePanel({ practiceState, sourceText, panel, display }) {
+    const sourceLines = sourceText.split('\n');
+    let visible = false;
+    let shownBlock = { startIndex: 0, endIndex: 0 };
+
+    function render() {
+        if (!visible) return;
+        const { startIndex, endIndex } = shownBlock;
+        // Wrapped display lines share their original line: show each one once
+        const indices = [
+            ...new Set(
+                practiceState.sourceLineIndices.slice(startIndex, endIndex)
+            ),
+        ];
+        display.replaceChildren(
+            ...indices
+                .map((index) => (sourceLines[index] || '').trim())
+                .filter(Boolean)
+                .map((line) => {
+                    const paragraph = document.createElement('p');
+                    paragraph.className = 'mb-2';
+                    paragraph.textContent = line;
+                    return paragraph;
+                })
+        );
+    }
+
+    return {
+        /**
+         * Shows or hides the panel.
+         * @param {boolean} value - Whether the original is shown.
+         */
+        setVisible(value) {
+            visible = value;
+            panel.classList.toggle('d-none', !visible);
+            render();
+        },
+
+        /**
+         * Shows the original of the block of lines on display.
+         * @param {number} startIndex - The first display line of the block.
+         * @param {number} endIndex - The display line after the block.
+         */
+        update(startIndex, endIndex) {
+            shownBlock = { startIndex, endIndex };
+            render();
+        },
+    };
+}
+
+export default createSourcePanel;
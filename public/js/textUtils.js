@@ -1,3 +1,46 @@
+/**
+ * Wraps a line of the original text (without newlines) to the display width.
+ * @param {string} trimmedLine - The trimmed, non-empty line.
+ * @param {number} targetWidth - The desired maximum line width.
+ * @returns {string[]} - The display lines of the line.
+ */
+function wrapLine(trimmedLine, targetWidth) {
+    if (trimmedLine.length <= targetWidth) return [trimmedLine];
+
+    const wrappedLines = [];
+    const words = trimmedLine.split(/\s+/);
+    let currentWrappedLine = '';
+
+    words.forEach((word) => {
+        if (word === '') return;
+
+        // Check if the word itself is too long
+        if (word.length > targetWidth) {
+            // If there's content in the current line, push it first
+            if (currentWrappedLine !== '') {
+                wrappedLines.push(currentWrappedLine);
+                currentWrappedLine = '';
+            }
+            // Force break the long word
+            for (let i = 0; i < word.length; i += targetWidth) {
+                wrappedLines.push(word.substring(i, i + targetWidth));
+            }
+        } else if (currentWrappedLine === '') {
+            // Word is not too long, and current line is empty
+            currentWrappedLine = word;
+        } else if (currentWrappedLine.length + 1 + word.length <= targetWidth) {
+            currentWrappedLine += ` ${word}`;
+        } else {
+            wrappedLines.push(currentWrappedLine);
+            currentWrappedLine = word;
+        }
+    });
+    if (currentWrappedLine !== '') {
+        wrappedLines.push(currentWrappedLine);
+    }
+    return wrappedLines;
+}
+
 /**
  * Splits the original text into lines suitable for display, applying word wrapping.
  * @param {string} text - The original full text.
@@ -22,43 +65,7 @@ export function splitIntoLines(text, targetWidth) {
             return;
         }
 
-        if (trimmedLine.length <= targetWidth) {
-            generatedLines.push(trimmedLine);
-        } else {
-            const words = trimmedLine.split(/\s+/);
-            let currentWrappedLine = '';
-
-            words.forEach((word) => {
-                if (word === '') return;
-
-                // Check if the word itself is too long
-                if (word.length > targetWidth) {
-                    // If there's content in the current line, push it first
-                    if (currentWrappedLine !== '') {
-                        generatedLines.push(currentWrappedLine);
-                        currentWrappedLine = '';
-                    }
-                    // Force break the long word
-                    for (let i = 0; i < word.length; i += targetWidth) {
-                        generatedLines.push(word.substring(i, i + targetWidth));
-                    }
-                } else if (currentWrappedLine === '') {
-                    // Word is not too long, and current line is empty
-                    currentWrappedLine = word;
-                } else if (
-                    currentWrappedLine.length + 1 + word.length <=
-                    targetWidth
-                ) {
-                    currentWrappedLine += ` ${word}`;
-                } else {
-                    generatedLines.push(currentWrappedLine);
-                    currentWrappedLine = word;
-                }
-            });
-            if (currentWrappedLine !== '') {
-                generatedLines.push(currentWrappedLine);
-            }
-        }
+        generatedLines.push(...wrapLine(trimmedLine, targetWidth));
     });
 
     if (text.length > 0 && generatedLines.length === 0) {
@@ -71,6 +78,25 @@ export function splitIntoLines(text, targetWidth) {
     return generatedLines;
 }
 
+/**
+ * Finds which line of the original text each display line comes from (see splitIntoLines).
+ * @param {string} text - The original full text.
+ * @param {number} targetWidth - The desired maximum line width.
+ * @returns {number[]} - For each display line, the index of its line in the original text (split on newlines).
+ */
+export function getSourceLineIndices(text, targetWidth) {
+    const indices = [];
+    text.split('\n').forEach((originalLine, index) => {
+        const trimmedLine = originalLine.trim();
+        if (trimmedLine === '') {
+            if (indices.length > 0) indices.push(index); // No leading empty lines, as in splitIntoLines
+            return;
+        }
+        wrapLine(trimmedLine, targetWidth).forEach(() => indices.push(index));
+    });
+    return indices;
+}
+
 /**
  * Calculates the total length of the display structure (lines concatenated with single spaces).
  * @param {string[]} displayLines - The array of display lines.
@@ -49,6 +49,330 @@ document.addEventListener('DOMContentLoaded', () => {
         }, 5000); // Auto-dismiss after 5 seconds
     }
 
+    // --- Summaries (options, then progress streamed by the server) ---
+    const summarizeModalElement = document.getElementById('summarizeModal');
+    const summarizeModalInstance = summarizeModalElement
+        ? new bootstrap.Modal(summarizeModalElement)
+        : null;
+    const startSummaryBtn = document.getElementById('startSummaryBtn');
+    let textToSummarizeId = null;
+    let summaryButton = null; // The summarize button of the text, showing a spinner meanwhile
+    let summaryRequest = null; // AbortController of the running summary, if any
+
+    /**
+     * Shows the progress of a summary in the modal.
+     * @param {number} percent - How far the summary is, from 0 to 100.
+     * @param {string} message - What is being done.
+     */
+    function setSummaryProgress(percent, message) {
+        document.getElementById('summarizeProgressBar').style.width =
+            `${percent}%`;
+        document.getElementById('summarizeProgressText').textContent = message;
+    }
+
+    /**
+     * Describes a progress event of the summary stream.
+     * @param {{stage: string, done: number, total: number}} progress - The event.
+     * @returns {{percent: number, message: string}} - The progress to show.
+     */
+    function describeSummaryProgress({ stage, done, total }) {
+        if (stage === 'chunks') {
+            return {
+                percent: Math.round((done / total) * 80),
+                message: `Summarizing part ${done + 1} of ${total}...`,
+            };
+        }
+        if (stage === 'combining') {
+            return {
+                percent: 80 + Math.round((done / total) * 10),
+                message: `Combining the summaries of the parts (${done + 1} of ${total})...`,
+            };
+        }
+        return { percent: 90, message: 'Writing the summary...' };
+    }
+
+    /**
+     * Reads the answer of an AI route (summaries, translations), one JSON object per line.
+     * @param {Response} response - The answer of the server.
+     * @param {function(object): void} onProgress - Called with each progress event.
+     * @returns {Promise<object>} - The last event: the result of the task ('done' or 'error').
+     */
+    function readTaskStream(response, onProgress) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let result = null;
+
+        const readNext = () =>
+            reader.read().then(({ done, value }) => {
+                buffer += decoder.decode(value || new Uint8Array(), {
+                    stream: !done,
+                });
+                const lines = buffer.split('\n');
+                buffer = lines.pop(); // Incomplete line, if any
+                lines
+                    .filter((line) => line.trim())
+                    .forEach((line) => {
+                        const taskEvent = JSON.parse(line);
+                        if (taskEvent.type === 'progress') {
+                            onProgress(taskEvent);
+                        } else {
+                            result = taskEvent;
+                        }
+                    });
+                if (!done) return readNext();
+                if (!result) {
+                    throw new Error('The connection to the server was lost.');
+                }
+                return result;
+            });
+        return readNext();
+    }
+
+    /**
+     * Starts an AI task on the server and follows its progress until its result.
+     * @param {string} url - The route of the task.
+     * @param {object} body - The options of the task, sent as JSON.
+     * @param {AbortSignal} signal - Cancels the task.
+     * @param {function(object): void} onProgress - Called with each progress event.
+     * @returns {Promise<object>} - The result of the task (rejects with its error message).
+     */
+    function runAiTask(url, body, signal, onProgress) {
+        return fetch(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                Accept: 'application/x-ndjson', // Progress, then the result
+            },
+            body: JSON.stringify(body),
+            signal,
+        })
+            .then(async (response) => {
+                if (!response.ok) {
+                    // Refused before starting (no AI provider, empty text...): a plain JSON error
+                    let errorData = {
+                        message: `HTTP error! status: ${response.status}`,
+                    };
+                    try {
+                        errorData = await response.json();
+                    } catch (e) {
+                        /* Ignore parsing error if body isn't JSON */
+                    }
+                    throw new Error(
+                        errorData.message ||
+                            `HTTP error! status: ${response.status}`
+                    );
+                }
+                return readTaskStream(response, onProgress);
+            })
+            .then((result) => {
+                if (result.type === 'error') throw new Error(result.message);
+                return result;
+            });
+    }
+
+    /**
+     * Restores the summary modal and the summarize button once a summary is over.
+     */
+    function resetSummary() {
+        summaryRequest = null;
+        document.getElementById('summarizeOptions').disabled = false;
+        document.getElementById('summarizeProgress').classList.add('d-none');
+        if (startSummaryBtn) startSummaryBtn.disabled = false;
+        if (summaryButton) {
+            summaryButton.disabled = false;
+            summaryButton.innerHTML =
+                '<i class="fas fa-wand-magic-sparkles"></i>'; // Restore original icon
+        }
+    }
+
+    /**
+     * Opens the summary modal, to choose the length and format of the summary of a text.
+     * @param {string} textId - The ID of the text.
+     * @param {string} textTitle - The title of the text.
+     * @param {HTMLElement} button - The summarize button of the text.
+     */
+    function showSummarizeOptions(textId, textTitle, button) {
+        if (!summarizeModalInstance || summaryRequest) return; // One summary at a time
+        textToSummarizeId = textId;
+        summaryButton = button;
+        document.getElementById('summarizeTextTitle').textContent =
+            textTitle || 'this text';
+        summarizeModalInstance.show();
+    }
+
+    /**
+     * Starts the summary of the chosen text and follows its progress.
+     */
+    function startSummary() {
+        const length = document.getElementById('summaryLengthSelect').value;
+        const format = document.querySelector(
+            'input[name="summaryFormat"]:checked'
+        ).value;
+
+        summaryRequest = new AbortController();
+        document.getElementById('summarizeOptions').disabled = true;
+        document.getElementById('summarizeProgress').classList.remove('d-none');
+        startSummaryBtn.disabled = true;
+        setSummaryProgress(0, 'Starting...');
+        summaryButton.disabled = true;
+        summaryButton.innerHTML = '<i class="fas fa-spinner fa-spin"></i>'; // Show loading state
+
+        runAiTask(
+            `/texts/summarize/${textToSummarizeId}`,
+            { length, format },
+            summaryRequest.signal,
+            (progress) => {
+                const { percent, message } = describeSummaryProgress(progress);
+                setSummaryProgress(percent, message);
+            }
+        )
+            .then((result) => {
+                setSummaryProgress(100, 'Done.');
+                resetSummary();
+                summarizeModalInstance.hide();
+                showAlert(
+                    `Summary created successfully! New text title: "${result.newTextTitle}". The page will reload shortly.`,
+                    'success'
+                );
+                // Refresh the page after a short delay to allow user to see the message
+                setTimeout(() => {
+                    window.location.reload();
+                }, 3000); // Reload after 3 seconds
+            })
+            .catch((error) => {
+                resetSummary();
+                if (error.name === 'AbortError') return; // Cancelled by the user
+                console.error('Error summarizing text:', error);
+                summarizeModalInstance.hide();
+                showAlert(
+                    `Failed to summarize text: ${error.message}`,
+                    'danger'
+                ); // Use Bootstrap alert for errors
+            });
+    }
+
+    if (startSummaryBtn) {
+        startSummaryBtn.addEventListener('click', startSummary);
+    }
+    if (summarizeModalElement) {
+        // Closing the modal cancels the running summary (the server then stops asking the AI)
+        summarizeModalElement.addEventListener('hidden.bs.modal', () => {
+            if (summaryRequest) summaryRequest.abort();
+        });
+    }
+
+    // --- Translations (language, then progress streamed by the server) ---
+    const translateModalElement = document.getElementById('translateModal');
+    const translateModalInstance = translateModalElement
+        ? new bootstrap.Modal(translateModalElement)
+        : null;
+    const startTranslationBtn = document.getElementById('startTranslationBtn');
+    let textToTranslateId = null;
+    let translationButton = null; // The translate button of the text, showing a spinner meanwhile
+    let translationRequest = null; // AbortController of the running translation, if any
+
+    /**
+     * Shows the progress of a translation in the modal.
+     * @param {number} percent - How far the translation is, from 0 to 100.
+     * @param {string} message - What is being done.
+     */
+    function setTranslationProgress(percent, message) {
+        document.getElementById('translateProgressBar').style.width =
+            `${percent}%`;
+        document.getElementById('translateProgressText').textContent = message;
+    }
+
+    /**
+     * Restores the translation modal and the translate button once a translation is over.
+     */
+    function resetTranslation() {
+        translationRequest = null;
+        document.getElementById('translateOptions').disabled = false;
+        document.getElementById('translateProgress').classList.add('d-none');
+        if (startTranslationBtn) startTranslationBtn.disabled = false;
+        if (translationButton) {
+            translationButton.disabled = false;
+            translationButton.innerHTML = '<i class="fas fa-language"></i>'; // Restore original icon
+        }
+    }
+
+    /**
+     * Opens the translation modal, to choose the language of the translation of a text.
+     * @param {string} textId - The ID of the text.
+     * @param {string} textTitle - The title of the text.
+     * @param {HTMLElement} button - The translate button of the text.
+     */
+    function showTranslateOptions(textId, textTitle, button) {
+        if (!translateModalInstance || translationRequest) return; // One translation at a time
+        textToTranslateId = textId;
+        translationButton = button;
+        document.getElementById('translateTextTitle').textContent =
+            textTitle || 'this text';
+        translateModalInstance.show();
+    }
+
+    /**
+     * Starts the translation of the chosen text and follows its progress.
+     */
+    function startTranslation() {
+        const language = document.getElementById(
+            'translationLanguageSelect'
+        ).value;
+
+        translationRequest = new AbortController();
+        document.getElementById('translateOptions').disabled = true;
+        document.getElementById('translateProgress').classList.remove('d-none');
+        startTranslationBtn.disabled = true;
+        setTranslationProgress(0, 'Starting...');
+        translationButton.disabled = true;
+        translationButton.innerHTML = '<i class="fas fa-spinner fa-spin"></i>'; // Show loading state
+
+        runAiTask(
+            `/texts/translate/${textToTranslateId}`,
+            { language },
+            translationRequest.signal,
+            ({ done, total }) => {
+                setTranslationProgress(
+                    Math.round((done / total) * 95),
+                    `Translating part ${done + 1} of ${total}...`
+                );
+            }
+        )
+            .then((result) => {
+                setTranslationProgress(100, 'Done.');
+                resetTranslation();
+                translateModalInstance.hide();
+                showAlert(
+                    `Translation created successfully! New text title: "${result.newTextTitle}". The page will reload shortly.`,
+                    'success'
+                );
+                setTimeout(() => {
+                    window.location.reload();
+                }, 3000);
+            })
+            .catch((error) => {
+                resetTranslation();
+                if (error.name === 'AbortError') return; // Cancelled by the user
+                console.error('Error translating text:', error);
+                translateModalInstance.hide();
+                showAlert(
+                    `Failed to translate text: ${error.message}`,
+                    'danger'
+                );
+            });
+    }
+
+    if (startTranslationBtn) {
+        startTranslationBtn.addEventListener('click', startTranslation);
+    }
+    if (translateModalElement) {
+        // Closing the modal cancels the running translation, as for summaries
+        translateModalElement.addEventListener('hidden.bs.modal', () => {
+            if (translationRequest) translationRequest.abort();
+        });
+    }
+
     // Function to show confirmation modal for TEXTS
     function showTextDeleteConfirmation(textId, listItem) {
         textToDeleteId = textId;
@@ -257,6 +581,7 @@ document.addEventListener('DOMContentLoaded', () => {
         const textDeleteButton = event.target.closest('.delete-btn');
         const folderDeleteButton = event.target.closest('.delete-folder-btn');
         const summarizeButton = event.target.closest('.summarize-btn'); // Added check for summarize button
+        const translateButton = event.target.closest('.translate-btn');
 
         if (textDeleteButton) {
             event.preventDefault(); // Stop default action (important if it's inside a link/form)
@@ -299,76 +624,25 @@ document.addEventListener('DOMContentLoaded', () => {
         } else if (summarizeButton) {
             event.preventDefault();
             event.stopPropagation();
-            console.log('Summarize button clicked.'); // DEBUG
 
-            const { textId } = summarizeButton.dataset;
+            const { textId, textTitle } = summarizeButton.dataset;
             if (!textId) {
                 console.error('Text ID missing from summarize button.');
                 alert('Error: Could not identify the text to summarize.');
                 return;
             }
+            showSummarizeOptions(textId, textTitle, summarizeButton);
+        } else if (translateButton) {
+            event.preventDefault();
+            event.stopPropagation();
 
-            summarizeButton.disabled = true;
-            summarizeButton.innerHTML =
-                '<i class="fas fa-spinner fa-spin"></i> Summarizing...'; // Show loading state
-
-            fetch(`/texts/summarize/${textId}`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    Accept: 'application/json', // Expect JSON response
-                    // Add authentication headers if needed (e.g., JWT token)
-                    // 'Authorization': `Bearer ${your_token_here}`
-                },
-            })
-                .then(async (response) => {
-                    if (!response.ok) {
-                        // Try to parse error message from JSON body
-                        let errorData = {
-                            message: `HTTP error! status: ${response.status}`,
-                        };
-                        try {
-                            errorData = await response.json();
-                        } catch (e) {
-                            /* Ignore parsing error if body isn't JSON */
-                        }
-                        throw new Error(
-                            errorData.message ||
-                                `HTTP error! status: ${response.status}`
-                        );
-                    }
-                    return response.json();
-                })
-                .then((result) => {
-                    console.log('Summarization successful:', result);
-                    showAlert(
-                        `Summary created successfully! New text title: "${result.newTextTitle}". The page will reload shortly.`,
-                        'success'
-                    );
-                    // Restore button state immediately after success message shown
-                    summarizeButton.disabled = false;
-                    summarizeButton.innerHTML =
-                        '<i class="fas fa-wand-magic-sparkles"></i>'; // Restore original icon
-                    summarizeButton.title = 'Summarize with AI'; // Restore title
-
-                    // Refresh the page after a short delay to allow user to see the message
-                    setTimeout(() => {
-                        window.location.reload();
-                    }, 3000); // Reload after 3 seconds
-                })
-                .catch((error) => {
-                    console.error('Error summarizing text:', error);
-                    showAlert(
-                        `Failed to summarize text: ${error.message}`,
-                        'danger'
-                    ); // Use Bootstrap alert for errors
-                    // Restore button state on error
-                    summarizeButton.disabled = false;
-                    summarizeButton.innerHTML =
-                        '<i class="fas fa-wand-magic-sparkles"></i>'; // Restore original icon
-                    summarizeButton.title = 'Summarize with AI'; // Restore title
-                });
-            // No finally block needed here as success/catch handle button state and reload
+            const { textId, textTitle } = translateButton.dataset;
+            if (!textId) {
+                console.error('Text ID missing from translate button.');
+                alert('Error: Could not identify the text to translate.');
+                return;
+            }
+            showTranslateOptions(textId, textTitle, translateButton);
         }
     });
 });
@@ -3,16 +3,26 @@ import { calculateWPM } from './statsUtils.js';
 
 /**
  * Creates a timer manager object.
+ * Counts up by default; with a time limit (timed tests) it counts down and calls back when time runs out.
  * @param {object} state - The practice state object containing timer-related properties.
  * @param {HTMLElement} timerElement - The DOM element to display the timer.
  * @param {HTMLElement} wpmElement - The DOM element to display WPM.
+ * @param {HTMLElement|null} [countdownElement=null] - Optional element displaying the time left of a timed test.
  * @returns {object} - The timer manager instance.
  */
-function createTimerManager(state, timerElement, wpmElement) {
+function createTimerManager(
+    state,
+    timerElement,
+    wpmElement,
+    countdownElement = null
+) {
+    let onExpire = null; // Called once when the time limit is reached
+
     const manager = {
         state, // Reference to the shared state object
         timerElement,
         wpmElement,
+        countdownElement,
 
         start() {
             if (
@@ -24,7 +34,11 @@ function createTimerManager(state, timerElement, wpmElement) {
                 manager.state.timerRunning = true;
                 // Clear any existing interval before starting a new one
                 if (manager.state.timer) clearInterval(manager.state.timer);
-                manager.state.timer = setInterval(manager.updateDisplay, 500);
+                // Tick faster during a timed test so it ends close to the limit
+                manager.state.timer = setInterval(
+                    manager.updateDisplay,
+                    manager.state.timeLimit ? 100 : 500
+                );
                 console.log('Timer started/resumed');
             }
         },
@@ -44,9 +58,15 @@ function createTimerManager(state, timerElement, wpmElement) {
             manager.state.timeElapsed = Math.floor(
                 (currentTime - manager.state.startTime) / 1000
             );
+            const { timeLimit } = manager.state;
+            const expired =
+                timeLimit !== null && manager.state.timeElapsed >= timeLimit;
+            if (expired) manager.state.timeElapsed = timeLimit; // Don't count the last tick's overshoot
+
             if (manager.timerElement) {
                 manager.timerElement.textContent = manager.state.timeElapsed;
             }
+            manager.updateCountdown();
             // Update WPM display periodically
             if (manager.wpmElement) {
                 manager.wpmElement.textContent = calculateWPM(
@@ -54,6 +74,38 @@ function createTimerManager(state, timerElement, wpmElement) {
                     manager.state.timeElapsed
                 );
             }
+
+            if (expired) {
+                manager.stop();
+                console.log(`Time limit of ${timeLimit}s reached`);
+                if (onExpire) onExpire();
+            }
+        },
+
+        /**
+         * Shows the time left of a timed test (hidden when there is no time limit).
+         */
+        updateCountdown() {
+            if (!manager.countdownElement) return;
+            const { timeLimit } = manager.state;
+            manager.countdownElement.classList.toggle(
+                'd-none',
+                timeLimit === null
+            );
+            if (timeLimit !== null) {
+                manager.countdownElement.textContent = `Time left: ${timeLimit - manager.state.timeElapsed} s`;
+            }
+        },
+
+        /**
+         * Turns the countdown on (timed test) or off (free typing). Takes effect from the next start.
+         * @param {number|null} seconds - The time limit, or null to count up without limit.
+         * @param {function|null} [expireCallback=null] - Called when the time runs out.
+         */
+        setTimeLimit(seconds, expireCallback = null) {
+            manager.state.timeLimit = seconds;
+            onExpire = expireCallback;
+            manager.updateCountdown();
         },
 
         reset() {
@@ -63,6 +115,7 @@ function createTimerManager(state, timerElement, wpmElement) {
             if (manager.timerElement) {
                 manager.timerElement.textContent = '0'; // Reset display too
             }
+            manager.updateCountdown();
         },
     };
 
@@ -3,6 +3,7 @@ const express = require('express'); // Web framework
 // Middleware to parse form data (using built-in express methods now)
 const session = require('express-session'); // Middleware for session management
 const SQLiteStore = require('connect-sqlite3')(session); // Store sessions in SQLite
+const http = require('http'); // HTTP server shared by Express and the race WebSocket server
 const path = require('path'); // Utility for working with file paths
 const fs = require('fs'); // File system module (needed for error view check)
 
@@ -13,11 +14,11 @@ const textController = require('./controllers/textController'); // Handles core
 const categoryController = require('./controllers/categoryController'); // Handles category (folder) routes
 const practiceController = require('./controllers/practiceController'); // Handles practice session routes
 const profileController = require('./controllers/profileController'); // Handles profile routes
-const {
-    router: storeRouter,
-    storeItems,
-} = require('./controllers/storeController'); // Import router and items
+const { router: storeRouter } = require('./controllers/storeController'); // Handles store purchases
+const storeItems = require('./models/storeItems'); // The items on sale
 const mainController = require('./controllers/mainController'); // Handles general pages like manual
+const raceController = require('./controllers/raceController'); // Handles the race lobby and room pages
+const { attachRaceServer } = require('./services/raceSocket'); // WebSocket server for live races
 const db = require('./models/db'); // Import db for owned items check
 
 // --- Middleware Imports ---
@@ -37,17 +38,17 @@ app.use(express.json());
 // Static Files: Serve static files (like CSS, client-side JS, images) from the 'public' directory
 app.use(express.static(path.join(__dirname, 'public')));
 // Session Management: Configure session handling
-app.use(
-    session({
-        store: new SQLiteStore({ db: 'sessions.db', dir: './models' }),
-        secret: 'your secret key', // IMPORTANT: Change this in production!
-        resave: false,
-        saveUninitialized: false,
-        cookie: {
-            maxAge: 7 * 24 * 60 * 60 * 1000, // Cookie expiration time: 1 week
-        },
-    })
-);
+// Kept in a variable so the race WebSocket server can read the session of upgrade requests
+const sessionMiddleware = session({
+    store: new SQLiteStore({ db: 'sessions.db', dir: './models' }),
+    secret: 'your secret key', // IMPORTANT: Change this in production!
+    resave: false,
+    saveUninitialized: false,
+    cookie: {
+        maxAge: 7 * 24 * 60 * 60 * 1000, // Cookie expiration time: 1 week
+    },
+});
+app.use(sessionMiddleware);
 
 // Middleware to load full user data (including coins) if logged in
 app.use(loadUserData); // Makes res.locals.currentUser available in templates
@@ -72,6 +73,7 @@ app.use('/', textController); // Mount text routes under root (e.g., /texts, /ad
 app.use('/', profileController); // Mount profile routes under root (/profile)
 app.use('/categories', categoryController); // Mount category routes under /categories (e.g., /categories, /categories/:id/rename)
 app.use('/practice', practiceController); // Mount practice routes under /practice (e.g., /practice/:id, /practice/api/progress)
+app.use('/race', raceController); // Mount race routes under /race (e.g., /race, /race/:code)
 
 // Manual Page Route
 app.get('/manual', mainController.getManual); // Use the handler from mainController
@@ -134,7 +136,9 @@ app.use((err, req, res, next) => {
 // --- Server Start ---
 // Only start listening if the script is run directly (not required by another module like tests)
 if (require.main === module) {
-    app.listen(port, () => {
+    const server = http.createServer(app);
+    attachRaceServer(server, sessionMiddleware); // Live races over WebSockets on /race/socket
+    server.listen(port, () => {
         console.log(`Server running at http://localhost:${port}`);
     });
 }
@@ -0,0 +1,274 @@
+// --- Dependencies ---
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+// --- AI Providers ---
+// The AI features only need "a prompt in, some text out". Each provider below implements that
+// on top of one backend, and the one used is chosen in the .env file:
+//   AI_PROVIDER   'gemini', 'openai' (any OpenAI-compatible server: llama.cpp, Ollama, vLLM...),
+//                 'mock' (deterministic answers, no network) or 'none'. Defaults to 'gemini' when
+//                 GEMINI_API_KEY is set, then to 'openai' when AI_BASE_URL is set.
+//   AI_MODEL      The model to use (gemini-1.5-flash-latest by default for Gemini, required for 'openai').
+//   GEMINI_API_KEY  The Google AI Studio key of the 'gemini' provider.
+//   AI_BASE_URL   The address of the OpenAI-compatible API, e.g. http://localhost:11434/v1 for Ollama.
+//   AI_API_KEY    Sent as a bearer token to the OpenAI-compatible API (local servers usually need none).
+//   AI_TIMEOUT_MS How long to wait for an OpenAI-compatible answer (local models can be slow).
+//   AI_MOCK_RESPONSE  The answer of the 'mock' provider (an excerpt of the prompt by default).
+
+const AI_PROVIDERS = ['gemini', 'openai', 'mock'];
+const DEFAULT_GEMINI_MODEL = 'gemini-1.5-flash-latest';
+const DEFAULT_TIMEOUT_MS = 120000;
+const MOCK_RESPONSE_WORDS = 50;
+
+/**
+ * Creates the error of a failed AI request. Its status tells the client whose fault it is:
+ * 502 for a bad answer, 503 for a configuration problem, 504 for an unreachable service.
+ * @param {string} message - The message, safe to show to the user.
+ * @param {number} status - The HTTP status of the error.
+ * @returns {Error} - The error.
+ */
+function aiError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+/**
+ * Checks the text generated by a provider.
+ * @param {string|null|undefined} text - The generated text.
+ * @returns {string} - The trimmed text.
+ * @throws {Error} - If the text is empty (502).
+ */
+function checkGeneratedText(text) {
+    const trimmed = (text || '').trim();
+    if (!trimmed) throw aiError('AI did not return any text.', 502);
+    return trimmed;
+}
+
+/**
+ * Reads the JSON object of an AI's answer, which models often wrap in a Markdown code block or
+ * surround with a sentence: everything from the first '{' to the last '}' is parsed.
+ * @param {string} answer - The AI's answer.
+ * @returns {object|null} - The parsed object, or null if the answer holds no valid JSON object.
+ */
+function parseJsonAnswer(answer) {
+    const start = answer.indexOf('{');
+    const end = answer.lastIndexOf('}');
+    if (start === -1 || end <= start) return null;
+    try {
+        return JSON.parse(answer.slice(start, end + 1));
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Creates the provider of the Google Gemini API.
+ * @param {{apiKey: string, model: string}} options - The API key and the model.
+ * @returns {{name: string, model: string, generateText: function(string): Promise<string>}} - The provider.
+ */
+function createGeminiProvider({ apiKey, model }) {
+    const generativeModel = new GoogleGenerativeAI(apiKey).getGenerativeModel({
+        model,
+    });
+    return {
+        name: 'gemini',
+        model,
+        async generateText(prompt) {
+            let text;
+            try {
+                const result = await generativeModel.generateContent(prompt);
+                text = result.response.text();
+            } catch (error) {
+                const message = error.message || '';
+                if (message.includes('API key not valid')) {
+                    throw aiError('AI Service Error: Invalid API Key.', 503);
+                }
+                if (
+                    message.includes('FETCH_ERROR') ||
+                    message.includes('fetch failed') ||
+                    message.includes(
+                        'request to https://generativelanguage.googleapis.com failed'
+                    )
+                ) {
+                    throw aiError(
+                        'Network error communicating with AI service.',
+                        504
+                    );
+                }
+                throw aiError(`AI Service Error: ${message}`, 502);
+            }
+            return checkGeneratedText(text);
+        },
+    };
+}
+
+/**
+ * Creates the provider of an OpenAI-compatible chat completions API (OpenAI itself, or a local
+ * llama.cpp, Ollama or vLLM server, which work without internet access).
+ * @param {{baseUrl: string, apiKey?: string, model: string, timeoutMs: number}} options - The address of
+ *   the API (up to /v1), its key if it needs one, the model and how long to wait for an answer.
+ * @returns {{name: string, model: string, generateText: function(string): Promise<string>}} - The provider.
+ */
+function createOpenAiProvider({ baseUrl, apiKey, model, timeoutMs }) {
+    const endpoint = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+    return {
+        name: 'openai',
+        model,
+        async generateText(prompt) {
+            let response;
+            try {
+                response = await fetch(endpoint, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        ...(apiKey
+                            ? { Authorization: `Bearer ${apiKey}` }
+                            : {}),
+                    },
+                    body: JSON.stringify({
+                        model,
+                        messages: [{ role: 'user', content: prompt }],
+                    }),
+                    signal: AbortSignal.timeout(timeoutMs),
+                });
+            } catch (error) {
+                throw aiError(
+                    error.name === 'TimeoutError'
+                        ? 'The AI service took too long to answer.'
+                        : 'Network error communicating with AI service.',
+                    504
+                );
+            }
+            if (response.status === 401 || response.status === 403) {
+                throw aiError('AI Service Error: Invalid API Key.', 503);
+            }
+            if (!response.ok) {
+                throw aiError(
+                    `AI Service Error: the server answered with HTTP ${response.status}.`,
+                    502
+                );
+            }
+
+            let body;
+            try {
+                body = await response.json();
+            } catch (error) {
+                throw aiError('AI Service Error: the answer is not JSON.', 502);
+            }
+            const choice =
+                body && Array.isArray(body.choices) && body.choices[0];
+            return checkGeneratedText(
+                choice && choice.message && choice.message.content
+            );
+        },
+    };
+}
+
+/**
+ * Creates the mock provider: it answers without any network, always the same way for the same
+ * prompt, for tests and demos. Its answer is the configured response, or the first words of the
+ * text the prompt is about (the last block between "---" lines, the whole prompt otherwise).
+ * @param {{response?: string}} options - The fixed answer, if any.
+ * @returns {{name: string, model: string, generateText: function(string): Promise<string>}} - The provider.
+ */
+function createMockProvider({ response }) {
+    return {
+        name: 'mock',
+        model: 'mock',
+        async generateText(prompt) {
+            if (response) return response;
+            const blocks = prompt.split(/^---$/m);
+            const subject =
+                blocks.length > 2 ? blocks[blocks.length - 2] : prompt;
+            return checkGeneratedText(
+                subject
+                    .split(/\s+/)
+                    .filter(Boolean)
+                    .slice(0, MOCK_RESPONSE_WORDS)
+                    .join(' ')
+            );
+        },
+    };
+}
+
+/**
+ * Creates the AI provider chosen by the configuration (see the variables at the top of this file).
+ * @param {object} [config] - The configuration variables (process.env by default).
+ * @returns {{name: string, model: string, generateText: function(string): Promise<string>}|null} - The
+ *   provider, whose generateText(prompt) resolves with the generated text or rejects with an error carrying
+ *   an HTTP status (see aiError). Null when the AI features are turned off or not configured properly
+ *   (the reason is logged).
+ */
+function createAiProvider(config = process.env) {
+    let name = (config.AI_PROVIDER || '').trim().toLowerCase();
+    if (!name) {
+        if (config.GEMINI_API_KEY) name = 'gemini';
+        else if (config.AI_BASE_URL) name = 'openai';
+        else {
+            console.warn(
+                'No AI provider configured (AI_PROVIDER, GEMINI_API_KEY or AI_BASE_URL in .env). AI features will be disabled.'
+            );
+            return null;
+        }
+    }
+    if (name === 'none') return null;
+    if (!AI_PROVIDERS.includes(name)) {
+        console.warn(
+            `Unknown AI_PROVIDER "${name}" (expected ${AI_PROVIDERS.join(', ')} or none). AI features will be disabled.`
+        );
+        return null;
+    }
+
+    if (name === 'gemini') {
+        if (!config.GEMINI_API_KEY) {
+            console.warn(
+                'GEMINI_API_KEY not found in .env file. AI features will be disabled.'
+            );
+            return null;
+        }
+        return createGeminiProvider({
+            apiKey: config.GEMINI_API_KEY,
+            model: config.AI_MODEL || DEFAULT_GEMINI_MODEL,
+        });
+    }
+    if (name === 'openai') {
+        if (!config.AI_BASE_URL || !config.AI_MODEL) {
+            console.warn(
+                'AI_BASE_URL and AI_MODEL are needed by the openai AI provider. AI features will be disabled.'
+            );
+            return null;
+        }
+        return createOpenAiProvider({
+            baseUrl: config.AI_BASE_URL,
+            apiKey: config.AI_API_KEY,
+            model: config.AI_MODEL,
+            timeoutMs:
+                parseInt(config.AI_TIMEOUT_MS, 10) > 0
+                    ? parseInt(config.AI_TIMEOUT_MS, 10)
+                    : DEFAULT_TIMEOUT_MS,
+        });
+    }
+    return createMockProvider({ response: config.AI_MOCK_RESPONSE });
+}
+
+let defaultProvider; // Created on first use, once the .env file is loaded
+
+/**
+ * Returns the AI provider of the application, configured by the environment variables.
+ * @returns {{name: string, model: string, generateText: function(string): Promise<string>}|null} - The
+ *   provider, or null when the AI features are disabled (see createAiProvider).
+ */
+function getAiProvider() {
+    if (defaultProvider === undefined) {
+        defaultProvider = createAiProvider();
+    }
+    return defaultProvider;
+}
+
+module.exports = {
+    AI_PROVIDERS,
+    aiError,
+    createAiProvider,
+    getAiProvider,
+    parseJsonAnswer,
+};
@@ -0,0 +1,195 @@
+// --- Dependencies ---
+const { aiError, parseJsonAnswer } = require('./aiProvider');
+const { getChunkSize, splitIntoChunks } = require('./summarizer');
+
+// --- Comprehension Quizzes ---
+// After typing a text, the user can check what they retained with a short quiz written by the AI
+// provider: multiple-choice questions and sentences of the text with a word to fill in. The AI
+// answers in JSON, which is checked before use: invalid questions are dropped. The answers never
+// leave the server, the user's answers are graded against them.
+
+const QUESTION_TYPES = ['multiple_choice', 'fill_blank'];
+const MULTIPLE_CHOICE_COUNT = 3;
+const FILL_BLANK_COUNT = 2;
+const MAX_QUESTIONS = MULTIPLE_CHOICE_COUNT + FILL_BLANK_COUNT;
+const MAX_CHOICES = 6;
+const BLANK = '____';
+const EXCERPT_PARTS = 5; // Passages of a long text the quiz is written from
+
+/**
+ * Chooses what the quiz is written from: the whole text when it fits in one prompt, otherwise
+ * passages spread over the text, so that the questions cover all of it.
+ * @param {string} text - The text.
+ * @param {number} [maxChars] - The maximum number of characters (AI_CHUNK_SIZE by default).
+ * @returns {string} - The text, or its passages separated by blank lines.
+ */
+function buildQuizExcerpt(text, maxChars = getChunkSize()) {
+    const trimmed = (text || '').trim();
+    if (trimmed.length <= maxChars) return trimmed;
+    const passages = splitIntoChunks(
+        trimmed,
+        Math.floor(maxChars / EXCERPT_PARTS)
+    );
+    const picked = Array.from({ length: EXCERPT_PARTS }, (_, i) =>
+        Math.round((i * (passages.length - 1)) / (EXCERPT_PARTS - 1))
+    );
+    return [...new Set(picked)].map((index) => passages[index]).join('\n\n');
+}
+
+/**
+ * Builds the prompt asking for a quiz in JSON.
+ * @param {string} excerpt - What the quiz is about (see buildQuizExcerpt).
+ * @returns {string} - The prompt.
+ */
+function buildQuizPrompt(excerpt) {
+    return `Detect the language of the following text and write a reading comprehension quiz about it, in that same language: ${MULTIPLE_CHOICE_COUNT} multiple-choice questions with 4 choices each, then ${FILL_BLANK_COUNT} fill-in-the-blank questions (a sentence of the text with one key word replaced by ${BLANK}). Only ask about what the text says.
+Answer with JSON only, in this form:
+{"questions": [{"type": "multiple_choice", "question": "...", "choices": ["...", "...", "...", "..."], "answer": 0}, {"type": "fill_blank", "question": "... ${BLANK} ...", "answer": "the missing word"}]}
+where the answer of a multiple-choice question is the index of the right choice, from 0.
+
+---
+${excerpt}
+---`;
+}
+
+const isFilled = (value) => typeof value === 'string' && value.trim() !== '';
+
+/**
+ * Checks a question of the AI's answer.
+ * @param {*} question - The question, as parsed from the JSON.
+ * @returns {object|null} - The question ({ type, question, choices?, answer }), or null if it is invalid.
+ */
+function normalizeQuestion(question) {
+    if (!question || !QUESTION_TYPES.includes(question.type)) return null;
+    if (!isFilled(question.question)) return null;
+
+    if (question.type === 'multiple_choice') {
+        const { choices, answer } = question;
+        if (
+            !Array.isArray(choices) ||
+            choices.length < 2 ||
+            choices.length > MAX_CHOICES ||
+            !choices.every(isFilled) ||
+            !Number.isInteger(answer) ||
+            answer < 0 ||
+            answer >= choices.length
+        ) {
+            return null;
+        }
+        return {
+            type: question.type,
+            question: question.question.trim(),
+            choices: choices.map((choice) => choice.trim()),
+            answer,
+        };
+    }
+
+    // Fill in the blank: the sentence must show where the missing word goes
+    const sentence = question.question.trim().replace(/_{3,}/g, BLANK);
+    if (!sentence.includes(BLANK) || !isFilled(question.answer)) return null;
+    return {
+        type: question.type,
+        question: sentence,
+        answer: question.answer.trim(),
+    };
+}
+
+/**
+ * Reads the quiz out of the AI's answer (JSON, possibly in a Markdown code block).
+ * @param {string} answer - The AI's answer.
+ * @returns {Array<object>} - The valid questions, at most MAX_QUESTIONS.
+ * @throws {Error} - If the answer holds no valid question (502, see aiError).
+ */
+function parseQuiz(answer) {
+    const quiz = parseJsonAnswer(answer);
+    const questions =
+        quiz && Array.isArray(quiz.questions)
+            ? quiz.questions.map(normalizeQuestion).filter(Boolean)
+            : [];
+    if (questions.length === 0) {
+        throw aiError('AI Service Error: the quiz could not be read.', 502);
+    }
+    return questions.slice(0, MAX_QUESTIONS);
+}
+
+/**
+ * Writes a comprehension quiz about a text with an AI provider (see services/aiProvider).
+ * @param {{generateText: function(string): Promise<string>}} aiProvider - The AI provider.
+ * @param {string} text - The text.
+ * @returns {Promise<Array<object>>} - The questions, answers included: { type: 'multiple_choice',
+ *   question, choices, answer: index of the right choice } or { type: 'fill_blank', question (with
+ *   a ____ blank), answer: the missing word }.
+ * @throws {Error} - If the AI provider fails or its answer is not a quiz (errors carrying an HTTP status).
+ */
+async function generateQuiz(aiProvider, text) {
+    const answer = await aiProvider.generateText(
+        buildQuizPrompt(buildQuizExcerpt(text))
+    );
+    return parseQuiz(answer);
+}
+
+/**
+ * Leaves the answers out of the questions, to send them to the user.
+ * @param {Array<object>} questions - The questions (see generateQuiz).
+ * @returns {Array<object>} - { type, question, choices? } objects.
+ */
+function toPublicQuestions(questions) {
+    return questions.map(({ type, question, choices }) =>
+        choices ? { type, question, choices } : { type, question }
+    );
+}
+
+/**
+ * Normalizes a fill-in-the-blank answer so that case, accents, punctuation and spacing do not matter.
+ * @param {*} answer - The answer.
+ * @returns {string} - The normalized answer.
+ */
+function normalizeAnswer(answer) {
+    return String(answer === undefined || answer === null ? '' : answer)
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '') // Accents
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Grades the user's answers to a quiz.
+ * @param {Array<object>} questions - The questions, answers included (see generateQuiz).
+ * @param {Array<*>} answers - The user's answers, in the same order: the index of the chosen
+ *   choice, or the word typed in the blank (missing answers are wrong).
+ * @returns {{correctCount: number, questionCount: number, results: Array<{correct: boolean,
+ *   answer: string}>}} - The score, and for each question whether it was right and its answer.
+ */
+function gradeQuiz(questions, answers) {
+    const given = Array.isArray(answers) ? answers : [];
+    const results = questions.map((question, index) => {
+        if (question.type === 'multiple_choice') {
+            return {
+                correct: String(given[index]) === String(question.answer),
+                answer: question.choices[question.answer],
+            };
+        }
+        return {
+            correct:
+                normalizeAnswer(given[index]) !== '' &&
+                normalizeAnswer(given[index]) ===
+                    normalizeAnswer(question.answer),
+            answer: question.answer,
+        };
+    });
+    return {
+        correctCount: results.filter((result) => result.correct).length,
+        questionCount: questions.length,
+        results,
+    };
+}
+
+module.exports = {
+    buildQuizExcerpt,
+    parseQuiz,
+    generateQuiz,
+    toPublicQuestions,
+    gradeQuiz,
+};
@@ -0,0 +1,197 @@
+// --- Dependencies ---
+const { parseJsonAnswer } = require('./aiProvider');
+const { buildQuizExcerpt } = require('./comprehensionQuiz');
+
+// --- Key Terms ---
+// Cloze exercises blank out the key terms of a text, to be typed from memory. The AI provider picks
+// them when one is configured; otherwise (or when it fails) they are picked locally by TF-IDF: the
+// words frequent in the text but rare in the user's other texts. Terms are only kept if they appear
+// in the text as whole words, since the practice page looks for them line by line.
+
+const MIN_TERMS = 3;
+const MAX_TERMS = 30;
+const WORDS_PER_TERM = 40; // One blank every ~40 words of text
+const MIN_WORD_LENGTH = 4; // Shorter words are almost all grammatical
+const MAX_TERM_WORDS = 3; // AI terms can be short phrases ("Industrial Revolution")
+
+// Frequent words of 4+ letters in English and French, never worth a blank
+const STOP_WORDS = new Set(
+    [
+        'about above after again against also among another because been before being below between both cannot could does doing down during each even every from further have having here however into itself just like made make many more most much must only other over same should since some such than that their theirs them then there these they this those through under until upon very were what when where which while whom whose will with within without would your yours',
+        'alors aussi autre autres avant avec avoir bien cela celle celles celui ceux cette comme comment dans depuis donc dont elle elles encore entre fait faire leur leurs lors mais meme moins nous notre parce pendant peut peu plus pour pourquoi quand quel quelle quelles quels sans sera sont sous tout toute toutes tous très vers vous votre être était étaient avait avaient après chez ainsi tant toujours jamais rien deux trois',
+    ]
+        .join(' ')
+        .split(' ')
+);
+
+/**
+ * Returns the number of terms to blank out in a text, from its length.
+ * @param {string} text - The text.
+ * @returns {number} - Between MIN_TERMS and MAX_TERMS.
+ */
+function getTermCount(text) {
+    const wordCount = (text.match(/[\p{L}\p{N}]+/gu) || []).length;
+    return Math.min(
+        MAX_TERMS,
+        Math.max(MIN_TERMS, Math.round(wordCount / WORDS_PER_TERM))
+    );
+}
+
+/**
+ * Lists the candidate words of a text: lowercase words of letters only, long enough and not stop words.
+ * @param {string} text - The text.
+ * @returns {Array<string>} - The words, in order and with repeats.
+ */
+function tokenize(text) {
+    return (
+        (text || '').toLowerCase().match(/\p{L}+(?:['\u2019-]\p{L}+)*/gu) || []
+    ).filter(
+        (word) =>
+            Array.from(word).length >= MIN_WORD_LENGTH && !STOP_WORDS.has(word)
+    );
+}
+
+/**
+ * Picks the key terms of a text by TF-IDF. The documents are the user's texts; with fewer than two of
+ * them, the paragraphs of the text are used instead.
+ * @param {string} text - The text.
+ * @param {Array<string>} [corpus] - The contents of the user's texts (may include the text itself).
+ * @param {number} [count] - The number of terms (see getTermCount).
+ * @returns {Array<string>} - The terms (lowercase words), best first.
+ */
+function extractKeyTermsTfIdf(text, corpus = [], count = getTermCount(text)) {
+    const others = corpus.filter((content) => content && content !== text);
+    const documents =
+        others.length > 0
+            ? [text, ...others]
+            : text.split(/\n\s*\n/).filter((paragraph) => paragraph.trim());
+
+    const documentFrequency = new Map();
+    documents.forEach((document) => {
+        new Set(tokenize(document)).forEach((word) => {
+            documentFrequency.set(word, (documentFrequency.get(word) || 0) + 1);
+        });
+    });
+
+    const termFrequency = new Map();
+    tokenize(text).forEach((word) => {
+        termFrequency.set(word, (termFrequency.get(word) || 0) + 1);
+    });
+
+    // Smoothed IDF: a word found in every document still scores, just lower
+    const scoreOf = (word) =>
+        termFrequency.get(word) *
+        (Math.log(
+            (documents.length + 1) / ((documentFrequency.get(word) || 0) + 1)
+        ) +
+            1);
+    return [...termFrequency.keys()]
+        .sort((a, b) => scoreOf(b) - scoreOf(a) || a.localeCompare(b))
+        .slice(0, count);
+}
+
+/**
+ * Escapes a string for use in a regular expression.
+ * @param {string} value - The string.
+ * @returns {string} - The escaped string.
+ */
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Checks whether a term appears in a text as whole words (ignoring case).
+ * @param {string} text - The text.
+ * @param {string} term - The term.
+ * @returns {boolean} - True if the term is found.
+ */
+function containsTerm(text, term) {
+    return new RegExp(
+        `(?<![\\p{L}\\p{N}])${escapeRegExp(term)}(?![\\p{L}\\p{N}])`,
+        'iu'
+    ).test(text);
+}
+
+/**
+ * Builds the prompt asking the AI for the key terms of a text, in JSON.
+ * @param {string} excerpt - The text, or passages of a long text (see buildQuizExcerpt).
+ * @param {number} count - The number of terms.
+ * @returns {string} - The prompt.
+ */
+function buildKeyTermsPrompt(excerpt, count) {
+    return `List the ${count} key terms of the following text that a reader should remember: names, concepts, technical words and important figures, not common words. Copy each term exactly as it is written in the text, with at most ${MAX_TERM_WORDS} words per term.
+Answer with JSON only, in this form: {"terms": ["...", "..."]}
+
+---
+${excerpt}
+---`;
+}
+
+/**
+ * Reads the key terms out of the AI's answer (JSON, possibly in a Markdown code block), keeping
+ * only the distinct terms found in the text.
+ * @param {string} answer - The AI's answer.
+ * @param {string} text - The text.
+ * @param {number} count - The maximum number of terms.
+ * @returns {Array<string>} - The terms (none if the answer cannot be read).
+ */
+function parseKeyTerms(answer, text, count) {
+    const parsed = parseJsonAnswer(answer);
+    if (!parsed || !Array.isArray(parsed.terms)) return [];
+
+    const seen = new Set();
+    return parsed.terms
+        .filter((term) => typeof term === 'string')
+        .map((term) => term.trim().replace(/\s+/g, ' '))
+        .filter((term) => {
+            const key = term.toLowerCase();
+            if (
+                !term ||
+                seen.has(key) ||
+                term.split(' ').length > MAX_TERM_WORDS ||
+                !containsTerm(text, term)
+            ) {
+                return false;
+            }
+            seen.add(key);
+            return true;
+        })
+        .slice(0, count);
+}
+
+/**
+ * Picks the key terms of a text to blank out: with the AI provider when there is one, by TF-IDF
+ * otherwise, or when the AI fails or finds no term of the text.
+ * @param {string} text - The text.
+ * @param {object} [options] - Options.
+ * @param {{generateText: function(string): Promise<string>}|null} [options.aiProvider] - The AI provider.
+ * @param {Array<string>} [options.corpus] - The contents of the user's texts (for TF-IDF).
+ * @returns {Promise<{terms: Array<string>, source: string}>} - The terms, and where they come from
+ *   ('ai' or 'tfidf').
+ */
+async function extractKeyTerms(text, { aiProvider = null, corpus = [] } = {}) {
+    const count = getTermCount(text);
+    if (aiProvider) {
+        try {
+            const answer = await aiProvider.generateText(
+                buildKeyTermsPrompt(buildQuizExcerpt(text), count)
+            );
+            const terms = parseKeyTerms(answer, text, count);
+            if (terms.length > 0) return { terms, source: 'ai' };
+            console.warn('Key terms: no usable term in the AI answer.');
+        } catch (error) {
+            console.warn(
+                `Key terms: AI extraction failed, falling back to TF-IDF: ${error.message}`
+            );
+        }
+    }
+    return {
+        terms: extractKeyTermsTfIdf(text, corpus, count),
+        source: 'tfidf',
+    };
+}
+
+module.exports = {
+    getTermCount,
+    extractKeyTermsTfIdf,
+    parseKeyTerms,
+    extractKeyTerms,
+};
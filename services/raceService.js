@@ -0,0 +1,335 @@
+// --- Dependencies ---
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const db = require('../models/db'); // Import database functions
+
+// --- Race Settings ---
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ'; // No I/O to avoid confusion with 1/0 when codes are read aloud
+const CODE_LENGTH = 5;
+const MAX_PASSAGE_LENGTH = 300; // Characters typed during a race
+const MAX_RACERS = 10;
+const COUNTDOWN_MS = 3000;
+const JOIN_TIMEOUT_MS = 5 * 60 * 1000; // A room nobody joins within this time is deleted
+const RACE_TIME_LIMIT_MS = 5 * 60 * 1000; // Unfinished racers are ranked when this runs out
+const PLACE_REWARDS = [5, 3, 1]; // Coins for the 1st, 2nd and 3rd place
+const MAX_RACE_WPM = 250; // Faster than anyone keeps up over a race: progress beyond it is not believed
+const START_BURST_CHARACTERS = 5; // Leeway for the first keystrokes, typed in a quick burst
+
+/**
+ * Builds the passage typed during a race from the content of a text:
+ * whitespace is collapsed and the passage is cut at a word boundary.
+ * @param {string} content - The content of the text.
+ * @returns {string} - The passage (empty if the text is empty).
+ */
+function buildRacePassage(content) {
+    const passage = (content || '').replace(/\s+/g, ' ').trim();
+    if (passage.length <= MAX_PASSAGE_LENGTH) return passage;
+    const cut = passage.lastIndexOf(' ', MAX_PASSAGE_LENGTH);
+    return passage.slice(0, cut > 0 ? cut : MAX_PASSAGE_LENGTH);
+}
+
+/**
+ * Computes the words per minute of a finished racer.
+ * @param {number} characters - The number of characters typed.
+ * @param {number} elapsedMs - The time taken.
+ * @returns {number} - The WPM, rounded.
+ */
+function calculateRaceWPM(characters, elapsedMs) {
+    if (elapsedMs <= 0) return 0;
+    return Math.round(characters / 5 / (elapsedMs / 60000));
+}
+
+/**
+ * Counts the characters of the passage typed correctly: the length of the prefix shared with what the racer typed.
+ * @param {string} passage - The passage of the race.
+ * @param {string} typed - What the racer typed.
+ * @returns {number} - The position of the racer in the passage.
+ */
+function getTypedPosition(passage, typed) {
+    let position = 0;
+    while (
+        position < passage.length &&
+        position < typed.length &&
+        typed[position] === passage[position]
+    ) {
+        position++;
+    }
+    return position;
+}
+
+/**
+ * Checks that a position could have been typed in the time since the start of the race (see MAX_RACE_WPM).
+ * @param {object} room - The room.
+ * @param {number} position - The characters typed correctly.
+ * @returns {boolean} - True if a human could have typed that far.
+ */
+function isPlausiblePosition(room, position) {
+    const elapsedMinutes = (Date.now() - room.startsAt) / 60000;
+    return (
+        position <= elapsedMinutes * MAX_RACE_WPM * 5 + START_BURST_CHARACTERS
+    );
+}
+
+/**
+ * Gives a finished racer the coins of their place, if the race counts.
+ * @param {object} room - The room.
+ * @param {object} racer - The racer who just finished.
+ */
+function rewardRacer(room, racer) {
+    const coins = PLACE_REWARDS[racer.place - 1] || 0;
+    if (!room.rewarded || coins === 0) return;
+    if (db.increment_user_coins(racer.userId, coins)) {
+        racer.coins = coins;
+    }
+}
+
+/**
+ * Service class keeping the race rooms in memory.
+ * Rooms live as long as someone is connected to them (or JOIN_TIMEOUT_MS if nobody ever joins); the WebSocket layer (see raceSocket.js)
+ * listens to the 'update' event to broadcast the state of a room to its racers.
+ */
+class RaceService extends EventEmitter {
+    constructor() {
+        super();
+        this.rooms = new Map(); // code -> room
+    }
+
+    generateCode() {
+        let code;
+        do {
+            code = Array.from(
+                { length: CODE_LENGTH },
+                () => CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)]
+            ).join('');
+        } while (this.rooms.has(code));
+        return code;
+    }
+
+    /**
+     * Creates a room for a text of the host. The room is deleted if nobody joins it within JOIN_TIMEOUT_MS.
+     * @param {{id: number, username: string}} host - The user creating the room.
+     * @param {{id: number, title: string, content: string}} text - The text to race on.
+     * @returns {object|null} - The new room, or null if the text has nothing to type.
+     */
+    createRoom(host, text) {
+        const passage = buildRacePassage(text.content);
+        if (!passage) return null;
+
+        const room = {
+            code: this.generateCode(),
+            hostId: host.id,
+            textTitle: text.title,
+            passage,
+            status: 'waiting', // waiting -> countdown -> running -> finished
+            startsAt: null,
+            racers: new Map(), // user id -> racer
+            rewarded: false, // Coins are only given when at least two people raced
+            timer: null,
+        };
+        room.timer = setTimeout(
+            () => this.rooms.delete(room.code),
+            JOIN_TIMEOUT_MS
+        );
+        room.timer.unref(); // An unused room does not keep the server running
+        this.rooms.set(room.code, room);
+        return room;
+    }
+
+    /**
+     * Finds a room by its code (case-insensitive).
+     * @param {string} code - The room code.
+     * @returns {object|null} - The room or null if not found.
+     */
+    getRoom(code) {
+        return this.rooms.get(String(code || '').toUpperCase()) || null;
+    }
+
+    /**
+     * Adds a user to a room, or reconnects them if they are already in it.
+     * @param {string} code - The room code.
+     * @param {{id: number, username: string}} user - The joining user.
+     * @returns {{success: boolean, message?: string}} - Whether the user is in the room.
+     */
+    joinRoom(code, user) {
+        const room = this.getRoom(code);
+        if (!room) return { success: false, message: 'Race room not found.' };
+
+        const racer = room.racers.get(user.id);
+        if (racer) {
+            racer.connected = true;
+        } else if (room.status !== 'waiting') {
+            return {
+                success: false,
+                message: 'This race has already started.',
+            };
+        } else if (room.racers.size >= MAX_RACERS) {
+            return { success: false, message: 'This race room is full.' };
+        } else {
+            if (room.racers.size === 0) {
+                clearTimeout(room.timer); // Joined in time
+                room.timer = null;
+            }
+            room.racers.set(user.id, {
+                userId: user.id,
+                username: user.username,
+                position: 0,
+                errors: 0,
+                finishedAt: null,
+                place: null,
+                wpm: null,
+                coins: 0,
+                connected: true,
+            });
+        }
+        this.emit('update', room);
+        return { success: true };
+    }
+
+    /**
+     * Removes a user from a room. Before the start, the racer is dropped (and the host role passed on);
+     * once the race has started, the racer stays in the standings as disconnected.
+     * Empty rooms are deleted.
+     * @param {string} code - The room code.
+     * @param {number} userId - The leaving user.
+     */
+    leaveRoom(code, userId) {
+        const room = this.getRoom(code);
+        if (!room || !room.racers.has(userId)) return;
+
+        if (room.status === 'waiting') {
+            room.racers.delete(userId);
+            if (room.hostId === userId && room.racers.size > 0) {
+                room.hostId = room.racers.keys().next().value;
+            }
+        } else {
+            room.racers.get(userId).connected = false;
+        }
+
+        const connected = [...room.racers.values()].some((r) => r.connected);
+        if (!connected) {
+            clearTimeout(room.timer);
+            this.rooms.delete(room.code);
+            return;
+        }
+        if (room.status === 'running') this.checkRaceOver(room);
+        this.emit('update', room);
+    }
+
+    /**
+     * Starts the countdown of a room. Only the host can start the race.
+     * @param {string} code - The room code.
+     * @param {number} userId - The user asking to start.
+     * @returns {boolean} - True if the countdown started.
+     */
+    startRace(code, userId) {
+        const room = this.getRoom(code);
+        if (!room || room.hostId !== userId || room.status !== 'waiting') {
+            return false;
+        }
+
+        room.status = 'countdown';
+        room.startsAt = Date.now() + COUNTDOWN_MS;
+        room.rewarded = room.racers.size >= 2;
+        room.timer = setTimeout(() => {
+            room.status = 'running';
+            room.timer = setTimeout(
+                () => this.endRace(room),
+                RACE_TIME_LIMIT_MS
+            );
+            this.emit('update', room);
+        }, COUNTDOWN_MS);
+        this.emit('update', room);
+        return true;
+    }
+
+    /**
+     * Records the progress of a racer. The position is worked out here from what the racer typed, and is
+     * refused if it was reached faster than humanly possible. Reaching the end of the passage finishes the
+     * racer, gives them their place and, if the race counts, the matching coins.
+     * @param {string} code - The room code.
+     * @param {number} userId - The racer.
+     * @param {{typed: string, errors: number}} progress - The input of the racer and the errors made so far.
+     * @returns {boolean} - True if the progress was recorded.
+     */
+    updateProgress(code, userId, { typed, errors }) {
+        const room = this.getRoom(code);
+        const racer = room && room.racers.get(userId);
+        if (!racer || room.status !== 'running' || racer.finishedAt) {
+            return false;
+        }
+        if (typeof typed !== 'string') return false;
+        const position = getTypedPosition(room.passage, typed);
+        if (!isPlausiblePosition(room, position)) return false;
+
+        racer.position = position;
+        if (Number.isInteger(errors) && errors >= 0) racer.errors = errors;
+
+        if (racer.position === room.passage.length) {
+            racer.finishedAt = Date.now();
+            racer.wpm = calculateRaceWPM(
+                room.passage.length,
+                racer.finishedAt - room.startsAt
+            );
+            racer.place = [...room.racers.values()].filter(
+                (r) => r.finishedAt
+            ).length;
+            rewardRacer(room, racer);
+            this.checkRaceOver(room);
+        }
+        this.emit('update', room);
+        return true;
+    }
+
+    /**
+     * Ends the race once every connected racer has finished.
+     * @param {object} room - The room.
+     */
+    checkRaceOver(room) {
+        const stillRacing = [...room.racers.values()].some(
+            (r) => r.connected && !r.finishedAt
+        );
+        if (!stillRacing) this.endRace(room);
+    }
+
+    endRace(room) {
+        clearTimeout(room.timer);
+        room.timer = null;
+        if (room.status === 'finished') return;
+        room.status = 'finished';
+        this.emit('update', room);
+    }
+
+    /**
+     * Builds the public state of a room, as sent to the racers.
+     * @param {object} room - The room.
+     * @returns {object} - The serializable state.
+     */
+    static getRoomState(room) {
+        const racers = [...room.racers.values()].sort((a, b) => {
+            // Finished racers by place, then the others by progress
+            if (a.place && b.place) return a.place - b.place;
+            if (a.place || b.place) return a.place ? -1 : 1;
+            return b.position - a.position;
+        });
+        return {
+            code: room.code,
+            hostId: room.hostId,
+            status: room.status,
+            startsIn:
+                room.status === 'countdown'
+                    ? Math.max(0, room.startsAt - Date.now())
+                    : null,
+            passageLength: room.passage.length,
+            rewarded: room.rewarded,
+            racers: racers.map(({ finishedAt, ...racer }) => racer),
+        };
+    }
+}
+
+module.exports = {
+    RaceService,
+    raceService: new RaceService(), // Shared by the race controller and the WebSocket server
+    buildRacePassage,
+    calculateRaceWPM,
+    PLACE_REWARDS,
+};
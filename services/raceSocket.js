@@ -0,0 +1,112 @@
+// --- Dependencies ---
+const { WebSocketServer, WebSocket } = require('ws');
+const { RaceService, raceService } = require('./raceService');
+
+const SOCKET_PATH = '/race/socket';
+
+/**
+ * Sends a JSON message on a socket if it is still open.
+ * @param {WebSocket} socket - The socket.
+ * @param {object} message - The message to send.
+ */
+function send(socket, message) {
+    if (socket.readyState === WebSocket.OPEN) {
+        socket.send(JSON.stringify(message));
+    }
+}
+
+/**
+ * Attaches the race WebSocket server to the HTTP server.
+ * Clients connect to /race/socket?code=ROOM with their session cookie: the session middleware
+ * is run on the upgrade request so only logged-in users can join a room.
+ * Client messages: { type: 'start' } (host only) and { type: 'progress', typed, errors }.
+ * Server messages: { type: 'state', room } after every change and { type: 'error', message }.
+ * @param {import('http').Server} server - The HTTP server.
+ * @param {Function} sessionMiddleware - The express-session middleware of the app.
+ * @param {RaceService} [service=raceService] - The race service holding the rooms.
+ * @returns {WebSocketServer} - The WebSocket server.
+ */
+function attachRaceServer(server, sessionMiddleware, service = raceService) {
+    const wss = new WebSocketServer({ noServer: true });
+    const socketsByRoom = new Map(); // code -> Map(user id -> socket)
+
+    service.on('update', (room) => {
+        const sockets = socketsByRoom.get(room.code);
+        if (!sockets) return;
+        const state = RaceService.getRoomState(room);
+        sockets.forEach((socket) =>
+            send(socket, { type: 'state', room: state })
+        );
+    });
+
+    server.on('upgrade', (request, socket, head) => {
+        const url = new URL(request.url, 'http://localhost');
+        if (url.pathname !== SOCKET_PATH) return; // Not ours
+
+        sessionMiddleware(request, {}, () => {
+            const user = request.session && request.session.user;
+            if (!user) {
+                socket.write('HTTP/1.1 401 Unauthorized\r\n\r\n');
+                socket.destroy();
+                return;
+            }
+            wss.handleUpgrade(request, socket, head, (ws) => {
+                wss.emit('connection', ws, user, url.searchParams.get('code'));
+            });
+        });
+    });
+
+    wss.on('connection', (ws, user, requestedCode) => {
+        const room = service.getRoom(requestedCode);
+        if (!room) {
+            send(ws, { type: 'error', message: 'Race room not found.' });
+            ws.close();
+            return;
+        }
+        const { code } = room;
+
+        // Register the socket before joining so the joining user receives the first state
+        if (!socketsByRoom.has(code)) socketsByRoom.set(code, new Map());
+        const sockets = socketsByRoom.get(code);
+        const previous = sockets.get(user.id);
+        sockets.set(user.id, ws);
+        if (previous) previous.close(); // Same user in another tab: keep the newest connection
+
+        const result = service.joinRoom(code, user);
+        if (!result.success) {
+            sockets.delete(user.id);
+            if (sockets.size === 0) socketsByRoom.delete(code);
+            send(ws, { type: 'error', message: result.message });
+            ws.close();
+            return;
+        }
+
+        ws.on('message', (data) => {
+            let message;
+            try {
+                message = JSON.parse(data);
+            } catch (error) {
+                return; // Ignore malformed messages
+            }
+            if (message.type === 'start') {
+                service.startRace(code, user.id);
+            } else if (message.type === 'progress') {
+                service.updateProgress(code, user.id, message);
+            }
+        });
+
+        ws.on('close', () => {
+            // A replaced socket must not remove the user from the room
+            if (sockets.get(user.id) !== ws) return;
+            sockets.delete(user.id);
+            if (sockets.size === 0) socketsByRoom.delete(code);
+            service.leaveRoom(code, user.id);
+        });
+    });
+
+    return wss;
+}
+
+module.exports = {
+    attachRaceServer,
+};
@@ -0,0 +1,233 @@
+// --- Summarizer ---
+// Long texts (a whole PDF book...) do not fit in one prompt: the AI service refuses them or only
+// reads their beginning. They are summarized in map-reduce fashion instead: the text is cut into
+// chunks of whole paragraphs, each chunk is summarized on its own (map), then the summaries are
+// summarized together (reduce), in several rounds if they are still too long for one prompt.
+//   AI_CHUNK_SIZE  The size of a chunk, in characters (12000 by default). Lower it for local
+//                  models with a small context window.
+
+const SUMMARY_LENGTHS = {
+    short: 'a short summary of a few sentences',
+    medium: 'a summary of one to three paragraphs',
+    long: 'a detailed summary covering every main point',
+};
+const SUMMARY_FORMATS = {
+    prose: 'Write it as continuous prose.',
+    bullets:
+        'Write it as a bulleted list, one point per line, each line starting with "- ".',
+};
+const DEFAULT_SUMMARY_LENGTH = 'medium';
+const DEFAULT_SUMMARY_FORMAT = 'prose';
+const DEFAULT_CHUNK_SIZE = 12000;
+const MIN_CHUNK_SIZE = 500;
+
+/**
+ * Returns the size of the chunks, as configured by AI_CHUNK_SIZE.
+ * @param {object} [config] - The configuration variables (process.env by default).
+ * @returns {number} - The maximum number of characters of a chunk.
+ */
+function getChunkSize(config = process.env) {
+    const size = parseInt(config.AI_CHUNK_SIZE, 10);
+    return size >= MIN_CHUNK_SIZE ? size : DEFAULT_CHUNK_SIZE;
+}
+
+/**
+ * Cuts a piece of text that is too long for a chunk: between sentences, or between words for
+ * a sentence that is itself too long.
+ * @param {string} piece - The paragraph (or sentence) to cut.
+ * @param {number} maxChars - The maximum number of characters of a part.
+ * @returns {Array<string>} - The parts, each at most maxChars long (except a single longer word).
+ */
+function splitLongPiece(piece, maxChars) {
+    if (piece.length <= maxChars) return [piece];
+    const sentences = piece.split(/(?<=[.!?\u2026])\s+/);
+    const units = sentences.length > 1 ? sentences : piece.split(/\s+/);
+    return units
+        .flatMap((unit) =>
+            sentences.length > 1 ? splitLongPiece(unit, maxChars) : [unit]
+        )
+        .reduce((parts, unit) => {
+            const last = parts[parts.length - 1];
+            if (
+                last !== undefined &&
+                last.length + 1 + unit.length <= maxChars
+            ) {
+                parts[parts.length - 1] = `${last} ${unit}`;
+            } else {
+                parts.push(unit);
+            }
+            return parts;
+        }, []);
+}
+
+/**
+ * Cuts a text into chunks of whole paragraphs (separated by blank lines), as large as possible
+ * without going over the limit. Only paragraphs longer than the limit are cut, between sentences.
+ * @param {string} text - The text to cut.
+ * @param {number} [maxChars] - The maximum number of characters of a chunk.
+ * @returns {Array<string>} - The chunks, in the order of the text (none for a blank text).
+ */
+function splitIntoChunks(text, maxChars = getChunkSize()) {
+    const paragraphs = (text || '')
+        .split(/\n\s*\n/)
+        .map((paragraph) => paragraph.trim())
+        .filter(Boolean)
+        .flatMap((paragraph) => splitLongPiece(paragraph, maxChars));
+
+    return paragraphs.reduce((chunks, paragraph) => {
+        const last = chunks[chunks.length - 1];
+        if (
+            last !== undefined &&
+            last.length + 2 + paragraph.length <= maxChars
+        ) {
+            chunks[chunks.length - 1] = `${last}\n\n${paragraph}`;
+        } else {
+            chunks.push(paragraph);
+        }
+        return chunks;
+    }, []);
+}
+
+/**
+ * Builds the prompt summarizing one chunk of a longer text (map step). Chunk summaries are only
+ * notes for the final summary, so they keep every fact, whatever the chosen length and format.
+ * @param {string} chunk - The chunk.
+ * @param {number} index - The position of the chunk (from 0).
+ * @param {number} count - The number of chunks.
+ * @returns {string} - The prompt.
+ */
+function buildChunkPrompt(chunk, index, count) {
+    return `The following text is part ${index + 1} of ${count} of a longer document. Detect its language and summarize it in that same language, keeping its key facts, names and figures. Only answer with the summary.\n\n---\n${chunk}\n---`;
+}
+
+/**
+ * Builds the prompt combining the summaries of consecutive parts of a text into one (reduce step).
+ * @param {string} summaries - The summaries, separated by blank lines.
+ * @returns {string} - The prompt.
+ */
+function buildCombinePrompt(summaries) {
+    return `The following notes summarize consecutive parts of a document. Detect their language and merge them, in that same language, into a single summary keeping the key facts, names and figures. Only answer with the summary.\n\n---\n${summaries}\n---`;
+}
+
+/**
+ * Builds the prompt writing the summary the user asked for, of the whole text or of the
+ * summaries of its parts.
+ * @param {string} content - The text, or the summaries of its parts.
+ * @param {boolean} fromSummaries - Whether the content is made of summaries of the parts.
+ * @param {{length: string, format: string}} options - The length and format of the summary.
+ * @returns {string} - The prompt.
+ */
+function buildFinalPrompt(content, fromSummaries, { length, format }) {
+    const request = fromSummaries
+        ? `The following notes summarize consecutive parts of a document. Detect their language and write ${SUMMARY_LENGTHS[length]} of the whole document in that same language.`
+        : `Detect the language of the following text and provide ${SUMMARY_LENGTHS[length]} (in that same language).`;
+    return `${request} ${SUMMARY_FORMATS[format]} Only answer with the summary.\n\n---\n${content}\n---`;
+}
+
+/**
+ * Summarizes a text of any length with an AI provider (see services/aiProvider): in a single
+ * prompt when it fits in one chunk, in map-reduce fashion otherwise (see the top of this file).
+ * The requests are sent one after the other, not to overload the AI service.
+ * @param {{generateText: function(string): Promise<string>}} aiProvider - The AI provider.
+ * @param {string} text - The text to summarize.
+ * @param {object} [options] - The options of the summary.
+ * @param {string} [options.length] - 'short', 'medium' (default) or 'long'.
+ * @param {string} [options.format] - 'prose' (default) or 'bullets'.
+ * @param {number} [options.chunkSize] - The size of the chunks (AI_CHUNK_SIZE by default).
+ * @param {function({stage: string, done: number, total: number}): void} [options.onProgress] - Called
+ *   before each request to the AI service: stage is 'chunks' while summarizing the chunks, 'combining'
+ *   while merging their summaries and 'final' for the last request; done counts the requests of the
+ *   stage already answered, out of total.
+ * @param {AbortSignal} [options.signal] - Stops the summary before its next request when aborted.
+ * @returns {Promise<string>} - The summary.
+ * @throws {Error} - If the text is blank, the summary is aborted or the AI provider fails (the error
+ *   of the provider, carrying its HTTP status).
+ */
+async function summarizeText(aiProvider, text, options = {}) {
+    const length = Object.keys(SUMMARY_LENGTHS).includes(options.length)
+        ? options.length
+        : DEFAULT_SUMMARY_LENGTH;
+    const format = Object.keys(SUMMARY_FORMATS).includes(options.format)
+        ? options.format
+        : DEFAULT_SUMMARY_FORMAT;
+    const chunkSize = options.chunkSize || getChunkSize();
+    const onProgress = options.onProgress || (() => {});
+
+    /**
+     * Sends a prompt, unless the summary was aborted in the meantime.
+     * @param {string} prompt - The prompt.
+     * @returns {Promise<string>} - The trimmed answer.
+     */
+    const generate = async (prompt) => {
+        if (options.signal && options.signal.aborted) {
+            throw new Error('The summary was cancelled.');
+        }
+        return (await aiProvider.generateText(prompt)).trim();
+    };
+
+    /**
+     * Sends the prompts of a stage one after the other, reporting the progress.
+     * @param {string} stage - The stage ('chunks' or 'combining').
+     * @param {Array<string>} prompts - The prompts.
+     * @returns {Promise<Array<string>>} - The answers, in the same order.
+     */
+    const generateAll = (stage, prompts) =>
+        prompts.reduce(async (previous, prompt, index) => {
+            const answers = await previous;
+            onProgress({ stage, done: index, total: prompts.length });
+            answers.push(await generate(prompt));
+            return answers;
+        }, Promise.resolve([]));
+
+    const chunks = splitIntoChunks(text, chunkSize);
+    if (chunks.length === 0) throw new Error('Cannot summarize empty text.');
+    if (chunks.length === 1) {
+        onProgress({ stage: 'final', done: 0, total: 1 });
+        return generate(buildFinalPrompt(chunks[0], false, { length, format }));
+    }
+
+    // Map: one summary per chunk
+    const summaries = await generateAll(
+        'chunks',
+        chunks.map((chunk, index) =>
+            buildChunkPrompt(chunk, index, chunks.length)
+        )
+    );
+
+    /**
+     * Merges groups of summaries, round after round, until they fit in one chunk.
+     * @param {Array<string>} groups - The summaries, grouped by chunk.
+     * @returns {Promise<string>} - The summaries fitting in one chunk.
+     */
+    const combine = async (groups) => {
+        if (groups.length === 1) return groups[0];
+        const merged = splitIntoChunks(
+            (
+                await generateAll(
+                    'combining',
+                    groups.map((group) => buildCombinePrompt(group))
+                )
+            ).join('\n\n'),
+            chunkSize
+        );
+        // Stop when a round no longer shortens the summaries (an AI service answering at length)
+        return combine(
+            merged.length < groups.length ? merged : [merged.join('\n\n')]
+        );
+    };
+
+    // Reduce: merge the summaries, then write the summary of the whole text
+    const notes = await combine(
+        splitIntoChunks(summaries.join('\n\n'), chunkSize)
+    );
+    onProgress({ stage: 'final', done: 0, total: 1 });
+    return generate(buildFinalPrompt(notes, true, { length, format }));
+}
+
+module.exports = {
+    SUMMARY_LENGTHS,
+    SUMMARY_FORMATS,
+    getChunkSize,
+    splitIntoChunks,
+    summarizeText,
+};
@@ -1,5 +1,49 @@
 const db = require('../models/db');
-const { cleanupText, processPdfUpload } = require('../utils/textProcessing');
+const {
+    cleanupText,
+    getDocumentType,
+    processPdfUpload,
+    processPdfSections,
+    processDocxUpload,
+    processOdtUpload,
+    processMarkupUpload,
+} = require('../utils/textProcessing');
+const { processEpubUpload } = require('../utils/epubProcessing');
+const { webPageToText, fetchWebPage } = require('../utils/webPageProcessing');
+const { readZipDocuments } = require('../utils/zipProcessing');
+
+// Text extraction helper for each supported document type (see getDocumentType)
+const DOCUMENT_PROCESSORS = {
+    pdf: (file, { ocrLanguage, firstPage, lastPage, cleanupRules }) =>
+        processPdfUpload(file, {
+            ocrLanguage,
+            firstPage,
+            lastPage,
+            cleanupRules,
+        }),
+    docx: (file) => processDocxUpload(file),
+    odt: (file) => processOdtUpload(file),
+    markdown: (file, { markupRules }) => processMarkupUpload(file, markupRules),
+    html: (file, { markupRules }) => processMarkupUpload(file, markupRules),
+    text: (file, { markupRules }) => processMarkupUpload(file, markupRules),
+};
+
+/**
+ * Extracts the raw text of an uploaded document with the helper of its type.
+ * @param {object} uploadedFile - The uploaded file object (e.g., from multer).
+ * @param {object} options - Import options (see TextService.addText).
+ * @returns {Promise<string>} - The extracted text (not cleaned up yet).
+ * @throws {Error} - If the file type is not supported or the text cannot be extracted.
+ */
+async function extractUploadedText(uploadedFile, options) {
+    const processUpload = DOCUMENT_PROCESSORS[getDocumentType(uploadedFile)];
+    if (!processUpload) {
+        throw new Error(
+            'Unsupported file type. Please upload a PDF, DOCX, ODT, Markdown, HTML or text file.'
+        );
+    }
+    return processUpload(uploadedFile, options);
+}
 
 /**
  * Service class for handling text-related operations.
@@ -12,25 +56,38 @@ class TextService {
      * @param {string} title - The title of the text.
      * @param {string} [content] - The content of the text (optional if file is provided).
      * @param {number} targetCategoryId - The ID of the category to add the text to.
-     * @param {object} [uploadedFile] - The uploaded file object (e.g., from multer).
+     * @param {object} [uploadedFile] - The uploaded file object (e.g., from multer): a PDF, Word (.docx), OpenDocument (.odt),
+     *   Markdown, HTML or plain text file.
+     * @param {object} [options] - Import options.
+     * @param {object} [options.markupRules] - How Markdown/HTML code blocks, images and links are converted (see markupProcessing).
+     * @param {string} [options.ocrLanguage] - The language of a scanned PDF, read with OCR (see OCR_LANGUAGES in textProcessing).
+     * @param {number|null} [options.firstPage] - The first page of a PDF to import (the whole document by default).
+     * @param {number|null} [options.lastPage] - The last page of a PDF to import.
+     * @param {object} [options.cleanupRules] - The layout cleanup rules applied to a PDF (see PDF_CLEANUP_RULES in pdfCleanup).
+     * @param {string} [options.normalization] - The character normalization profile of cleanupText (see NORMALIZATION_PROFILES).
      * @returns {Promise<{success: boolean, textId: number, content: string}>} - An object indicating success, the new text ID, and the processed content.
+     * @throws {Error} - If the text cannot be extracted from the uploaded file.
      */
     static async addText(
         userId,
         title,
         content,
         targetCategoryId,
-        uploadedFile
+        uploadedFile,
+        options = {}
     ) {
         let textToSave = content;
 
         // If a file is uploaded, process it to extract text content
         if (uploadedFile) {
-            textToSave = await processPdfUpload(uploadedFile);
+            textToSave = await extractUploadedText(uploadedFile, options);
         }
 
         // Clean up the text content before saving
-        const finalContent = cleanupText(textToSave || '');
+        const finalContent = cleanupText(
+            textToSave || '',
+            options.normalization
+        );
 
         // Add the text to the database
         const newTextId = db.add_text(
@@ -47,6 +104,286 @@ class TextService {
         };
     }
 
+    /**
+     * Imports the main content of a web page (the article, without navigation, ads and footers)
+     * as a new text. The page is either downloaded from its address or an uploaded HTML file.
+     * @param {number} userId - The ID of the user adding the text.
+     * @param {string} [title] - The title of the text (defaults to the title of the article).
+     * @param {{url?: string, uploadedFile?: object}} source - The address of the page or the uploaded HTML file.
+     * @param {number|null} targetCategoryId - The ID of the category to add the text to.
+     * @param {object} [options] - Import options.
+     * @param {object} [options.markupRules] - How code blocks, images and links are converted (see markupProcessing).
+     * @param {string} [options.normalization] - The character normalization profile of cleanupText (see NORMALIZATION_PROFILES).
+     * @returns {Promise<{success: boolean, textId: number, title: string, content: string}>} - An object indicating
+     *   success, the new text ID, its title and the processed content.
+     * @throws {Error} - If the page cannot be downloaded or has no main content.
+     */
+    static async addWebPage(
+        userId,
+        title,
+        { url, uploadedFile },
+        targetCategoryId,
+        options = {}
+    ) {
+        const page = url
+            ? await fetchWebPage(url)
+            : { html: uploadedFile.buffer.toString('utf8'), url: null };
+        const article = webPageToText(page.html, {
+            url: page.url,
+            markupRules: options.markupRules,
+        });
+
+        const finalTitle =
+            title ||
+            cleanupText(article.title || '') ||
+            url ||
+            uploadedFile.originalname;
+        const finalContent = cleanupText(article.text, options.normalization);
+
+        const newTextId = db.add_text(
+            userId,
+            finalTitle,
+            finalContent,
+            targetCategoryId
+        );
+
+        return {
+            success: newTextId !== -1,
+            textId: newTextId,
+            title: finalTitle,
+            content: finalContent,
+        };
+    }
+
+    /**
+     * Imports an uploaded EPUB: creates a category named after the book and one text per chapter
+     * inside it, in reading order. Every chapter goes through cleanupText.
+     * @param {number} userId - The ID of the user importing the book.
+     * @param {object} uploadedFile - The uploaded EPUB file (e.g., from multer).
+     * @param {number|null} parentCategoryId - The category in which the book's category is created (null for root).
+     * @param {string} [categoryName] - The name of the new category (defaults to the book title, then to the file name).
+     * @param {object} [options] - Import options.
+     * @param {string} [options.normalization] - The character normalization profile of cleanupText (see NORMALIZATION_PROFILES).
+     * @returns {{success: boolean, categoryId?: number, name?: string, textIds?: Array<number>, message?: string}} - The result
+     *   of the import: the new category, its name and the IDs of the chapter texts, or an error message.
+     * @throws {Error} - If the file is not a valid EPUB or contains no text (see processEpubUpload).
+     */
+    static addEpubBook(
+        userId,
+        uploadedFile,
+        parentCategoryId,
+        categoryName,
+        options = {}
+    ) {
+        const book = processEpubUpload(uploadedFile);
+        const name =
+            categoryName ||
+            book.title ||
+            uploadedFile.originalname.replace(/\.epub$/i, '');
+
+        const categoryId = db.create_category(userId, name, parentCategoryId);
+        if (categoryId === -1) {
+            return {
+                success: false,
+                message: `Could not create the folder "${name}". A folder with this name may already exist.`,
+            };
+        }
+
+        const textIds = [];
+        book.chapters.forEach((chapter, index) => {
+            const content = cleanupText(chapter.content, options.normalization);
+            if (!content) return; // Nothing left to type after cleanup
+            const chapterTitle = chapter.title
+                ? cleanupText(chapter.title)
+                : `Chapter ${index + 1}`;
+            const textId = db.add_text(
+                userId,
+                chapterTitle,
+                content,
+                categoryId
+            );
+            if (textId !== -1) textIds.push(textId);
+        });
+
+        if (textIds.length === 0) {
+            db.delete_category(categoryId, userId); // Don't leave an empty folder behind
+            return {
+                success: false,
+                message: 'Failed to save the chapters to the database.',
+            };
+        }
+        return { success: true, categoryId, textIds, name };
+    }
+
+    /**
+     * Extracts and cleans up the text of an uploaded document without saving it, to preview
+     * the result of the import options.
+     * @param {object} uploadedFile - The uploaded file object (e.g., from multer).
+     * @param {object} [options] - Import options (see addText).
+     * @returns {Promise<string>} - The text as it would be saved.
+     * @throws {Error} - If the file type is not supported or the text cannot be extracted.
+     */
+    static async previewText(uploadedFile, options = {}) {
+        return cleanupText(
+            await extractUploadedText(uploadedFile, options),
+            options.normalization
+        );
+    }
+
+    /**
+     * Imports an uploaded PDF as several texts: creates a category and one text per section
+     * (top-level bookmark or group of pages) inside it, in page order. Every section goes
+     * through cleanupText.
+     * @param {number} userId - The ID of the user importing the PDF.
+     * @param {object} uploadedFile - The uploaded PDF file (e.g., from multer).
+     * @param {number|null} parentCategoryId - The category in which the new category is created (null for root).
+     * @param {string} [categoryName] - The name of the new category (defaults to the file name).
+     * @param {object} [options] - How the PDF is split and read (split, pagesPerSection, firstPage, lastPage,
+     *   ocrLanguage, cleanupRules: see processPdfSections).
+     * @param {string} [options.normalization] - The character normalization profile of cleanupText (see NORMALIZATION_PROFILES).
+     * @returns {Promise<{success: boolean, categoryId?: number, name?: string, textIds?: Array<number>, message?: string}>} - The
+     *   result of the import: the new category, its name and the IDs of the section texts, or an error message.
+     * @throws {Error} - If the PDF cannot be read, cannot be split or contains no text (see processPdfSections).
+     */
+    static async addPdfSections(
+        userId,
+        uploadedFile,
+        parentCategoryId,
+        categoryName,
+        options = {}
+    ) {
+        const { normalization, ...pdfOptions } = options;
+        const sections = await processPdfSections(uploadedFile, pdfOptions);
+        const name =
+            categoryName || uploadedFile.originalname.replace(/\.pdf$/i, '');
+
+        const categoryId = db.create_category(userId, name, parentCategoryId);
+        if (categoryId === -1) {
+            return {
+                success: false,
+                message: `Could not create the folder "${name}". A folder with this name may already exist.`,
+            };
+        }
+
+        const textIds = [];
+        sections.forEach((section) => {
+            const content = cleanupText(section.content, normalization);
+            if (!content) return; // Nothing left to type after cleanup
+            const textId = db.add_text(
+                userId,
+                cleanupText(section.title),
+                content,
+                categoryId
+            );
+            if (textId !== -1) textIds.push(textId);
+        });
+
+        if (textIds.length === 0) {
+            db.delete_category(categoryId, userId); // Don't leave an empty folder behind
+            return {
+                success: false,
+                message: 'Failed to save the sections to the database.',
+            };
+        }
+        return { success: true, categoryId, textIds, name };
+    }
+
+    /**
+     * Imports an uploaded ZIP archive of documents: creates a category for the archive and
+     * recreates its folders as sub-categories, with one text per supported document (PDF,
+     * DOCX, ODT, Markdown, HTML or text) titled after its file name. A failing document does
+     * not stop the import; folders are only created when a text is saved inside them.
+     * @param {number} userId - The ID of the user importing the archive.
+     * @param {object} uploadedFile - The uploaded ZIP file (e.g., from multer).
+     * @param {number|null} parentCategoryId - The category in which the archive's category is created (null for root).
+     * @param {string} [categoryName] - The name of the new category (defaults to the zipped folder, then to the file name).
+     * @param {object} [options] - Import options applied to every document (markupRules, ocrLanguage, cleanupRules and
+     *   normalization: see addText). PDFs are imported whole.
+     * @returns {Promise<{success: boolean, categoryId: number|null, name: string, files: Array<{path: string,
+     *   success: boolean, textId?: number, message?: string}>}>} - The result of the import: the new category (null if
+     *   no text was saved), its name and the report of each file, in the order of the archive.
+     * @throws {Error} - If the file is not a valid ZIP archive or contains no files (see readZipDocuments).
+     */
+    static async addZipArchive(
+        userId,
+        uploadedFile,
+        parentCategoryId,
+        categoryName,
+        options = {}
+    ) {
+        const archive = readZipDocuments(uploadedFile);
+        const name =
+            categoryName ||
+            archive.name ||
+            uploadedFile.originalname.replace(/\.zip$/i, '');
+
+        // Category ID of each folder path of the archive, '' being the archive's category
+        const categoryIds = new Map();
+        const getCategoryId = (folders) => {
+            const folderPath = folders.join('/');
+            if (categoryIds.has(folderPath)) return categoryIds.get(folderPath);
+            const categoryId =
+                folders.length === 0
+                    ? db.create_category(userId, name, parentCategoryId)
+                    : db.create_category(
+                          userId,
+                          folders[folders.length - 1],
+                          getCategoryId(folders.slice(0, -1))
+                      );
+            if (categoryId === -1) {
+                throw new Error(
+                    `Could not create the folder "${folders.length ? folderPath : name}". A folder with this name may already exist.`
+                );
+            }
+            categoryIds.set(folderPath, categoryId);
+            return categoryId;
+        };
+
+        const files = [];
+        // One document at a time: OCR and the PDF tools are heavy
+        await archive.documents.reduce(async (previous, document) => {
+            await previous;
+            try {
+                if (!getDocumentType(document.file)) {
+                    throw new Error('Unsupported file type.');
+                }
+                // Unzipped only now, one document at a time
+                const content = cleanupText(
+                    await extractUploadedText(document.unzip(), options),
+                    options.normalization
+                );
+                if (!content) {
+                    throw new Error('No text left to type after cleanup.');
+                }
+                const textId = db.add_text(
+                    userId,
+                    cleanupText(
+                        document.file.originalname.replace(/\.[^.]+$/, '')
+                    ),
+                    content,
+                    getCategoryId(document.folders)
+                );
+                if (textId === -1) {
+                    throw new Error('Failed to save the text to the database.');
+                }
+                files.push({ path: document.path, success: true, textId });
+            } catch (error) {
+                files.push({
+                    path: document.path,
+                    success: false,
+                    message: error.message,
+                });
+            }
+        }, Promise.resolve());
+
+        return {
+            success: files.some((file) => file.success),
+            categoryId: categoryIds.has('') ? categoryIds.get('') : null,
+            name,
+            files,
+        };
+    }
+
     /**
      * Updates an existing text in the database.
      * @param {number} textId - The ID of the text to update.
@@ -0,0 +1,198 @@
+// --- Dependencies ---
+const { parseJsonAnswer } = require('./aiProvider');
+const { getChunkSize, splitIntoChunks } = require('./summarizer');
+
+// --- Translator ---
+// Language learners can practice a translated copy of a text. The copy keeps the lines of the original:
+// each non-empty line is translated on its own, so that line N of the translation matches line N of the
+// original and the practice page can show one next to the other. Lines are sent to the AI in batches of
+// about AI_CHUNK_SIZE characters, as a JSON list translated item by item; a batch whose answer does not
+// hold one translation per line is sent again one line at a time.
+
+// Languages offered for translations (ISO 639-1 codes -> names, also used in the prompts)
+const TRANSLATION_LANGUAGES = {
+    en: 'English',
+    fr: 'French',
+    de: 'German',
+    es: 'Spanish',
+    it: 'Italian',
+    pt: 'Portuguese',
+    nl: 'Dutch',
+};
+
+/**
+ * Lists the pieces of a text to translate: its non-empty lines, cut between sentences when a line is
+ * longer than a chunk.
+ * @param {Array<string>} lines - The lines of the text.
+ * @param {number} maxChars - The maximum number of characters of a piece.
+ * @returns {Array<{lineIndex: number, text: string}>} - The pieces, in order.
+ */
+function listPieces(lines, maxChars) {
+    return lines.flatMap((line, lineIndex) =>
+        splitIntoChunks(line, maxChars).map((text) => ({ lineIndex, text }))
+    );
+}
+
+/**
+ * Groups pieces into batches of at most maxChars characters (a longer piece makes a batch of its own).
+ * @param {Array<{text: string}>} pieces - The pieces.
+ * @param {number} maxChars - The maximum number of characters of a batch.
+ * @returns {Array<Array<object>>} - The batches, in order.
+ */
+function groupIntoBatches(pieces, maxChars) {
+    return pieces.reduce((batches, piece) => {
+        const last = batches[batches.length - 1];
+        const size = last
+            ? last.reduce((total, { text }) => total + text.length, 0)
+            : 0;
+        if (last && size + piece.text.length <= maxChars) {
+            last.push(piece);
+        } else {
+            batches.push([piece]);
+        }
+        return batches;
+    }, []);
+}
+
+/**
+ * Builds the prompt translating a batch of lines, answered in JSON.
+ * @param {Array<string>} texts - The lines.
+ * @param {string} language - The name of the target language.
+ * @returns {string} - The prompt.
+ */
+function buildBatchPrompt(texts, language) {
+    return `Translate each item of the following JSON list into ${language}. The items are consecutive lines of a document: keep their meaning, tone, names and figures, and translate each item on its own, without merging or splitting items.
+Answer with JSON only, in this form: {"translations": ["...", "..."]}, with exactly ${texts.length} translations in the same order.
+
+---
+${JSON.stringify(texts)}
+---`;
+}
+
+/**
+ * Builds the prompt translating a single line.
+ * @param {string} text - The line.
+ * @param {string} language - The name of the target language.
+ * @returns {string} - The prompt.
+ */
+function buildLinePrompt(text, language) {
+    return `Translate the following text into ${language}, keeping its meaning, tone, names and figures. Only answer with the translation.\n\n---\n${text}\n---`;
+}
+
+/**
+ * Keeps a translation on one line, as its original.
+ * @param {string} translation - The translation.
+ * @returns {string} - The translation without line breaks.
+ */
+const toOneLine = (translation) => translation.replace(/\s+/g, ' ').trim();
+
+/**
+ * Reads the translations of a batch out of the AI's answer (JSON, possibly in a Markdown code block).
+ * @param {string} answer - The AI's answer.
+ * @param {number} count - The number of lines of the batch.
+ * @returns {Array<string>|null} - The translations, or null unless there is one non-empty translation per line.
+ */
+function parseTranslations(answer, count) {
+    const parsed = parseJsonAnswer(answer);
+    const translations = parsed && parsed.translations;
+    if (
+        !Array.isArray(translations) ||
+        translations.length !== count ||
+        !translations.every(
+            (translation) =>
+                typeof translation === 'string' && translation.trim() !== ''
+        )
+    ) {
+        return null;
+    }
+    return translations.map(toOneLine);
+}
+
+/**
+ * Translates a text of any length with an AI provider (see services/aiProvider), line by line (see the top
+ * of this file). The requests are sent one after the other, not to overload the AI service.
+ * @param {{generateText: function(string): Promise<string>}} aiProvider - The AI provider.
+ * @param {string} text - The text to translate.
+ * @param {string} language - The code of the target language (a key of TRANSLATION_LANGUAGES).
+ * @param {object} [options] - The options of the translation.
+ * @param {number} [options.chunkSize] - The size of the batches (AI_CHUNK_SIZE by default).
+ * @param {function({stage: string, done: number, total: number}): void} [options.onProgress] - Called
+ *   before each batch with stage 'translating'; done counts the batches already translated, out of total.
+ * @param {AbortSignal} [options.signal] - Stops the translation before its next request when aborted.
+ * @returns {Promise<string>} - The translation, with the lines (empty ones included) of the text.
+ * @throws {Error} - If the text is blank, the language is not offered, the translation is aborted or the AI
+ *   provider fails (errors carrying an HTTP status).
+ */
+async function translateText(aiProvider, text, language, options = {}) {
+    if (!Object.keys(TRANSLATION_LANGUAGES).includes(language)) {
+        throw new Error(`Cannot translate into "${language}".`);
+    }
+    const languageName = TRANSLATION_LANGUAGES[language];
+    const chunkSize = options.chunkSize || getChunkSize();
+    const onProgress = options.onProgress || (() => {});
+
+    /**
+     * Sends a prompt, unless the translation was aborted in the meantime.
+     * @param {string} prompt - The prompt.
+     * @returns {Promise<string>} - The answer.
+     */
+    const generate = async (prompt) => {
+        if (options.signal && options.signal.aborted) {
+            throw new Error('The translation was cancelled.');
+        }
+        return aiProvider.generateText(prompt);
+    };
+
+    /**
+     * Translates the pieces of a batch: all at once, or one at a time if the answer does not match them.
+     * @param {Array<{text: string}>} batch - The pieces.
+     * @returns {Promise<Array<string>>} - Their translations, in the same order.
+     */
+    const translateBatch = async (batch) => {
+        const texts = batch.map((piece) => piece.text);
+        const translations = parseTranslations(
+            await generate(buildBatchPrompt(texts, languageName)),
+            texts.length
+        );
+        if (translations) return translations;
+        return texts.reduce(async (previous, pieceText) => {
+            const answers = await previous;
+            answers.push(
+                toOneLine(
+                    await generate(buildLinePrompt(pieceText, languageName))
+                )
+            );
+            return answers;
+        }, Promise.resolve([]));
+    };
+
+    const lines = (text || '').split('\n');
+    const pieces = listPieces(lines, chunkSize);
+    if (pieces.length === 0) throw new Error('Cannot translate empty text.');
+    const batches = groupIntoBatches(pieces, chunkSize);
+
+    const translations = await batches.reduce(
+        async (previous, batch, index) => {
+            const done = await previous;
+            onProgress({
+                stage: 'translating',
+                done: index,
+                total: batches.length,
+            });
+            return done.concat(await translateBatch(batch));
+        },
+        Promise.resolve([])
+    );
+
+    // Put the translated pieces back in the lines of the text
+    const translatedLines = lines.map(() => []);
+    pieces.forEach((piece, index) => {
+        translatedLines[piece.lineIndex].push(translations[index]);
+    });
+    return translatedLines.map((parts) => parts.join(' ')).join('\n');
+}
+
+module.exports = {
+    TRANSLATION_LANGUAGES,
+    translateText,
+};
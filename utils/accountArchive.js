@@ -0,0 +1,373 @@
+// --- Dependencies ---
+const crypto = require('crypto');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const { TYPING_MODES } = require('../models/db');
+const storeItems = require('../models/storeItems');
+const { OCR_LANGUAGES } = require('./textProcessing');
+const { TRANSLATION_LANGUAGES } = require('../services/translator');
+const { unzipEntry } = require('./zipProcessing');
+
+// --- Account archives ---
+// An archive holds the data of an account (see export_user_data in models/db) so that it can be
+// restored into another account, on this instance or another one. It is a JSON document, on its
+// own or zipped. Its version changes whenever the layout of the data does: older archives stay
+// importable, newer ones are refused.
+// Coins, store items, statistics and the history of sessions and quizzes are rewards, earned on this
+// instance: they are only restored from an archive signed with ARCHIVE_SECRET (.env), an HMAC that a
+// hand-edited file cannot carry.
+// Without the secret, archives are not signed and only the rest of the account moves.
+
+const ARCHIVE_FORMAT = 'typing-trainer-account';
+// 1: first version
+// 2: texts link translations to their original (source_text_id, translation_language)
+const ARCHIVE_VERSION = 2;
+const ARCHIVE_ENTRY_NAME = 'account.json'; // The JSON document inside a ZIP archive
+// A zipped archive holds no more than the largest JSON file that can be uploaded (see profileController)
+const MAX_ARCHIVE_JSON_SIZE = 100 * 1024 * 1024;
+
+/**
+ * Computes the signature of an archive: an HMAC of its format, version, date and data.
+ * @param {object} archive - The archive.
+ * @param {string} secret - The secret of this instance (ARCHIVE_SECRET).
+ * @returns {string} - The signature, in hexadecimal.
+ */
+function signArchive(archive, secret) {
+    const { format, version, exported_at: exportedAt, data } = archive;
+    return crypto
+        .createHmac('sha256', secret)
+        .update(
+            JSON.stringify({ format, version, exported_at: exportedAt, data })
+        )
+        .digest('hex');
+}
+
+/**
+ * Tells whether an archive was signed by this instance.
+ * @param {object} archive - The parsed archive.
+ * @returns {boolean} - False if the signature is missing or wrong, or no secret is set.
+ */
+function hasValidSignature(archive) {
+    const secret = process.env.ARCHIVE_SECRET;
+    if (!secret || typeof archive.signature !== 'string') return false;
+    const expected = Buffer.from(signArchive(archive, secret), 'hex');
+    const given = Buffer.from(archive.signature, 'hex');
+    return (
+        given.length === expected.length &&
+        crypto.timingSafeEqual(given, expected)
+    );
+}
+
+/**
+ * Wraps the data of an account in a versioned archive, signed when ARCHIVE_SECRET is set.
+ * @param {object} data - The data of the account (see export_user_data in models/db).
+ * @param {string} username - The name of the exported account, for information.
+ * @returns {object} - The archive, ready to be serialized with JSON.stringify.
+ */
+function buildAccountArchive(data, username) {
+    const archive = {
+        format: ARCHIVE_FORMAT,
+        version: ARCHIVE_VERSION,
+        exported_at: new Date().toISOString(),
+        username,
+        data,
+    };
+    if (process.env.ARCHIVE_SECRET) {
+        archive.signature = signArchive(archive, process.env.ARCHIVE_SECRET);
+    }
+    return archive;
+}
+
+/**
+ * Zips an archive, for smaller downloads of accounts with many texts.
+ * @param {object} archive - The archive (see buildAccountArchive).
+ * @returns {Buffer} - The content of the ZIP file.
+ */
+function zipAccountArchive(archive) {
+    const zip = new AdmZip();
+    zip.addFile(ARCHIVE_ENTRY_NAME, Buffer.from(JSON.stringify(archive)));
+    return zip.toBuffer();
+}
+
+/**
+ * Throws the error of an invalid archive.
+ * @param {string} reason - What is wrong with the archive.
+ * @throws {Error} - Always.
+ */
+function invalid(reason) {
+    throw new Error(`Invalid account archive: ${reason}.`);
+}
+
+const isId = (value) => Number.isInteger(value) && value > 0;
+const isCount = (value) => Number.isInteger(value) && value >= 0;
+const isAmount = (value) => typeof value === 'number' && value >= 0;
+const isText = (value) => typeof value === 'string';
+// Dates as SQLite writes them (UTC)
+const isDate = (value) => isText(value) && /^\d{4}-\d{2}-\d{2}$/.test(value);
+const isDateTime = (value) =>
+    isText(value) && /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(value);
+
+/**
+ * Checks the rows of a list of the archive.
+ * @param {object} data - The data of the archive.
+ * @param {string} key - The name of the list.
+ * @param {function(object): boolean} isValidRow - Tells whether a row is valid.
+ * @returns {Array<object>} - The rows.
+ * @throws {Error} - If the list is missing or one of its rows is invalid.
+ */
+function checkRows(data, key, isValidRow) {
+    const rows = data[key];
+    if (!Array.isArray(rows)) invalid(`"${key}" is missing`);
+    const index = rows.findIndex(
+        (row) => !row || typeof row !== 'object' || !isValidRow(row)
+    );
+    if (index !== -1) invalid(`entry ${index + 1} of "${key}" is not valid`);
+    return rows;
+}
+
+/**
+ * Checks that an archive was made by this application, in a version it can read, and that its
+ * data is complete and consistent (every text in a folder of the archive, the folders forming a
+ * tree...). Nothing is saved before the whole archive has been checked.
+ * @param {*} archive - The parsed JSON document.
+ * @returns {object} - The data of the archive, ready for import_user_data in models/db: settings that
+ *   this instance does not know (e.g. an OCR language it cannot read) are left out, and the rewards
+ *   (coins, stats, owned_items, practice_sessions, quiz_results) are null unless the archive was signed
+ *   by this instance.
+ * @throws {Error} - If the archive is not valid.
+ */
+function validateAccountArchive(archive) {
+    if (!archive || archive.format !== ARCHIVE_FORMAT) {
+        invalid('this is not a Typing Trainer account archive');
+    }
+    if (!Number.isInteger(archive.version) || archive.version < 1) {
+        invalid('its version is missing');
+    }
+    if (archive.version > ARCHIVE_VERSION) {
+        invalid(
+            `it was made by a newer version of Typing Trainer (archive version ${archive.version}, this instance reads up to ${ARCHIVE_VERSION})`
+        );
+    }
+    const { data } = archive;
+    if (!data || typeof data !== 'object') invalid('its data is missing');
+
+    const categories = checkRows(
+        data,
+        'categories',
+        (c) =>
+            isId(c.id) &&
+            isText(c.name) &&
+            c.name.trim() !== '' &&
+            (c.parent_category_id === null || isId(c.parent_category_id))
+    );
+    const parents = new Map(
+        categories.map((c) => [c.id, c.parent_category_id])
+    );
+    if (parents.size !== categories.length) invalid('two folders share an ID');
+    categories.forEach((category) => {
+        // Walk up to the root: an unknown parent or a loop means the folders are not a tree
+        const seen = new Set([category.id]);
+        let parentId = category.parent_category_id;
+        while (parentId !== null) {
+            if (!parents.has(parentId) || seen.has(parentId)) {
+                invalid(`the folder "${category.name}" has no valid parent`);
+            }
+            seen.add(parentId);
+            parentId = parents.get(parentId);
+        }
+    });
+
+    const texts = checkRows(
+        data,
+        'texts',
+        (t) =>
+            isId(t.id) &&
+            (t.category_id === null || parents.has(t.category_id)) &&
+            isText(t.title) &&
+            isText(t.content) &&
+            isCount(t.order_index)
+    );
+    const textIds = new Set(texts.map((t) => t.id));
+    if (textIds.size !== texts.length) invalid('two texts share an ID');
+    // Version 1 archives have no translations
+    const translationIndex = texts.findIndex(
+        (t) =>
+            !(
+                t.source_text_id === undefined ||
+                t.source_text_id === null ||
+                (t.source_text_id !== t.id && textIds.has(t.source_text_id))
+            ) ||
+            !(
+                t.translation_language === undefined ||
+                t.translation_language === null ||
+                isText(t.translation_language)
+            )
+    );
+    if (translationIndex !== -1) {
+        invalid(`entry ${translationIndex + 1} of "texts" is not valid`);
+    }
+
+    const settings =
+        data.settings && typeof data.settings === 'object' ? data.settings : {};
+    const stats = data.stats === undefined ? null : data.stats;
+    if (
+        stats !== null &&
+        !(
+            isCount(stats.texts_practiced) &&
+            isAmount(stats.total_practice_time_seconds) &&
+            isAmount(stats.total_accuracy_points) &&
+            isCount(stats.accuracy_entries_count)
+        )
+    ) {
+        invalid('"stats" is not valid');
+    }
+    if (data.coins !== undefined && !isCount(data.coins)) {
+        invalid('"coins" is not valid');
+    }
+
+    const ownedItems = checkRows(
+        data,
+        'owned_items',
+        (i) => Object.keys(storeItems).includes(i.item_id) && isId(i.quantity)
+    );
+    const practiceSessions = checkRows(
+        data,
+        'practice_sessions',
+        (s) =>
+            textIds.has(s.text_id) &&
+            isDateTime(s.started_at) &&
+            (s.ended_at === null || isDateTime(s.ended_at)) &&
+            isCount(s.wpm) &&
+            isAmount(s.accuracy) &&
+            s.accuracy <= 100 &&
+            isCount(s.errors) &&
+            isCount(s.lines_completed) &&
+            isCount(s.lines_skipped) &&
+            ['free', 'timed'].includes(s.session_type) &&
+            (s.time_limit_seconds === null || isId(s.time_limit_seconds)) &&
+            (s.gross_wpm === null || isCount(s.gross_wpm)) &&
+            TYPING_MODES.includes(s.typing_mode)
+    );
+    const quizResults = checkRows(
+        data,
+        'quiz_results',
+        (q) =>
+            textIds.has(q.text_id) &&
+            isId(q.question_count) &&
+            isCount(q.correct_count) &&
+            q.correct_count <= q.question_count &&
+            isCount(q.coins_awarded) &&
+            isDateTime(q.taken_at)
+    );
+
+    return {
+        settings: {
+            typing_mode: TYPING_MODES.includes(settings.typing_mode)
+                ? settings.typing_mode
+                : null,
+            ocr_language: OCR_LANGUAGES[settings.ocr_language]
+                ? settings.ocr_language
+                : null,
+        },
+        categories,
+        texts: texts.map((t) => ({
+            ...t,
+            source_text_id:
+                t.source_text_id === undefined ? null : t.source_text_id,
+            // A language this instance does not offer is left out, as for the settings
+            translation_language: TRANSLATION_LANGUAGES[t.translation_language]
+                ? t.translation_language
+                : null,
+        })),
+        progress: checkRows(
+            data,
+            'progress',
+            (p) => textIds.has(p.text_id) && isCount(p.progress_index)
+        ),
+        review_schedule: checkRows(
+            data,
+            'review_schedule',
+            (r) =>
+                textIds.has(r.text_id) &&
+                Number.isInteger(r.chunk_index) &&
+                r.chunk_index >= -1 &&
+                isCount(r.repetitions) &&
+                isCount(r.interval_days) &&
+                isAmount(r.ease_factor) &&
+                isDate(r.due_date) &&
+                (r.last_grade === null ||
+                    (isCount(r.last_grade) && r.last_grade <= 5)) &&
+                (r.last_reviewed_at === null || isDateTime(r.last_reviewed_at))
+        ),
+        key_errors: checkRows(
+            data,
+            'key_errors',
+            (e) =>
+                isText(e.expected_char) &&
+                isText(e.typed_char) &&
+                isCount(e.count)
+        ),
+        rewards: hasValidSignature(archive)
+            ? {
+                  coins: data.coins || 0,
+                  stats,
+                  owned_items: ownedItems,
+                  practice_sessions: practiceSessions,
+                  quiz_results: quizResults,
+              }
+            : null,
+    };
+}
+
+/**
+ * Reads an uploaded archive: a JSON file, or a ZIP file holding it.
+ * @param {object} uploadedFile - The uploaded file (multer file object with a buffer).
+ * @returns {object} - The validated data of the archive (see validateAccountArchive).
+ * @throws {Error} - If the file cannot be read or the archive is not valid.
+ */
+function readAccountArchive(uploadedFile) {
+    if (!uploadedFile || !uploadedFile.buffer) {
+        throw new Error('Please choose an account archive (.json or .zip).');
+    }
+    let json = uploadedFile.buffer;
+    if (
+        path.extname(uploadedFile.originalname || '').toLowerCase() === '.zip'
+    ) {
+        let entry;
+        try {
+            entry = new AdmZip(uploadedFile.buffer).getEntry(
+                ARCHIVE_ENTRY_NAME
+            );
+        } catch (error) {
+            entry = null;
+        }
+        if (!entry) {
+            invalid(`the ZIP file does not contain ${ARCHIVE_ENTRY_NAME}`);
+        }
+        try {
+            json = unzipEntry(entry, MAX_ARCHIVE_JSON_SIZE);
+        } catch (error) {
+            invalid(
+                /too large/.test(error.message)
+                    ? `${ARCHIVE_ENTRY_NAME} is larger than ${MAX_ARCHIVE_JSON_SIZE / (1024 * 1024)} MB once unzipped`
+                    : `${ARCHIVE_ENTRY_NAME} could not be unzipped`
+            );
+        }
+    }
+
+    let archive;
+    try {
+        archive = JSON.parse(json.toString('utf8').replace(/^\uFEFF/, ''));
+    } catch (error) {
+        invalid('the file is not valid JSON');
+    }
+    return validateAccountArchive(archive);
+}
+
+module.exports = {
+    ARCHIVE_VERSION,
+    buildAccountArchive,
+    zipAccountArchive,
+    validateAccountArchive,
+    readAccountArchive,
+};
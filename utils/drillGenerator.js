@@ -0,0 +1,127 @@
+// --- Drill Settings ---
+const DEFAULT_OPTIONS = {
+    focusCharCount: 6, // How many of the most mistyped characters the drill targets
+    poolSize: 30, // How many distinct words (the densest in weak characters) are kept
+    wordCount: 60, // Total number of words in the drill
+    wordsPerLine: 10, // Words per line of the drill text
+};
+
+/**
+ * Picks the characters the user misses most from their per-character error counts.
+ * Upper and lower case are merged (words are matched case-insensitively) and spaces are ignored,
+ * since every word boundary would otherwise match.
+ * @param {Array<{expected_char: string, count: number}>} errorCounts - Errors per expected character.
+ * @param {number} limit - Maximum number of characters to return.
+ * @returns {Map<string, number>} - Weak characters (lowercase) mapped to their error count, most missed first.
+ */
+function pickWeakChars(errorCounts, limit) {
+    const merged = new Map();
+    errorCounts.forEach(({ expected_char: char, count }) => {
+        if (!char || !char.trim()) return;
+        const key = char.toLowerCase();
+        merged.set(key, (merged.get(key) || 0) + count);
+    });
+    return new Map(
+        [...merged.entries()].sort((a, b) => b[1] - a[1]).slice(0, limit)
+    );
+}
+
+/**
+ * Removes leading and trailing punctuation from a token, except characters the drill targets
+ * (so a user who misses ';' still gets words like "however;").
+ * @param {string} token - A whitespace-separated token from a text.
+ * @param {Map<string, number>} weakChars - The targeted characters.
+ * @returns {string} - The trimmed word.
+ */
+function trimToWord(token, weakChars) {
+    const keep = (char) => /[\p{L}\p{N}]/u.test(char) || weakChars.has(char);
+    const chars = Array.from(token);
+    let start = 0;
+    let end = chars.length;
+    while (start < end && !keep(chars[start])) start++;
+    while (end > start && !keep(chars[end - 1])) end--;
+    return chars.slice(start, end).join('');
+}
+
+/**
+ * Scores a word by how dense it is in weak characters, weighted by how often each one is missed.
+ * @param {string} word - The word to score.
+ * @param {Map<string, number>} weakChars - The targeted characters and their error counts.
+ * @returns {number} - The score (0 if the word contains no weak character).
+ */
+function scoreWord(word, weakChars) {
+    const chars = Array.from(word.toLowerCase());
+    const weight = chars.reduce(
+        (total, char) => total + (weakChars.get(char) || 0),
+        0
+    );
+    return weight / chars.length;
+}
+
+/**
+ * Shuffles an array in place (Fisher-Yates).
+ * @param {Array} items - The array to shuffle.
+ * @param {function} random - Random number generator returning values in [0, 1).
+ * @returns {Array} - The same array, shuffled.
+ */
+function shuffle(items, random) {
+    for (let i = items.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [items[i], items[j]] = [items[j], items[i]];
+    }
+    return items;
+}
+
+/**
+ * Builds a drill text from real words of the user's texts that are dense in the characters
+ * they mistype the most.
+ * @param {Array<{content: string}>} texts - The user's texts.
+ * @param {Array<{expected_char: string, count: number}>} errorCounts - Errors per expected character.
+ * @param {object} [options={}] - Overrides for DEFAULT_OPTIONS.
+ * @param {function} [random=Math.random] - Random number generator (injectable for tests).
+ * @returns {{focusChars: Array<string>, content: string}|null} - The targeted characters and the drill text
+ *          (one line per `wordsPerLine` words), or null if no word of the texts contains a weak character.
+ */
+function generateDrill(texts, errorCounts, options = {}, random = Math.random) {
+    const settings = { ...DEFAULT_OPTIONS, ...options };
+    const weakChars = pickWeakChars(errorCounts, settings.focusCharCount);
+    if (weakChars.size === 0) return null;
+
+    // Collect distinct candidate words with their score
+    const scores = new Map();
+    texts.forEach((text) => {
+        (text.content || '').split(/\s+/).forEach((token) => {
+            const word = trimToWord(token, weakChars);
+            if (Array.from(word).length < 2 || scores.has(word)) return;
+            const score = scoreWord(word, weakChars);
+            if (score > 0) scores.set(word, score);
+        });
+    });
+    if (scores.size === 0) return null;
+
+    const pool = [...scores.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, settings.poolSize)
+        .map(([word]) => word);
+
+    // Go through the shuffled pool as many times as needed so every word gets repeated evenly
+    const words = [];
+    while (words.length < settings.wordCount) {
+        words.push(...shuffle([...pool], random));
+    }
+    words.length = settings.wordCount;
+
+    const lines = [];
+    for (let i = 0; i < words.length; i += settings.wordsPerLine) {
+        lines.push(words.slice(i, i + settings.wordsPerLine).join(' '));
+    }
+
+    return {
+        focusChars: [...weakChars.keys()],
+        content: lines.join('\n'),
+    };
+}
+
+module.exports = {
+    generateDrill,
+};
@@ -0,0 +1,145 @@
+// --- Dependencies ---
+const path = require('path');
+const AdmZip = require('adm-zip');
+const {
+    decodeEntities,
+    parseAttributes,
+    htmlToText,
+} = require('./markupProcessing');
+const { MAX_DOCUMENT_SIZE, unzipEntry } = require('./zipProcessing');
+
+const EPUB_MIME_TYPE = 'application/epub+zip';
+const XHTML_MEDIA_TYPES = ['application/xhtml+xml', 'text/html'];
+
+/**
+ * Tells whether an uploaded file is an EPUB. Browsers do not always know the EPUB
+ * MIME type, so the extension is checked as well.
+ * @param {object} file - The uploaded file (multer file object).
+ * @returns {boolean} - True for an EPUB file.
+ */
+function isEpubFile(file) {
+    if (!file) return false;
+    return (
+        file.mimetype === EPUB_MIME_TYPE ||
+        path.extname(file.originalname || '').toLowerCase() === '.epub'
+    );
+}
+
+/**
+ * Returns all the start tags of an element in an XML document, namespace prefix or not.
+ * @param {string} xml - The XML document.
+ * @param {string} element - The local name of the element (e.g. 'itemref').
+ * @returns {Array<object>} - The attributes of each tag, in document order.
+ */
+function findTags(xml, element) {
+    const tagRegex = new RegExp(`<(?:[\\w-]+:)?${element}\\b[^>]*>`, 'gi');
+    return (xml.match(tagRegex) || []).map(parseAttributes);
+}
+
+/**
+ * Returns the first heading of an XHTML chapter, used as the title of its text.
+ * @param {string} xhtml - The XHTML document.
+ * @returns {string|null} - The text of the first h1-h3 heading, or null if there is none.
+ */
+function findChapterHeading(xhtml) {
+    const match = /<h([1-3])\b[^>]*>([\s\S]*?)<\/h\1\s*>/i.exec(xhtml);
+    if (!match) return null;
+    const heading = decodeEntities(match[2].replace(/<[^>]*>/g, ''))
+        .replace(/\s+/g, ' ')
+        .trim();
+    return heading || null;
+}
+
+/**
+ * Reads an entry of the archive as UTF-8 text. The entries read from a book are counted together:
+ * once unzipped, the whole book may not exceed MAX_DOCUMENT_SIZE (see utils/zipProcessing).
+ * @param {AdmZip} zip - The opened archive.
+ * @param {string} entryName - The path of the entry inside the archive.
+ * @param {{unzippedSize: number}} book - The size unzipped so far from the book, updated.
+ * @returns {string|null} - The content of the entry, or null if it does not exist.
+ * @throws {Error} - If the book grows too large once unzipped, or the entry cannot be unzipped.
+ */
+function readEntry(zip, entryName, book) {
+    const entry = zip.getEntry(entryName);
+    if (!entry) return null;
+    const data = unzipEntry(entry, MAX_DOCUMENT_SIZE - book.unzippedSize);
+    book.unzippedSize += data.length;
+    return data.toString('utf8');
+}
+
+/**
+ * Unpacks an uploaded EPUB and extracts the text of its chapters, following the reading
+ * order of the spine (META-INF/container.xml -> OPF package -> manifest + spine).
+ * Chapters without any text (cover, blank pages...) are left out.
+ * @param {object} uploadedFile - The uploaded file (multer file object with a buffer).
+ * @returns {{title: string|null, chapters: Array<{title: string|null, content: string}>}} - The book title
+ *   from its metadata and the raw (not cleaned up) text of each chapter.
+ * @throws {Error} - If the file is not a valid EPUB, is too large once unzipped or contains no text.
+ */
+function processEpubUpload(uploadedFile) {
+    if (!uploadedFile || !uploadedFile.buffer) {
+        throw new Error('Invalid file buffer provided for EPUB processing.');
+    }
+    if (process.env.NODE_ENV === 'development')
+        console.log(`Processing uploaded EPUB: ${uploadedFile.originalname}`);
+
+    let zip;
+    try {
+        zip = new AdmZip(uploadedFile.buffer);
+    } catch (error) {
+        throw new Error(
+            'Error processing EPUB: the file is not a valid archive.'
+        );
+    }
+
+    const book = { unzippedSize: 0 };
+    const container = readEntry(zip, 'META-INF/container.xml', book);
+    const rootfile = container && findTags(container, 'rootfile')[0];
+    const opfPath = rootfile && rootfile['full-path'];
+    const opf = opfPath && readEntry(zip, opfPath, book);
+    if (!opf) {
+        throw new Error(
+            'Error processing EPUB: the package document (OPF) could not be found.'
+        );
+    }
+
+    const titleMatch = /<dc:title\b[^>]*>([\s\S]*?)<\/dc:title>/i.exec(opf);
+    const bookTitle = titleMatch
+        ? decodeEntities(titleMatch[1].replace(/<[^>]*>/g, '')).trim() || null
+        : null;
+
+    // Manifest hrefs are relative to the OPF file and may be URL-encoded
+    const opfDir = path.posix.dirname(opfPath);
+    const manifest = new Map();
+    findTags(opf, 'item').forEach((item) => {
+        if (item.id && item.href) manifest.set(item.id, item);
+    });
+
+    const chapters = [];
+    findTags(opf, 'itemref').forEach((itemref) => {
+        const item = manifest.get(itemref.idref);
+        if (!item || !XHTML_MEDIA_TYPES.includes(item['media-type'])) return;
+        const href = decodeURIComponent(item.href.split('#')[0]);
+        const xhtml = readEntry(zip, path.posix.join(opfDir, href), book);
+        if (!xhtml) return;
+
+        const content = htmlToText(xhtml);
+        if (content) {
+            chapters.push({ title: findChapterHeading(xhtml), content });
+        }
+    });
+
+    if (chapters.length === 0) {
+        throw new Error('Could not extract any text from this EPUB.');
+    }
+    if (process.env.NODE_ENV === 'development')
+        console.log(
+            `Extracted ${chapters.length} chapters from EPUB "${bookTitle}".`
+        );
+    return { title: bookTitle, chapters };
+}
+
+module.exports = {
+    isEpubFile,
+    processEpubUpload,
+};
@@ -0,0 +1,51 @@
+/**
+ * Counts how many characters at the start of a typed value match the expected line.
+ * @param {string} lineText - The line being typed.
+ * @param {string} value - The input value.
+ * @returns {number} - The length of the correct prefix.
+ */
+function correctPrefixLength(lineText, value) {
+    let length = 0;
+    while (
+        length < value.length &&
+        length < lineText.length &&
+        value[length] === lineText[length]
+    ) {
+        length++;
+    }
+    return length;
+}
+
+/**
+ * Turns the recorded keystrokes of a run into the pace of a "ghost": how many characters of the text
+ * were correctly typed at each moment. Finished lines count with their line break, like in the practice page.
+ * The pace is relative to where the run started, so it can be replayed from wherever a new run starts.
+ * @param {Array<{line_text: string, events: Array<Array>}>} recordedLines - The recorded lines, in order.
+ * @returns {Array<Array<number>>} - [milliseconds since the first keystroke, characters typed] pairs,
+ *                                   only keeping the moments the count changes.
+ */
+function buildGhostPace(recordedLines) {
+    const pace = [];
+    let charsBeforeLine = 0;
+
+    recordedLines.forEach(({ line_text: lineText, events }) => {
+        let lastValue = '';
+        events.forEach(([time, value]) => {
+            const chars =
+                charsBeforeLine + correctPrefixLength(lineText, value);
+            if (pace.length === 0 || pace[pace.length - 1][1] !== chars) {
+                pace.push([time, chars]);
+            }
+            lastValue = value;
+        });
+        // A line only moves the ghost to the next one if it was typed completely
+        // (skipped lines and batches cut in the middle of a line don't)
+        if (lastValue === lineText) charsBeforeLine += lineText.length + 1;
+    });
+
+    return pace;
+}
+
+module.exports = {
+    buildGhostPace,
+};
@@ -0,0 +1,56 @@
+// --- Keyboard Layout ---
+// Rows of a US QWERTY keyboard: the unshifted characters and, at the same positions, their shifted variants.
+const KEYBOARD_ROWS = [
+    { keys: '`1234567890-=', shifted: '~!@#$%^&*()_+' },
+    { keys: 'qwertyuiop[]\\', shifted: 'QWERTYUIOP{}|' },
+    { keys: "asdfghjkl;'", shifted: 'ASDFGHJKL:"' },
+    { keys: 'zxcvbnm,./', shifted: 'ZXCVBNM<>?' },
+];
+
+/**
+ * Builds the data needed to render a keyboard heatmap from per-character error counts.
+ * Shifted characters are counted on the key that produces them (e.g. 'A' and '!' count for 'a' and '1').
+ * Characters that are not on the keyboard (accents, symbols from other layouts) are ignored here;
+ * they still show up in the confused pairs table.
+ * @param {Array<{expected_char: string, count: number}>} errorCounts - Errors per expected character.
+ * @returns {{rows: Array<Array<object>>, space: object, maxCount: number}} - Keyboard rows of
+ *          { label, count, intensity } keys (intensity between 0 and 1), the space bar, and the highest count.
+ */
+function buildKeyboardHeatmap(errorCounts) {
+    const countsByChar = new Map(
+        errorCounts.map((entry) => [entry.expected_char, entry.count])
+    );
+    const countFor = (chars) =>
+        Array.from(chars).reduce(
+            (total, char) => total + (countsByChar.get(char) || 0),
+            0
+        );
+
+    const rows = KEYBOARD_ROWS.map((row) =>
+        Array.from(row.keys).map((key, i) => ({
+            label: key.toUpperCase(),
+            count: countFor(key + row.shifted[i]),
+        }))
+    );
+    const space = { label: 'Space', count: countFor(' ') };
+
+    const maxCount = Math.max(
+        0,
+        space.count,
+        ...rows.flat().map((key) => key.count)
+    );
+    const withIntensity = (key) => ({
+        ...key,
+        intensity: maxCount > 0 ? key.count / maxCount : 0,
+    });
+
+    return {
+        rows: rows.map((row) => row.map(withIntensity)),
+        space: withIntensity(space),
+        maxCount,
+    };
+}
+
+module.exports = {
+    buildKeyboardHeatmap,
+};
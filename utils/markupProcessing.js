@@ -0,0 +1,312 @@
+// --- Markup (Markdown / HTML) to typeable text ---
+// Headings, paragraphs and list items become lines; code blocks, images and links
+// are handled by the rules below, chosen on the add-text form.
+
+/**
+ * Allowed values of each markup rule. The first value is the default.
+ * - codeBlocks: 'remove' drops fenced code / <pre> blocks, 'keep' keeps them line by line.
+ * - images: 'remove' drops them, 'alt' keeps their description (alt text).
+ * - links: 'text' keeps the link text only, 'text-and-url' adds the URL in parentheses.
+ */
+const MARKUP_RULE_OPTIONS = {
+    codeBlocks: ['remove', 'keep'],
+    images: ['remove', 'alt'],
+    links: ['text', 'text-and-url'],
+};
+
+const DEFAULT_MARKUP_RULES = Object.fromEntries(
+    Object.entries(MARKUP_RULE_OPTIONS).map(([rule, values]) => [
+        rule,
+        values[0],
+    ])
+);
+
+// Tags whose content is never typeable text
+const SKIPPED_ELEMENTS =
+    /<(head|script|style|svg|math|noscript|template)\b[^>]*>[\s\S]*?<\/\1\s*>/gi;
+// Tags that start or end a line of text
+const BLOCK_TAGS =
+    /<\/?(p|div|h[1-6]|li|ul|ol|dl|dt|dd|br|hr|tr|table|blockquote|pre|section|article|aside|header|footer|figure|figcaption|nav|main)\b[^>]*>/gi;
+// Stands for a line break inside a kept <pre> block while whitespace is collapsed
+const PRE_LINE_BREAK = '\uE000';
+// Protects code spans and escaped characters from the Markdown inline rules
+const PLACEHOLDER = '\uE001';
+
+const NAMED_ENTITIES = {
+    amp: '&',
+    lt: '<',
+    gt: '>',
+    quot: '"',
+    apos: "'",
+    nbsp: ' ',
+    hellip: '…',
+    mdash: '—',
+    ndash: '–',
+    lsquo: '‘',
+    rsquo: '’',
+    ldquo: '“',
+    rdquo: '”',
+    laquo: '«',
+    raquo: '»',
+};
+
+/**
+ * Returns valid markup rules, falling back to the default of each rule.
+ * @param {object} [rules] - The requested rules (e.g. from the add-text form).
+ * @returns {{codeBlocks: string, images: string, links: string}} - The rules to apply.
+ */
+function resolveMarkupRules(rules = {}) {
+    const resolved = { ...DEFAULT_MARKUP_RULES };
+    Object.keys(MARKUP_RULE_OPTIONS).forEach((rule) => {
+        if (MARKUP_RULE_OPTIONS[rule].includes(rules[rule])) {
+            resolved[rule] = rules[rule];
+        }
+    });
+    return resolved;
+}
+
+/**
+ * Decodes the XML/HTML entities of a string (numeric ones and the common named ones).
+ * @param {string} text - The text to decode.
+ * @returns {string} - The decoded text. Unknown named entities are kept as they are.
+ */
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+        if (name[0] === '#') {
+            const codePoint =
+                name[1] === 'x' || name[1] === 'X'
+                    ? parseInt(name.slice(2), 16)
+                    : parseInt(name.slice(1), 10);
+            try {
+                return String.fromCodePoint(codePoint);
+            } catch (error) {
+                return entity; // Invalid code point
+            }
+        }
+        const decoded = NAMED_ENTITIES[name.toLowerCase()];
+        return decoded !== undefined ? decoded : entity;
+    });
+}
+
+/**
+ * Parses the attributes of an XML/HTML start tag.
+ * @param {string} tag - The tag, e.g. '<item id="c1" href="c1.xhtml"/>'.
+ * @returns {object} - The attributes by name (names without namespace prefix).
+ */
+function parseAttributes(tag) {
+    const attributes = {};
+    const attributeRegex = /([\w:.-]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+    let match = attributeRegex.exec(tag);
+    while (match) {
+        const name = match[1].split(':').pop();
+        attributes[name] = decodeEntities(
+            match[3] !== undefined ? match[3] : match[4]
+        );
+        match = attributeRegex.exec(tag);
+    }
+    return attributes;
+}
+
+/**
+ * Converts an HTML (or XHTML) document into plain text: one line per paragraph, heading,
+ * list item or table row.
+ * @param {string} html - The HTML document.
+ * @param {object} [rules] - The markup rules (see MARKUP_RULE_OPTIONS).
+ * @returns {string} - The text of the document (not cleaned up yet).
+ */
+function htmlToText(html, rules) {
+    const { codeBlocks, images, links } = resolveMarkupRules(rules);
+
+    const lines = html
+        .replace(SKIPPED_ELEMENTS, '')
+        .replace(/<!--[\s\S]*?-->/g, '')
+        .replace(/<pre\b[^>]*>([\s\S]*?)<\/pre\s*>/gi, (block, code) => {
+            if (codeBlocks === 'remove') return '\n';
+            const codeLines = code.replace(/<[^>]*>/g, '').split(/\r?\n/);
+            return `\n${codeLines.join(PRE_LINE_BREAK)}\n`;
+        })
+        .replace(/<img\b[^>]*>/gi, (tag) =>
+            images === 'alt' ? ` ${parseAttributes(tag).alt || ''} ` : ''
+        )
+        .replace(/<a\b([^>]*)>([\s\S]*?)<\/a\s*>/gi, (link, attrs, inner) => {
+            const { href } = parseAttributes(attrs);
+            const text = inner.replace(/<[^>]*>/g, '').trim();
+            if (
+                links !== 'text-and-url' ||
+                !href ||
+                href.startsWith('#') ||
+                decodeEntities(text) === href
+            ) {
+                return inner;
+            }
+            return `${inner} (${href})`;
+        })
+        .replace(/\s+/g, ' ') // Line breaks of the source are only spaces
+        .replace(BLOCK_TAGS, '\n')
+        .replace(/<[^>]*>/g, '') // Inline tags (span, em, td...)
+        .split(new RegExp(`[\n${PRE_LINE_BREAK}]`))
+        .map((line) => decodeEntities(line).replace(/\s+/g, ' ').trim())
+        .filter((line) => line.length > 0);
+    return lines.join('\n');
+}
+
+/**
+ * Converts the inline Markdown of a line (emphasis, code spans, links, images...) into plain text.
+ * @param {string} text - The line content.
+ * @param {{images: string, links: string}} rules - The resolved markup rules.
+ * @returns {string} - The plain text of the line.
+ */
+function markdownInlineToText(text, { images, links }) {
+    const protectedParts = [];
+    const protect = (part) => {
+        protectedParts.push(part);
+        return `${PLACEHOLDER}${protectedParts.length - 1}${PLACEHOLDER}`;
+    };
+
+    return text
+        .replace(/\\([\\`*_{}[\]()#+\-.!|<>~])/g, (escaped, char) =>
+            protect(char)
+        )
+        .replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (span, ticks, code) =>
+            protect(code.trim())
+        )
+        .replace(/!\[([^\]]*)\](?:\([^)]*\)|\[[^\]]*\])/g, (image, alt) =>
+            images === 'alt' ? alt : ''
+        )
+        .replace(
+            /\[([^\]]*)\]\(\s*<?([^)\s>]*)>?(?:\s+["'(][^)]*)?\)/g,
+            (link, linkText, url) => {
+                if (links !== 'text-and-url' || !url || url === linkText)
+                    return linkText;
+                return linkText ? `${linkText} (${url})` : url;
+            }
+        )
+        .replace(/\[([^\]]+)\]\[[^\]]*\]/g, '$1') // Reference links
+        .replace(/<((?:https?|mailto):[^>\s]+)>/gi, '$1') // Autolinks
+        .replace(/<\/?[a-z][^>]*>/gi, '') // Inline HTML tags
+        .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '$2')
+        .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '$1')
+        .replace(/\*(?=\S)([^*]*?\S)\*/g, '$1')
+        .replace(/(^|\W)_(?=\S)([^_]*?\S)_(?!\w)/g, '$1$2') // Not inside snake_case words
+        .replace(
+            new RegExp(`${PLACEHOLDER}(\\d+)${PLACEHOLDER}`, 'g'),
+            (p, i) => protectedParts[i]
+        );
+}
+
+/**
+ * Converts a Markdown document into plain text: one line per heading, paragraph (soft-wrapped
+ * lines are joined), list item, table row or hard line break.
+ * @param {string} markdown - The Markdown document.
+ * @param {object} [rules] - The markup rules (see MARKUP_RULE_OPTIONS).
+ * @returns {string} - The text of the document (not cleaned up yet).
+ */
+function markdownToText(markdown, rules) {
+    const resolvedRules = resolveMarkupRules(rules);
+    const inline = (text) => markdownInlineToText(text, resolvedRules);
+
+    const lines = [];
+    let paragraph = [];
+    const flushParagraph = () => {
+        if (paragraph.length > 0) lines.push(paragraph.join(' '));
+        paragraph = [];
+    };
+    let fence = null; // The opening fence of the current code block
+
+    markdown
+        .replace(/\r\n?/g, '\n')
+        .split('\n')
+        .forEach((sourceLine) => {
+            if (fence) {
+                if (sourceLine.trim().startsWith(fence)) {
+                    fence = null;
+                } else if (resolvedRules.codeBlocks === 'keep') {
+                    lines.push(sourceLine.trim());
+                }
+                return;
+            }
+            const fenceMatch = /^\s*(`{3,}|~{3,})/.exec(sourceLine);
+            if (fenceMatch) {
+                flushParagraph();
+                [, fence] = fenceMatch;
+                return;
+            }
+
+            const line = sourceLine.trim().replace(/^(?:>\s?)+/, ''); // Blockquote markers
+            if (
+                !line ||
+                /^(?:[-*_]\s*){3,}$/.test(line) || // Thematic break or setext underline
+                /^=+$/.test(line) || // Setext underline
+                /^\s*\|?\s*:?-+:?\s*(?:\|\s*:?-+:?\s*)+\|?\s*$/.test(line) // Table separator row
+            ) {
+                flushParagraph();
+                return;
+            }
+            if (/^\[[^\]]+\]:\s*\S+/.test(line)) return; // Link reference definition
+
+            const heading = /^#{1,6}\s+(.*?)(?:\s+#+)?\s*$/.exec(line);
+            if (heading) {
+                flushParagraph();
+                lines.push(inline(heading[1]));
+                return;
+            }
+            const listItem = /^(?:[-*+]|\d+[.)])\s+(?:\[[ xX]\]\s+)?(.*)$/.exec(
+                line
+            );
+            if (listItem) {
+                flushParagraph();
+                paragraph.push(inline(listItem[1])); // Continuation lines join the item
+                return;
+            }
+            if (line.startsWith('|') && line.endsWith('|')) {
+                flushParagraph();
+                lines.push(
+                    line
+                        .slice(1, -1)
+                        .split('|')
+                        .map((cell) => inline(cell.trim()))
+                        .join(' ')
+                );
+                return;
+            }
+
+            // Two trailing spaces or a backslash end the line (hard break)
+            const hardBreak = / {2,}$/.test(sourceLine) || line.endsWith('\\');
+            paragraph.push(inline(hardBreak ? line.replace(/\\$/, '') : line));
+            if (hardBreak) flushParagraph();
+        });
+    flushParagraph();
+
+    return lines
+        .map((line) =>
+            decodeEntities(line)
+                .replace(/[ \t]+/g, ' ')
+                .trim()
+        )
+        .filter((line) => line.length > 0)
+        .join('\n');
+}
+
+/**
+ * Converts a Markdown or HTML document into plain text. Plain text is returned as it is.
+ * @param {string} source - The document.
+ * @param {'markdown'|'html'|'text'} format - The format of the document.
+ * @param {object} [rules] - The markup rules (see MARKUP_RULE_OPTIONS).
+ * @returns {string} - The text of the document (not cleaned up yet).
+ */
+function markupToText(source, format, rules) {
+    if (format === 'markdown') return markdownToText(source, rules);
+    if (format === 'html') return htmlToText(source, rules);
+    return source;
+}
+
+module.exports = {
+    MARKUP_RULE_OPTIONS,
+    DEFAULT_MARKUP_RULES,
+    resolveMarkupRules,
+    decodeEntities,
+    parseAttributes,
+    htmlToText,
+    markdownToText,
+    markupToText,
+};
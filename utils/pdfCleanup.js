@@ -0,0 +1,235 @@
+// --- Layout-aware cleanup of the text of PDFs ---
+// pdftotext and OCR keep the layout of the printed page: words hyphenated at the end of a
+// line, running headers and footers, page numbers and paragraphs wrapped line by line.
+// Each rule below undoes one of them and can be turned off on the add-text form.
+
+/**
+ * The cleanup rules, all applied by default:
+ * - dehyphenate: joins the words hyphenated across lines ("infor-" + "mation").
+ * - headersFooters: removes the lines repeated at the top or bottom of many pages.
+ * - pageNumbers: removes the page numbers at the top or bottom of the pages.
+ * - joinLines: joins the lines of a paragraph, one paragraph per line.
+ */
+const PDF_CLEANUP_RULES = [
+    'dehyphenate',
+    'headersFooters',
+    'pageNumbers',
+    'joinLines',
+];
+
+const DEFAULT_PDF_CLEANUP_RULES = Object.fromEntries(
+    PDF_CLEANUP_RULES.map((rule) => [rule, true])
+);
+
+// How many lines at each edge of a page may be a header or a footer
+const EDGE_LINES = 2;
+// Share of the pages a line must appear on to be a running header or footer
+const REPEATED_LINE_RATIO = 0.3;
+// A line at least this long compared to the longest line of its page is a wrapped line
+const FULL_LINE_RATIO = 0.7;
+// Below this length, lines are not prose (verse, tables, lists of names): they are never joined by length
+const MIN_PROSE_LINE_LENGTH = 40;
+
+const PAGE_NUMBER =
+    /^[-–—]?\s*(?:(?:page|p\.)\s*)?(?:\d{1,4}|(?=[mdclxvi])m{0,3}(?:cm|cd|d?c{0,3})(?:xc|xl|l?x{0,3})(?:ix|iv|v?i{0,3}))(?:\s*(?:\/|of|sur|de)\s*\d{1,4})?\s*[-–—]?$/i;
+const HYPHENATED_END = /\p{L}[-\u00AD]$/u; // A hyphen or a soft hyphen
+const LOWERCASE_START = /^\p{Ll}/u;
+const LIST_ITEM_START = /^(?:[-•*–·▪]\s|\d{1,3}[.)]\s|[a-z][.)]\s)/;
+
+/**
+ * Returns the rules to apply, all of them by default.
+ * @param {object} [rules] - The requested rules by name (true to apply), e.g. from the add-text form.
+ * @returns {{dehyphenate: boolean, headersFooters: boolean, pageNumbers: boolean, joinLines: boolean}} - The rules.
+ */
+function resolvePdfCleanupRules(rules) {
+    if (!rules) return { ...DEFAULT_PDF_CLEANUP_RULES };
+    return Object.fromEntries(
+        PDF_CLEANUP_RULES.map((rule) => [rule, Boolean(rules[rule])])
+    );
+}
+
+/**
+ * Returns the indexes of the first and last non-empty lines of a page.
+ * @param {Array<string>} lines - The lines of the page.
+ * @returns {Array<number>} - Up to EDGE_LINES indexes from the top, then from the bottom.
+ */
+function edgeLineIndexes(lines) {
+    const nonEmpty = lines
+        .map((line, index) => (line.trim() ? index : -1))
+        .filter((index) => index !== -1);
+    return [
+        ...new Set([
+            ...nonEmpty.slice(0, EDGE_LINES),
+            ...nonEmpty.slice(-EDGE_LINES),
+        ]),
+    ];
+}
+
+/**
+ * Returns the key comparing header/footer lines: case, spacing and numbers (e.g. the page
+ * number inside "Chapter 2 - page 14") are ignored.
+ * @param {string} line - The line.
+ * @returns {string} - The key of the line.
+ */
+const edgeLineKey = (line) =>
+    line.trim().toLowerCase().replace(/\d+/g, '#').replace(/\s+/g, ' ');
+
+/**
+ * Removes the running headers and footers: lines at the top or bottom of a page found at
+ * the top or bottom of many pages.
+ * @param {Array<Array<string>>} pages - The lines of each page.
+ * @returns {Array<Array<string>>} - The lines of each page, without headers and footers.
+ */
+function removeHeadersFooters(pages) {
+    if (pages.length < 2) return pages;
+    const pageCounts = new Map();
+    pages.forEach((lines) => {
+        new Set(
+            edgeLineIndexes(lines).map((index) => edgeLineKey(lines[index]))
+        ).forEach((key) => pageCounts.set(key, (pageCounts.get(key) || 0) + 1));
+    });
+    const threshold = Math.max(
+        2,
+        Math.ceil(pages.length * REPEATED_LINE_RATIO)
+    );
+
+    return pages.map((lines) => {
+        const removed = new Set(
+            edgeLineIndexes(lines).filter(
+                (index) =>
+                    pageCounts.get(edgeLineKey(lines[index])) >= threshold &&
+                    !PAGE_NUMBER.test(lines[index].trim()) // Left to the pageNumbers rule
+            )
+        );
+        return lines.filter((line, index) => !removed.has(index));
+    });
+}
+
+/**
+ * Removes the page number of a page: the first or last non-empty line when it is a number
+ * ("12", "- 12 -", "Page 12", "12 / 300", "xiv").
+ * @param {Array<string>} lines - The lines of the page.
+ * @returns {Array<string>} - The lines of the page, without its page number.
+ */
+function removePageNumbers(lines) {
+    const nonEmpty = lines
+        .map((line, index) => (line.trim() ? index : -1))
+        .filter((index) => index !== -1);
+    const removed = new Set(
+        [nonEmpty[0], nonEmpty[nonEmpty.length - 1]].filter(
+            (index) =>
+                index !== undefined && PAGE_NUMBER.test(lines[index].trim())
+        )
+    );
+    return lines.filter((line, index) => !removed.has(index));
+}
+
+/**
+ * Joins the words hyphenated across lines of a page: the hyphen is removed when the next
+ * line starts with a lowercase letter.
+ * @param {Array<string>} lines - The lines of the page.
+ * @returns {Array<string>} - The lines of the page.
+ */
+function dehyphenateLines(lines) {
+    const joined = [];
+    lines.forEach((line) => {
+        const previous = joined[joined.length - 1];
+        const trimmed = line.trim();
+        if (
+            previous !== undefined &&
+            HYPHENATED_END.test(previous) &&
+            LOWERCASE_START.test(trimmed)
+        ) {
+            joined[joined.length - 1] = previous.slice(0, -1) + trimmed;
+        } else {
+            joined.push(line);
+        }
+    });
+    return joined;
+}
+
+/**
+ * Joins the wrapped lines of the paragraphs of a page. A line is joined to the next one
+ * when the next one starts with a lowercase letter, or when it is nearly as long as the
+ * longest line of the page (a paragraph ends with a shorter line); never before a list
+ * item nor across an empty line.
+ * @param {Array<string>} lines - The lines of the page.
+ * @returns {Array<string>} - One line per paragraph, without empty lines.
+ */
+function joinParagraphLines(lines) {
+    const trimmedLines = lines.map((line) => line.trim());
+    const longest = Math.max(0, ...trimmedLines.map((line) => line.length));
+    const paragraphs = [];
+    let previousLine = null;
+    trimmedLines.forEach((line) => {
+        if (!line) {
+            previousLine = null; // An empty line ends the paragraph
+            return;
+        }
+        const joinable =
+            previousLine !== null &&
+            !LIST_ITEM_START.test(line) &&
+            (LOWERCASE_START.test(line) ||
+                (longest >= MIN_PROSE_LINE_LENGTH &&
+                    previousLine.length >= longest * FULL_LINE_RATIO));
+        if (joinable) {
+            paragraphs[paragraphs.length - 1] += ` ${line}`;
+        } else {
+            paragraphs.push(line);
+        }
+        previousLine = line;
+    });
+    return paragraphs;
+}
+
+/**
+ * Cleans up the text of the pages of a PDF with the layout-aware rules. Headers and footers
+ * are found by comparing the pages, so all the pages of the document should be given at once.
+ * @param {Array<string>} pages - The raw text of each page (e.g. from pdftotext).
+ * @param {object} [rules] - The rules to apply (see PDF_CLEANUP_RULES, all by default).
+ * @returns {Array<string>} - The cleaned-up text of each page, in the same order.
+ */
+function cleanupPdfPages(pages, rules) {
+    const { dehyphenate, headersFooters, pageNumbers, joinLines } =
+        resolvePdfCleanupRules(rules);
+
+    let pageLines = pages.map((page) =>
+        page.split(/\r?\n/).map((line) => line.replace(/\s+$/, ''))
+    );
+    if (headersFooters) pageLines = removeHeadersFooters(pageLines);
+    if (pageNumbers) pageLines = pageLines.map(removePageNumbers);
+    if (dehyphenate) pageLines = pageLines.map(dehyphenateLines);
+    if (joinLines) pageLines = pageLines.map(joinParagraphLines);
+    return pageLines.map((lines) => lines.join('\n').trim());
+}
+
+/**
+ * Joins cleaned-up pages into one text, one line break between pages. A word hyphenated
+ * across a page break is joined (dehyphenate), and so is a paragraph running on the next
+ * page when it starts with a lowercase letter (joinLines).
+ * @param {Array<string>} pages - The text of each page (see cleanupPdfPages).
+ * @param {object} [rules] - The rules to apply (see PDF_CLEANUP_RULES, all by default).
+ * @returns {string} - The text of the pages.
+ */
+function joinPdfPages(pages, rules) {
+    const { dehyphenate, joinLines } = resolvePdfCleanupRules(rules);
+    return pages
+        .filter((page) => page.trim())
+        .reduce((text, page) => {
+            if (!text) return page;
+            const start = page.trimStart();
+            if (!LOWERCASE_START.test(start)) return `${text}\n${page}`;
+            if (dehyphenate && HYPHENATED_END.test(text)) {
+                return text.slice(0, -1) + start;
+            }
+            return joinLines ? `${text} ${start}` : `${text}\n${page}`;
+        }, '');
+}
+
+module.exports = {
+    PDF_CLEANUP_RULES,
+    DEFAULT_PDF_CLEANUP_RULES,
+    resolvePdfCleanupRules,
+    cleanupPdfPages,
+    joinPdfPages,
+};
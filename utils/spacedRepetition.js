@@ -0,0 +1,85 @@
+// --- SM-2 Settings ---
+const DEFAULT_EASE_FACTOR = 2.5; // Starting ease factor of a new review item
+const MIN_EASE_FACTOR = 1.3; // SM-2 never lets the ease factor drop below this
+const PASSING_GRADE = 3; // Grades below this restart the repetition sequence
+
+// Minimum accuracy (%) needed for each recall grade, best grade first
+const GRADE_THRESHOLDS = [
+    { minAccuracy: 98, grade: 5 },
+    { minAccuracy: 95, grade: 4 },
+    { minAccuracy: 90, grade: 3 },
+    { minAccuracy: 80, grade: 2 },
+    { minAccuracy: 60, grade: 1 },
+];
+
+/**
+ * Converts the typing accuracy of a completed text or passage into an SM-2 recall grade.
+ * @param {number} accuracy - Accuracy percentage (0-100).
+ * @returns {number} - The recall grade, from 0 (blackout) to 5 (perfect recall).
+ */
+function accuracyToGrade(accuracy) {
+    const threshold = GRADE_THRESHOLDS.find((t) => accuracy >= t.minAccuracy);
+    return threshold ? threshold.grade : 0;
+}
+
+/**
+ * Computes the next review schedule of an item with the SM-2 algorithm.
+ * @param {object|null} previous - The current schedule ({ repetitions, interval_days, ease_factor }),
+ *                                 or null if the item has never been reviewed.
+ * @param {number} grade - The recall grade of this review (0-5).
+ * @returns {{repetitions: number, interval_days: number, ease_factor: number}} - The new schedule.
+ */
+function scheduleReview(previous, grade) {
+    const repetitions = previous ? previous.repetitions : 0;
+    const intervalDays = previous ? previous.interval_days : 0;
+    const easeFactor = previous ? previous.ease_factor : DEFAULT_EASE_FACTOR;
+
+    // The ease factor is adjusted after every review, whatever the grade
+    const newEaseFactor = Math.max(
+        MIN_EASE_FACTOR,
+        easeFactor + (0.1 - (5 - grade) * (0.08 + (5 - grade) * 0.02))
+    );
+
+    if (grade < PASSING_GRADE) {
+        // Forgotten: start over with a review tomorrow
+        return {
+            repetitions: 0,
+            interval_days: 1,
+            ease_factor: newEaseFactor,
+        };
+    }
+
+    let newInterval;
+    if (repetitions === 0) {
+        newInterval = 1;
+    } else if (repetitions === 1) {
+        newInterval = 6;
+    } else {
+        newInterval = Math.round(intervalDays * easeFactor);
+    }
+
+    return {
+        repetitions: repetitions + 1,
+        interval_days: newInterval,
+        ease_factor: newEaseFactor,
+    };
+}
+
+/**
+ * Splits a text into paragraph-sized chunks that can be reviewed on their own.
+ * Paragraphs are separated by one or more blank lines.
+ * @param {string} content - The text content.
+ * @returns {Array<string>} - The non-empty paragraphs, in order. Chunk indexes refer to this array.
+ */
+function splitIntoChunks(content) {
+    return (content || '')
+        .split(/\n\s*\n/)
+        .map((chunk) => chunk.trim())
+        .filter((chunk) => chunk.length > 0);
+}
+
+module.exports = {
+    accuracyToGrade,
+    scheduleReview,
+    splitIntoChunks,
+};
@@ -1,10 +1,116 @@
+// --- Character normalization profiles ---
+// Characters that most keyboards cannot type easily are replaced by cleanupText according to the
+// profile chosen when importing (or editing) a text. Labels are shown on the forms.
+const NORMALIZATION_PROFILES = {
+    original: 'Strict original', // Only the accent and apostrophe fixes below
+    ascii: 'ASCII-friendly', // Plain ASCII punctuation, letters without accents
+    azerty: 'French AZERTY-friendly', // Plain punctuation, only the accented letters of a French keyboard
+};
+const DEFAULT_NORMALIZATION_PROFILE = 'original';
+
+// Replacements of both typing-friendly profiles: spacing, punctuation, ligatures and symbols
+const TYPING_FRIENDLY_REPLACEMENTS = [
+    [/[\u00A0\u2000-\u200A\u202F\u205F\u3000]/g, ' '], // Non-breaking and fixed-width spaces
+    [/[\u00AD\u200B-\u200D\u2060\uFEFF]/g, ''], // Soft hyphens and zero-width characters
+    [/[‐‑‒–—―−]/g, '-'], // Hyphens, dashes and minus sign
+    [/…/g, '...'],
+    [/«\s*/g, '"'], // French quotes, without their inner spaces
+    [/\s*»/g, '"'],
+    [/[“”„‟″]/g, '"'],
+    [/[‘‚‛′‹›]/g, "'"],
+    [/[•‣⁃▪●]/g, '-'], // Bullets
+    [/ﬀ/g, 'ff'],
+    [/ﬁ/g, 'fi'],
+    [/ﬂ/g, 'fl'],
+    [/ﬃ/g, 'ffi'],
+    [/ﬄ/g, 'ffl'],
+    [/[ﬅﬆ]/g, 'st'],
+    [/œ/g, 'oe'],
+    [/Œ/g, 'OE'],
+    [/æ/g, 'ae'],
+    [/Æ/g, 'AE'],
+    [/ß/g, 'ss'],
+    [/ø/g, 'o'],
+    [/Ø/g, 'O'],
+    [/ł/g, 'l'],
+    [/Ł/g, 'L'],
+    [/[đð]/g, 'd'],
+    [/[ĐÐ]/g, 'D'],
+    [/þ/g, 'th'],
+    [/Þ/g, 'TH'],
+    [/×/g, 'x'],
+    [/÷/g, '/'],
+    [/⁄/g, '/'], // Fraction slash
+    [/≤/g, '<='],
+    [/≥/g, '>='],
+    [/≠/g, '!='],
+    [/±/g, '+/-'],
+    [/≈/g, '~'],
+    [/→/g, '->'],
+    [/←/g, '<-'],
+    [/½/g, '1/2'],
+    [/¼/g, '1/4'],
+    [/¾/g, '3/4'],
+    [/©/g, '(c)'],
+    [/®/g, '(R)'],
+    [/™/g, '(TM)'],
+];
+
+// Replacements of the ASCII-friendly profile only (the French keyboard has these characters)
+const ASCII_ONLY_REPLACEMENTS = [
+    [/€/g, 'EUR'],
+    [/£/g, 'GBP'],
+];
+
+// Accented letters typed with the keys or the dead keys (^ and ¨) of a French AZERTY keyboard
+const AZERTY_ACCENTED_LETTERS = 'àâäçéèêëîïôöùûüÿÂÊÎÔÛÄËÏÖÜŸ';
+
+/**
+ * Removes the accents of Latin letters, except the ones to keep.
+ * @param {string} text - The text.
+ * @param {string} keptLetters - The accented letters to keep as they are.
+ * @returns {string} - The text with plain Latin letters (other scripts are left unchanged).
+ */
+const foldLatinAccents = (text, keptLetters) =>
+    text
+        .normalize('NFD')
+        .replace(/([A-Za-z])(\p{M}+)/gu, (letter, base, marks) => {
+            const composed = (base + marks).normalize('NFC');
+            return keptLetters.includes(composed) ? composed : base;
+        })
+        .normalize('NFC');
+
+/**
+ * Replaces the characters that are hard to type according to a normalization profile.
+ * @param {string} text - The text (already cleaned up).
+ * @param {string} profile - The profile (see NORMALIZATION_PROFILES).
+ * @returns {string} - The normalized text.
+ */
+function normalizeCharacters(text, profile) {
+    if (profile !== 'ascii' && profile !== 'azerty') return text;
+    const replacements =
+        profile === 'ascii'
+            ? [...TYPING_FRIENDLY_REPLACEMENTS, ...ASCII_ONLY_REPLACEMENTS]
+            : TYPING_FRIENDLY_REPLACEMENTS;
+    const replaced = replacements.reduce(
+        (result, [pattern, replacement]) =>
+            result.replace(pattern, replacement),
+        text
+    );
+    return foldLatinAccents(
+        replaced,
+        profile === 'azerty' ? AZERTY_ACCENTED_LETTERS : ''
+    );
+}
+
 /**
  * Cleans text extracted from PDFs or submitted via textarea.
  * Handles common accent issues from pdftotext and normalizes Unicode.
  * @param {string | null | undefined} inputText The text to clean.
+ * @param {string} [profile='original'] The character normalization profile (see NORMALIZATION_PROFILES).
  * @returns {string} The cleaned and normalized text.
  */
-const cleanupText = (inputText) => {
+const cleanupText = (inputText, profile = DEFAULT_NORMALIZATION_PROFILE) => {
     if (!inputText) return ''; // Handle null/undefined input gracefully
 
     // Define regexes for different accent types, matching both spacing and combining forms
@@ -60,26 +166,123 @@ const cleanupText = (inputText) => {
     // Replace typographic apostrophe AND common accent characters used as apostrophes AND standard apostrophe AFTER normalization, ensuring U+0027
     const finalCleaned = normalizedText.replace(/[’´'`]/g, "'");
 
-    // Trim whitespace from start/end
-    return finalCleaned.trim();
+    // Replace the characters that are hard to type (typing-friendly profiles), then trim whitespace from start/end
+    return normalizeCharacters(finalCleaned, profile).trim();
     // return normalizedText.trim(); // Unreachable code removed
 };
 
-// --- PDF Processing Helper ---
-// (Requires fs, tmp, child_process - ensure these are installed/available)
+// --- Dependencies ---
 const fs = require('fs');
+const path = require('path');
 const tmp = require('tmp');
-const { execFileSync } = require('child_process');
+const { execFile } = require('child_process');
+const AdmZip = require('adm-zip');
+const {
+    decodeEntities,
+    parseAttributes,
+    markupToText,
+} = require('./markupProcessing');
+const { cleanupPdfPages, joinPdfPages } = require('./pdfCleanup');
+const { MAX_DOCUMENT_SIZE, unzipEntry } = require('./zipProcessing');
 
-// Helper function to process PDF upload using pdftotext
-async function processPdfUpload(uploadedFile) {
-    if (!uploadedFile || !uploadedFile.buffer) {
-        throw new Error('Invalid file buffer provided for PDF processing.');
+// --- PDF Processing Helper ---
+// (Requires fs, tmp, child_process - ensure these are installed/available)
+// Image-based (scanned) PDFs are read with OCR: pdftoppm (Poppler) and tesseract must be installed.
+// The outline (bookmarks) used to split a PDF into sections is read with pdftohtml (Poppler).
+// Page layout (hyphenation, headers, footers, page numbers, wrapped lines) is undone by pdfCleanup.
+
+// Languages offered for the OCR of scanned PDFs (Tesseract language codes -> labels)
+const OCR_LANGUAGES = {
+    eng: 'English',
+    fra: 'French',
+    deu: 'German',
+    spa: 'Spanish',
+    ita: 'Italian',
+    por: 'Portuguese',
+    nld: 'Dutch',
+};
+const DEFAULT_OCR_LANGUAGE = 'eng';
+const OCR_RESOLUTION_DPI = 300; // Tesseract reads best around 300 DPI
+const MAX_OCR_PAGES = 50; // OCR takes a few seconds per page: only the first pages of very long scans are read
+// Time limits of the commands, so that a huge or broken PDF cannot hold an import forever
+const PDF_COMMAND_TIMEOUT_MS = 60 * 1000; // pdftotext, pdftohtml
+const RASTERIZE_TIMEOUT_MS = 5 * 60 * 1000; // pdftoppm, for up to MAX_OCR_PAGES pages
+const OCR_PAGE_TIMEOUT_MS = 60 * 1000; // tesseract, for one page
+// What pdftotext and pdftohtml may print: execFile stops them beyond (its default is only 1 MB)
+const MAX_PDF_OUTPUT_SIZE = 16 * 1024 * 1024;
+
+/**
+ * How a PDF can be split into several texts on import:
+ * - 'none': one text for the selected pages.
+ * - 'outline': one text per top-level bookmark (chapter) of the PDF.
+ * - 'pages': one text every N pages.
+ */
+const PDF_SPLIT_MODES = ['none', 'outline', 'pages'];
+const DEFAULT_PAGES_PER_SECTION = 10;
+
+/**
+ * Returns the pdftotext/pdftoppm arguments selecting a page range.
+ * @param {{firstPage?: number|null, lastPage?: number|null}} range - The selected pages (1-based, inclusive).
+ * @returns {Array<string>} - The arguments (empty for the whole document).
+ * @throws {Error} - If the range is invalid.
+ */
+function pageRangeArgs({ firstPage, lastPage }) {
+    if (firstPage && lastPage && lastPage < firstPage) {
+        throw new Error('The last page cannot come before the first page.');
     }
-    if (process.env.NODE_ENV === 'development')
-        console.log(
-            `Processing uploaded PDF with pdftotext: ${uploadedFile.originalname}`
+    const args = [];
+    if (firstPage) args.push('-f', String(firstPage));
+    if (lastPage) args.push('-l', String(lastPage));
+    return args;
+}
+
+/**
+ * Runs a command without blocking the server, killing it if it runs longer than its time limit.
+ * @param {string} command - The command.
+ * @param {Array<string>} args - Its arguments.
+ * @param {object} options - Options of execFile; timeout (in milliseconds) is required.
+ * @returns {Promise<string>} - What the command printed.
+ * @throws {Error} - The execFile error (code 'ENOENT' if the command is missing, killed if it timed out),
+ *   with what the command printed on stderr.
+ */
+function runCommand(command, args, options) {
+    return new Promise((resolve, reject) => {
+        execFile(
+            command,
+            args,
+            { encoding: 'utf8', ...options },
+            (error, stdout, stderr) => {
+                if (error) {
+                    error.stderr = stderr;
+                    reject(error);
+                } else {
+                    resolve(stdout);
+                }
+            }
         );
+    });
+}
+
+/**
+ * Describes why a command failed, telling a command that took too long from other errors.
+ * @param {Error} error - The error of runCommand.
+ * @returns {string} - The reason.
+ */
+const describeCommandError = (error) => {
+    if (error.code === 'ERR_CHILD_PROCESS_STDIO_MAXBUFFER')
+        return 'the command printed too much and was stopped';
+    return error.killed
+        ? 'the command took too long and was stopped'
+        : String(error.stderr || error.message).trim();
+};
+
+/**
+ * Writes an uploaded PDF to a temporary file, runs a function on it and removes the file.
+ * @param {object} uploadedFile - The uploaded file (multer file object with a buffer).
+ * @param {function(string): Promise<*>} fn - Receives the path of the temporary file.
+ * @returns {Promise<*>} - The result of fn.
+ */
+async function withTempPdf(uploadedFile, fn) {
     let tempFilePath = null;
     try {
         tempFilePath = tmp.tmpNameSync({ postfix: '.pdf' });
@@ -87,55 +290,576 @@ async function processPdfUpload(uploadedFile) {
             console.log(`Created temp file: ${tempFilePath}`);
 
         fs.writeFileSync(tempFilePath, uploadedFile.buffer);
+        return await fn(tempFilePath);
+    } finally {
+        if (tempFilePath && fs.existsSync(tempFilePath)) {
+            try {
+                fs.unlinkSync(tempFilePath);
+                if (process.env.NODE_ENV === 'development')
+                    console.log(`Cleaned up temp file: ${tempFilePath}`);
+            } catch (cleanupError) {
+                console.error(
+                    `Error cleaning up temp file ${tempFilePath}:`,
+                    cleanupError
+                );
+            }
+        }
+    }
+}
 
-        const extractedText = execFileSync(
-            'pdftotext',
-            ['-enc', 'UTF-8', tempFilePath, '-'],
-            { encoding: 'utf8' }
-        ).trim();
+/**
+ * Reads the text of an image-based PDF with OCR: the pages are rasterized with pdftoppm,
+ * then each page image is read by tesseract.
+ * @param {string} pdfPath - The path of the PDF file.
+ * @param {string} language - The Tesseract language code of the document (e.g. 'fra').
+ * @param {{firstPage?: number|null, lastPage?: number|null}} [range] - The pages to read (all by default).
+ * The pages are read one after the other, not to load the server with several OCR processes.
+ * @returns {Promise<Array<string>>} - The raw text of each page (not cleaned up yet), in page order.
+ * @throws {Error} - If a command is missing, fails (e.g. language data not installed) or takes too long.
+ */
+async function ocrPdf(pdfPath, language, { firstPage, lastPage } = {}) {
+    const first = firstPage || 1;
+    const last = Math.min(lastPage || Infinity, first + MAX_OCR_PAGES - 1);
+    const imageDir = tmp.dirSync({ unsafeCleanup: true });
+    try {
+        try {
+            await runCommand(
+                'pdftoppm',
+                [
+                    '-r',
+                    String(OCR_RESOLUTION_DPI),
+                    '-gray',
+                    '-png',
+                    ...pageRangeArgs({ firstPage: first, lastPage: last }),
+                    pdfPath,
+                    path.join(imageDir.name, 'page'),
+                ],
+                { timeout: RASTERIZE_TIMEOUT_MS }
+            );
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                throw new Error(
+                    'This PDF is image-based and could not be read: pdftoppm command not found. Please ensure Poppler utilities are installed and in the system PATH.'
+                );
+            }
+            throw new Error(
+                `Error rasterizing the PDF pages for OCR: ${describeCommandError(error)}`
+            );
+        }
+
+        // pdftoppm names the images page-1.png, page-2.png... zero-padded to the same width, so they sort in page order
+        const pageImages = fs
+            .readdirSync(imageDir.name)
+            .filter((fileName) => fileName.endsWith('.png'))
+            .sort();
         if (process.env.NODE_ENV === 'development')
             console.log(
-                `Extracted ${extractedText.length} characters using pdftotext.`
+                `Running OCR (${language}) on ${pageImages.length} page(s).`
             );
 
-        if (!extractedText) {
-            // Throw specific error for empty extraction
+        return await pageImages.reduce(async (previous, pageImage) => {
+            const pages = await previous;
+            try {
+                pages.push(
+                    await runCommand(
+                        'tesseract',
+                        [
+                            path.join(imageDir.name, pageImage),
+                            '-',
+                            '-l',
+                            language,
+                        ],
+                        { timeout: OCR_PAGE_TIMEOUT_MS }
+                    )
+                );
+            } catch (error) {
+                if (error.code === 'ENOENT') {
+                    throw new Error(
+                        'This PDF is image-based and could not be read: tesseract command not found. Please ensure the Tesseract OCR engine is installed and in the system PATH.'
+                    );
+                }
+                throw new Error(
+                    `Error reading the PDF with OCR (language: ${OCR_LANGUAGES[language] || language}): ${describeCommandError(error)}`
+                );
+            }
+            return pages;
+        }, Promise.resolve([]));
+    } finally {
+        imageDir.removeCallback();
+    }
+}
+
+/**
+ * Reads the text of each page of a PDF with pdftotext. When the PDF has no text layer
+ * (a scan), its pages are read with OCR instead.
+ * @param {string} pdfPath - The path of the PDF file.
+ * @param {object} options - Options.
+ * @param {string} options.language - The Tesseract language code used if OCR is needed.
+ * @param {number|null} [options.firstPage] - The first page to read (1-based, the first page of the document by default).
+ * @param {number|null} [options.lastPage] - The last page to read (the last page of the document by default).
+ * @returns {Promise<Array<string>>} - The raw text of each selected page (not cleaned up yet), in page order.
+ * @throws {Error} - If the page range is invalid or a command fails.
+ */
+async function readPdfPages(pdfPath, { language, firstPage, lastPage }) {
+    const rangeArgs = pageRangeArgs({ firstPage, lastPage });
+    let output;
+    try {
+        output = await runCommand(
+            'pdftotext',
+            ['-enc', 'UTF-8', ...rangeArgs, pdfPath, '-'],
+            { maxBuffer: MAX_PDF_OUTPUT_SIZE, timeout: PDF_COMMAND_TIMEOUT_MS }
+        );
+    } catch (execError) {
+        console.error('Error executing pdftotext:', execError);
+        if (execError.code === 'ENOENT') {
             throw new Error(
-                'Could not extract text using pdftotext. PDF might be empty or image-based.'
+                'Error processing PDF: pdftotext command not found. Please ensure Poppler utilities are installed and in the system PATH.'
+            );
+        }
+        if (execError.code === 'ERR_CHILD_PROCESS_STDIO_MAXBUFFER') {
+            throw new Error(
+                `This PDF has too much text to be imported at once (more than ${MAX_PDF_OUTPUT_SIZE / (1024 * 1024)} MB). Please select fewer pages.`
             );
         }
-        return extractedText; // Return raw extracted text
+        throw new Error(
+            `Error processing PDF with pdftotext: ${execError.killed ? describeCommandError(execError) : execError.message}`
+        );
+    }
+
+    // pdftotext ends every page with a form feed
+    const pages = output.split('\f');
+    if (pages.length > 1 && !pages[pages.length - 1].trim()) pages.pop();
+    if (process.env.NODE_ENV === 'development')
+        console.log(
+            `Extracted ${output.length} characters from ${pages.length} page(s) using pdftotext.`
+        );
+
+    if (pages.every((page) => !page.trim())) {
+        // No text layer: the PDF is probably a scan
+        return ocrPdf(pdfPath, language, { firstPage, lastPage });
+    }
+    return pages;
+}
+
+/**
+ * Reads the outline (bookmarks) of a PDF with pdftohtml and returns the entries of its
+ * shallowest level that has at least two entries (usually the chapters).
+ * @param {string} pdfPath - The path of the PDF file.
+ * @returns {Promise<Array<{title: string, page: number}>>} - The entries in page order (empty if the PDF has no outline).
+ * @throws {Error} - If pdftohtml is missing or fails.
+ */
+async function readPdfOutline(pdfPath) {
+    let xml;
+    try {
+        // Only the first page is converted: the outline is written for the whole document
+        xml = await runCommand(
+            'pdftohtml',
+            ['-xml', '-i', '-q', '-stdout', '-f', '1', '-l', '1', pdfPath],
+            { maxBuffer: MAX_PDF_OUTPUT_SIZE, timeout: PDF_COMMAND_TIMEOUT_MS }
+        );
     } catch (execError) {
-        console.error('Error executing pdftotext:', execError);
         if (execError.code === 'ENOENT') {
             throw new Error(
-                'Error processing PDF: pdftotext command not found. Please ensure Poppler utilities are installed and in the system PATH.'
+                'Error reading the PDF bookmarks: pdftohtml command not found. Please ensure Poppler utilities are installed and in the system PATH.'
             );
-        } else if (execError.message.includes('Could not extract text')) {
-            // Re-throw the specific error from above
-            throw execError;
+        }
+        throw new Error(
+            `Error reading the PDF bookmarks with pdftohtml: ${execError.killed ? describeCommandError(execError) : execError.message}`
+        );
+    }
+
+    // <outline> elements are nested: <outline><item page="3">Part I</item><outline>...</outline></outline>
+    const levels = [];
+    let depth = 0;
+    const tokenRegex =
+        /<(\/?)outline\b[^>]*>|<item\b([^>]*)>([\s\S]*?)<\/item>/g;
+    let token = tokenRegex.exec(xml);
+    while (token) {
+        if (token[3] === undefined) {
+            depth += token[1] ? -1 : 1;
         } else {
-            throw new Error(
-                `Error processing PDF with pdftotext: ${execError.message}`
+            const page = parseInt(
+                parseAttributes(`<item${token[2]}>`).page,
+                10
             );
+            const title = decodeEntities(token[3].replace(/<[^>]*>/g, ''))
+                .replace(/\s+/g, ' ')
+                .trim();
+            if (depth > 0 && page > 0) {
+                levels[depth - 1] = levels[depth - 1] || [];
+                levels[depth - 1].push({ title, page });
+            }
         }
-    } finally {
-        if (tempFilePath && fs.existsSync(tempFilePath)) {
-            try {
-                fs.unlinkSync(tempFilePath);
-                if (process.env.NODE_ENV === 'development')
-                    console.log(`Cleaned up temp file: ${tempFilePath}`);
-            } catch (cleanupError) {
-                console.error(
-                    `Error cleaning up temp file ${tempFilePath}:`,
-                    cleanupError
+        token = tokenRegex.exec(xml);
+    }
+
+    const level =
+        levels.find((entries) => entries && entries.length >= 2) ||
+        levels.find(Boolean) ||
+        [];
+    return [...level].sort((a, b) => a.page - b.page);
+}
+
+/**
+ * Returns the title of a section covering some pages.
+ * @param {number} first - The first page of the section.
+ * @param {number} last - The last page of the section.
+ * @returns {string} - e.g. 'Pages 11-20' or 'Page 7'.
+ */
+const pagesTitle = (first, last) =>
+    first === last ? `Page ${first}` : `Pages ${first}-${last}`;
+
+/**
+ * Extracts the text of an uploaded PDF with pdftotext. When the PDF has no text layer
+ * (a scan), its pages are read with OCR instead.
+ * @param {object} uploadedFile - The uploaded file (multer file object with a buffer).
+ * @param {object} [options] - Options.
+ * @param {string} [options.ocrLanguage='eng'] - The Tesseract language code used if OCR is needed (see OCR_LANGUAGES).
+ * @param {number|null} [options.firstPage] - The first page to import (the whole document by default).
+ * @param {number|null} [options.lastPage] - The last page to import.
+ * @param {object} [options.cleanupRules] - The layout cleanup rules to apply (see PDF_CLEANUP_RULES in pdfCleanup, all by default).
+ * @returns {Promise<string>} - The extracted text, without page layout (not cleaned up by cleanupText yet).
+ */
+async function processPdfUpload(
+    uploadedFile,
+    { ocrLanguage, firstPage, lastPage, cleanupRules } = {}
+) {
+    if (!uploadedFile || !uploadedFile.buffer) {
+        throw new Error('Invalid file buffer provided for PDF processing.');
+    }
+    const language = OCR_LANGUAGES[ocrLanguage]
+        ? ocrLanguage
+        : DEFAULT_OCR_LANGUAGE;
+    if (process.env.NODE_ENV === 'development')
+        console.log(
+            `Processing uploaded PDF with pdftotext: ${uploadedFile.originalname}`
+        );
+
+    const pages = await withTempPdf(uploadedFile, (pdfPath) =>
+        readPdfPages(pdfPath, { language, firstPage, lastPage })
+    );
+    const extractedText = joinPdfPages(
+        cleanupPdfPages(pages, cleanupRules),
+        cleanupRules
+    ).trim();
+    if (!extractedText) {
+        // Throw specific error for empty extraction
+        throw new Error(
+            'Could not extract text using pdftotext or OCR. The PDF might be empty.'
+        );
+    }
+    return extractedText;
+}
+
+/**
+ * Extracts the text of an uploaded PDF split into sections, to import a large document as
+ * several texts: one per top-level bookmark ('outline') or one every N pages ('pages').
+ * @param {object} uploadedFile - The uploaded file (multer file object with a buffer).
+ * @param {object} [options] - Options.
+ * @param {string} [options.split='pages'] - How to split the document ('outline' or 'pages', see PDF_SPLIT_MODES).
+ * @param {number} [options.pagesPerSection=10] - The number of pages of each section when splitting by pages.
+ * @param {string} [options.ocrLanguage='eng'] - The Tesseract language code used if OCR is needed (see OCR_LANGUAGES).
+ * @param {number|null} [options.firstPage] - The first page to import (the whole document by default).
+ * @param {number|null} [options.lastPage] - The last page to import.
+ * @param {object} [options.cleanupRules] - The layout cleanup rules to apply (see PDF_CLEANUP_RULES in pdfCleanup, all by default).
+ * @returns {Promise<Array<{title: string, firstPage: number, lastPage: number, content: string}>>} - The sections
+ *   in page order, with their text (not cleaned up by cleanupText yet). Sections without text are left out.
+ * @throws {Error} - If the PDF cannot be read, has no bookmarks (outline mode) or no text.
+ */
+async function processPdfSections(
+    uploadedFile,
+    {
+        split,
+        pagesPerSection,
+        ocrLanguage,
+        firstPage,
+        lastPage,
+        cleanupRules,
+    } = {}
+) {
+    if (!uploadedFile || !uploadedFile.buffer) {
+        throw new Error('Invalid file buffer provided for PDF processing.');
+    }
+    const language = OCR_LANGUAGES[ocrLanguage]
+        ? ocrLanguage
+        : DEFAULT_OCR_LANGUAGE;
+    const first = firstPage || 1;
+
+    const { pages, outline } = await withTempPdf(
+        uploadedFile,
+        async (pdfPath) => {
+            // Read the bookmarks first: no need to extract the text of a PDF that has none
+            const entries =
+                split === 'outline' ? await readPdfOutline(pdfPath) : null;
+            if (entries && entries.length === 0) {
+                throw new Error(
+                    'This PDF has no bookmarks (outline) to split it by. Split it every N pages instead.'
                 );
             }
+            return {
+                outline: entries,
+                pages: await readPdfPages(pdfPath, {
+                    language,
+                    firstPage,
+                    lastPage,
+                }),
+            };
         }
+    );
+    // Headers and footers are found across all the pages, before they are split
+    const cleanPages = cleanupPdfPages(pages, cleanupRules);
+    const last = first + pages.length - 1;
+
+    // Page ranges of the sections, then their text
+    let ranges = [];
+    if (outline) {
+        const starts = outline.filter(
+            (entry, index) =>
+                entry.page <= last &&
+                (index === 0 || entry.page !== outline[index - 1].page) // Bookmarks on the same page: keep the first
+        );
+        if (starts.length === 0 || starts[0].page > first) {
+            // Pages before the first bookmark of the range (cover, table of contents...)
+            const end = starts.length ? starts[0].page - 1 : last;
+            ranges.push({ title: pagesTitle(first, end), first, last: end });
+        }
+        starts.forEach((entry, index) => {
+            const next = starts[index + 1];
+            ranges.push({
+                title: entry.title || pagesTitle(entry.page, entry.page),
+                first: Math.max(entry.page, first), // A chapter may start before the range
+                last: next ? next.page - 1 : last,
+            });
+        });
+        ranges = ranges.filter((range) => range.first <= range.last);
+    } else {
+        const size =
+            Number.isInteger(pagesPerSection) && pagesPerSection > 0
+                ? pagesPerSection
+                : DEFAULT_PAGES_PER_SECTION;
+        for (let start = first; start <= last; start += size) {
+            const end = Math.min(start + size - 1, last);
+            ranges.push({
+                title: pagesTitle(start, end),
+                first: start,
+                last: end,
+            });
+        }
+    }
+
+    const sections = ranges
+        .map((range) => ({
+            title: range.title,
+            firstPage: range.first,
+            lastPage: range.last,
+            content: joinPdfPages(
+                cleanPages.slice(range.first - first, range.last - first + 1),
+                cleanupRules
+            ).trim(),
+        }))
+        .filter((section) => section.content);
+    if (sections.length === 0) {
+        throw new Error(
+            'Could not extract text using pdftotext or OCR. The PDF might be empty.'
+        );
+    }
+    return sections;
+}
+
+// --- Word (.docx) and OpenDocument (.odt) Processing ---
+// Both formats are ZIP archives holding the document body as XML (read with adm-zip).
+
+const DOCX_MIME_TYPE =
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+const ODT_MIME_TYPE = 'application/vnd.oasis.opendocument.text';
+
+/**
+ * Tells which kind of document an uploaded file is, from its MIME type or its extension
+ * (browsers do not always know the office and Markdown MIME types).
+ * @param {object} file - The uploaded file (multer file object).
+ * @returns {'pdf'|'docx'|'odt'|'markdown'|'html'|'text'|null} - The document type, or null if it is not supported.
+ */
+function getDocumentType(file) {
+    if (!file) return null;
+    const extension = path.extname(file.originalname || '').toLowerCase();
+    if (file.mimetype === 'application/pdf' || extension === '.pdf')
+        return 'pdf';
+    if (file.mimetype === DOCX_MIME_TYPE || extension === '.docx')
+        return 'docx';
+    if (file.mimetype === ODT_MIME_TYPE || extension === '.odt') return 'odt';
+    if (
+        file.mimetype === 'text/markdown' ||
+        ['.md', '.markdown'].includes(extension)
+    )
+        return 'markdown';
+    if (file.mimetype === 'text/html' || ['.html', '.htm'].includes(extension))
+        return 'html';
+    if (file.mimetype === 'text/plain' || extension === '.txt') return 'text';
+    return null;
+}
+
+/**
+ * Reads the XML part holding the body of an office document, unzipped within MAX_DOCUMENT_SIZE
+ * (see utils/zipProcessing).
+ * @param {object} uploadedFile - The uploaded file (multer file object with a buffer).
+ * @param {string} entryName - The path of the part inside the archive.
+ * @param {string} formatName - The name of the format, for error messages.
+ * @returns {string} - The XML content of the part.
+ * @throws {Error} - If the file is not an archive, the part is missing, too large once unzipped or cannot be unzipped.
+ */
+function readDocumentXml(uploadedFile, entryName, formatName) {
+    if (!uploadedFile || !uploadedFile.buffer) {
+        throw new Error(
+            `Invalid file buffer provided for ${formatName} processing.`
+        );
+    }
+    let entry;
+    try {
+        entry = new AdmZip(uploadedFile.buffer).getEntry(entryName);
+    } catch (error) {
+        throw new Error(
+            `Error processing ${formatName}: the file is not a valid document.`
+        );
+    }
+    if (!entry) {
+        throw new Error(
+            `Error processing ${formatName}: the document body (${entryName}) could not be found.`
+        );
+    }
+    return unzipEntry(entry, MAX_DOCUMENT_SIZE).toString('utf8');
+}
+
+/**
+ * Joins the extracted paragraphs, one per line, dropping the empty ones.
+ * @param {Array<string>} paragraphs - The text of each paragraph, headings included.
+ * @param {string} formatName - The name of the format, for error messages.
+ * @returns {string} - The text of the document.
+ * @throws {Error} - If the document has no text.
+ */
+function joinParagraphs(paragraphs, formatName) {
+    const text = paragraphs
+        .map((paragraph) => paragraph.replace(/[ \t]+/g, ' ').trim())
+        .filter((paragraph) => paragraph.length > 0)
+        .join('\n');
+    if (!text) {
+        throw new Error(
+            `Could not extract any text from this ${formatName} document.`
+        );
+    }
+    return text;
+}
+
+/**
+ * Extracts the text of an uploaded Word document (word/document.xml), one line per paragraph
+ * in reading order. Headings are paragraphs too, so each one stays on its own line.
+ * Deleted tracked changes (w:delText) and field codes (w:instrText) are left out.
+ * @param {object} uploadedFile - The uploaded file (multer file object with a buffer).
+ * @returns {Promise<string>} - The raw extracted text (not cleaned up yet).
+ */
+async function processDocxUpload(uploadedFile) {
+    if (process.env.NODE_ENV === 'development')
+        console.log(`Processing uploaded DOCX: ${uploadedFile.originalname}`);
+    const xml = readDocumentXml(uploadedFile, 'word/document.xml', 'DOCX');
+
+    const body = xml
+        .replace(/<w:pPr\b[\s\S]*?<\/w:pPr>/g, '') // Paragraph properties (their tab stops are not tabs)
+        .replace(/<w:p\b[^>]*\/>/g, ''); // Empty paragraphs
+    const paragraphs = (body.match(/<w:p\b[^>]*>[\s\S]*?<\/w:p>/g) || []).map(
+        (paragraph) => {
+            let text = '';
+            const runRegex =
+                /<w:t(?:\s[^>]*)?>([^<]*)<\/w:t>|<w:(tab|br|cr)\b[^>]*\/>/g;
+            let match = runRegex.exec(paragraph);
+            while (match) {
+                if (match[2]) {
+                    text += match[2] === 'tab' ? ' ' : '\n';
+                } else {
+                    text += decodeEntities(match[1]);
+                }
+                match = runRegex.exec(paragraph);
+            }
+            return text;
+        }
+    );
+    // Line breaks inside a paragraph start a new line too
+    return joinParagraphs(
+        paragraphs.flatMap((paragraph) => paragraph.split('\n')),
+        'DOCX'
+    );
+}
+
+/**
+ * Extracts the text of an uploaded OpenDocument text (content.xml), one line per paragraph
+ * or heading (text:p / text:h) in reading order. Footnotes and comments are left out.
+ * @param {object} uploadedFile - The uploaded file (multer file object with a buffer).
+ * @returns {Promise<string>} - The raw extracted text (not cleaned up yet).
+ */
+async function processOdtUpload(uploadedFile) {
+    if (process.env.NODE_ENV === 'development')
+        console.log(`Processing uploaded ODT: ${uploadedFile.originalname}`);
+    const xml = readDocumentXml(uploadedFile, 'content.xml', 'ODT');
+
+    const body = xml
+        .replace(/<text:note\b[\s\S]*?<\/text:note>/g, '') // Footnotes sit inside their paragraph
+        .replace(/<office:annotation\b[\s\S]*?<\/office:annotation>/g, '')
+        .replace(/<text:(p|h)\b[^>]*\/>/g, ''); // Empty paragraphs
+    const paragraphs = (
+        body.match(/<text:(p|h)\b[^>]*>[\s\S]*?<\/text:\1>/g) || []
+    ).map((paragraph) =>
+        decodeEntities(
+            paragraph
+                .replace(/\s+/g, ' ') // Source line breaks are only spaces
+                .replace(/<text:s\b[^>]*\/>/g, ' ') // Collapsed spaces
+                .replace(/<text:tab\b[^>]*\/>/g, ' ')
+                .replace(/<text:line-break\b[^>]*\/>/g, '\n')
+                .replace(/<[^>]*>/g, '')
+        )
+    );
+    return joinParagraphs(
+        paragraphs.flatMap((paragraph) => paragraph.split('\n')),
+        'ODT'
+    );
+}
+
+// --- Markdown, HTML and Plain Text Processing ---
+
+/**
+ * Extracts the text of an uploaded Markdown, HTML or plain text file. Markup is turned into
+ * typeable text by markupToText: headings, paragraphs and list items become lines, and code
+ * blocks, images and links follow the given rules.
+ * @param {object} uploadedFile - The uploaded file (multer file object with a buffer).
+ * @param {object} [markupRules] - The markup rules (see MARKUP_RULE_OPTIONS in markupProcessing).
+ * @returns {Promise<string>} - The raw extracted text (not cleaned up yet).
+ */
+async function processMarkupUpload(uploadedFile, markupRules) {
+    if (!uploadedFile || !uploadedFile.buffer) {
+        throw new Error('Invalid file buffer provided for text processing.');
+    }
+    const format = getDocumentType(uploadedFile);
+    if (process.env.NODE_ENV === 'development')
+        console.log(
+            `Processing uploaded ${format} file: ${uploadedFile.originalname}`
+        );
+    const source = uploadedFile.buffer.toString('utf8').replace(/^\uFEFF/, ''); // Drop the BOM
+    const text = markupToText(source, format, markupRules);
+    if (!text.trim()) {
+        throw new Error('Could not extract any text from this file.');
     }
+    return text;
 }
 
 module.exports = {
+    NORMALIZATION_PROFILES,
+    DEFAULT_NORMALIZATION_PROFILE,
     cleanupText,
+    OCR_LANGUAGES,
+    DEFAULT_OCR_LANGUAGE,
+    getDocumentType,
+    PDF_SPLIT_MODES,
+    DEFAULT_PAGES_PER_SECTION,
     processPdfUpload,
+    processPdfSections,
+    processDocxUpload,
+    processOdtUpload,
+    processMarkupUpload,
 };
@@ -0,0 +1,157 @@
+// --- Dependencies ---
+const { JSDOM, VirtualConsole } = require('jsdom');
+const { Readability } = require('@mozilla/readability');
+const { htmlToText } = require('./markupProcessing');
+
+const FETCH_TIMEOUT_MS = 10000; // Give up on servers that take longer to answer
+const MAX_PAGE_SIZE = 5 * 1024 * 1024; // 5 MB of HTML is far more than any article
+
+/**
+ * Finds the main content of a web page (the article) with Mozilla's Readability, the
+ * algorithm behind Firefox's reader view: navigation, ads, sidebars, comments and
+ * footers are dropped. Scripts of the page are never run.
+ * @param {string} html - The HTML of the page.
+ * @param {string} [pageUrl] - The address of the page, used to resolve relative links.
+ * @returns {{title: string|null, content: string|null}} - The title of the article and the
+ *   HTML of its main content (null if no article could be found).
+ */
+function extractMainContent(html, pageUrl) {
+    const dom = new JSDOM(html, {
+        url: pageUrl || 'http://localhost/',
+        virtualConsole: new VirtualConsole(), // Saved pages often have CSS the parser complains about
+    });
+    const { document } = dom.window;
+    const pageTitle = document.title.trim() || null;
+    const article = new Readability(document).parse();
+    dom.window.close();
+
+    if (!article || !article.content) {
+        return { title: pageTitle, content: null };
+    }
+    return {
+        title: (article.title || '').trim() || pageTitle,
+        content: article.content,
+    };
+}
+
+/**
+ * Extracts the typeable text of the main content of a web page.
+ * @param {string} html - The HTML of the page.
+ * @param {object} [options] - Options.
+ * @param {string} [options.url] - The address of the page.
+ * @param {object} [options.markupRules] - How code blocks, images and links are converted (see markupProcessing).
+ * @returns {{title: string|null, text: string}} - The title of the article and its raw text (not cleaned up yet).
+ * @throws {Error} - If no article or no text could be found.
+ */
+function webPageToText(html, { url, markupRules } = {}) {
+    const { title, content } = extractMainContent(html, url);
+    const text = content ? htmlToText(content, markupRules) : '';
+    if (!text) {
+        throw new Error(
+            'Could not find the main content of this web page. Try uploading it as a plain HTML file instead.'
+        );
+    }
+    return { title, text };
+}
+
+/**
+ * Explains why a download failed.
+ * @param {Error} error - The error of fetch, or of reading the body.
+ * @returns {Error} - The error to show to the user.
+ */
+function downloadError(error) {
+    const reason =
+        error.name === 'TimeoutError'
+            ? 'the server took too long to answer'
+            : (error.cause && error.cause.code) || error.message;
+    return new Error(`Could not download the web page: ${reason}.`);
+}
+
+/**
+ * Reads the body of a response, counting its bytes as they arrive: the download is aborted as soon
+ * as the page goes over MAX_PAGE_SIZE, whatever length the server announced.
+ * @param {Response} response - The response.
+ * @param {AbortController} abortController - The controller of the request.
+ * @returns {Promise<string>} - The body, decoded as UTF-8.
+ * @throws {Error} - If the page is too large.
+ */
+async function readPageBody(response, abortController) {
+    const reader = response.body.getReader();
+    const chunks = [];
+    let size = 0;
+    const readChunks = async () => {
+        const { done, value } = await reader.read();
+        if (done) return;
+        size += value.length;
+        if (size > MAX_PAGE_SIZE) {
+            abortController.abort();
+            throw new Error('This web page is too large to be imported.');
+        }
+        chunks.push(value);
+        await readChunks();
+    };
+    await readChunks();
+    return new TextDecoder().decode(Buffer.concat(chunks));
+}
+
+/**
+ * Downloads a web page.
+ * @param {string} pageUrl - The address of the page (http or https, local addresses included).
+ * @returns {Promise<{html: string, url: string}>} - The HTML of the page and its final address (after redirects).
+ * @throws {Error} - If the address is invalid or the page cannot be downloaded.
+ */
+async function fetchWebPage(pageUrl) {
+    let parsedUrl;
+    try {
+        parsedUrl = new URL(pageUrl);
+    } catch (error) {
+        parsedUrl = null;
+    }
+    if (!parsedUrl || !['http:', 'https:'].includes(parsedUrl.protocol)) {
+        throw new Error(
+            'Please enter a valid web page address (starting with http:// or https://).'
+        );
+    }
+
+    const abortController = new AbortController();
+    let response;
+    try {
+        response = await fetch(parsedUrl, {
+            headers: { Accept: 'text/html,application/xhtml+xml' },
+            signal: AbortSignal.any([
+                abortController.signal,
+                AbortSignal.timeout(FETCH_TIMEOUT_MS),
+            ]),
+        });
+    } catch (error) {
+        throw downloadError(error);
+    }
+    if (!response.ok) {
+        throw new Error(
+            `Could not download the web page (HTTP ${response.status}).`
+        );
+    }
+    const contentType = response.headers.get('content-type') || '';
+    if (contentType && !/html/i.test(contentType)) {
+        throw new Error('This address does not point to a web page (HTML).');
+    }
+    if (Number(response.headers.get('content-length')) > MAX_PAGE_SIZE) {
+        abortController.abort();
+        throw new Error('This web page is too large to be imported.');
+    }
+
+    let html;
+    try {
+        html = await readPageBody(response, abortController);
+    } catch (error) {
+        if (abortController.signal.aborted) throw error; // Too large
+        throw downloadError(error);
+    }
+    return { html, url: response.url || parsedUrl.href };
+}
+
+module.exports = {
+    extractMainContent,
+    webPageToText,
+    fetchWebPage,
+};
@@ -0,0 +1,191 @@
+// --- Dependencies ---
+const path = require('path');
+const zlib = require('zlib');
+const AdmZip = require('adm-zip');
+
+const ZIP_MIME_TYPES = [
+    'application/zip',
+    'application/x-zip-compressed',
+    'application/x-zip',
+];
+const MAX_ZIP_DOCUMENTS = 500; // More files than a whole semester of notes
+// Protection against ZIP bombs: the sizes written in an archive can be forged, so the files are
+// unzipped one at a time and never beyond these sizes
+const MAX_UNCOMPRESSED_SIZE = 200 * 1024 * 1024; // All the files of an archive
+const MAX_DOCUMENT_SIZE = 50 * 1024 * 1024; // One file
+const STORED = 0; // Compression methods of ZIP entries
+const DEFLATED = 8;
+
+/**
+ * Tells whether an uploaded file is a ZIP archive. EPUB, DOCX and ODT files are ZIP
+ * archives too, but have their own MIME types and extensions.
+ * @param {object} file - The uploaded file (multer file object).
+ * @returns {boolean} - True for a ZIP file.
+ */
+function isZipFile(file) {
+    if (!file) return false;
+    return (
+        ZIP_MIME_TYPES.includes(file.mimetype) ||
+        path.extname(file.originalname || '').toLowerCase() === '.zip'
+    );
+}
+
+/**
+ * Tells whether an entry of an archive is a file added by the operating system rather than
+ * by the user: macOS resource forks (__MACOSX), hidden files and folders (.DS_Store, .git...),
+ * Windows thumbnails.
+ * @param {Array<string>} segments - The folders and file name of the entry.
+ * @returns {boolean} - True for a file to leave out.
+ */
+const isSystemEntry = (segments) =>
+    segments.some(
+        (segment) => segment === '__MACOSX' || segment.startsWith('.')
+    ) ||
+    ['thumbs.db', 'desktop.ini'].includes(
+        segments[segments.length - 1].toLowerCase()
+    );
+
+/**
+ * Unzips an entry of an archive, stopping as soon as its data grows beyond a size.
+ * @param {object} entry - The entry (adm-zip).
+ * @param {number} maxSize - The largest size allowed, in bytes.
+ * @returns {Buffer} - The data of the entry.
+ * @throws {Error} - If the entry is larger than maxSize once unzipped, encrypted or cannot be unzipped.
+ */
+function unzipEntry(entry, maxSize) {
+    const { method, encrypted } = entry.header;
+    if (encrypted || (method !== STORED && method !== DEFLATED)) {
+        throw new Error(
+            'This file is encrypted or compressed in an unsupported way.'
+        );
+    }
+    let buffer;
+    try {
+        buffer =
+            method === STORED
+                ? entry.getCompressedData()
+                : zlib.inflateRawSync(entry.getCompressedData(), {
+                      maxOutputLength: Math.max(1, maxSize + 1),
+                  });
+    } catch (error) {
+        if (error.code === 'ERR_BUFFER_TOO_LARGE') buffer = null;
+        else throw new Error('This file could not be unzipped.');
+    }
+    if (!buffer || buffer.length > maxSize) {
+        throw new Error('This file is too large once unzipped.');
+    }
+    return buffer;
+}
+
+/**
+ * Reads an uploaded ZIP archive and lists the documents it contains with the folders
+ * they are in, sorted by path ("Week 2" before "Week 10"). Only the files are listed:
+ * they are not checked to be supported documents, nor unzipped yet. When all the files
+ * are inside a single top-level folder (a zipped folder), that folder is left out of
+ * their path and given as the name of the archive.
+ * @param {object} uploadedFile - The uploaded file (multer file object with a buffer).
+ * @returns {{name: string|null, documents: Array<{path: string, folders: Array<string>, file: object,
+ *   unzip: function(): object}>}} - The name of the zipped folder (null if there is none) and the documents:
+ *   their path in the archive, the names of their folders from the top, their file name and type (file:
+ *   originalname, mimetype) and unzip, which unzips the document and returns a file object like multer's
+ *   (originalname, mimetype, buffer, size). unzip throws if the document is too large (see MAX_DOCUMENT_SIZE
+ *   and MAX_UNCOMPRESSED_SIZE, counted on the documents unzipped so far) or cannot be unzipped.
+ * @throws {Error} - If the file is not a valid archive, contains no files or claims to be too large.
+ */
+function readZipDocuments(uploadedFile) {
+    if (!uploadedFile || !uploadedFile.buffer) {
+        throw new Error('Invalid file buffer provided for ZIP processing.');
+    }
+    if (process.env.NODE_ENV === 'development')
+        console.log(`Processing uploaded ZIP: ${uploadedFile.originalname}`);
+
+    let entries;
+    try {
+        entries = new AdmZip(uploadedFile.buffer).getEntries();
+    } catch (error) {
+        throw new Error(
+            'Error processing ZIP: the file is not a valid archive.'
+        );
+    }
+
+    const files = entries
+        .filter((entry) => !entry.isDirectory)
+        .map((entry) => ({
+            entry,
+            // Backslashes come from archives made on Windows; "." and ".." are not folders
+            segments: entry.entryName
+                .split(/[\\/]+/)
+                .filter(
+                    (segment) => segment && segment !== '.' && segment !== '..'
+                ),
+        }))
+        .filter(({ segments }) => segments.length && !isSystemEntry(segments))
+        .sort((a, b) =>
+            a.segments
+                .join('/')
+                .localeCompare(b.segments.join('/'), undefined, {
+                    numeric: true,
+                    sensitivity: 'base',
+                })
+        );
+
+    if (files.length === 0) {
+        throw new Error('This ZIP archive does not contain any files.');
+    }
+    if (files.length > MAX_ZIP_DOCUMENTS) {
+        throw new Error(
+            `This ZIP archive contains too many files (${files.length}, at most ${MAX_ZIP_DOCUMENTS}).`
+        );
+    }
+    // The sizes claimed by the archive, to refuse a large archive before unzipping anything
+    const totalSize = files.reduce(
+        (size, { entry }) => size + entry.header.size,
+        0
+    );
+    if (totalSize > MAX_UNCOMPRESSED_SIZE) {
+        throw new Error('This ZIP archive is too large to be imported.');
+    }
+
+    // A zipped folder: all the files share the same first folder
+    const topFolder =
+        files[0].segments.length > 1 ? files[0].segments[0] : null;
+    const isZippedFolder =
+        topFolder !== null &&
+        files.every(
+            ({ segments }) => segments.length > 1 && segments[0] === topFolder
+        );
+
+    let unzippedSize = 0; // The real size of the documents unzipped so far
+    const documents = files.map(({ entry, segments }) => {
+        const documentPath = isZippedFolder ? segments.slice(1) : segments;
+        const file = {
+            originalname: documentPath[documentPath.length - 1],
+            mimetype: 'application/octet-stream', // The type is told by the extension
+        };
+        return {
+            path: documentPath.join('/'),
+            folders: documentPath.slice(0, -1),
+            file,
+            unzip: () => {
+                const buffer = unzipEntry(
+                    entry,
+                    Math.min(
+                        MAX_DOCUMENT_SIZE,
+                        MAX_UNCOMPRESSED_SIZE - unzippedSize
+                    )
+                );
+                unzippedSize += buffer.length;
+                return { ...file, buffer, size: buffer.length };
+            },
+        };
+    });
+
+    return { name: isZippedFolder ? topFolder : null, documents };
+}
+
+module.exports = {
+    MAX_DOCUMENT_SIZE,
+    isZipFile,
+    readZipDocuments,
+    unzipEntry, // For the documents that are ZIP archives themselves (EPUB, DOCX, ODT)
+};